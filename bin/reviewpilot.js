@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import { banner } from '../src/utils/logger.js';
+import { banner, useStderr } from '../src/utils/logger.js';
 import { checkCommand } from '../src/commands/check.js';
 import { createPRCommand } from '../src/commands/create-pr.js';
 import { fixCommand } from '../src/commands/fix.js';
+import { baselineCommand } from '../src/commands/baseline.js';
+import { hooksCommand } from '../src/commands/hooks.js';
+import { changelogCommand } from '../src/commands/changelog.js';
+import { testCommand } from '../src/commands/test.js';
+import { scaffoldTestsCommand } from '../src/commands/scaffold-tests.js';
+import { mutateCommand } from '../src/commands/mutate.js';
 
 const program = new Command();
 
@@ -17,13 +23,28 @@ program
     .command('check')
     .description('Analyze current changes for issues, test coverage, and breaking changes')
     .option('-b, --base <branch>', 'Base branch to diff against', '')
+    .option('--staged', 'Review staged changes (index vs HEAD)')
+    .option('--working-tree', 'Review all uncommitted changes (working tree vs HEAD)')
+    .option('--commit <sha>', 'Review a single commit')
+    .option('--range <a..b>', 'Review a commit range (a..b, or a...b from their merge base)')
+    .option('--diff-file <path>', 'Review a unified diff from a file (alias: --diff, use - for stdin)')
+    .option('--diff <path>', 'Alias for --diff-file')
     .option('--no-copilot', 'Skip Copilot CLI analysis (heuristics only)')
     .option('--save', 'Save results to .reviewpilot-output/ directory')
     .option('--verbose', 'Show performance metrics and detailed output')
     .option('--no-telemetry', 'Disable anonymous telemetry for this run')
+    .option('-f, --format <name>', 'Report format: stylish | json | junit | checkstyle | gitlab-codequality | compact | sarif', 'stylish')
+    .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+    .option('--fail-on <severity>', 'Minimum severity that fails the run: critical | error | warning | info | suggestion | none')
+    .option('--no-baseline', 'Report findings even if they are recorded in the baseline file')
+    .option('--no-cache', 'Re-analyze every file instead of reusing cached results')
+    .option('--coverage <file>', 'lcov.info or coverage-final.json for diff coverage (default: coverageReports from config)')
+    .option('--run-tests', 'Run the tests affected by the change and fail the gate if they fail')
     .action(async (options) => {
+        // Machine-readable reports on stdout own it; everything else goes to stderr
+        if (options.format !== 'stylish' && !options.output) useStderr();
         banner();
-        await checkCommand(options);
+        await checkCommand({ ...options, diffFile: options.diffFile || options.diff });
     });
 
 program
@@ -38,6 +59,86 @@ program
         await fixCommand(options);
     });
 
+program
+    .command('baseline')
+    .description('Record known findings so check only reports new ones')
+    .argument('<action>', 'create | prune')
+    .argument('[paths...]', 'Limit `create` to these paths (default: whole repo)')
+    .option('--file <path>', 'Baseline file (default: baselineFile from .reviewpilotrc)')
+    .action(async (action, paths, options) => {
+        banner();
+        await baselineCommand(action, paths, options);
+    });
+
+program
+    .command('hooks')
+    .description('Install, update or remove ReviewPilot pre-commit and pre-push git hooks')
+    .argument('<action>', 'install | uninstall | status')
+    .option('--hook <name>', 'Only this hook: pre-commit | pre-push')
+    .option('--fail-on <severity>', 'Severity that blocks the commit/push: critical | error | warning | info | suggestion | none')
+    .action(async (action, options) => {
+        banner();
+        await hooksCommand(action, options);
+    });
+
+program
+    .command('changelog')
+    .description('Generate a Keep a Changelog section and migration notes for the current branch')
+    .option('-b, --base <branch>', 'Base branch to diff against', '')
+    .option('--range <a..b>', 'Describe a commit range instead of the branch (e.g. v1.2.0..HEAD)')
+    .option('--append', 'Merge into CHANGELOG.md under [Unreleased] and MIGRATION.md instead of printing')
+    .option('--file <path>', 'Changelog file for --append', 'CHANGELOG.md')
+    .option('--migration <path>', 'Migration guide file for --append', 'MIGRATION.md')
+    .action(async (options) => {
+        // The generated markdown owns stdout
+        if (!options.append) useStderr();
+        banner();
+        await changelogCommand(options);
+    });
+
+program
+    .command('test')
+    .description('Run the test suite, or only the tests affected by the current changes')
+    .option('--affected', 'Only run test files that import a changed file, directly or transitively')
+    .option('--list', 'Print the affected test files instead of running them')
+    .option('-b, --base <branch>', 'Base branch to diff against', '')
+    .option('--staged', 'Tests affected by staged changes')
+    .option('--working-tree', 'Tests affected by uncommitted changes')
+    .option('--runner <name>', 'Test runner: vitest | jest | mocha | node (default: detected from package.json)')
+    .action(async (options) => {
+        // The file list owns stdout
+        if (options.list) useStderr();
+        banner();
+        await testCommand(options);
+    });
+
+program
+    .command('scaffold-tests [files...]')
+    .description('Write test skeletons for changed source files that have no tests')
+    .option('--offline', 'Deterministic template (a pending test per branch) instead of Copilot')
+    .option('--dry-run', 'Print the test files instead of writing them')
+    .option('-b, --base <branch>', 'Base branch to diff against', '')
+    .option('--staged', 'Untested files among staged changes')
+    .option('--working-tree', 'Untested files among uncommitted changes')
+    .action(async (files, options) => {
+        banner();
+        await scaffoldTestsCommand(files, options);
+    });
+
+program
+    .command('mutate')
+    .description('Mutate the added lines and report mutants the affected tests do not catch')
+    .option('-b, --base <branch>', 'Base branch to diff against', '')
+    .option('--staged', 'Mutate staged changes')
+    .option('--working-tree', 'Mutate uncommitted changes')
+    .option('--max-mutants <n>', 'Mutants per changed file (default: mutation.maxMutantsPerFile, 10)')
+    .option('--time-budget <seconds>', 'Stop starting new mutants after this long (default: mutation.timeBudget, 300s)')
+    .option('--runner <name>', 'Test runner: vitest | jest | mocha | node (default: detected from package.json)')
+    .action(async (options) => {
+        banner();
+        await mutateCommand(options);
+    });
+
 program
     .command('create-pr')
     .description('Create a GitHub PR using generated description and checklist')
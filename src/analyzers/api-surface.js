@@ -0,0 +1,446 @@
+/**
+ * Public API model of a module, extracted from its AST.
+ *
+ * Every export maps to an entry describing its shape:
+ *
+ *   function   params
+ *   class      constructor params, public methods/accessors/fields (instance and static)
+ *   constant   any other value
+ *   reexport   `export { a as b } from './x'` — the shape lives in the other module
+ *   star       `export * from './x'`, keyed as `re-export of ./x`
+ *   interface  property and method signatures
+ *   type       the aliased type, plus its members for object literal types
+ *   enum       member names and initializers
+ *
+ * In TypeScript files parameters, return values and properties carry their
+ * type annotation text, and overloaded functions list their overload
+ * signatures (the implementation signature is not callable from outside).
+ *
+ * Covers ESM (named, default, aliased and re-exports) and CommonJS
+ * (`module.exports = …`, `exports.x = …`). The default export is keyed
+ * `default`. Files Babel cannot parse fall back to a pattern scan that only
+ * sees exported functions and classes.
+ */
+
+import { canAnalyze } from './ast-analyzer.js';
+import { createParseCache } from './parse-cache.js';
+
+/**
+ * @typedef {object} ApiParam
+ * @property {string} name           - Identifier, or the pattern text for destructured params
+ * @property {boolean} optional      - Has a default or is marked `?`
+ * @property {string|null} defaultValue - Default value source text
+ * @property {boolean} rest
+ * @property {string[]|null} keys    - Property names of an object pattern (named options), else null
+ * @property {boolean} openKeys      - The object pattern has a `...rest` property, so any key is accepted
+ * @property {string|null} type      - Type annotation text (TypeScript)
+ */
+
+/**
+ * @typedef {object} ApiSignature
+ * @property {ApiParam[]} params
+ * @property {string} signature       - Parameter list text
+ * @property {string|null} returnType
+ */
+
+/**
+ * @typedef {object} ApiMember
+ * @property {'method'|'getter'|'setter'|'property'} kind
+ * @property {boolean} static
+ * @property {ApiParam[]} params
+ * @property {string} signature
+ * @property {string|null} returnType
+ * @property {string|null} type       - Property type
+ */
+
+/**
+ * @typedef {object} TypeMember
+ * @property {'property'|'method'} kind
+ * @property {boolean} optional
+ * @property {boolean} readonly
+ * @property {string|null} type       - Property type
+ * @property {ApiParam[]} params      - Method parameters
+ * @property {string} signature
+ * @property {string|null} returnType
+ */
+
+/**
+ * @typedef {object} ApiEntry
+ * @property {'function'|'class'|'constant'|'reexport'|'star'|'interface'|'type'|'enum'} kind
+ * @property {ApiParam[]} [params]               - function
+ * @property {string} [signature]                - function: parameter list text
+ * @property {string|null} [returnType]          - function
+ * @property {ApiSignature[]|null} [overloads]   - function with overload declarations
+ * @property {ApiParam[]|null} [constructorParams] - class (null without an explicit constructor)
+ * @property {string} [constructorSignature]     - class
+ * @property {Map<string, ApiMember|TypeMember|string|null>} [members]
+ *   class: keyed `name` (instance) or `static name`; interface and object literal type: TypeMember;
+ *   enum: initializer text (null when implicit)
+ * @property {string} [source]                   - reexport / star: module specifier
+ * @property {string} [imported]                 - reexport: name in the source module
+ * @property {string} [type]                     - type: the aliased type text
+ */
+
+/**
+ * Extracts the public API of a module.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {import('./parse-cache.js').ParseCache} [parseCache]
+ * @returns {Map<string, ApiEntry>} Export name → entry
+ */
+export function extractApiSurface(content, filename, parseCache = createParseCache()) {
+    if (!content) return new Map();
+    const ast = canAnalyze(filename) ? parseCache.parse(filename, content) : null;
+    return ast ? surfaceFromAST(ast, content) : surfaceFromPatterns(content);
+}
+
+/**
+ * Renders an entry as a short signature: the parameter list of a function or
+ * constructor, the source of a re-export, or the `export *` statement itself.
+ * @param {ApiEntry} entry
+ * @returns {string}
+ */
+export function describeEntry(entry) {
+    switch (entry.kind) {
+        case 'function': return entry.signature;
+        case 'class': return entry.constructorSignature ?? '';
+        case 'type': return entry.type;
+        case 'reexport': return `${entry.imported} from '${entry.source}'`;
+        case 'star': return `export * from '${entry.source}'`;
+        default: return '';
+    }
+}
+
+// --- Internals ---
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'TSDeclareFunction',
+]);
+const CLASS_TYPES = new Set(['ClassDeclaration', 'ClassExpression']);
+
+function surfaceFromAST(ast, content) {
+    const body = ast.program.body;
+    const ctx = { content, locals: collectLocals(body), overloads: collectOverloads(body) };
+    const surface = new Map();
+    const describe = (node) => describeValue(node, ctx);
+
+    for (const node of body) {
+        if (node.type === 'ExportNamedDeclaration') {
+            if (node.declaration) {
+                for (const [name, decl] of declaredNames(node.declaration)) {
+                    surface.set(name, describe(decl));
+                }
+            }
+            for (const spec of node.specifiers || []) {
+                const exported = nameOf(spec.exported);
+                if (node.source) {
+                    const imported = spec.type === 'ExportNamespaceSpecifier' ? '*' : nameOf(spec.local);
+                    surface.set(exported, { kind: 'reexport', source: node.source.value, imported });
+                } else {
+                    surface.set(exported, describe(ctx.locals.get(spec.local.name) ?? null));
+                }
+            }
+        } else if (node.type === 'ExportAllDeclaration') {
+            if (node.exported) {
+                surface.set(nameOf(node.exported), { kind: 'reexport', source: node.source.value, imported: '*' });
+            } else {
+                surface.set(`re-export of ${node.source.value}`, { kind: 'star', source: node.source.value });
+            }
+        } else if (node.type === 'ExportDefaultDeclaration') {
+            surface.set('default', describe(node.declaration));
+        } else if (node.type === 'TSExportAssignment') {
+            surface.set('default', describe(node.expression));
+        } else if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression') {
+            collectCommonJS(node.expression, surface, describe);
+        }
+    }
+
+    return surface;
+}
+
+/** Top-level bindings that exports may refer to by name. */
+function collectLocals(body) {
+    const locals = new Map();
+    for (const node of body) {
+        const decl = node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration'
+            ? node.declaration
+            : node;
+        if (!decl) continue;
+        for (const [name, value] of declaredNames(decl)) locals.set(name, value);
+    }
+    return locals;
+}
+
+/** Overload declarations (`function f(a: string): void;`) by function name. */
+function collectOverloads(body) {
+    const overloads = new Map();
+    for (const node of body) {
+        const decl = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+        if (decl?.type !== 'TSDeclareFunction' || !decl.id) continue;
+        if (!overloads.has(decl.id.name)) overloads.set(decl.id.name, []);
+        overloads.get(decl.id.name).push(decl);
+    }
+    return overloads;
+}
+
+/** [name, value node] pairs introduced by a declaration. */
+function declaredNames(decl) {
+    if (decl.type === 'VariableDeclaration') {
+        return decl.declarations
+            .filter((d) => d.id.type === 'Identifier')
+            .map((d) => [d.id.name, d.init ?? null]);
+    }
+    return decl.id?.name ? [[decl.id.name, decl]] : [];
+}
+
+function collectCommonJS({ left, right }, surface, describe) {
+    // module.exports = { a, b: fn, c() {} } / module.exports = fn
+    if (isModuleExports(left)) {
+        if (right.type === 'ObjectExpression') {
+            for (const prop of right.properties) {
+                const name = prop.key && nameOf(prop.key);
+                if (!name) continue;
+                surface.set(name, describe(prop.type === 'ObjectMethod' ? prop : prop.value));
+            }
+        } else {
+            surface.set('default', describe(right));
+        }
+        return;
+    }
+
+    // module.exports.a = … / exports.a = …
+    if (left.type === 'MemberExpression' && (isModuleExports(left.object) || left.object.name === 'exports')) {
+        const name = nameOf(left.property);
+        if (name) surface.set(name, describe(right));
+    }
+}
+
+function describeValue(node, ctx, seen = new Set()) {
+    const { content, locals } = ctx;
+    if (!node) return { kind: 'constant' };
+
+    if (node.type === 'Identifier' && locals.has(node.name) && !seen.has(node.name)) {
+        seen.add(node.name);
+        return describeValue(locals.get(node.name), ctx, seen);
+    }
+    if (FUNCTION_TYPES.has(node.type) || node.type === 'ObjectMethod') {
+        // With several declarations, callers see only the overloads (or, in a .d.ts, every declaration)
+        const declared = (node.id && ctx.overloads.get(node.id.name)) || [];
+        const visible = node.type === 'TSDeclareFunction' ? declared : declared.filter((d) => d !== node);
+        return {
+            kind: 'function',
+            ...describeSignature(node.params, node.returnType, content),
+            overloads: visible.length > 1 || (visible.length === 1 && node.type !== 'TSDeclareFunction')
+                ? visible.map((d) => describeSignature(d.params, d.returnType, content))
+                : null,
+        };
+    }
+    if (CLASS_TYPES.has(node.type)) return describeClass(node, content);
+    if (node.type === 'TSInterfaceDeclaration') {
+        return { kind: 'interface', members: describeTypeMembers(node.body.body, content) };
+    }
+    if (node.type === 'TSTypeAliasDeclaration') {
+        const literal = node.typeAnnotation.type === 'TSTypeLiteral' ? node.typeAnnotation.members : null;
+        return {
+            kind: 'type',
+            type: normalizeType(content.slice(node.typeAnnotation.start, node.typeAnnotation.end)),
+            members: literal ? describeTypeMembers(literal, content) : null,
+        };
+    }
+    if (node.type === 'TSEnumDeclaration') {
+        return {
+            kind: 'enum',
+            members: new Map(node.members.map((m) => [
+                nameOf(m.id),
+                m.initializer ? content.slice(m.initializer.start, m.initializer.end) : null,
+            ])),
+        };
+    }
+
+    return { kind: 'constant' };
+}
+
+function describeSignature(params, returnType, content) {
+    return {
+        params: extractParams(params, content),
+        signature: paramsText(params, content),
+        returnType: typeText(returnType, content),
+    };
+}
+
+function describeTypeMembers(members, content) {
+    const result = new Map();
+    for (const member of members) {
+        const name = !member.computed && nameOf(member.key);
+        if (!name) continue;
+
+        const isMethod = member.type === 'TSMethodSignature';
+        if (!isMethod && member.type !== 'TSPropertySignature') continue;
+        result.set(name, {
+            kind: isMethod ? 'method' : 'property',
+            optional: Boolean(member.optional),
+            readonly: Boolean(member.readonly),
+            type: isMethod ? null : typeText(member.typeAnnotation, content),
+            ...(isMethod
+                ? describeSignature(member.parameters, member.typeAnnotation, content)
+                : { params: [], signature: '', returnType: null }),
+        });
+    }
+    return result;
+}
+
+function describeClass(node, content) {
+    const entry = { kind: 'class', constructorParams: null, constructorSignature: '', members: new Map() };
+
+    for (const member of node.body.body) {
+        const isPrivate = member.key?.type === 'PrivateName' || member.accessibility === 'private' || member.accessibility === 'protected';
+        if (isPrivate || member.computed) continue;
+
+        const name = nameOf(member.key);
+        if (!name) continue;
+
+        if (member.kind === 'constructor') {
+            entry.constructorParams = extractParams(member.params, content);
+            entry.constructorSignature = paramsText(member.params, content);
+            continue;
+        }
+
+        const isMethod = member.type === 'ClassMethod' || member.type === 'TSDeclareMethod';
+        const kind = !isMethod ? 'property' : member.kind === 'get' ? 'getter' : member.kind === 'set' ? 'setter' : 'method';
+        entry.members.set(`${member.static ? 'static ' : ''}${kind === 'setter' ? `set ${name}` : name}`, {
+            kind,
+            static: Boolean(member.static),
+            ...describeSignature(isMethod ? member.params : [], isMethod ? member.returnType : null, content),
+            type: isMethod ? null : typeText(member.typeAnnotation, content),
+        });
+    }
+
+    return entry;
+}
+
+function extractParams(params, content) {
+    return params.map((param) => {
+        // TS constructor shorthand: `constructor(private readonly db: Db)`
+        const node = param.type === 'TSParameterProperty' ? param.parameter : param;
+
+        const type = typeText(node.typeAnnotation || node.left?.typeAnnotation || node.argument?.typeAnnotation, content);
+
+        if (node.type === 'RestElement') {
+            return { name: patternName(node.argument, content), optional: true, defaultValue: null, rest: true, ...optionsOf(node.argument), type };
+        }
+        if (node.type === 'AssignmentPattern') {
+            return {
+                name: patternName(node.left, content),
+                optional: true,
+                defaultValue: content.slice(node.right.start, node.right.end),
+                rest: false,
+                ...optionsOf(node.left),
+                type,
+            };
+        }
+        return { name: patternName(node, content), optional: Boolean(node.optional), defaultValue: null, rest: false, ...optionsOf(node), type };
+    });
+}
+
+function patternName(node, content) {
+    if (node.type === 'Identifier') return node.name;
+    // Destructured: the pattern text without its type annotation
+    const end = node.typeAnnotation ? node.typeAnnotation.start : node.end;
+    return content.slice(node.start, end).trim();
+}
+
+function optionsOf(node) {
+    if (node.type !== 'ObjectPattern') return { keys: null, openKeys: false };
+    return {
+        keys: node.properties
+            .filter((p) => p.type === 'ObjectProperty' && !p.computed)
+            .map((p) => nameOf(p.key))
+            .filter(Boolean),
+        openKeys: node.properties.some((p) => p.type === 'RestElement'),
+    };
+}
+
+/** Text of a `: Type` annotation, whitespace-normalized, or null. */
+function typeText(annotation, content) {
+    const type = annotation?.typeAnnotation;
+    return type ? normalizeType(content.slice(type.start, type.end)) : null;
+}
+
+function normalizeType(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/([<([]) /g, '$1')
+        .replace(/ ([>)\]])/g, '$1')
+        .replace(/;\s*}/g, ' }')
+        .trim();
+}
+
+function paramsText(params, content) {
+    if (!params?.length) return '';
+    return content.slice(params[0].start, params[params.length - 1].end).trim();
+}
+
+function nameOf(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'StringLiteral') return node.value;
+    return null;
+}
+
+function isModuleExports(node) {
+    return node?.type === 'MemberExpression' && node.object.name === 'module' && node.property.name === 'exports';
+}
+
+// Patterns for files the parser rejects: name + parameter text of exported functions and classes
+const EXPORT_PATTERNS = [
+    { kind: 'function', pattern: /export\s+(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)\s*\(([^)]*)\)/g },
+    { kind: 'class', pattern: /export\s+(?:default\s+)?class\s+(\w+)/g },
+    { kind: 'function', pattern: /export\s+const\s+(\w+)\s*=\s*(?:async\s+)?(?:function\s*)?\(([^)]*)\)/g },
+    { kind: 'function', pattern: /(?:module\.)?exports\.(\w+)\s*=\s*(?:async\s+)?(?:function\s*\w*\s*)?\(([^)]*)\)/g },
+];
+
+function surfaceFromPatterns(content) {
+    const surface = new Map();
+
+    for (const { kind, pattern } of EXPORT_PATTERNS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            const [, name, params = ''] = match;
+            if (kind === 'class') {
+                surface.set(name, { kind, constructorParams: null, constructorSignature: '', members: new Map() });
+            } else {
+                surface.set(name, { kind, params: parseParamText(params), signature: params.trim(), returnType: null, overloads: null });
+            }
+        }
+    }
+
+    return surface;
+}
+
+/** Splits a parameter list at top-level commas, so `{ a, b }` stays one parameter. */
+function parseParamText(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if ('([{'.includes(char)) depth++;
+        if (')]}'.includes(char)) depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts.map((p) => p.trim()).filter(Boolean).map((part) => {
+        const rest = part.startsWith('...');
+        const [left, ...right] = part.replace(/^\.\.\./, '').split('=');
+        const name = left.replace(/\?$|:.*$/s, '').trim() || left.trim();
+        const defaultValue = right.length > 0 ? right.join('=').trim() : null;
+        return { name, optional: rest || defaultValue !== null || /\?\s*(:|$)/.test(left), defaultValue, rest, keys: null, openKeys: false, type: null };
+    });
+}
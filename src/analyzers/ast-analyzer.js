@@ -2,11 +2,14 @@
  * AST-level code analysis using Babel parser.
  * Provides semantic understanding of JavaScript/TypeScript code,
  * reducing false positives compared to regex-based matching.
+ * Injection risks are found by following untrusted input to dangerous
+ * sinks (see taint-analysis.js).
  */
 
 import * as babelParser from '@babel/parser';
 import babelTraverse from '@babel/traverse';
 import { calculateEntropy } from '../utils/entropy.js';
+import { findTaintFlows } from './taint-analysis.js';
 
 // Babel traverse default export handling
 const traverse = babelTraverse.default || babelTraverse;
@@ -24,19 +27,17 @@ export function canAnalyze(filename) {
 }
 
 /**
- * Performs AST-based analysis on JavaScript/TypeScript code.
- * Falls back gracefully on parse errors (e.g. unsupported syntax).
+ * Parses JavaScript/TypeScript source into a Babel AST.
  *
  * @param {string} code     - Source code text
  * @param {string} filename - File path (used for determining parser options)
- * @returns {Array<{ line: number, message: string, severity: string }>}
+ * @returns {object|null} Babel File node, or null on unsupported files and unrecoverable syntax errors
  */
-export function analyzeWithAST(code, filename) {
-    if (!code || !canAnalyze(filename)) return [];
+export function parseCode(code, filename) {
+    if (!code || !canAnalyze(filename)) return null;
 
-    let ast;
     try {
-        ast = babelParser.parse(code, {
+        return babelParser.parse(code, {
             sourceType: 'module',
             allowImportExportEverywhere: true,
             allowReturnOutsideFunction: true,
@@ -45,10 +46,56 @@ export function analyzeWithAST(code, filename) {
         });
     } catch {
         // Graceful fallback — unsupported syntax or broken file
-        return [];
+        return null;
     }
+}
+
+/**
+ * Performs AST-based analysis on JavaScript/TypeScript code.
+ * Falls back gracefully on parse errors (e.g. unsupported syntax).
+ *
+ * Pass the whole file and `changedLines` to review a diff: scope checks then
+ * see the full enclosing code, and only nodes that intersect a changed line
+ * are reported.
+ *
+ * @param {string} code     - Source code text
+ * @param {string} filename - File path (used for determining parser options)
+ * @param {object} [options={}]
+ * @param {object} [options.ast]                - Pre-parsed AST of `code` (from parseCode / the parse cache)
+ * @param {Set<number>} [options.changedLines] - 1-indexed lines to report on (default: all)
+ * @returns {Array<{ line: number, message: string, severity: string, ruleId: string, category: string }>}
+ */
+export function analyzeWithAST(code, filename, options = {}) {
+    if (!code || !canAnalyze(filename)) return [];
 
+    const ast = options.ast || parseCode(code, filename);
+    if (!ast) return [];
+
+    const { changedLines = null } = options;
     const findings = [];
+    const report = (node, finding) => {
+        if (changedLines && !intersects(node, changedLines)) return;
+        findings.push({ line: node.loc?.start.line || 0, ...finding });
+    };
+
+    // ── Untrusted input reaching a sink ──────────────────────
+    // Reported when the sink or any hop on the way is a changed line
+    const taintedSinks = new Set();
+    try {
+        for (const flow of findTaintFlows(ast, code)) {
+            taintedSinks.add(flow.sink);
+            if (changedLines && !intersects(flow.sink, changedLines) && !flow.path.some((s) => changedLines.has(s.line))) continue;
+            findings.push({
+                line: flow.sink.loc?.start.line || 0,
+                message: `Untrusted input reaches ${flow.path[flow.path.length - 1].label} — ${flow.title}: ${formatTaintPath(flow.path)}`,
+                severity: flow.severity,
+                ruleId: `ast/${flow.kind}`,
+                category: 'security',
+            });
+        }
+    } catch {
+        // Dataflow failure is non-fatal — the per-node checks still run
+    }
 
     try {
         traverse(ast, {
@@ -69,23 +116,28 @@ export function analyzeWithAST(code, filename) {
                     const inCatch = path.findParent((p) => p.isCatchClause());
 
                     if (!inCondition && !inCatch && ['log', 'debug', 'info'].includes(method)) {
-                        findings.push({
-                            line: path.node.loc?.start.line || 0,
+                        report(path.node, {
                             message: `Console.${method}() statement outside conditional/catch block`,
                             severity: 'warning',
+                            ruleId: 'ast/no-console',
+                            category: 'best-practice',
                         });
                     }
                 }
 
-                // ── eval() detection with context ────────────────
+                // ── eval() of a value of unknown origin ──────────
+                // Constant code is not an injection risk; tainted code is reported above
                 if (
-                    path.node.callee.name === 'eval' ||
-                    (path.node.callee.type === 'Identifier' && path.node.callee.name === 'eval')
+                    path.node.callee.type === 'Identifier' &&
+                    path.node.callee.name === 'eval' &&
+                    !isConstantString(path.node.arguments[0]) &&
+                    !taintedSinks.has(path.node)
                 ) {
-                    findings.push({
-                        line: path.node.loc?.start.line || 0,
+                    report(path.node, {
                         message: 'Use of eval() — security risk; consider safer alternatives',
                         severity: 'error',
+                        ruleId: 'ast/no-eval',
+                        category: 'security',
                     });
                 }
             },
@@ -104,10 +156,11 @@ export function analyzeWithAST(code, filename) {
                 if (right.type === 'StringLiteral' && right.value.length > 4) {
                     const entropy = calculateEntropy(right.value);
                     if (entropy > 3.5) {
-                        findings.push({
-                            line: path.node.loc?.start.line || 0,
+                        report(path.node, {
                             message: `High-entropy string assigned to security variable "${varName}" (entropy: ${entropy.toFixed(1)})`,
                             severity: 'critical',
+                            ruleId: 'ast/secret-assignment',
+                            category: 'security',
                         });
                     }
                 }
@@ -125,10 +178,11 @@ export function analyzeWithAST(code, filename) {
                 if (init.type === 'StringLiteral' && init.value.length > 4) {
                     const entropy = calculateEntropy(init.value);
                     if (entropy > 3.5) {
-                        findings.push({
-                            line: path.node.loc?.start.line || 0,
+                        report(path.node, {
                             message: `High-entropy string in security variable "${id.name}" (entropy: ${entropy.toFixed(1)})`,
                             severity: 'critical',
+                            ruleId: 'ast/secret-declaration',
+                            category: 'security',
                         });
                     }
                 }
@@ -141,12 +195,15 @@ export function analyzeWithAST(code, filename) {
                     prop &&
                     (prop.name === 'innerHTML' || prop.name === 'outerHTML') &&
                     path.parent.type === 'AssignmentExpression' &&
-                    path.parent.left === path.node
+                    path.parent.left === path.node &&
+                    !isConstantString(path.parent.right) &&
+                    !taintedSinks.has(path.parent)
                 ) {
-                    findings.push({
-                        line: path.node.loc?.start.line || 0,
+                    report(path.node, {
                         message: `Direct ${prop.name} assignment — XSS risk; use textContent or sanitize`,
                         severity: 'warning',
+                        ruleId: 'ast/inner-html',
+                        category: 'security',
                     });
                 }
             },
@@ -158,10 +215,11 @@ export function analyzeWithAST(code, filename) {
                     (path.node.body.body.length === 1 &&
                         path.node.body.body[0].type === 'EmptyStatement')
                 ) {
-                    findings.push({
-                        line: path.node.loc?.start.line || 0,
+                    report(path.node, {
                         message: 'Empty catch block — errors are silently swallowed',
                         severity: 'warning',
+                        ruleId: 'ast/empty-catch',
+                        category: 'error-handling',
                     });
                 }
             },
@@ -170,7 +228,7 @@ export function analyzeWithAST(code, filename) {
         // Traversal error — return what we have
     }
 
-    return findings;
+    return findings.sort((a, b) => a.line - b.line);
 }
 
 /**
@@ -178,23 +236,15 @@ export function analyzeWithAST(code, filename) {
  *
  * @param {string} code     - Source code
  * @param {string} filename - File name
+ * @param {object} [options={}]
+ * @param {object} [options.ast] - Pre-parsed AST of `code`
  * @returns {number} Cyclomatic complexity
  */
-export function calculateComplexity(code, filename) {
+export function calculateComplexity(code, filename, options = {}) {
     if (!code || !canAnalyze(filename)) return 0;
 
-    let ast;
-    try {
-        ast = babelParser.parse(code, {
-            sourceType: 'module',
-            allowImportExportEverywhere: true,
-            allowReturnOutsideFunction: true,
-            plugins: getPlugins(filename),
-            errorRecovery: true,
-        });
-    } catch {
-        return 0;
-    }
+    const ast = options.ast || parseCode(code, filename);
+    if (!ast) return 0;
 
     let complexity = 1; // Base complexity
 
@@ -222,6 +272,27 @@ export function calculateComplexity(code, filename) {
 
 // ── Internals ────────────────────────────────────────────────
 
+function intersects(node, lines) {
+    const start = node.loc?.start.line;
+    const end = node.loc?.end.line ?? start;
+    if (!start) return false;
+
+    for (let line = start; line <= end; line++) {
+        if (lines.has(line)) return true;
+    }
+    return false;
+}
+
+/** A string literal, or a template literal without substitutions. */
+function isConstantString(node) {
+    return node?.type === 'StringLiteral' || (node?.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+/** `req.query.id (line 3) → id (line 3) → eval() (line 5)` */
+function formatTaintPath(path) {
+    return path.map((step) => `${step.label} (line ${step.line})`).join(' → ');
+}
+
 function getPlugins(filename) {
     const plugins = ['decorators-legacy', 'importAssertions', 'dynamicImport'];
 
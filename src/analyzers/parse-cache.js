@@ -0,0 +1,46 @@
+/**
+ * Run-scoped parse cache.
+ * Each distinct (file, content) pair is parsed once per `check` run and the
+ * AST is shared by the smart linter, performance budgets and breaking-change
+ * detection.
+ */
+
+import { createHash } from 'node:crypto';
+import { parseCode } from './ast-analyzer.js';
+
+/**
+ * @typedef {object} ParseCache
+ * @property {(filename: string, content: string) => object|null} parse - Returns the cached AST (null if unparseable)
+ * @property {() => { parses: number, hits: number }} stats
+ */
+
+/**
+ * Creates an empty parse cache.
+ * @returns {ParseCache}
+ */
+export function createParseCache() {
+    const entries = new Map();
+    const counters = { parses: 0, hits: 0 };
+
+    return {
+        parse(filename, content) {
+            if (!content) return null;
+
+            // Keyed by content as well as name: base and head versions of a file coexist
+            const key = `${filename}\0${createHash('sha1').update(content).digest('hex')}`;
+            if (entries.has(key)) {
+                counters.hits++;
+                return entries.get(key);
+            }
+
+            counters.parses++;
+            const ast = parseCode(content, filename);
+            entries.set(key, ast);
+            return ast;
+        },
+
+        stats() {
+            return { ...counters };
+        },
+    };
+}
@@ -0,0 +1,487 @@
+/**
+ * Intra-file taint tracking for the AST analyzer.
+ *
+ * Follows values read from untrusted sources (`req.query`, `req.body`,
+ * `req.params`, `process.argv`, `location.search`, message event data)
+ * through variables, destructuring, string building and calls to functions
+ * declared in the same file, to the sinks where they become injections:
+ * `eval` / `Function`, `child_process.exec`, `fs` paths, SQL strings,
+ * `innerHTML`, `res.redirect` and `new RegExp`. Each flow carries the path
+ * the value took, so a finding can show how input got from one to the other.
+ *
+ * The analysis is flow-insensitive: a variable assigned a tainted value
+ * anywhere is tainted everywhere in its scope. Known sanitizers
+ * (`encodeURIComponent`, `parseInt`, `escape*`, `sanitize*`, …) end a flow.
+ */
+
+import babelTraverse from '@babel/traverse';
+
+// Babel traverse default export handling
+const traverse = babelTraverse.default || babelTraverse;
+
+// Dotted member chains whose value comes straight from the user
+const SOURCE_PATTERNS = [
+    /^(req|request|ctx\.request)\.(query|body|params|headers|cookies)$/,
+    /^ctx\.(query|params)$/,
+    /^process\.argv$/,
+    /^(window\.|document\.)?location\.(search|hash|href)$/,
+];
+
+// Sink kind → rule metadata
+const SINKS = {
+    'code-injection': { severity: 'critical', title: 'code injection' },
+    'command-injection': { severity: 'critical', title: 'command injection' },
+    'sql-injection': { severity: 'critical', title: 'SQL injection' },
+    'path-traversal': { severity: 'error', title: 'path traversal' },
+    'xss': { severity: 'error', title: 'cross-site scripting' },
+    'open-redirect': { severity: 'error', title: 'open redirect' },
+    'regex-injection': { severity: 'warning', title: 'regular expression injection (ReDoS)' },
+};
+
+const CHILD_PROCESS_MODULES = new Set(['child_process', 'node:child_process']);
+const SHELL_METHODS = new Set(['exec', 'execSync']);
+const FS_MODULES = new Set(['fs', 'node:fs', 'fs/promises', 'node:fs/promises', 'fs-extra']);
+const FS_PATH_METHODS = new Set([
+    'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+    'createReadStream', 'createWriteStream', 'open', 'openSync', 'readdir', 'readdirSync',
+    'unlink', 'unlinkSync', 'rm', 'rmSync', 'stat', 'statSync', 'access', 'accessSync',
+]);
+const REDIRECT_RECEIVERS = /^(res|response|reply|ctx)$/;
+const SQL_TEXT = /\b(select\b[\s\S]*\bfrom|insert\s+into|update\s+\S+\s+set|delete\s+from)\b/i;
+
+// Calls whose result no longer carries the input's danger
+const SANITIZERS = /^(encodeURI(Component)?|escape\w*|sanitize\w*|parseInt|parseFloat|Number|Boolean|isNaN)$/;
+// Calls that hand their argument back in another shape
+const PASS_THROUGH = /^(String|decodeURI(Component)?|join|resolve|normalize|format|parse|from|concat)$/;
+// Methods of a tainted value that return a boolean or a number
+const PREDICATES = /^(includes|startsWith|endsWith|indexOf|lastIndexOf|test|has|some|every|localeCompare)$/;
+
+// A value gets a few hops per pass; the passes stop once nothing changes
+const MAX_PASSES = 10;
+const MAX_PATH_STEPS = 12;
+
+/**
+ * @typedef {object} TaintStep
+ * @property {number} line
+ * @property {string} label - Source text of the hop, e.g. `req.query.id` or `id`
+ */
+
+/**
+ * @typedef {object} TaintFlow
+ * @property {keyof typeof SINKS} kind
+ * @property {'critical'|'error'|'warning'} severity
+ * @property {string} title    - e.g. `SQL injection`
+ * @property {object} sink     - The sink's AST node (call, assignment or string)
+ * @property {string} source   - The source expression, e.g. `req.query`
+ * @property {TaintStep[]} path - From the source read to the sink, inclusive
+ */
+
+/**
+ * Finds every flow from an untrusted source to a sink in a parsed file.
+ *
+ * @param {object} ast  - Babel File node
+ * @param {string} code - Source text of `ast`, used for path labels
+ * @returns {TaintFlow[]} In source order of the sinks
+ */
+export function findTaintFlows(ast, code) {
+    const { assignments, returns, sinks } = collect(ast);
+    const ctx = { code, tainted: new Map(), returns: new Map() };
+
+    // Propagate until no binding or function picks up new taint
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        let changed = false;
+        for (const a of assignments) {
+            const taint = taintOf(a.value, a.valueScope, ctx);
+            if (taint && taintTarget(a.target, a.targetScope, taint, a.note, ctx)) changed = true;
+        }
+        for (const r of returns) {
+            if (ctx.returns.has(r.fn)) continue;
+            const taint = taintOf(r.value, r.scope, ctx);
+            if (taint) {
+                ctx.returns.set(r.fn, taint);
+                changed = true;
+            }
+        }
+        if (!changed) break;
+    }
+
+    const flows = [];
+    for (const sink of sinks) {
+        for (const value of sink.values) {
+            const taint = taintOf(value, sink.scope, ctx);
+            if (!taint) continue;
+            flows.push({
+                kind: sink.kind,
+                ...SINKS[sink.kind],
+                sink: sink.node,
+                source: taint.source,
+                path: [...taint.steps, { line: lineOf(sink.node), label: sink.label }],
+            });
+            break;
+        }
+    }
+    return flows.sort((a, b) => a.sink.start - b.sink.start);
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+/** One traversal: every place a value moves into a binding, every return, every sink. */
+function collect(ast) {
+    const assignments = [];
+    const returns = [];
+    const sinks = [];
+    const addSink = (kind, node, values, scope, label) => {
+        if (values.length > 0) sinks.push({ kind, node, values, scope, label });
+    };
+
+    traverse(ast, {
+        VariableDeclarator(path) {
+            const { id, init } = path.node;
+            if (init) assignments.push({ target: id, targetScope: path.scope, value: init, valueScope: path.scope });
+        },
+        AssignmentExpression(path) {
+            const { left, right, operator } = path.node;
+            if (isMember(left) && ['innerHTML', 'outerHTML'].includes(propertyName(left))) {
+                addSink('xss', path.node, [right], path.scope, propertyName(left));
+                return;
+            }
+            // `a += b` keeps a's taint and adds b's
+            if (operator === '=' || operator === '+=') {
+                assignments.push({ target: left, targetScope: path.scope, value: right, valueScope: path.scope });
+            }
+        },
+        'ForOfStatement|ForInStatement'(path) {
+            const { left, right } = path.node;
+            const target = left.type === 'VariableDeclaration' ? left.declarations[0].id : left;
+            assignments.push({ target, targetScope: path.scope, value: right, valueScope: path.scope });
+        },
+        ReturnStatement(path) {
+            const fn = path.getFunctionParent()?.node;
+            if (fn && path.node.argument) returns.push({ fn, value: path.node.argument, scope: path.scope });
+        },
+        ArrowFunctionExpression(path) {
+            if (path.node.expression) returns.push({ fn: path.node, value: path.node.body, scope: path.scope });
+        },
+        'CallExpression|NewExpression'(path) {
+            const { node, scope } = path;
+            const args = node.arguments;
+            const callee = node.callee;
+
+            // Arguments of a local function flow into its parameters
+            const fnPath = callee.type === 'Identifier' ? localFunction(callee.name, scope) : null;
+            if (fnPath) {
+                fnPath.node.params.forEach((param, i) => {
+                    if (i < args.length && args[i].type !== 'SpreadElement') {
+                        assignments.push({
+                            target: param, targetScope: fnPath.scope, value: args[i], valueScope: scope,
+                            note: `parameter of ${callee.name}()`,
+                        });
+                    }
+                });
+                return;
+            }
+
+            const sink = classifyCall(node, scope);
+            if (sink) addSink(sink.kind, node, sink.values, scope, sink.label);
+        },
+        TemplateLiteral(path) {
+            if (path.parent.type === 'TaggedTemplateExpression') return; // sql`…` tags parameterize
+            const text = path.node.quasis.map((q) => q.value.cooked ?? q.value.raw).join('?');
+            if (SQL_TEXT.test(text)) addSink('sql-injection', path.node, path.node.expressions, path.scope, 'SQL query');
+        },
+        BinaryExpression(path) {
+            if (path.node.operator !== '+' || isConcatenation(path.parent)) return;
+            const parts = concatenationParts(path.node);
+            const text = parts.map((p) => (p.type === 'StringLiteral' ? p.value : '?')).join('');
+            if (SQL_TEXT.test(text)) {
+                addSink('sql-injection', path.node, parts.filter((p) => p.type !== 'StringLiteral'), path.scope, 'SQL query');
+            }
+        },
+    });
+
+    return { assignments, returns, sinks };
+}
+
+/** The sink a call or `new` expression is, with the arguments that matter, or null. */
+function classifyCall(node, scope) {
+    const { callee, arguments: args } = node;
+    const name = callee.type === 'Identifier' ? callee.name : null;
+    const free = name && !scope.getBinding(name);
+
+    const constructed = node.type === 'NewExpression' ? 'new ' : '';
+    if (free && name === 'eval') return { kind: 'code-injection', values: args.slice(0, 1), label: 'eval()' };
+    if (free && name === 'Function') return { kind: 'code-injection', values: args, label: `${constructed}Function()` };
+    if (free && name === 'RegExp') return { kind: 'regex-injection', values: args.slice(0, 1), label: `${constructed}RegExp()` };
+    if (constructed) return null;
+
+    const target = calleeModule(callee, scope);
+    if (target && CHILD_PROCESS_MODULES.has(target.module) && SHELL_METHODS.has(target.method)) {
+        return { kind: 'command-injection', values: args.slice(0, 1), label: `${target.method}()` };
+    }
+    if (target && FS_MODULES.has(target.module) && FS_PATH_METHODS.has(target.method)) {
+        return { kind: 'path-traversal', values: args.slice(0, 1), label: `fs.${target.method}()` };
+    }
+
+    if (isMember(callee)) {
+        const method = propertyName(callee);
+        const receiver = dottedName(callee.object);
+        if (method === 'redirect' && REDIRECT_RECEIVERS.test(receiver ?? '')) {
+            return { kind: 'open-redirect', values: args, label: `${receiver}.redirect()` };
+        }
+        if (method === 'insertAdjacentHTML') return { kind: 'xss', values: args.slice(1, 2), label: 'insertAdjacentHTML()' };
+        if (receiver === 'document' && (method === 'write' || method === 'writeln')) {
+            return { kind: 'xss', values: args, label: `document.${method}()` };
+        }
+    }
+    return null;
+}
+
+/** Taint of an expression's value, or null when it carries no untrusted input. */
+function taintOf(node, scope, ctx) {
+    if (!node) return null;
+    switch (node.type) {
+        case 'Identifier': {
+            const binding = scope.getBinding(node.name);
+            return (binding && ctx.tainted.get(binding)) || null;
+        }
+        case 'MemberExpression':
+        case 'OptionalMemberExpression': {
+            const source = sourceOf(node, scope);
+            if (source) return { source, steps: [step(node, ctx)] };
+            return taintOf(node.object, scope, ctx);
+        }
+        case 'TemplateLiteral':
+            return firstTainted(node.expressions, scope, ctx);
+        case 'BinaryExpression':
+            return node.operator === '+' ? firstTainted([node.left, node.right], scope, ctx) : null;
+        case 'LogicalExpression':
+            return firstTainted([node.left, node.right], scope, ctx);
+        case 'ConditionalExpression':
+            return firstTainted([node.consequent, node.alternate], scope, ctx);
+        case 'AssignmentExpression':
+            return taintOf(node.right, scope, ctx);
+        case 'SequenceExpression':
+            return taintOf(node.expressions[node.expressions.length - 1], scope, ctx);
+        case 'AwaitExpression':
+        case 'SpreadElement':
+        case 'TSAsExpression':
+        case 'TSNonNullExpression':
+        case 'TSSatisfiesExpression':
+        case 'TypeCastExpression':
+        case 'ParenthesizedExpression':
+            return taintOf(node.argument || node.expression, scope, ctx);
+        case 'ArrayExpression':
+            return firstTainted(node.elements, scope, ctx);
+        case 'ObjectExpression':
+            return firstTainted(node.properties.map((p) => (p.type === 'SpreadElement' ? p : p.value)), scope, ctx);
+        case 'CallExpression':
+        case 'OptionalCallExpression':
+            return callTaint(node, scope, ctx);
+        default:
+            return null;
+    }
+}
+
+function callTaint(node, scope, ctx) {
+    const { callee } = node;
+    const name = callee.type === 'Identifier' ? callee.name : isMember(callee) ? propertyName(callee) : null;
+    if (name && SANITIZERS.test(name)) return null;
+
+    // A local function returns whatever tainted value reached one of its returns
+    if (callee.type === 'Identifier') {
+        const fnPath = localFunction(callee.name, scope);
+        if (fnPath) {
+            const taint = ctx.returns.get(fnPath.node);
+            return taint ? extend(taint, { line: lineOf(node), label: `${callee.name}()` }) : null;
+        }
+    }
+
+    // `input.trim()`, `input.split(',')` — the receiver's taint survives the method
+    if (isMember(callee) && !PREDICATES.test(name ?? '')) {
+        const receiverTaint = taintOf(callee.object, scope, ctx);
+        if (receiverTaint) return receiverTaint;
+    }
+    return name && PASS_THROUGH.test(name) ? firstTainted(node.arguments, scope, ctx) : null;
+}
+
+/** Marks the bindings a pattern declares or assigns; true when one was newly tainted. */
+function taintTarget(target, scope, taint, note, ctx) {
+    switch (target.type) {
+        case 'Identifier': {
+            const binding = scope.getBinding(target.name);
+            if (!binding || ctx.tainted.has(binding)) return false;
+            const label = note ? `${target.name} (${note})` : target.name;
+            ctx.tainted.set(binding, extend(taint, { line: lineOf(target), label }));
+            return true;
+        }
+        case 'ObjectPattern':
+            return target.properties
+                .map((p) => taintTarget(p.type === 'RestElement' ? p.argument : p.value, scope, taint, note, ctx))
+                .some(Boolean);
+        case 'ArrayPattern':
+            return target.elements.map((e) => e && taintTarget(e, scope, taint, note, ctx)).some(Boolean);
+        case 'AssignmentPattern':
+            return taintTarget(target.left, scope, taint, note, ctx);
+        case 'RestElement':
+            return taintTarget(target.argument, scope, taint, note, ctx);
+        case 'MemberExpression':
+            // `options.path = input` taints `options`
+            return taintTarget(rootObject(target), scope, taint, note, ctx);
+        default:
+            return false;
+    }
+}
+
+/** The source a member chain reads from (e.g. `req.query` for `req.query.id`), or null. */
+function sourceOf(node, scope) {
+    for (let current = node; isMember(current); current = current.object) {
+        const name = dottedName(current);
+        if (name && SOURCE_PATTERNS.some((p) => p.test(name))) return name;
+        if (propertyName(current) === 'data' && isMessageEvent(current.object, scope)) return `${current.object.name}.data`;
+    }
+    return null;
+}
+
+/** Whether an identifier is the event parameter of an `addEventListener` or `on*` handler. */
+function isMessageEvent(node, scope) {
+    if (node.type !== 'Identifier') return false;
+    const binding = scope.getBinding(node.name);
+    if (binding?.kind !== 'param') return false;
+
+    const fn = binding.scope.path;
+    if (fn.node.params[0] !== binding.path.node) return false;
+    const parent = fn.parentPath?.node;
+    if (parent?.type === 'CallExpression') {
+        return isMember(parent.callee) && propertyName(parent.callee) === 'addEventListener';
+    }
+    return parent?.type === 'AssignmentExpression' && isMember(parent.left) && /^on/.test(propertyName(parent.left) ?? '');
+}
+
+/** The import or require a callee comes from: `{ module, method }`, or null. */
+function calleeModule(callee, scope) {
+    if (callee.type === 'Identifier') {
+        const origin = bindingOrigin(callee.name, scope);
+        return origin && origin.imported !== '*' ? { module: origin.module, method: origin.imported } : null;
+    }
+    if (!isMember(callee)) return null;
+
+    const method = propertyName(callee);
+    let object = callee.object;
+    if (isMember(object) && propertyName(object) === 'promises') object = object.object; // fs.promises.readFile
+    const module = requiredModule(object)
+        ?? (object.type === 'Identifier' ? wholeModule(bindingOrigin(object.name, scope)) : null);
+    return module ? { module, method } : null;
+}
+
+function wholeModule(origin) {
+    return origin && (origin.imported === '*' || origin.imported === 'default') ? origin.module : null;
+}
+
+/** Where a binding was imported or required from: `{ module, imported }` (`*` for the namespace). */
+function bindingOrigin(name, scope) {
+    const binding = scope.getBinding(name);
+    if (!binding) return null;
+    const { node, parent } = binding.path;
+
+    switch (node.type) {
+        case 'ImportSpecifier':
+            return { module: parent.source.value, imported: node.imported.name ?? node.imported.value };
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+            return { module: parent.source.value, imported: '*' };
+        case 'VariableDeclarator': {
+            const init = node.init?.type === 'AwaitExpression' ? node.init.argument : node.init;
+            const module = requiredModule(init);
+            if (module) {
+                if (node.id.type === 'Identifier') return { module, imported: '*' };
+                const property = node.id.type === 'ObjectPattern'
+                    && node.id.properties.find((p) => p.type === 'ObjectProperty' && p.value.type === 'Identifier' && p.value.name === name);
+                return property ? { module, imported: property.key.name ?? property.key.value } : null;
+            }
+            // const exec = require('child_process').exec
+            if (isMember(init) && requiredModule(init.object)) {
+                return { module: requiredModule(init.object), imported: propertyName(init) };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/** The module of a `require('x')` or `import('x')` call, or null. */
+function requiredModule(node) {
+    if (node?.type !== 'CallExpression' || node.arguments[0]?.type !== 'StringLiteral') return null;
+    const { callee } = node;
+    return (callee.type === 'Identifier' && callee.name === 'require') || callee.type === 'Import'
+        ? node.arguments[0].value
+        : null;
+}
+
+/** The declaration path of a function bound to `name` in this file, or null. */
+function localFunction(name, scope) {
+    const binding = scope.getBinding(name);
+    if (!binding) return null;
+    const { path } = binding;
+    if (path.isFunctionDeclaration()) return path;
+    if (path.isVariableDeclarator()) {
+        const init = path.get('init');
+        if (init.isFunctionExpression() || init.isArrowFunctionExpression()) return init;
+    }
+    return null;
+}
+
+function firstTainted(nodes, scope, ctx) {
+    for (const node of nodes) {
+        const taint = node && taintOf(node, scope, ctx);
+        if (taint) return taint;
+    }
+    return null;
+}
+
+function extend(taint, next) {
+    if (taint.steps.length >= MAX_PATH_STEPS) return taint;
+    return { source: taint.source, steps: [...taint.steps, next] };
+}
+
+function step(node, ctx) {
+    const text = ctx.code.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return { line: lineOf(node), label: text.length > 40 ? `${text.slice(0, 39)}…` : text };
+}
+
+function concatenationParts(node) {
+    return isConcatenation(node) ? [...concatenationParts(node.left), ...concatenationParts(node.right)] : [node];
+}
+
+function isConcatenation(node) {
+    return node?.type === 'BinaryExpression' && node.operator === '+';
+}
+
+function isMember(node) {
+    return node?.type === 'MemberExpression' || node?.type === 'OptionalMemberExpression';
+}
+
+function propertyName(member) {
+    const { property, computed } = member;
+    if (!computed && property.type === 'Identifier') return property.name;
+    return property.type === 'StringLiteral' ? property.value : null;
+}
+
+/** `a.b.c` for a non-computed member chain, else null. */
+function dottedName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (!isMember(node) || node.computed) return null;
+    const object = dottedName(node.object);
+    const property = propertyName(node);
+    return object && property ? `${object}.${property}` : null;
+}
+
+function rootObject(node) {
+    let current = node;
+    while (isMember(current)) current = current.object;
+    return current;
+}
+
+function lineOf(node) {
+    return node.loc?.start.line || 0;
+}
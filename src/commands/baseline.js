@@ -0,0 +1,139 @@
+/**
+ * `reviewpilot baseline` — Record and maintain known findings.
+ *
+ *   baseline create [paths...]  Scan tracked files and write every current finding to the baseline
+ *   baseline prune              Drop baseline entries that no longer match any finding
+ *
+ * `reviewpilot check` reads the baseline file and only reports findings that
+ * are not in it, so legacy issues in touched files don't fail CI.
+ */
+
+import { readFileSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { loadConfig, shouldExclude } from '../utils/config.js';
+import { listTrackedFiles } from '../utils/git.js';
+import { analyze } from '../linters/smart-linter.js';
+import { createBaseline, loadBaseline, saveBaseline, pruneBaseline } from '../utils/baseline.js';
+import * as log from '../utils/logger.js';
+
+/**
+ * @param {'create'|'prune'} action
+ * @param {string[]} paths - Pathspecs to scan (create only; defaults to the whole repo)
+ * @param {object} options
+ * @param {string} [options.file] - Baseline file override (defaults to `baselineFile` from config)
+ */
+export async function baselineCommand(action, paths, options) {
+    try {
+        const config = await loadConfig();
+        const baselinePath = join(config.repoRoot, options.file || config.baselineFile);
+        const displayPath = relative(config.repoRoot, baselinePath) || baselinePath;
+
+        if (action === 'create') {
+            log.startSpinner('Scanning tracked files...');
+            const tracked = await listTrackedFiles(paths, config.repoRoot);
+            const findings = await scanFiles(tracked, config);
+            const baseline = createBaseline(findings);
+            saveBaseline(baselinePath, baseline);
+            log.succeedSpinner(`Scanned ${tracked.length} file(s)`);
+
+            log.success(`Baseline written to ${displayPath} with ${baseline.findings.length} finding(s)`);
+            log.info('Commit this file — `reviewpilot check` will only report findings not in it.');
+            return;
+        }
+
+        if (action === 'prune') {
+            const baseline = loadBaseline(baselinePath);
+            if (!baseline) {
+                log.error(`No baseline found at ${displayPath}.`);
+                log.info('Run `reviewpilot baseline create` first.');
+                process.exitCode = 1;
+                return;
+            }
+
+            log.startSpinner('Re-scanning baselined files...');
+            const baselinedFiles = [...new Set(baseline.findings.map((e) => e.file))];
+            const findings = await scanFiles(baselinedFiles, config);
+            const { baseline: pruned, removed } = pruneBaseline(baseline, findings);
+            log.succeedSpinner(`Re-scanned ${baselinedFiles.length} file(s)`);
+
+            if (removed.length === 0) {
+                log.success('Baseline is up to date — nothing to prune.');
+                return;
+            }
+
+            saveBaseline(baselinePath, pruned);
+            for (const entry of removed) {
+                log.bullet(`${entry.file}${entry.line ? `:${entry.line}` : ''} [${entry.ruleId}] ${entry.message}`);
+            }
+            log.success(`Pruned ${removed.length} entr${removed.length === 1 ? 'y' : 'ies'}; ${pruned.findings.length} remaining.`);
+            return;
+        }
+
+        log.error(`Unknown baseline action "${action}". Use "create" or "prune".`);
+        process.exitCode = 1;
+    } catch (err) {
+        log.failSpinner('Baseline update failed');
+        log.error(err.message);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+/**
+ * Analyzes whole files as if every line were newly added, so the resulting
+ * fingerprints match whatever part of the file a later diff touches.
+ * Copilot and the ML filter are skipped: the baseline should be a
+ * deterministic superset of what `check` can report.
+ */
+async function scanFiles(files, config) {
+    const changes = [];
+
+    for (const file of files) {
+        if (shouldExclude(file, config.excludePatterns)) continue;
+
+        const content = readTextFile(join(config.repoRoot, file), config.maxFileSizeKB);
+        if (content === null) continue;
+
+        changes.push(toFullFileChange(file, content));
+    }
+
+    return analyze(changes, {
+        repoRoot: config.repoRoot,
+        useML: false,
+        useCopilot: false,
+        suppressions: config.suppressions,
+    });
+}
+
+function readTextFile(absPath, maxFileSizeKB) {
+    try {
+        if (statSync(absPath).size > maxFileSizeKB * 1024) return null;
+        const content = readFileSync(absPath, 'utf-8');
+        return content.includes('\0') ? null : content;
+    } catch {
+        return null; // Deleted in the working tree, unreadable, or a directory (submodule)
+    }
+}
+
+function toFullFileChange(file, content) {
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    const changes = lines.map((line, i) => ({ type: 'add', add: true, ln: i + 1, content: `+${line}` }));
+
+    return {
+        file,
+        type: 'added',
+        category: null,
+        additions: lines.length,
+        deletions: 0,
+        hunks: [{
+            oldStart: 0,
+            newStart: 1,
+            content: changes.map((c) => c.content).join('\n'),
+            changes,
+        }],
+    };
+}
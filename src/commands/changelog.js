@@ -0,0 +1,91 @@
+/**
+ * `reviewpilot changelog` — Changelog entry and migration notes for a change.
+ *
+ * Analyzes the branch (or a commit range) like `check` does for its API diff,
+ * then renders a Keep a Changelog `[Unreleased]` section and a migration
+ * snippet with before/after signatures of every breaking change. Both are
+ * printed; with `--append` they are merged into CHANGELOG.md and MIGRATION.md
+ * instead. Copilot is not used, so the output is reproducible.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { loadConfig } from '../utils/config.js';
+import { resolveDiffSource } from '../utils/diff-source.js';
+import { createFileSource } from '../utils/file-source.js';
+import { disableCopilot } from '../utils/copilot.js';
+import { getBaseBranch, getCommitMessages } from '../utils/git.js';
+import { processDiff } from '../analyzers/diff-processor.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { buildImportGraph } from '../context/import-graph.js';
+import { detectBreakingChanges } from '../detectors/breaking-changes.js';
+import {
+    generateChangelog, generateMigrationGuide, insertIntoChangelog, insertIntoMigrationGuide,
+} from '../generators/changelog.js';
+import * as log from '../utils/logger.js';
+
+/**
+ * @param {object} options
+ * @param {string} [options.base]      - Base branch (default: config or auto-detected)
+ * @param {string} [options.range]     - Commit range instead of the branch, e.g. `v1.2.0..HEAD`
+ * @param {boolean} [options.append]   - Merge into the changelog and migration files instead of printing
+ * @param {string} [options.file='CHANGELOG.md']
+ * @param {string} [options.migration='MIGRATION.md']
+ */
+export async function changelogCommand(options) {
+    try {
+        const config = await loadConfig();
+        const baseBranch = options.base || config.baseBranch || (await getBaseBranch());
+        disableCopilot();
+
+        log.startSpinner('Analyzing changes...');
+        const diffSource = await resolveDiffSource({ range: options.range }, baseBranch);
+        const diffAnalysis = await processDiff(diffSource.rawDiff, config);
+        const fileSource = createFileSource(diffSource.headRef, config.repoRoot);
+        const parseCache = createParseCache();
+        const graph = await buildImportGraph(fileSource, { parseCache });
+        const breakingChanges = await detectBreakingChanges(diffAnalysis.files, diffSource.baseRef, {
+            repoRoot: config.repoRoot,
+            fileSource,
+            parseCache,
+            graph,
+        });
+        const commits = await getCommitMessages(diffSource.baseRef, diffSource.headRef, config.repoRoot);
+        log.succeedSpinner(`Analyzed ${diffAnalysis.files.length} file(s) and ${commits.length} commit(s) (${diffSource.description})`);
+
+        const section = generateChangelog({ diffAnalysis, breakingChanges, commits });
+        const migration = generateMigrationGuide(breakingChanges);
+        if (!section) {
+            log.info('Nothing to add to the changelog.');
+            return;
+        }
+
+        if (!options.append) {
+            process.stdout.write(`${section.trimEnd()}\n`);
+            if (migration) process.stdout.write(`\n<!-- ${options.migration || 'MIGRATION.md'} -->\n\n${migration.trimEnd()}\n`);
+            return;
+        }
+
+        const changelogFile = options.file || 'CHANGELOG.md';
+        updateFile(join(config.repoRoot, changelogFile), (text) => insertIntoChangelog(text, section));
+        log.success(`Updated ${changelogFile} under [Unreleased]`);
+
+        if (migration) {
+            const migrationFile = options.migration || 'MIGRATION.md';
+            updateFile(join(config.repoRoot, migrationFile), (text) => insertIntoMigrationGuide(text, migration));
+            log.success(`Updated ${migrationFile} with ${breakingChanges.filter((c) => c.severity === 'major').length} breaking change(s)`);
+        }
+    } catch (err) {
+        log.failSpinner('Changelog generation failed');
+        log.error(err.message);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// --- Internals ---
+
+function updateFile(path, update) {
+    const current = existsSync(path) ? readFileSync(path, 'utf-8') : null;
+    writeFileSync(path, update(current));
+}
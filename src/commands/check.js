@@ -1,60 +1,101 @@
 /**
  * `reviewpilot check` — Main analysis pipeline command.
  *
- * Orchestrates an 8-step review pipeline with:
+ * Orchestrates a 10-step review pipeline — get diff, process diff, gather
+ * context, smart linting, test coverage (and optionally running the affected
+ * tests), performance budgets, breaking changes and semver, import cycles,
+ * PR description, review checklist — with:
  *   - Per-step error recovery (partial results)
  *   - Performance metrics tracking
  *   - Step progress indicators
  *   - Telemetry (anonymous, opt-in)
  *   - Auto-save for `reviewpilot fix`
+ *   - Pluggable report formatters (`--format <name>` / `--output <file>`)
+ *   - Baseline filtering of known findings (`.reviewpilot-baseline.json`)
+ *   - Diff modes: branch (default), --staged, --working-tree, --commit, --range, --diff-file
+ *   - Configurable quality gate for the exit code (`gate` config / `--fail-on`)
  */
 
 import { writeFileSync, mkdirSync } from 'node:fs';
-import { join } from 'node:path';
+import { join, dirname, resolve } from 'node:path';
 import { loadConfig } from '../utils/config.js';
-import { getDiff } from '../utils/git.js';
-import { isCopilotAvailable, getCopilotStats } from '../utils/copilot.js';
+import { resolveDiffSource } from '../utils/diff-source.js';
+import { createFileSource } from '../utils/file-source.js';
+import { isCopilotAvailable, getCopilotStats, disableCopilot } from '../utils/copilot.js';
 import { processDiff } from '../analyzers/diff-processor.js';
 import { gatherContext } from '../context/context-collector.js';
-import { analyze } from '../linters/smart-linter.js';
+import { analyze, finalizeFindings } from '../linters/smart-linter.js';
+import { resolveBoundaries } from '../linters/import-boundaries.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { createResultCache } from '../utils/result-cache.js';
 import { validateTestCoverage } from '../validators/test-checker.js';
+import { detectTestRunner, runTests } from '../utils/test-runner.js';
 import { checkPerformanceBudget } from '../validators/performance-budget.js';
 import { detectBreakingChanges } from '../detectors/breaking-changes.js';
+import { callSitesToFindings } from '../detectors/call-sites.js';
+import { recommendVersions, versionsToFindings } from '../detectors/semver.js';
+import { detectImportCycles, cyclesToFindings } from '../detectors/import-cycles.js';
 import { generatePRDescription } from '../generators/pr-description.js';
 import { buildChecklist } from '../generators/checklist.js';
 import { PerformanceTracker } from '../utils/metrics.js';
 import { trackUsage } from '../utils/telemetry.js';
+import { getFormatter, loadCustomFormatters } from '../formatters/index.js';
+import { loadBaseline, filterBaseline } from '../utils/baseline.js';
+import { resolveGate, evaluateGate } from '../validators/quality-gate.js';
 import * as log from '../utils/logger.js';
 
-const TOTAL_STEPS = 9; // Updated: added performance budget step
+const TOTAL_STEPS = 10;
 
 /**
  * @param {object} options
  * @param {string} [options.base] - Base branch override
  * @param {boolean} [options.save] - Save results for `reviewpilot fix`
- * @param {boolean} [options.noCopilot] - Skip Copilot integration
+ * @param {boolean} [options.copilot=true] - Copilot integration (`--no-copilot` sets false)
  * @param {boolean} [options.verbose] - Show performance metrics
- * @param {boolean} [options.noTelemetry] - Disable telemetry for this run
+ * @param {boolean} [options.telemetry=true] - Telemetry for this run (`--no-telemetry` sets false)
+ * @param {string} [options.format='stylish'] - Report formatter name (built-in or from config)
+ * @param {string} [options.output] - Write the report to this file instead of stdout
+ * @param {boolean} [options.baseline=true] - Hide findings recorded in the baseline file (`--no-baseline` to disable)
+ * @param {boolean} [options.cache=true] - Reuse cached per-file lint results (`--no-cache` to disable)
+ * @param {string} [options.coverage] - Coverage report for diff coverage, overrides `coverageReports`
+ * @param {boolean} [options.runTests] - Run the tests affected by the change and gate on the result
+ * @param {boolean} [options.staged] - Review staged changes (index vs HEAD)
+ * @param {boolean} [options.workingTree] - Review uncommitted changes (working tree vs HEAD)
+ * @param {string} [options.commit] - Review a single commit
+ * @param {string} [options.range] - Review a commit range (`a..b` or `a...b`)
+ * @param {string} [options.diffFile] - Review a unified diff from a file (`-` for stdin)
+ * @param {string} [options.failOn] - Minimum failing severity, overrides `gate.failOn`
  */
 export async function checkCommand(options) {
     const tracker = new PerformanceTracker();
+    const format = options.format || 'stylish';
 
     // Results collector — collects partial results even on step failures
     const results = {
         diffAnalysis: null,
         context: null,
         findings: [],
+        baselinedCount: 0,
         testCoverage: null,
         budgetViolations: [],
         breakingChanges: [],
+        versions: null,
+        cycles: { introduced: [], preexisting: [] },
         prDescription: null,
         checklist: null,
+        gate: null,
         errors: [],
     };
 
     try {
         // ── Setup ────────────────────────────────────────────
         const config = await loadConfig();
+        await loadCustomFormatters(config);
+        const formatter = getFormatter(format);
+        const gate = resolveGate(config.gate, { failOn: options.failOn });
+        const boundaries = resolveBoundaries(config.boundaries);
+        // The console report is only worth printing once there is something to report
+        const reportOnEarlyExit = Boolean(options.output) || format !== 'stylish';
         const baseBranch = options.base || config.baseBranch;
 
         log.heading('ReviewPilot Analysis');
@@ -62,7 +103,7 @@ export async function checkCommand(options) {
 
         // Check Copilot
         let copilotReady = false;
-        if (!options.noCopilot) {
+        if (options.copilot !== false && !options.noCopilot) {
             copilotReady = await isCopilotAvailable();
             if (copilotReady) {
                 log.success('Copilot CLI detected — AI analysis enabled');
@@ -70,6 +111,7 @@ export async function checkCommand(options) {
                 log.warn('Copilot CLI not found — running with heuristics only');
             }
         } else {
+            disableCopilot();
             log.info('Copilot disabled via --no-copilot flag');
         }
 
@@ -79,16 +121,24 @@ export async function checkCommand(options) {
         log.stepProgress(1, TOTAL_STEPS, 'Getting diff');
         tracker.startStep('Get Diff');
 
-        const rawDiff = await getDiff(baseBranch);
+        const diffSource = await resolveDiffSource(options, baseBranch);
+        const { rawDiff } = diffSource;
+        const fileSource = createFileSource(diffSource.headRef, config.repoRoot);
+        // Each file version is parsed once and shared by linting, budgets and breaking changes
+        const parseCache = createParseCache();
+        const resultCache = options.cache !== false && config.cache?.enabled !== false
+            ? createResultCache(join(config.repoRoot, config.outputDir, 'cache'), { maxEntries: config.cache?.maxEntries })
+            : null;
         tracker.endStep();
 
         if (!rawDiff || rawDiff.trim() === '') {
             log.succeedSpinner('No changes detected');
-            log.info(`No diff found between current branch and ${baseBranch}.`);
+            log.info(`No diff found for ${diffSource.description}.`);
+            await finishEarly(results, gate, reportOnEarlyExit ? formatter : null, config, options);
             return;
         }
 
-        log.succeedSpinner('Diff retrieved');
+        log.succeedSpinner(`Diff retrieved (${diffSource.description})`);
 
         // ──────────────────────────────────────────────────────
         // STEP 2: Process diff
@@ -108,6 +158,7 @@ export async function checkCommand(options) {
         // Exit early if diff processing failed entirely
         if (!results.diffAnalysis || results.diffAnalysis.files.length === 0) {
             log.warn('No files to analyze.');
+            await finishEarly(results, gate, reportOnEarlyExit ? formatter : null, config, options);
             return;
         }
 
@@ -123,8 +174,15 @@ export async function checkCommand(options) {
         log.stepProgress(3, TOTAL_STEPS, 'Gathering context');
         tracker.startStep('Gather Context');
         try {
-            results.context = await gatherContext(files, process.cwd());
-            log.succeedSpinner('Context gathered');
+            results.context = await gatherContext(files, config.repoRoot, {
+                fileSource,
+                parseCache,
+                maxDepth: config.dependentsDepth,
+            });
+            const impacted = [...results.context.dependents.values()];
+            const direct = new Set(impacted.flatMap((d) => d.direct)).size;
+            const transitive = new Set(impacted.flatMap((d) => d.transitive)).size;
+            log.succeedSpinner(`Context gathered (${direct} direct, ${transitive} transitive dependent(s))`);
         } catch (err) {
             results.errors.push({ step: 'Gather Context', error: err.message });
             log.failSpinner('Context gathering failed');
@@ -141,8 +199,20 @@ export async function checkCommand(options) {
             results.findings = await analyze(files, {
                 repoRoot: config.repoRoot,
                 useML: true,
+                useCopilot: copilotReady,
+                suppressions: config.suppressions,
+                fileSource,
+                parseCache,
+                resultCache,
+                boundaries,
+                graph: results.context?.graph,
+                // Suppressions, fingerprints and ML filtering run once all steps added their findings
+                finalize: false,
             });
-            log.succeedSpinner(`${results.findings.length} finding(s)`);
+            resultCache?.save();
+
+            const cached = resultCache?.stats().hits > 0 ? ` (${resultCache.stats().hits} file(s) from cache)` : '';
+            log.succeedSpinner(`${results.findings.length} raw finding(s)${cached}`);
         } catch (err) {
             results.errors.push({ step: 'Smart Linting', error: err.message });
             log.failSpinner('Smart linting failed');
@@ -156,8 +226,17 @@ export async function checkCommand(options) {
         log.stepProgress(5, TOTAL_STEPS, 'Checking test coverage');
         tracker.startStep('Test Coverage');
         try {
-            results.testCoverage = await validateTestCoverage(files, process.cwd());
-            log.succeedSpinner('Test coverage checked');
+            results.testCoverage = await validateTestCoverage(files, config.repoRoot, {
+                coverageReports: options.coverage ? [resolve(options.coverage)] : config.coverageReports,
+                graph: results.context?.graph,
+            });
+            log.succeedSpinner('Test coverage checked' + describeDiffCoverage(results.testCoverage.diffCoverage));
+            if (options.coverage && !results.testCoverage.diffCoverage) {
+                log.warn(`Coverage report ${options.coverage} not found or unreadable — diff coverage skipped`);
+            }
+            if (options.runTests) {
+                results.testCoverage.testRun = await runAffectedTests(results.testCoverage.affectedTests, config);
+            }
         } catch (err) {
             results.errors.push({ step: 'Test Coverage', error: err.message });
             log.failSpinner('Test coverage check failed');
@@ -172,7 +251,7 @@ export async function checkCommand(options) {
         tracker.startStep('Performance Budgets');
         try {
             results.budgetViolations = await checkPerformanceBudget(
-                files, config.repoRoot, config.performanceBudgets
+                files, config.repoRoot, config.performanceBudgets, { fileSource, parseCache, graph: results.context?.graph }
             );
             log.succeedSpinner(`${results.budgetViolations.length} budget violation(s)`);
         } catch (err) {
@@ -188,8 +267,28 @@ export async function checkCommand(options) {
         log.stepProgress(7, TOTAL_STEPS, 'Detecting breaking changes');
         tracker.startStep('Breaking Changes');
         try {
-            results.breakingChanges = await detectBreakingChanges(files, baseBranch);
-            log.succeedSpinner(`${results.breakingChanges.length} breaking change(s)`);
+            results.breakingChanges = await detectBreakingChanges(files, diffSource.baseRef, {
+                headRef: diffSource.headRef,
+                repoRoot: config.repoRoot,
+                fileSource,
+                parseCache,
+                graph: results.context?.graph,
+            });
+            // Callers in this repository that the changes break are findings at the call
+            results.findings.push(...callSitesToFindings(results.breakingChanges));
+            results.versions = await recommendVersions(files, results.breakingChanges, {
+                baseRef: diffSource.baseRef,
+                headRef: diffSource.headRef,
+                repoRoot: config.repoRoot,
+                fileSource,
+            });
+            // Breaking changes without a matching version bump are findings
+            results.findings.push(...versionsToFindings(results.versions));
+            log.succeedSpinner(
+                `${results.breakingChanges.length} breaking change(s)` +
+                describeCallSites(results.breakingChanges) +
+                describeVersions(results.versions)
+            );
         } catch (err) {
             results.errors.push({ step: 'Breaking Changes', error: err.message });
             log.failSpinner('Breaking change detection failed');
@@ -198,16 +297,73 @@ export async function checkCommand(options) {
         tracker.endStep();
 
         // ──────────────────────────────────────────────────────
-        // STEP 8: Generate PR description
+        // STEP 8: Import cycles (base vs head)
+        // ──────────────────────────────────────────────────────
+        log.stepProgress(8, TOTAL_STEPS, 'Detecting import cycles');
+        tracker.startStep('Import Cycles');
+        try {
+            if (results.context?.graph) {
+                results.cycles = await detectImportCycles(files, results.context.graph, {
+                    baseRef: diffSource.baseRef,
+                    repoRoot: config.repoRoot,
+                    fileSource,
+                    parseCache,
+                });
+                // New cycles are findings (and gate like them); pre-existing ones are only listed
+                results.findings.push(...cyclesToFindings(results.cycles.introduced));
+                const preexisting = results.cycles.preexisting.length;
+                log.succeedSpinner(
+                    `${results.cycles.introduced.length} new import cycle(s)` +
+                    (preexisting > 0 ? ` (${preexisting} pre-existing)` : '')
+                );
+            } else {
+                log.succeedSpinner('Skipped — no import graph');
+            }
+        } catch (err) {
+            results.errors.push({ step: 'Import Cycles', error: err.message });
+            log.failSpinner('Import cycle detection failed');
+            log.partialResult('Import Cycles', err.message);
+        }
+        tracker.endStep();
+
+        // Every step has added its findings: suppress, fingerprint and filter them
+        // together, then drop the baselined ones
+        try {
+            results.findings = await finalizeFindings(results.findings, files, {
+                repoRoot: config.repoRoot,
+                useML: true,
+                suppressions: config.suppressions,
+                fileSource,
+                parseCache,
+            });
+
+            // Known findings from the baseline neither show up nor fail the run
+            if (options.baseline !== false) {
+                const baseline = loadBaseline(join(config.repoRoot, config.baselineFile));
+                const { findings, baselined } = filterBaseline(results.findings, baseline);
+                results.findings = findings;
+                results.baselinedCount = baselined.length;
+            }
+            const baselined = results.baselinedCount > 0 ? ` (${results.baselinedCount} baselined)` : '';
+            log.info(`Findings: ${results.findings.length} to report${baselined}`);
+        } catch (err) {
+            results.errors.push({ step: 'Smart Linting', error: err.message });
+            log.partialResult('Smart Linting', err.message);
+        }
+
+        // ──────────────────────────────────────────────────────
+        // STEP 9: Generate PR description
         // ──────────────────────────────────────────────────────
-        log.stepProgress(8, TOTAL_STEPS, 'Generating PR description');
+        log.stepProgress(9, TOTAL_STEPS, 'Generating PR description');
         tracker.startStep('PR Description');
         try {
             results.prDescription = await generatePRDescription({
                 diffAnalysis: results.diffAnalysis,
                 findings: results.findings,
-                testCoverage: results.testCoverage || { untestedFiles: [], existingTests: [], suggestions: [] },
+                testCoverage: results.testCoverage || { untestedFiles: [], existingTests: [], suggestions: [], diffCoverage: null },
                 breakingChanges: results.breakingChanges,
+                versions: results.versions,
+                dependents: results.context?.dependents,
                 branchName: baseBranch,
             });
             log.succeedSpinner('PR description generated');
@@ -219,9 +375,9 @@ export async function checkCommand(options) {
         tracker.endStep();
 
         // ──────────────────────────────────────────────────────
-        // STEP 9: Build review checklist
+        // STEP 10: Build review checklist
         // ──────────────────────────────────────────────────────
-        log.stepProgress(9, TOTAL_STEPS, 'Building review checklist');
+        log.stepProgress(10, TOTAL_STEPS, 'Building review checklist');
         tracker.startStep('Review Checklist');
         try {
             results.checklist = await buildChecklist({
@@ -240,59 +396,15 @@ export async function checkCommand(options) {
         // ──────────────────────────────────────────────────────
         // Output Results
         // ──────────────────────────────────────────────────────
+        // ── Quality gate ─────────────────────────────────────
+        results.gate = evaluateGate(results, gate, { packages: results.versions });
+
         log.newline();
         log.divider();
 
-        // Findings
-        if (results.findings.length > 0) {
-            log.heading('Findings');
-            for (const f of results.findings) {
-                log.finding(f.severity, f.file, f.line, f.message, f.source);
-            }
-        } else {
-            log.success('No issues found — looking clean! 🎉');
-        }
-
-        // Budget violations
-        if (results.budgetViolations.length > 0) {
-            log.newline();
-            log.heading('Performance Budget Violations');
-            for (const v of results.budgetViolations) {
-                log.warn(`${v.file}: ${v.message}`);
-            }
-        }
+        await emitReport(formatter, results, config, options);
 
-        // Breaking changes
-        if (results.breakingChanges.length > 0) {
-            log.newline();
-            log.heading('Breaking Changes');
-            for (const bc of results.breakingChanges) {
-                log.warn(`${bc.file}: ${bc.functionName} — ${bc.description}`);
-            }
-        }
-
-        // PR description
-        if (results.prDescription) {
-            log.newline();
-            log.heading('Generated PR Description');
-            console.log(results.prDescription);
-        }
-
-        // Checklist
-        if (results.checklist) {
-            log.newline();
-            log.heading('Review Checklist');
-            console.log(results.checklist);
-        }
-
-        // Errors summary
-        if (results.errors.length > 0) {
-            log.newline();
-            log.heading('Step Failures');
-            for (const e of results.errors) {
-                log.warn(`${e.step}: ${e.error}`);
-            }
-        }
+        reportStepFailures(results.errors);
 
         // Performance metrics
         if (options.verbose !== false) {
@@ -336,7 +448,7 @@ export async function checkCommand(options) {
         }
 
         // ── Telemetry ────────────────────────────────────────
-        if (!options.noTelemetry) {
+        if (options.telemetry !== false && !options.noTelemetry) {
             const perfSummary = tracker.getSummary();
             await trackUsage('check_completed', {
                 fileCount: files.length,
@@ -348,11 +460,7 @@ export async function checkCommand(options) {
             }, config);
         }
 
-        // Exit code
-        const hasCritical = results.findings.some((f) => f.severity === 'critical' || f.severity === 'error');
-        if (hasCritical) {
-            process.exitCode = 1;
-        }
+        applyGateVerdict(results.gate);
 
     } catch (err) {
         log.failSpinner('Analysis failed');
@@ -361,3 +469,115 @@ export async function checkCommand(options) {
         process.exitCode = 1;
     }
 }
+
+// --- Internals ---
+
+/**
+ * Ends a run that stopped before the analysis steps (empty diff, unusable
+ * diff) the same way as a full run: the gate is evaluated — so a failed step
+ * still fails it under `gate.failOnStepError` — and decides the exit code.
+ *
+ * @param {object} results
+ * @param {object} gate - Resolved gate settings
+ * @param {Function|null} formatter - Report formatter, or null when the console report is skipped
+ */
+async function finishEarly(results, gate, formatter, config, options) {
+    results.gate = evaluateGate(results, gate, { packages: results.versions });
+    if (formatter) await emitReport(formatter, results, config, options);
+    reportStepFailures(results.errors);
+    applyGateVerdict(results.gate);
+}
+
+function reportStepFailures(errors) {
+    if (errors.length === 0) return;
+    log.newline();
+    log.heading('Step Failures');
+    for (const e of errors) {
+        log.warn(`${e.step}: ${e.error}`);
+    }
+}
+
+/** Quality gate verdict → exit code */
+function applyGateVerdict(gateResult) {
+    log.newline();
+    log.gateSummary(gateResult);
+    if (!gateResult.passed) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Renders the results with the selected formatter and writes them to
+ * `--output` or stdout. When a machine-readable format goes to stdout the CLI
+ * has already routed human-readable output to stderr.
+ */
+async function emitReport(formatter, results, config, options) {
+    const report = await formatter(results, {
+        repoRoot: config.repoRoot,
+        color: !options.output,
+    });
+
+    if (options.output) {
+        const outputPath = resolve(options.output);
+        mkdirSync(dirname(outputPath), { recursive: true });
+        writeFileSync(outputPath, report.endsWith('\n') ? report : report + '\n');
+        log.newline();
+        log.success(`Report written to ${options.output}`);
+    } else if ((options.format || 'stylish') === 'stylish') {
+        log.plain(report);
+    } else {
+        process.stdout.write(report.endsWith('\n') ? report : report + '\n');
+    }
+}
+
+/** Spinner suffix for the coverage step, e.g. " — diff coverage 82.5% (33/40 lines)". */
+function describeDiffCoverage(diffCoverage) {
+    if (!diffCoverage) return '';
+    if (diffCoverage.percent === null) return ' — no executable lines added';
+    return ` — diff coverage ${diffCoverage.percent}% (${diffCoverage.covered}/${diffCoverage.total} lines)`;
+}
+
+/**
+ * Runs the affected tests (or the whole suite after a runner config change)
+ * with output captured for the report. Returns null when nothing was run.
+ */
+async function runAffectedTests(affectedTests, config) {
+    if (!affectedTests) {
+        log.warn('Import graph unavailable — affected tests not run');
+        return null;
+    }
+    const runner = config.testRunner || detectTestRunner(config.repoRoot);
+    if (!runner) {
+        log.warn('No test runner detected (vitest, jest, mocha or node --test) — set testRunner in .reviewpilotrc');
+        return null;
+    }
+
+    const files = affectedTests.fullRun ? [] : affectedTests.tests.map((t) => t.file);
+    if (!affectedTests.fullRun && files.length === 0) {
+        log.info('No tests affected by this change');
+        return null;
+    }
+
+    log.startSpinner(files.length > 0 ? `Running ${files.length} affected test file(s) with ${runner}` : `Running the full test suite with ${runner}`);
+    const run = await runTests(runner, files, { cwd: config.repoRoot, capture: true, timeout: config.testTimeout });
+    if (run.passed) {
+        log.succeedSpinner(`Tests passed (${(run.durationMs / 1000).toFixed(1)}s)`);
+    } else {
+        log.failSpinner(run.timedOut ? 'Tests timed out' : 'Tests failed');
+    }
+    return run;
+}
+
+/** Spinner suffix for broken callers, e.g. ", 3 broken call site(s)". */
+function describeCallSites(breakingChanges) {
+    const count = breakingChanges.reduce((n, bc) => n + (bc.callSites?.length || 0), 0);
+    return count > 0 ? `, ${count} broken call site(s)` : '';
+}
+
+/** Spinner suffix for the version step, e.g. " — suggested version 2.0.0". */
+function describeVersions(versions) {
+    const unbumped = versions.filter((p) => !p.satisfied);
+    if (unbumped.length === 0) return '';
+    if (versions.length === 1) return ` — suggested version ${unbumped[0].suggested}`;
+    return ` — ${unbumped.length} package(s) need a version bump`;
+}
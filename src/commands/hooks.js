@@ -0,0 +1,116 @@
+/**
+ * `reviewpilot hooks` — Install, update and remove git hooks.
+ *
+ *   hooks install    Add ReviewPilot to pre-commit (staged, no Copilot) and pre-push (full branch)
+ *   hooks uninstall  Remove it again, restoring any chained hooks
+ *   hooks status     Show where hooks live and what is installed
+ *
+ * Existing hooks, husky and `core.hooksPath` are detected and chained rather
+ * than overwritten. Set REVIEWPILOT_SKIP=1 to bypass the hooks for one command.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { SEVERITIES } from '../utils/severity.js';
+import {
+    SUPPORTED_HOOKS, resolveHooksLocation, installHook, uninstallHook, inspectHook,
+} from '../utils/git-hooks.js';
+import * as log from '../utils/logger.js';
+
+const CONFIG_KEYS = {
+    'pre-commit': 'preCommit',
+    'pre-push': 'prePush',
+};
+
+const MANAGER_LABELS = {
+    git: '.git/hooks',
+    hooksPath: 'core.hooksPath',
+    husky: 'husky',
+};
+
+/**
+ * @param {'install'|'uninstall'|'status'} action
+ * @param {object} options
+ * @param {string} [options.hook] - Limit to one hook ('pre-commit' | 'pre-push')
+ * @param {string} [options.failOn] - Blocking severity for the selected hook(s), overrides config
+ */
+export async function hooksCommand(action, options) {
+    try {
+        const config = await loadConfig();
+        const hooks = selectHooks(options.hook);
+        const location = await resolveHooksLocation(config.repoRoot);
+
+        if (action === 'install') {
+            log.info(`Hooks directory: ${location.dir} (${MANAGER_LABELS[location.manager]})`);
+
+            for (const hook of hooks) {
+                const failOn = options.failOn || config.hooks?.[CONFIG_KEYS[hook]]?.failOn || 'error';
+                if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+                    throw new Error(`Invalid fail-on severity "${failOn}" for ${hook}. Expected one of: ${[...SEVERITIES, 'none'].join(', ')}`);
+                }
+
+                const { action: result } = installHook(location, hook, { failOn });
+                const notes = {
+                    created: 'installed',
+                    updated: 'updated',
+                    chained: 'installed before the existing hook commands',
+                    wrapped: `installed; existing hook moved to ${hook}.pre-reviewpilot and chained`,
+                };
+                log.success(`${hook}: ${notes[result]} (fails on ${failOn})`);
+            }
+
+            log.newline();
+            log.info('Bypass once with REVIEWPILOT_SKIP=1, e.g. `REVIEWPILOT_SKIP=1 git commit`.');
+            return;
+        }
+
+        if (action === 'uninstall') {
+            for (const hook of hooks) {
+                const { action: result } = uninstallHook(location, hook);
+                const notes = {
+                    removed: 'removed',
+                    restored: 'removed; original hook restored',
+                    unchained: 'removed; existing hook commands kept',
+                    'not-installed': 'not installed',
+                };
+                if (result === 'not-installed') {
+                    log.info(`${hook}: ${notes[result]}`);
+                } else {
+                    log.success(`${hook}: ${notes[result]}`);
+                }
+            }
+            return;
+        }
+
+        if (action === 'status') {
+            log.heading('Git Hooks');
+            log.info(`Managed by: ${MANAGER_LABELS[location.manager]}${location.hooksPath ? ` (core.hooksPath = ${location.hooksPath})` : ''}`);
+            for (const hook of hooks) {
+                const state = inspectHook(location, hook, config.repoRoot);
+                if (state.installed) {
+                    const chained = state.chained ? ', chained with existing hook' : '';
+                    log.success(`${hook}: installed at ${state.path} (fails on ${state.failOn}${chained})`);
+                } else {
+                    log.bullet(`${hook}: not installed`);
+                }
+            }
+            return;
+        }
+
+        log.error(`Unknown hooks action "${action}". Use "install", "uninstall" or "status".`);
+        process.exitCode = 1;
+    } catch (err) {
+        log.error(`Hooks command failed: ${err.message}`);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+
+function selectHooks(hook) {
+    if (!hook) return SUPPORTED_HOOKS;
+    if (!SUPPORTED_HOOKS.includes(hook)) {
+        throw new Error(`Unsupported hook "${hook}". Supported: ${SUPPORTED_HOOKS.join(', ')}`);
+    }
+    return [hook];
+}
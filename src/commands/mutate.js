@@ -0,0 +1,104 @@
+/**
+ * `reviewpilot mutate` — Mutation testing of the lines a change adds.
+ *
+ * Each changed source file gets a handful of small mutations on its added
+ * lines (flipped comparisons, `&&`/`||` swaps, conditions forced to
+ * `true`/`false`, replaced return values), and the tests that import the
+ * file run against every mutant. Mutants the tests still pass are reported:
+ * the code they touch is not asserted by any test. Opt-in, since it runs the
+ * affected tests once per mutant; bounded by a per-file mutant cap and a
+ * time budget.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { resolveDiffSource } from '../utils/diff-source.js';
+import { createFileSource, WORKTREE } from '../utils/file-source.js';
+import { getBaseBranch } from '../utils/git.js';
+import { detectTestRunner } from '../utils/test-runner.js';
+import { processDiff } from '../analyzers/diff-processor.js';
+import { buildImportGraph } from '../context/import-graph.js';
+import { runMutationTesting, mutationsToFindings } from '../validators/mutation-testing.js';
+import * as log from '../utils/logger.js';
+
+/**
+ * @param {object} options
+ * @param {string} [options.base]         - Base branch (default: config or auto-detected)
+ * @param {boolean} [options.staged]      - Mutate staged changes
+ * @param {boolean} [options.workingTree] - Mutate uncommitted changes
+ * @param {string} [options.maxMutants]   - Mutants per file, overrides `mutation.maxMutantsPerFile`
+ * @param {string} [options.timeBudget]   - Seconds for the whole run, overrides `mutation.timeBudget`
+ * @param {string} [options.runner]       - vitest | jest | mocha | node, overrides `testRunner`
+ */
+export async function mutateCommand(options) {
+    try {
+        const config = await loadConfig();
+        const runner = options.runner || config.testRunner || detectTestRunner(config.repoRoot);
+        if (!runner) {
+            throw new Error('No test runner detected (vitest, jest, mocha or node --test) — pass --runner or set testRunner in .reviewpilotrc');
+        }
+        const maxMutantsPerFile = parseLimit(options.maxMutants, '--max-mutants') ?? config.mutation?.maxMutantsPerFile;
+        const budgetSeconds = parseLimit(options.timeBudget, '--time-budget');
+        const timeBudget = budgetSeconds !== undefined ? budgetSeconds * 1000 : config.mutation?.timeBudget;
+        const baseBranch = options.base || config.baseBranch || (await getBaseBranch());
+
+        log.startSpinner('Collecting changed lines...');
+        const diffSource = await resolveDiffSource({ staged: options.staged, workingTree: options.workingTree }, baseBranch);
+        const diffAnalysis = await processDiff(diffSource.rawDiff, config);
+        // Mutants are written to and tested in the checked-out files
+        const graph = await buildImportGraph(createFileSource(WORKTREE, config.repoRoot));
+        log.succeedSpinner(`${diffAnalysis.files.length} changed file(s) in ${diffSource.description}`);
+
+        const result = await runMutationTesting(diffAnalysis.files, {
+            repoRoot: config.repoRoot,
+            graph,
+            runner,
+            fileSource: createFileSource(diffSource.headRef, config.repoRoot),
+            maxMutantsPerFile,
+            timeBudget,
+            onProgress: ({ file, mutant, index, total }) => {
+                log.startSpinner(mutant ? `${file}: mutant ${index + 1}/${total} — ${mutant.description}` : `${file}: running tests unmutated...`);
+            },
+        });
+        log.stopSpinner();
+
+        report(result);
+        if (result.survived > 0) process.exitCode = 1;
+    } catch (err) {
+        log.failSpinner('Mutation testing failed');
+        log.error(err.message);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// --- Internals ---
+
+function parseLimit(value, flag) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new Error(`${flag} expects a positive whole number, got "${value}"`);
+    return number;
+}
+
+function report(result) {
+    for (const entry of result.files.filter((e) => e.skipped && e.mutants.length > 0)) {
+        log.warn(`${entry.file}: skipped — ${entry.skipped}`);
+    }
+
+    const findings = mutationsToFindings(result);
+    if (findings.length > 0) {
+        log.heading(`Surviving Mutants (${findings.length})`);
+        for (const f of findings) log.finding(f.severity, f.file, f.line, f.message, f.ruleId);
+    }
+
+    log.newline();
+    if (result.killed + result.survived === 0) {
+        log.info('No mutants were run — no changed source line has a test that imports it.');
+    } else {
+        log.info(`${result.killed} killed, ${result.survived} survived — mutation score ${result.score}%`);
+    }
+    if (result.budgetExhausted) {
+        log.warn(`Time budget exhausted — ${result.skipped} mutant(s) not run. Raise --time-budget or lower --max-mutants.`);
+    }
+    if (result.survived === 0 && result.killed > 0) log.success('Every mutant was caught by a test.');
+}
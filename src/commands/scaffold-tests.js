@@ -0,0 +1,144 @@
+/**
+ * `reviewpilot scaffold-tests` — Test skeletons for changed files without tests.
+ *
+ * Finds the changed source files that have no test (the `untestedFiles` of
+ * `check`'s coverage step), or takes the files given on the command line,
+ * and writes a test file for each where the repository keeps its tests,
+ * for the framework it already uses. Copilot drafts the tests when it is
+ * available; `--offline` (or no Copilot) writes a deterministic template
+ * with a pending test per branch instead. Existing files are never
+ * overwritten.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { loadConfig } from '../utils/config.js';
+import { resolveDiffSource } from '../utils/diff-source.js';
+import { createFileSource, WORKTREE } from '../utils/file-source.js';
+import { isCopilotAvailable, disableCopilot } from '../utils/copilot.js';
+import { getBaseBranch } from '../utils/git.js';
+import { detectTestRunner } from '../utils/test-runner.js';
+import { processDiff } from '../analyzers/diff-processor.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { buildImportGraph } from '../context/import-graph.js';
+import { validateTestCoverage } from '../validators/test-checker.js';
+import { generateTestScaffold } from '../fixers/auto-fix.js';
+import {
+    detectTestLayout, testPathFor, frameworkOf, collectScaffoldTargets, renderTestScaffold,
+} from '../generators/test-scaffold.js';
+import * as log from '../utils/logger.js';
+
+// Existing test files read to recognise the framework
+const FRAMEWORK_SAMPLES = 10;
+
+/**
+ * @param {string[]} files - Source files to scaffold; empty scaffolds the untested files of the change
+ * @param {object} options
+ * @param {boolean} [options.offline]     - Template only, no Copilot
+ * @param {boolean} [options.dryRun]      - Print the test files instead of writing them
+ * @param {string} [options.base]         - Base branch (default: config or auto-detected)
+ * @param {boolean} [options.staged]      - Untested files among staged changes
+ * @param {boolean} [options.workingTree] - Untested files among uncommitted changes
+ */
+export async function scaffoldTestsCommand(files, options) {
+    try {
+        const config = await loadConfig();
+        if (options.offline) disableCopilot();
+        const useCopilot = !options.offline && (await isCopilotAvailable());
+
+        const fileSource = createFileSource(WORKTREE, config.repoRoot);
+        const repoFiles = await fileSource.list();
+        const sources = files.length > 0 ? files : await findUntestedFiles(options, config, fileSource);
+        if (sources.length === 0) {
+            log.success('Every changed source file has a test.');
+            return;
+        }
+
+        const layout = detectTestLayout(repoFiles);
+        const framework = config.testRunner || detectFramework(repoFiles, config.repoRoot);
+        log.info(`Scaffolding ${sources.length} test file(s) for ${framework}${useCopilot ? ' with Copilot' : ' (offline template)'}`);
+
+        const parseCache = createParseCache();
+        let written = 0;
+        for (const sourceFile of sources) {
+            const testFile = testPathFor(sourceFile, layout);
+            const testPath = join(config.repoRoot, testFile);
+            if (existsSync(testPath)) {
+                log.warn(`${testFile} already exists — skipped`);
+                continue;
+            }
+
+            const content = await scaffoldFor(sourceFile, testFile, { config, framework, useCopilot, parseCache });
+            if (!content) {
+                log.warn(`${sourceFile}: not a parseable JavaScript/TypeScript module — skipped`);
+                continue;
+            }
+
+            if (options.dryRun) {
+                log.heading(testFile);
+                log.plain(content);
+                continue;
+            }
+            mkdirSync(dirname(testPath), { recursive: true });
+            // 'wx' fails instead of replacing a file created since the check above
+            writeFileSync(testPath, content, { flag: 'wx' });
+            log.success(`Created ${testFile}`);
+            written++;
+        }
+
+        if (!options.dryRun && written > 0) {
+            log.info('Fill in the pending tests, then run them with `reviewpilot test --affected`.');
+        }
+    } catch (err) {
+        log.failSpinner('Test scaffolding failed');
+        log.error(err.message);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// --- Internals ---
+
+async function findUntestedFiles(options, config, fileSource) {
+    const baseBranch = options.base || config.baseBranch || (await getBaseBranch());
+
+    log.startSpinner('Finding untested files...');
+    const diffSource = await resolveDiffSource({ staged: options.staged, workingTree: options.workingTree }, baseBranch);
+    const diffAnalysis = await processDiff(diffSource.rawDiff, config);
+    const graph = await buildImportGraph(fileSource);
+    const { untestedFiles } = await validateTestCoverage(diffAnalysis.files, config.repoRoot, { graph, suggest: false });
+    log.succeedSpinner(`${untestedFiles.length} untested source file(s) in ${diffSource.description}`);
+    return untestedFiles;
+}
+
+/** The framework most existing tests use, else the one package.json points to, else vitest. */
+function detectFramework(repoFiles, repoRoot) {
+    const counts = new Map();
+    for (const file of repoFiles.filter((f) => /\.(test|spec)\.[cm]?[jt]sx?$/.test(f)).slice(0, FRAMEWORK_SAMPLES)) {
+        try {
+            const framework = frameworkOf(readFileSync(join(repoRoot, file), 'utf-8'));
+            if (framework) counts.set(framework, (counts.get(framework) || 0) + 1);
+        } catch {
+            // Listed but unreadable — ignore
+        }
+    }
+    const [top] = [...counts].sort((a, b) => b[1] - a[1]);
+    return top?.[0] || detectTestRunner(repoRoot) || 'vitest';
+}
+
+async function scaffoldFor(sourceFile, testFile, { config, framework, useCopilot, parseCache }) {
+    if (useCopilot) {
+        const drafted = await generateTestScaffold(sourceFile, config.repoRoot, { testFile, framework });
+        if (drafted) return drafted.content;
+    }
+
+    let content;
+    try {
+        content = readFileSync(join(config.repoRoot, sourceFile), 'utf-8');
+    } catch {
+        return null;
+    }
+    const collected = collectScaffoldTargets(content, sourceFile, parseCache);
+    if (!collected) return null;
+    return renderTestScaffold({ sourceFile, testFile, framework, ...collected });
+}
@@ -0,0 +1,79 @@
+/**
+ * `reviewpilot test` — Run the project's tests, or only those a change affects.
+ *
+ * With `--affected`, the import graph of the working tree is walked in
+ * reverse from every changed file, and only the test files that reach one
+ * are handed to the project's runner (vitest, jest, mocha or node:test).
+ * A change to runner or compiler configuration runs the whole suite.
+ * The runner's own output is streamed and its exit code is kept.
+ */
+
+import { loadConfig } from '../utils/config.js';
+import { resolveDiffSource } from '../utils/diff-source.js';
+import { createFileSource, WORKTREE } from '../utils/file-source.js';
+import { getBaseBranch } from '../utils/git.js';
+import { processDiff } from '../analyzers/diff-processor.js';
+import { buildImportGraph } from '../context/import-graph.js';
+import { findAffectedTests } from '../context/test-impact.js';
+import { detectTestRunner, runTests } from '../utils/test-runner.js';
+import * as log from '../utils/logger.js';
+
+/**
+ * @param {object} options
+ * @param {boolean} [options.affected]    - Only the tests affected by the change
+ * @param {boolean} [options.list]        - Print the affected test files instead of running them
+ * @param {string} [options.base]         - Base branch (default: config or auto-detected)
+ * @param {boolean} [options.staged]      - Affected by staged changes
+ * @param {boolean} [options.workingTree] - Affected by uncommitted changes
+ * @param {string} [options.runner]       - vitest | jest | mocha | node, overrides `testRunner`
+ */
+export async function testCommand(options) {
+    try {
+        const config = await loadConfig();
+        const runner = options.runner || config.testRunner || detectTestRunner(config.repoRoot);
+        if (!runner && !options.list) {
+            throw new Error('No test runner detected (vitest, jest, mocha or node --test) — pass --runner or set testRunner in .reviewpilotrc');
+        }
+
+        let files = [];
+        if (options.affected || options.list) {
+            const affected = await collectAffectedTests(options, config);
+            if (options.list) {
+                for (const test of affected.tests) process.stdout.write(`${test.file}\n`);
+                return;
+            }
+            if (affected.fullRun) {
+                log.info(`${affected.fullRun} changed — running the full test suite`);
+            } else if (affected.tests.length === 0) {
+                log.success('No tests affected by this change.');
+                return;
+            } else {
+                files = affected.tests.map((t) => t.file);
+                log.info(`Running ${files.length} affected test file(s) with ${runner}`);
+            }
+        }
+
+        const run = await runTests(runner, files, { cwd: config.repoRoot });
+        if (!run.passed) process.exitCode = run.exitCode || 1;
+    } catch (err) {
+        log.failSpinner('Test run failed');
+        log.error(err.message);
+        if (process.env.DEBUG) console.error(err);
+        process.exitCode = 1;
+    }
+}
+
+// --- Internals ---
+
+async function collectAffectedTests(options, config) {
+    const baseBranch = options.base || config.baseBranch || (await getBaseBranch());
+
+    log.startSpinner('Finding affected tests...');
+    const diffSource = await resolveDiffSource({ staged: options.staged, workingTree: options.workingTree }, baseBranch);
+    const diffAnalysis = await processDiff(diffSource.rawDiff, config);
+    // Tests run against the checked-out files, so that is the graph to walk
+    const graph = await buildImportGraph(createFileSource(WORKTREE, config.repoRoot));
+    const affected = findAffectedTests(graph, diffAnalysis.files);
+    log.succeedSpinner(`${affected.tests.length} test file(s) affected by ${diffAnalysis.files.length} changed file(s) (${diffSource.description})`);
+    return affected;
+}
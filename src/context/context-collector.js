@@ -1,39 +1,56 @@
-import { readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
-import { join, dirname, basename } from 'node:path';
+import { dirname, basename, posix } from 'node:path';
 import { askCopilot } from '../utils/copilot.js';
+import { createFileSource } from '../utils/file-source.js';
+import { buildImportGraph, findDependents, SOURCE_FILE } from './import-graph.js';
+
+/**
+ * @typedef {object} Dependents
+ * @property {string[]} direct     - Files that import the changed file
+ * @property {string[]} transitive - Files that reach it through other imports (up to the depth limit)
+ */
 
 /**
  * @typedef {object} Context
- * @property {Map<string, string[]>} dependents   - Map of changed file → files that import it
+ * @property {Map<string, Dependents>} dependents - Map of changed file → its dependents
  * @property {string[]}             relatedTests  - Test files related to changed files
  * @property {string|null}          aiContext      - Copilot-generated dependency analysis
+ * @property {import('./import-graph.js').ImportGraph} graph - Import graph of the head snapshot
  */
 
 /**
  * Gathers context for a set of changed files:
- * - Finds files that import/require the changed files (dependents)
+ * - Finds files that import the changed files, directly or transitively (dependents)
  * - Identifies related test files by naming convention
  * - Uses Copilot to analyze dependency impact
  *
  * @param {import('../analyzers/diff-processor.js').FileChange[]} changedFiles
  * @param {string} repoRoot
+ * @param {object} [options={}]
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Snapshot to read (defaults to the working tree)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Run-scoped AST cache
+ * @param {number} [options.maxDepth=3] - Import hops followed for transitive dependents
  * @returns {Promise<Context>}
  */
-export async function gatherContext(changedFiles, repoRoot) {
+export async function gatherContext(changedFiles, repoRoot, options = {}) {
+    const { fileSource = createFileSource(undefined, repoRoot), parseCache, maxDepth = 3 } = options;
     const dependents = new Map();
     const relatedTests = [];
 
+    const allFiles = await fileSource.list();
+    const graph = await buildImportGraph(fileSource, { parseCache });
+    const existing = new Set(allFiles);
+
     for (const file of changedFiles) {
         if (file.type === 'deleted') continue;
 
-        // 1. Find dependents via simple grep of import/require patterns
-        const importers = findImporters(file.file, repoRoot);
-        if (importers.length > 0) {
-            dependents.set(file.file, importers);
+        // 1. Find dependents through the resolved import graph
+        const impact = findDependents(graph, file.file, maxDepth);
+        if (impact.direct.length > 0) {
+            dependents.set(file.file, impact);
         }
 
         // 2. Find related test files
-        const tests = findRelatedTests(file.file, repoRoot);
+        const tests = findRelatedTests(file.file, existing);
         relatedTests.push(...tests);
     }
 
@@ -52,104 +69,29 @@ export async function gatherContext(changedFiles, repoRoot) {
         dependents,
         relatedTests: [...new Set(relatedTests)],
         aiContext,
+        graph,
     };
 }
 
 // --- Internals ---
 
-/**
- * Searches for files that import/require the given file path.
- * Uses a simple line-by-line scan of .js/.ts files in common directories.
- */
-function findImporters(targetFile, repoRoot) {
-    const importers = [];
-    const targetBase = basename(targetFile)
-        .replace(/\.(js|ts|mjs|jsx|tsx)$/, '');
-
-    const dirsToSearch = ['src', 'lib', 'app', 'components', 'pages'].map((d) =>
-        join(repoRoot, d)
-    );
-
-    for (const dir of dirsToSearch) {
-        if (!existsSync(dir)) continue;
-        scanDirectory(dir, repoRoot, (filePath, content) => {
-            if (
-                content.includes(targetBase) &&
-                (content.includes('import ') || content.includes('require('))
-            ) {
-                const relative = filePath.replace(repoRoot, '').replace(/\\/g, '/');
-                const clean = relative.startsWith('/') ? relative.slice(1) : relative;
-                if (clean !== targetFile && !importers.includes(clean)) {
-                    importers.push(clean);
-                }
-            }
-        });
-    }
-
-    return importers;
-}
-
 /**
  * Finds test files related to the given file by naming convention.
  */
-function findRelatedTests(filePath, repoRoot) {
-    const base = basename(filePath).replace(/\.(js|ts|mjs|jsx|tsx)$/, '');
+function findRelatedTests(filePath, existing) {
+    const base = basename(filePath).replace(SOURCE_FILE, '');
     const dir = dirname(filePath);
-    const tests = [];
 
     const candidates = [
-        join(repoRoot, dir, `${base}.test.js`),
-        join(repoRoot, dir, `${base}.spec.js`),
-        join(repoRoot, dir, `${base}.test.ts`),
-        join(repoRoot, dir, `${base}.spec.ts`),
-        join(repoRoot, dir, '__tests__', `${base}.test.js`),
-        join(repoRoot, dir, '__tests__', `${base}.test.ts`),
-        join(repoRoot, 'tests', dir, `${base}.test.js`),
-        join(repoRoot, 'test', dir, `${base}.test.js`),
+        posix.join(dir, `${base}.test.js`),
+        posix.join(dir, `${base}.spec.js`),
+        posix.join(dir, `${base}.test.ts`),
+        posix.join(dir, `${base}.spec.ts`),
+        posix.join(dir, '__tests__', `${base}.test.js`),
+        posix.join(dir, '__tests__', `${base}.test.ts`),
+        posix.join('tests', dir, `${base}.test.js`),
+        posix.join('test', dir, `${base}.test.js`),
     ];
 
-    for (const candidate of candidates) {
-        if (existsSync(candidate)) {
-            tests.push(candidate.replace(repoRoot, '').replace(/\\/g, '/').replace(/^\//, ''));
-        }
-    }
-
-    return tests;
-}
-
-/**
- * Recursively scans a directory and calls callback(filePath, content) for each .js/.ts file.
- */
-function scanDirectory(dir, repoRoot, callback, depth = 0) {
-    if (depth > 5) return;
-
-    try {
-        const entries = readdirSync(dir);
-
-        for (const entry of entries) {
-            if (entry === 'node_modules' || entry.startsWith('.')) continue;
-
-            const fullPath = join(dir, entry);
-
-            let stat;
-            try {
-                stat = statSync(fullPath);
-            } catch {
-                continue;
-            }
-
-            if (stat.isDirectory()) {
-                scanDirectory(fullPath, repoRoot, callback, depth + 1);
-            } else if (/\.(js|ts|mjs|jsx|tsx)$/.test(entry) && stat.size < 512 * 1024) {
-                try {
-                    const content = readFileSync(fullPath, 'utf-8');
-                    callback(fullPath, content);
-                } catch {
-                    // Skip unreadable files
-                }
-            }
-        }
-    } catch {
-        // Skip inaccessible directories
-    }
+    return candidates.filter((c) => existing.has(c));
 }
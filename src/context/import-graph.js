@@ -0,0 +1,501 @@
+/**
+ * Import graph for a repository snapshot.
+ *
+ * Every JS/TS file's import specifiers are extracted with Babel and resolved
+ * to repository files, the way Node and TypeScript would:
+ *   - relative specifiers, extensionless paths and `index` files
+ *     (including `./x.js` written for a `./x.ts` source),
+ *   - `package.json` `exports` (self and workspace packages by name) and
+ *     `imports` (`#internal/*`),
+ *   - tsconfig/jsconfig `compilerOptions.paths` and `baseUrl`.
+ *
+ * Bare specifiers that resolve to nothing in the repository (npm packages,
+ * node builtins) are external and not part of the graph.
+ */
+
+import { posix } from 'node:path';
+import { parseCode } from '../analyzers/ast-analyzer.js';
+
+export const SOURCE_FILE = /\.(c|m)?(j|t)sx?$/;
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+const MAX_SOURCE_SIZE = 512 * 1024;
+
+// `exports` / `imports` conditions we follow. Targets are tried in object key
+// order; build output (`dist/`) is usually not in the repository, so the first
+// target that exists wins.
+const CONDITIONS = new Set(['source', 'import', 'require', 'module', 'node', 'development', 'default']);
+
+// JS extensions TypeScript lets you write for a TS source file
+const TS_SOURCE_FOR = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts'],
+};
+
+/**
+ * @typedef {object} ImportGraph
+ * @property {string[]} files                    - Source files in the graph
+ * @property {Map<string, Set<string>>} imports   - file → files it imports
+ * @property {Map<string, Set<string>>} importers - file → files that import it
+ * @property {Map<string, Map<string, number>>} importLines - file → imported file → line of the import
+ * @property {(specifier: string, fromFile: string) => string|null} resolve - The resolver the graph was built with
+ */
+
+/**
+ * Builds the import graph of a snapshot.
+ *
+ * @param {import('../utils/file-source.js').FileSource} fileSource
+ * @param {object} [options={}]
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Reuses ASTs from other steps
+ * @returns {Promise<ImportGraph>}
+ */
+export async function buildImportGraph(fileSource, options = {}) {
+    const { parseCache = null } = options;
+    const allFiles = await fileSource.list();
+    const resolver = await createResolver(allFiles, fileSource);
+
+    const files = allFiles.filter((f) => SOURCE_FILE.test(f) && !f.split('/').includes('node_modules'));
+    const imports = new Map();
+    const importers = new Map();
+    const importLines = new Map();
+
+    for (const file of files) {
+        const content = await fileSource.read(file);
+        if (content === null || content.length >= MAX_SOURCE_SIZE) continue;
+
+        for (const { specifier, line } of extractImportEntries(content, file, parseCache)) {
+            const target = resolver.resolve(specifier, file);
+            if (!target || target === file) continue;
+
+            if (!imports.has(file)) {
+                imports.set(file, new Set());
+                importLines.set(file, new Map());
+            }
+            imports.get(file).add(target);
+            if (!importLines.get(file).has(target)) importLines.get(file).set(target, line);
+            if (!importers.has(target)) importers.set(target, new Set());
+            importers.get(target).add(file);
+        }
+    }
+
+    return { files, imports, importers, importLines, resolve: resolver.resolve };
+}
+
+/**
+ * Lists the files that depend on `file`, directly or through other files.
+ *
+ * @param {ImportGraph} graph
+ * @param {string} file
+ * @param {number} [maxDepth=3] - Import hops to follow; 1 = direct importers only
+ * @returns {{ direct: string[], transitive: string[] }}
+ */
+export function findDependents(graph, file, maxDepth = 3) {
+    const depthOf = new Map([[file, 0]]);
+    const queue = [file];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const depth = depthOf.get(current);
+        if (depth >= maxDepth) continue;
+
+        for (const importer of graph.importers.get(current) || []) {
+            if (depthOf.has(importer)) continue;
+            depthOf.set(importer, depth + 1);
+            queue.push(importer);
+        }
+    }
+
+    const direct = [];
+    const transitive = [];
+    for (const [dependent, depth] of depthOf) {
+        if (depth === 1) direct.push(dependent);
+        else if (depth > 1) transitive.push(dependent);
+    }
+
+    return { direct: direct.sort(), transitive: transitive.sort() };
+}
+
+/**
+ * Finds the longest chain of imports starting at `file`. Edges that close a
+ * cycle are not followed, so every chain is finite.
+ *
+ * @param {ImportGraph} graph
+ * @param {string} file
+ * @returns {string[]} `[file, imported, imported-by-that, ...]`; depth is `length - 1`
+ */
+export function findLongestImportChain(graph, file) {
+    const memo = new Map();
+    const onPath = new Set();
+
+    const visit = (node) => {
+        if (memo.has(node)) return memo.get(node);
+        onPath.add(node);
+
+        let best = [node];
+        for (const next of graph.imports.get(node) || []) {
+            if (onPath.has(next)) continue;
+            const chain = visit(next);
+            if (chain.length + 1 > best.length && !chain.includes(node)) best = [node, ...chain];
+        }
+
+        onPath.delete(node);
+        memo.set(node, best);
+        return best;
+    };
+
+    return visit(file);
+}
+
+/**
+ * Finds import cycles that pass through any of `files`. For each import
+ * edge leaving one of the files, the shortest path back to it is reported,
+ * so every cycle is listed once however many files it contains.
+ *
+ * @param {ImportGraph} graph
+ * @param {string[]} files
+ * @returns {string[][]} Cycles as paths that start and end with the same file
+ */
+export function findCyclesThrough(graph, files) {
+    const seen = new Set();
+    const cycles = [];
+
+    for (const file of files) {
+        for (const next of graph.imports.get(file) || []) {
+            const path = findImportPath(graph, next, file);
+            if (!path) continue;
+
+            const cycle = [file, ...path];
+            const key = canonicalCycle(cycle);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            cycles.push(cycle);
+        }
+    }
+
+    return cycles;
+}
+
+/**
+ * Shortest chain of imports leading from `from` to `to`.
+ *
+ * @param {ImportGraph} graph
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]|null} `[from, ..., to]`, or null if `to` is not reachable
+ */
+export function findImportPath(graph, from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === to) {
+            const path = [];
+            for (let node = to; node !== null; node = previous.get(node)) path.unshift(node);
+            return path;
+        }
+
+        for (const next of graph.imports.get(current) || []) {
+            if (previous.has(next)) continue;
+            previous.set(next, current);
+            queue.push(next);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extracts module specifiers: static and dynamic `import`, `export ... from`,
+ * `require()` and TypeScript `import x = require()`. Falls back to a regex
+ * scan when the file does not parse.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {import('../analyzers/parse-cache.js').ParseCache|null} [parseCache]
+ * @returns {string[]}
+ */
+export function extractImports(content, filename, parseCache = null) {
+    return [...new Set(extractImportEntries(content, filename, parseCache).map((e) => e.specifier))];
+}
+
+/**
+ * Like extractImports, with the line of each import statement.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {import('../analyzers/parse-cache.js').ParseCache|null} [parseCache]
+ * @returns {Array<{ specifier: string, line: number }>}
+ */
+export function extractImportEntries(content, filename, parseCache = null) {
+    const ast = parseCache ? parseCache.parse(filename, content) : parseCode(content, filename);
+    if (!ast) return extractImportsWithPattern(content);
+
+    const entries = [];
+    const add = (node, literal) => {
+        const specifier = literalValue(literal);
+        if (specifier !== null) entries.push({ specifier, line: node.loc?.start.line || 0 });
+    };
+
+    walk(ast.program, (node) => {
+        switch (node.type) {
+            case 'ImportDeclaration':
+            case 'ExportNamedDeclaration':
+            case 'ExportAllDeclaration':
+                if (node.source) add(node, node.source);
+                break;
+            case 'ImportExpression':
+                add(node, node.source);
+                break;
+            case 'CallExpression':
+                if (node.callee.type === 'Import' || (node.callee.type === 'Identifier' && node.callee.name === 'require')) {
+                    add(node, node.arguments[0]);
+                }
+                break;
+            case 'TSImportEqualsDeclaration':
+                add(node, node.moduleReference?.expression);
+                break;
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Package name of a bare specifier: `lodash/fp` → `lodash`,
+ * `@babel/parser/lib` → `@babel/parser`, `node:fs` → `node:fs`.
+ *
+ * @param {string} specifier
+ * @returns {string}
+ */
+export function packageNameOf(specifier) {
+    return splitPackageSpecifier(specifier)[0];
+}
+
+/**
+ * Creates a module resolver for a snapshot.
+ *
+ * @param {string[]} allFiles - Repo-relative paths in the snapshot
+ * @param {import('../utils/file-source.js').FileSource} fileSource
+ * @returns {Promise<{ resolve: (specifier: string, fromFile: string) => string|null }>}
+ */
+export async function createResolver(allFiles, fileSource) {
+    const fileSet = new Set(allFiles);
+    const packages = await readPackages(allFiles, fileSource);
+    const tsconfig = await readTsconfig(fileSet, fileSource);
+
+    const resolveFile = (path) => {
+        const normalized = posix.normalize(path).replace(/^\.\//, '');
+        if (normalized.startsWith('..')) return null;
+
+        const candidates = [normalized];
+        const ext = posix.extname(normalized);
+        for (const tsExt of TS_SOURCE_FOR[ext] || []) {
+            candidates.push(normalized.slice(0, -ext.length) + tsExt);
+        }
+        for (const e of RESOLVE_EXTENSIONS) candidates.push(normalized + e);
+        for (const e of RESOLVE_EXTENSIONS) candidates.push(posix.join(normalized, `index${e}`));
+
+        return candidates.find((c) => fileSet.has(c)) || null;
+    };
+
+    const resolveFirst = (dir, targets) => {
+        for (const target of targets) {
+            const resolved = resolveFile(posix.join(dir, target));
+            if (resolved) return resolved;
+        }
+        return null;
+    };
+
+    const resolveInPackage = (pkg, subpath) => {
+        if (pkg.exports !== undefined) {
+            return resolveFirst(pkg.dir, matchSubpath(normalizeExports(pkg.exports), subpath));
+        }
+        if (subpath === '.') return resolveFile(posix.join(pkg.dir, pkg.main || 'index'));
+        return resolveFile(posix.join(pkg.dir, subpath));
+    };
+
+    return {
+        resolve(specifier, fromFile) {
+            if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..') {
+                return resolveFile(posix.join(posix.dirname(fromFile), specifier));
+            }
+            if (specifier.startsWith('/') || /^[a-z]+:/i.test(specifier)) return null;
+
+            // package.json "imports" of the package containing the importer
+            if (specifier.startsWith('#')) {
+                const pkg = packages.find((p) => p.imports && isInside(fromFile, p.dir));
+                return pkg ? resolveFirst(pkg.dir, matchSubpath(pkg.imports, specifier)) : null;
+            }
+
+            // tsconfig "paths"
+            for (const [pattern, targets] of tsconfig.paths) {
+                const match = matchPattern(pattern, specifier);
+                if (match === null) continue;
+                const resolved = resolveFirst(tsconfig.pathsBase, targets.map((t) => t.replace('*', match)));
+                if (resolved) return resolved;
+            }
+
+            // Self or workspace package by name
+            const [name, subpath] = splitPackageSpecifier(specifier);
+            const pkg = packages.find((p) => p.name === name);
+            if (pkg) return resolveInPackage(pkg, subpath);
+
+            // tsconfig "baseUrl"
+            if (tsconfig.baseUrl !== null) return resolveFile(posix.join(tsconfig.baseUrl, specifier));
+
+            return null;
+        },
+    };
+}
+
+// --- Internals ---
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+
+    for (const key of Object.keys(node)) {
+        if (SKIP_KEYS.has(key)) continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const child of value) walk(child, visit);
+        } else if (value && typeof value === 'object') {
+            walk(value, visit);
+        }
+    }
+}
+
+function literalValue(node) {
+    if (node?.type === 'StringLiteral') return node.value;
+    if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+function extractImportsWithPattern(content) {
+    const pattern = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]([^'"\n]+)['"]/g;
+    const entries = [];
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        entries.push({ specifier: match[1], line: content.slice(0, match.index).split('\n').length });
+    }
+    return entries;
+}
+
+/** Rotation-independent key of a cycle path. */
+function canonicalCycle(cycle) {
+    const nodes = cycle.slice(0, -1);
+    const start = nodes.indexOf([...nodes].sort()[0]);
+    return [...nodes.slice(start), ...nodes.slice(0, start)].join('\0');
+}
+
+async function readPackages(allFiles, fileSource) {
+    const packages = [];
+
+    for (const file of allFiles) {
+        if (posix.basename(file) !== 'package.json' || file.split('/').includes('node_modules')) continue;
+
+        try {
+            const json = JSON.parse(await fileSource.read(file));
+            packages.push({
+                dir: posix.dirname(file),
+                name: json.name || null,
+                main: json.main,
+                exports: json.exports,
+                imports: json.imports || null,
+            });
+        } catch {
+            // Unreadable package.json — resolve without it
+        }
+    }
+
+    // Deepest first, so the nearest package wins for `imports`
+    return packages.sort((a, b) => b.dir.length - a.dir.length);
+}
+
+async function readTsconfig(fileSet, fileSource) {
+    const config = { baseUrl: null, paths: [], pathsBase: '.' };
+    const file = ['tsconfig.json', 'jsconfig.json'].find((f) => fileSet.has(f));
+    if (!file) return config;
+
+    try {
+        const { compilerOptions = {} } = parseJsonc(await fileSource.read(file));
+        if (compilerOptions.baseUrl) {
+            config.baseUrl = posix.normalize(compilerOptions.baseUrl);
+            config.pathsBase = config.baseUrl;
+        }
+        config.paths = Object.entries(compilerOptions.paths || {})
+            .map(([pattern, targets]) => [pattern, [].concat(targets)]);
+    } catch {
+        // Invalid tsconfig — only relative and package resolution apply
+    }
+
+    return config;
+}
+
+/** Parses JSON with comments and trailing commas (tsconfig style). */
+function parseJsonc(text) {
+    const withoutComments = text.replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (m, str) => str ?? '');
+    return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+function normalizeExports(exports) {
+    if (typeof exports === 'string' || Array.isArray(exports)) return { '.': exports };
+    if (exports && typeof exports === 'object' && !Object.keys(exports).some((k) => k.startsWith('.'))) {
+        return { '.': exports }; // Conditions only
+    }
+    return exports || {};
+}
+
+/**
+ * Looks a subpath up in an `exports` / `imports` map, including `*` patterns.
+ * @returns {string[]} Candidate targets in preference order
+ */
+function matchSubpath(map, subpath) {
+    if (subpath in map) return collectTargets(map[subpath], null);
+
+    for (const [key, value] of Object.entries(map)) {
+        const match = matchPattern(key, subpath);
+        if (match !== null) return collectTargets(value, match);
+    }
+    return [];
+}
+
+function collectTargets(value, match) {
+    if (typeof value === 'string') return [match === null ? value : value.replaceAll('*', match)];
+    if (Array.isArray(value)) return value.flatMap((v) => collectTargets(v, match));
+    if (value && typeof value === 'object') {
+        return Object.entries(value)
+            .filter(([condition]) => CONDITIONS.has(condition))
+            .flatMap(([, v]) => collectTargets(v, match));
+    }
+    return [];
+}
+
+/** Matches `prefix*suffix` patterns; returns the `*` part, or null. */
+function matchPattern(pattern, value) {
+    const star = pattern.indexOf('*');
+    if (star === -1) return pattern === value ? '' : null;
+
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (value.length < prefix.length + suffix.length) return null;
+    if (!value.startsWith(prefix) || !value.endsWith(suffix)) return null;
+    return value.slice(prefix.length, value.length - suffix.length);
+}
+
+function splitPackageSpecifier(specifier) {
+    const parts = specifier.split('/');
+    const nameLength = specifier.startsWith('@') ? 2 : 1;
+    const name = parts.slice(0, nameLength).join('/');
+    const rest = parts.slice(nameLength).join('/');
+    return [name, rest ? `./${rest}` : '.'];
+}
+
+function isInside(file, dir) {
+    return dir === '.' || file.startsWith(`${dir}/`);
+}
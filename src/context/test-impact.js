@@ -0,0 +1,79 @@
+/**
+ * Test impact analysis.
+ *
+ * Walks the import graph in reverse from each changed module and keeps the
+ * test files that reach it, at any depth. Unlike the naming-convention
+ * lookup, this finds integration tests that exercise a module through
+ * other modules. Changes to test-runner or compiler configuration can
+ * affect every test, so they ask for a full run instead.
+ */
+
+import { posix } from 'node:path';
+import { findDependents, SOURCE_FILE } from './import-graph.js';
+
+const TEST_NAME = /\.(test|spec)\.[cm]?[jt]sx?$/;
+const TEST_DIRS = new Set(['test', 'tests', '__tests__']);
+const SUPPORT_DIRS = new Set(['fixtures', '__fixtures__', '__mocks__', 'helpers']);
+
+// Files whose change can alter how every test runs
+const RUNNER_CONFIG = /^(vitest|vite|jest|babel)\.config\.[cm]?[jt]s$|^\.mocharc(\.\w+)?$|^\.babelrc(\.\w+)?$|^tsconfig(\.[\w-]+)?\.json$/;
+
+/**
+ * @typedef {object} AffectedTest
+ * @property {string} file       - Test file
+ * @property {string[]} changed  - Changed files it imports, directly or transitively (or itself)
+ */
+
+/**
+ * @typedef {object} AffectedTests
+ * @property {AffectedTest[]} tests
+ * @property {string|null} fullRun - Changed file that affects every test (runner config), or null
+ */
+
+/**
+ * Whether a path is a test file: `*.test.*` / `*.spec.*`, or a source file
+ * under a `test`, `tests` or `__tests__` directory (fixtures, mocks and
+ * helpers excluded).
+ *
+ * @param {string} file
+ * @returns {boolean}
+ */
+export function isTestFile(file) {
+    if (TEST_NAME.test(file)) return true;
+    if (!SOURCE_FILE.test(file)) return false;
+    const dirs = file.split('/').slice(0, -1);
+    return dirs.some((d) => TEST_DIRS.has(d)) && !dirs.some((d) => SUPPORT_DIRS.has(d));
+}
+
+/**
+ * Finds the tests affected by a change: changed test files, and test files
+ * that transitively import a changed module.
+ *
+ * @param {import('./import-graph.js').ImportGraph} graph - Head import graph
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files
+ * @returns {AffectedTests}
+ */
+export function findAffectedTests(graph, files) {
+    const affected = new Map();
+    const add = (test, changed) => {
+        if (!affected.has(test)) affected.set(test, new Set());
+        affected.get(test).add(changed);
+    };
+    let fullRun = null;
+
+    for (const { file, type } of files) {
+        if (type === 'deleted') continue;
+        if (!fullRun && RUNNER_CONFIG.test(posix.basename(file))) fullRun = file;
+
+        if (isTestFile(file)) add(file, file);
+        const { direct, transitive } = findDependents(graph, file, Infinity);
+        for (const dependent of [...direct, ...transitive]) {
+            if (isTestFile(dependent)) add(dependent, file);
+        }
+    }
+
+    const tests = [...affected]
+        .map(([file, changed]) => ({ file, changed: [...changed].sort() }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+    return { tests, fullRun };
+}
@@ -1,101 +1,130 @@
-import { getFileContent } from '../utils/git.js';
+import { createFileSource } from '../utils/file-source.js';
 import { askCopilot } from '../utils/copilot.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { extractApiSurface, describeEntry } from '../analyzers/api-surface.js';
+import { findBrokenCallSites } from './call-sites.js';
+
+/**
+ * @typedef {object} ApiChange
+ * @property {string} kind     - e.g. `param-added-required`, see CHANGE_SEVERITY
+ * @property {'major'|'minor'|'patch'} severity
+ * @property {string} description
+ */
 
 /**
  * @typedef {object} BreakingChange
  * @property {string} file
- * @property {string} functionName
+ * @property {string} functionName - Export name; class members as `Class#method` / `Class.staticMethod`
  * @property {string} oldSignature
  * @property {string} newSignature
- * @property {'major'|'minor'|'patch'} severity
+ * @property {'major'|'minor'|'patch'} severity - Most severe of `changes`
+ * @property {string} kind         - Kind of the most severe change
+ * @property {ApiChange[]} changes
  * @property {string} description
+ * @property {import('./call-sites.js').CallSite[]} [callSites] - Callers in the repository the change breaks (set when `graph` is given)
  */
 
-// Patterns that extract exported function/class signatures
-const EXPORT_PATTERNS = [
-    /export\s+(?:async\s+)?function\s+(\w+)\s*\(([^)]*)\)/g,
-    /export\s+(?:default\s+)?class\s+(\w+)/g,
-    /export\s+const\s+(\w+)\s*=\s*(?:async\s+)?\(([^)]*)\)/g,
-    /module\.exports\s*=\s*\{([^}]+)\}/g,
-    /module\.exports\.(\w+)\s*=/g,
-    /exports\.(\w+)\s*=\s*(?:async\s+)?(?:function\s*)?\(([^)]*)\)/g,
-];
+// What each kind of API change means for consumers:
+//   major — existing callers break
+//   minor — backwards-compatible addition
+//   patch — compatible change that adds nothing
+const CHANGE_SEVERITY = {
+    'removed': 'major',
+    'kind-changed': 'major',
+    'member-removed': 'major',
+    'param-removed': 'major',
+    'param-inserted': 'major',
+    'param-reordered': 'major',
+    'param-added-required': 'major',
+    'param-now-required': 'major',
+    'rest-removed': 'major',
+    'option-removed': 'major',
+    'added': 'minor',
+    'member-added': 'minor',
+    'param-added-optional': 'minor',
+    'param-now-optional': 'minor',
+    'rest-added': 'minor',
+    'option-added': 'minor',
+    'param-renamed': 'patch',
+    'default-changed': 'patch',
+    'reexport-changed': 'patch',
+    // TypeScript types
+    'param-type-narrowed': 'major',
+    'param-type-changed': 'major',
+    'param-type-widened': 'minor',
+    'return-type-widened': 'major',
+    'return-type-changed': 'major',
+    'return-type-narrowed': 'patch',
+    'overload-removed': 'major',
+    'overload-added': 'minor',
+    'property-added-required': 'major',
+    'property-now-required': 'major',
+    'property-now-readonly': 'major',
+    'property-type-changed': 'major',
+    'type-narrowed': 'major',
+    'type-changed': 'major',
+    'type-widened': 'minor',
+    'enum-member-removed': 'major',
+    'enum-value-changed': 'major',
+    'enum-member-added': 'minor',
+};
+
+// Types every other type is assignable to
+const TOP_TYPES = new Set(['any', 'unknown']);
+
+const SEVERITY_RANK = { major: 3, minor: 2, patch: 1 };
 
 /**
- * Detects breaking changes by comparing exported function signatures
- * between the current branch and the base branch.
+ * Detects breaking changes by comparing the public API of each modified
+ * file between the base and head snapshots of the diff.
  *
  * @param {import('../analyzers/diff-processor.js').FileChange[]} files
- * @param {string} baseBranch
+ * @param {string|null} baseRef - Snapshot before the change (branch, SHA); null skips detection
+ * @param {object} [options={}]
+ * @param {string} [options.headRef='HEAD'] - Snapshot after the change (git ref, INDEX or WORKTREE)
+ * @param {string} [options.repoRoot=process.cwd()]
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Head snapshot shared with earlier steps (overrides headRef)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Run-scoped AST cache
+ * @param {import('../context/import-graph.js').ImportGraph} [options.graph] - Head import graph; enables call-site analysis
  * @returns {Promise<BreakingChange[]>}
  */
-export async function detectBreakingChanges(files, baseBranch) {
+export async function detectBreakingChanges(files, baseRef, options = {}) {
+    const { headRef = 'HEAD', repoRoot = process.cwd(), parseCache = createParseCache() } = options;
+    const headSource = options.fileSource || createFileSource(headRef, repoRoot);
     const breakingChanges = [];
 
     const sourceFiles = files.filter(
         (f) => f.category === 'feature' && f.type === 'modified'
     );
 
+    if (!baseRef) return breakingChanges;
+    const baseSource = createFileSource(baseRef, repoRoot);
+
     for (const file of sourceFiles) {
-        // Read old version from base branch
-        const oldContent = await getFileContent(file.file, baseBranch);
+        // Read old version from the base snapshot
+        const oldContent = await baseSource.read(file.file);
         if (!oldContent) continue;
 
         // Read new version from current code in the hunk
         const newContent = file.hunks.map((h) => h.content).join('\n');
         // We also need the full new file — the hunk content is partial.
-        // For a more accurate comparison, get current HEAD version
-        const newFullContent = await getFileContent(file.file, 'HEAD');
-
-        const oldExports = extractExports(oldContent);
-        const newExports = extractExports(newFullContent || newContent);
-
-        // Compare signatures
-        for (const [name, oldSig] of Object.entries(oldExports)) {
-            if (!(name in newExports)) {
-                // Exported symbol was removed
-                breakingChanges.push({
-                    file: file.file,
-                    functionName: name,
-                    oldSignature: oldSig,
-                    newSignature: '(removed)',
-                    severity: 'major',
-                    description: `Exported "${name}" was removed — this is a breaking change for all consumers`,
-                });
-            } else if (oldSig !== newExports[name]) {
-                // Signature changed
-                const severity = isBreakingSignatureChange(oldSig, newExports[name]) ? 'major' : 'minor';
-                breakingChanges.push({
-                    file: file.file,
-                    functionName: name,
-                    oldSignature: oldSig,
-                    newSignature: newExports[name],
-                    severity,
-                    description: `Signature of "${name}" changed from (${oldSig}) to (${newExports[name]})`,
-                });
-            }
-        }
+        // For a more accurate comparison, read it from the head snapshot
+        const newFullContent = await headSource.read(file.file);
 
-        // Check for new exports (non-breaking but worth noting)
-        for (const [name, newSig] of Object.entries(newExports)) {
-            if (!(name in oldExports)) {
-                breakingChanges.push({
-                    file: file.file,
-                    functionName: name,
-                    oldSignature: '(new)',
-                    newSignature: newSig,
-                    severity: 'patch',
-                    description: `New export "${name}" added`,
-                });
-            }
-        }
+        const oldApi = extractApiSurface(oldContent, file.file, parseCache);
+        const newApi = extractApiSurface(newFullContent || newContent, file.file, parseCache);
+        breakingChanges.push(...diffApiSurface(file.file, oldApi, newApi));
+    }
+
+    if (options.graph) {
+        await findBrokenCallSites(breakingChanges, options.graph, { fileSource: headSource, parseCache });
     }
 
     // Ask Copilot for deeper analysis if there are changes
     if (breakingChanges.length > 0) {
         const summary = breakingChanges
             .filter((c) => c.severity !== 'patch')
-            .map((c) => `${c.file}: ${c.functionName} — ${c.description}`)
+            .map((c) => `${c.file}: ${c.functionName} — ${c.description}${describeCallSites(c)}`)
             .join('\n');
 
         if (summary) {
@@ -114,39 +143,404 @@ export async function detectBreakingChanges(files, baseBranch) {
     return breakingChanges;
 }
 
+/**
+ * Compares two API surfaces of one file. Each export or class member that
+ * changed yields one record carrying every change found in it.
+ *
+ * @param {string} file
+ * @param {Map<string, import('../analyzers/api-surface.js').ApiEntry>} oldApi
+ * @param {Map<string, import('../analyzers/api-surface.js').ApiEntry>} newApi
+ * @returns {BreakingChange[]}
+ */
+export function diffApiSurface(file, oldApi, newApi) {
+    const result = [];
+
+    for (const [name, before] of oldApi) {
+        const after = newApi.get(name);
+        if (after) {
+            result.push(...compareEntries(file, name, before, after));
+        } else {
+            result.push(record(file, name, describeEntry(before), '(removed)', [
+                change('removed', before.kind === 'star'
+                    ? `Re-export of everything from '${before.source}' was removed — its names are no longer exported for consumers`
+                    : `Exported "${name}" was removed — this is a breaking change for all consumers`),
+            ]));
+        }
+    }
+
+    for (const [name, after] of newApi) {
+        if (!oldApi.has(name)) {
+            result.push(record(file, name, '(new)', describeEntry(after), [change('added', after.kind === 'star'
+                ? `Everything exported from '${after.source}' is now re-exported`
+                : `New export "${name}" added`)]));
+        }
+    }
+
+    return result;
+}
+
 // --- Internals ---
 
-function extractExports(content) {
-    const exports = {};
-
-    for (const pattern of EXPORT_PATTERNS) {
-        pattern.lastIndex = 0;
-        let match;
-        while ((match = pattern.exec(content)) !== null) {
-            const name = match[1];
-            const params = match[2] || '';
-            if (name && name.length < 100) {
-                exports[name.trim()] = params.trim();
+function describeCallSites({ callSites }) {
+    if (!callSites?.length) return '';
+    return ` (breaks ${callSites.length} call site(s): ${callSites.slice(0, 5).map((s) => `${s.file}:${s.line}`).join(', ')})`;
+}
+
+function change(kind, description) {
+    return { kind, severity: CHANGE_SEVERITY[kind], description };
+}
+
+function record(file, functionName, oldSignature, newSignature, changes, summary = null) {
+    const worst = changes.reduce((a, b) => (SEVERITY_RANK[b.severity] > SEVERITY_RANK[a.severity] ? b : a));
+    const details = changes.map((c) => c.description).join('; ');
+    return {
+        file,
+        functionName,
+        oldSignature,
+        newSignature,
+        severity: worst.severity,
+        kind: worst.kind,
+        changes,
+        description: summary ? `${summary}: ${details}` : details,
+    };
+}
+
+function compareEntries(file, name, before, after) {
+    if (before.kind !== after.kind) {
+        // A re-export's shape lives in another module, so only the move is known
+        const kind = before.kind === 'reexport' || after.kind === 'reexport' ? 'reexport-changed' : 'kind-changed';
+        return [record(file, name, describeEntry(before), describeEntry(after), [
+            change(kind, `"${name}" changed from ${article(before.kind)} to ${article(after.kind)}`),
+        ])];
+    }
+
+    if (before.kind === 'function') {
+        return compareSignatures(file, name, before, after);
+    }
+    if (before.kind === 'class') {
+        return compareClasses(file, name, before, after);
+    }
+    if (before.kind === 'interface' || (before.kind === 'type' && before.members && after.members)) {
+        return compareTypeMembers(file, name, before.members, after.members);
+    }
+    if (before.kind === 'type') {
+        return compareAliasedTypes(file, name, before.type, after.type);
+    }
+    if (before.kind === 'enum') {
+        return compareEnums(file, name, before.members, after.members);
+    }
+    if (before.kind === 'reexport' && (before.source !== after.source || before.imported !== after.imported)) {
+        return [record(file, name, describeEntry(before), describeEntry(after), [
+            change('reexport-changed', `"${name}" is now re-exported as ${describeEntry(after)}`),
+        ])];
+    }
+    return [];
+}
+
+function compareSignatures(file, name, before, after) {
+    if (before.overloads || after.overloads) {
+        return compareOverloads(file, name, before, after);
+    }
+
+    const changes = signatureChanges(before, after);
+    if (changes.length === 0) return [];
+    return [record(file, name, before.signature, after.signature, changes,
+        `Signature of "${name}" changed from (${before.signature}) to (${after.signature})`)];
+}
+
+function signatureChanges(before, after) {
+    const changes = diffParams(before.params, after.params);
+    const direction = compareTypes(before.returnType, after.returnType);
+    if (direction) {
+        changes.push(change(`return-type-${direction}`, `return type ${direction} from ${before.returnType} to ${after.returnType}`));
+    }
+    return changes;
+}
+
+/** Overloads are matched by their full text: every old one must still exist. */
+function compareOverloads(file, name, before, after) {
+    const render = (sig) => `(${sig.signature})${sig.returnType ? `: ${sig.returnType}` : ''}`.replace(/\s+/g, ' ');
+    const oldSigs = (before.overloads || [before]).map(render);
+    const newSigs = (after.overloads || [after]).map(render);
+
+    const changes = [
+        ...oldSigs.filter((sig) => !newSigs.includes(sig)).map((sig) => change('overload-removed', `overload ${sig} was removed`)),
+        ...newSigs.filter((sig) => !oldSigs.includes(sig)).map((sig) => change('overload-added', `overload ${sig} added`)),
+    ];
+    if (changes.length === 0) return [];
+    return [record(file, name, oldSigs.join(' | '), newSigs.join(' | '), changes, `Overloads of "${name}" changed`)];
+}
+
+function compareClasses(file, name, before, after) {
+    const result = [];
+
+    const oldCtor = { params: before.constructorParams || [], signature: before.constructorSignature };
+    const newCtor = { params: after.constructorParams || [], signature: after.constructorSignature };
+    result.push(...compareSignatures(file, `new ${name}`, oldCtor, newCtor));
+
+    for (const [key, member] of before.members) {
+        const label = memberLabel(name, key, member);
+        const next = after.members.get(key);
+        if (!next) {
+            result.push(record(file, label, member.signature, '(removed)', [
+                change('member-removed', `Public ${member.kind} "${label}" was removed`),
+            ]));
+        } else if (next.kind !== member.kind) {
+            result.push(record(file, label, member.signature, next.signature, [
+                change('kind-changed', `"${label}" changed from ${article(member.kind)} to ${article(next.kind)}`),
+            ]));
+        } else if (member.kind === 'method') {
+            result.push(...compareSignatures(file, label, member, next));
+        } else if (member.kind === 'property' && compareTypes(member.type, next.type)) {
+            result.push(record(file, label, member.type, next.type, [
+                change('property-type-changed', `type of "${label}" changed from ${member.type} to ${next.type}`),
+            ]));
+        }
+    }
+
+    for (const [key, member] of after.members) {
+        if (!before.members.has(key)) {
+            const label = memberLabel(name, key, member);
+            result.push(record(file, label, '(new)', member.signature, [
+                change('member-added', `New public ${member.kind} "${label}" added`),
+            ]));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compares interface (or object literal type) members. Types are read and
+ * written by consumers alike, so any property type change counts as breaking.
+ */
+function compareTypeMembers(file, typeName, before, after) {
+    const result = [];
+
+    for (const [key, member] of before) {
+        const label = `${typeName}.${key}`;
+        const next = after.get(key);
+        if (!next) {
+            result.push(record(file, label, member.type ?? member.signature, '(removed)', [
+                change('member-removed', `${capitalize(member.kind)} "${label}" was removed`),
+            ]));
+            continue;
+        }
+
+        const changes = [];
+        if (next.kind !== member.kind) {
+            changes.push(change('kind-changed', `"${label}" changed from ${article(member.kind)} to ${article(next.kind)}`));
+        } else if (member.kind === 'method') {
+            changes.push(...signatureChanges(member, next));
+        } else if (compareTypes(member.type, next.type)) {
+            changes.push(change('property-type-changed', `type of "${label}" changed from ${member.type} to ${next.type}`));
+        }
+        if (member.optional && !next.optional) {
+            changes.push(change('property-now-required', `"${label}" is now required`));
+        }
+        if (!member.readonly && next.readonly) {
+            changes.push(change('property-now-readonly', `"${label}" is now readonly`));
+        }
+        if (changes.length > 0) {
+            result.push(record(file, label, member.type ?? member.signature, next.type ?? next.signature, changes));
+        }
+    }
+
+    for (const [key, member] of after) {
+        if (before.has(key)) continue;
+        const label = `${typeName}.${key}`;
+        // Objects built by consumers lack a new required member
+        result.push(record(file, label, '(new)', member.type ?? member.signature, [member.optional
+            ? change('member-added', `New optional ${member.kind} "${label}" added`)
+            : change('property-added-required', `New required ${member.kind} "${label}" added — existing implementations no longer type-check`)]));
+    }
+
+    return result;
+}
+
+function compareAliasedTypes(file, name, before, after) {
+    const direction = compareTypes(before, after);
+    if (!direction) return [];
+    return [record(file, name, before, after, [
+        change(`type-${direction}`, `type "${name}" ${direction} from ${before} to ${after}`),
+    ])];
+}
+
+function compareEnums(file, enumName, before, after) {
+    const result = [];
+
+    for (const [key, value] of before) {
+        const label = `${enumName}.${key}`;
+        if (!after.has(key)) {
+            result.push(record(file, label, value ?? '', '(removed)', [change('enum-member-removed', `Enum member "${label}" was removed`)]));
+        } else if (value !== null && after.get(key) !== null && value !== after.get(key)) {
+            result.push(record(file, label, value, after.get(key), [
+                change('enum-value-changed', `value of "${label}" changed from ${value} to ${after.get(key)}`),
+            ]));
+        }
+    }
+
+    for (const [key, value] of after) {
+        if (!before.has(key)) {
+            result.push(record(file, `${enumName}.${key}`, '(new)', value ?? '', [change('enum-member-added', `New enum member "${enumName}.${key}" added`)]));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compares two type annotations as unions of their members.
+ *
+ * @returns {'widened'|'narrowed'|'changed'|null} null when equal or either side is untyped
+ */
+function compareTypes(before, after) {
+    if (!before || !after || before === after) return null;
+
+    const a = unionMembers(before);
+    const b = unionMembers(after);
+    const aInB = a.every((t) => b.includes(t));
+    const bInA = b.every((t) => a.includes(t));
+    if (aInB && bInA) return null;
+
+    if (TOP_TYPES.has(after)) return 'widened';
+    if (TOP_TYPES.has(before)) return 'narrowed';
+    if (aInB) return 'widened';
+    if (bInA) return 'narrowed';
+    return 'changed';
+}
+
+/** Splits a type at top-level `|`, so `(a: string | number) => void` stays whole. */
+function unionMembers(type) {
+    const members = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < type.length; i++) {
+        const char = type[i];
+        if ('([{<'.includes(char)) depth++;
+        if (')]}'.includes(char) || (char === '>' && type[i - 1] !== '=')) depth--;
+        if (char === '|' && depth === 0) {
+            members.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    members.push(current.trim());
+    return members.filter(Boolean);
+}
+
+/**
+ * Classifies parameter list changes. Parameters are matched by position,
+ * except that a removal or insertion is recognised by the names that follow
+ * it, so `(a, b, c)` → `(a, c)` reads as "b removed" rather than "b renamed
+ * to c, c removed".
+ */
+function diffParams(oldParams, newParams) {
+    const changes = [];
+    const oldNames = oldParams.map((p) => p.name);
+    const newNames = newParams.map((p) => p.name);
+    let o = 0;
+    let n = 0;
+
+    while (o < oldParams.length && n < newParams.length) {
+        const before = oldParams[o];
+        const after = newParams[n];
+
+        if (before.name !== after.name && !before.rest && !after.rest) {
+            const removedUntil = oldNames.indexOf(after.name, o + 1);
+            const insertedUntil = newNames.indexOf(before.name, n + 1);
+
+            if (removedUntil > o && !newNames.includes(before.name)) {
+                for (; o < removedUntil; o++) {
+                    changes.push(change('param-removed', `parameter "${oldParams[o].name}" was removed — later arguments shift position`));
+                }
+                continue;
+            }
+            if (insertedUntil > n && !oldNames.includes(after.name)) {
+                for (; n < insertedUntil; n++) {
+                    changes.push(change('param-inserted', `parameter "${newParams[n].name}" was inserted before "${before.name}" — later arguments shift position`));
+                }
+                continue;
+            }
+            if (newNames.includes(before.name) && oldNames.includes(after.name)) {
+                changes.push(change('param-reordered', `parameter "${after.name}" moved to position ${n + 1}`));
+                o++;
+                n++;
+                continue;
             }
         }
+
+        changes.push(...compareParam(before, after, n));
+        // A new rest parameter collects whatever callers passed from here on
+        if (after.rest && !before.rest) return changes;
+        o++;
+        n++;
     }
 
-    return exports;
+    for (; o < oldParams.length; o++) {
+        const param = oldParams[o];
+        changes.push(param.rest
+            ? change('rest-removed', `rest parameter "...${param.name}" was removed`)
+            : change('param-removed', `parameter "${param.name}" was removed`));
+    }
+
+    for (; n < newParams.length; n++) {
+        const param = newParams[n];
+        if (param.rest) changes.push(change('rest-added', `rest parameter "...${param.name}" added`));
+        else if (param.optional) changes.push(change('param-added-optional', `optional parameter "${param.name}" added`));
+        else changes.push(change('param-added-required', `required parameter "${param.name}" added`));
+    }
+
+    return changes;
 }
 
-function isBreakingSignatureChange(oldSig, newSig) {
-    const oldParams = oldSig.split(',').map((p) => p.trim()).filter(Boolean);
-    const newParams = newSig.split(',').map((p) => p.trim()).filter(Boolean);
+function compareParam(before, after, position) {
+    if (before.rest && !after.rest) {
+        return [change('rest-removed', `rest parameter "...${before.name}" became "${after.name}" — extra arguments are dropped`)];
+    }
+    if (after.rest && !before.rest) {
+        return [change('rest-added', `"...${after.name}" now collects the arguments from position ${position + 1} on`)];
+    }
 
-    // Removing a parameter or reordering is breaking
-    if (newParams.length < oldParams.length) return true;
+    const changes = [];
+    if (before.keys && after.keys) {
+        for (const key of before.keys.filter((k) => !after.keys.includes(k))) {
+            changes.push(change('option-removed', `option "${key}" of parameter ${position + 1} was removed`));
+        }
+        for (const key of after.keys.filter((k) => !before.keys.includes(k))) {
+            changes.push(change('option-added', `option "${key}" added to parameter ${position + 1}`));
+        }
+    } else if (before.name !== after.name) {
+        changes.push(change('param-renamed', `parameter "${before.name}" renamed to "${after.name}"`));
+    }
 
-    // Changing parameter names/types of existing params is breaking
-    for (let i = 0; i < oldParams.length; i++) {
-        const oldName = oldParams[i].split('=')[0].split(':')[0].trim();
-        const newName = newParams[i]?.split('=')[0].split(':')[0].trim();
-        if (oldName !== newName) return true;
+    const direction = compareTypes(before.type, after.type);
+    if (direction) {
+        changes.push(change(`param-type-${direction}`, `type of "${after.name}" ${direction} from ${before.type} to ${after.type}`));
     }
 
-    return false;
+    if (before.rest) return changes;
+    if (before.optional && !after.optional) {
+        changes.push(change('param-now-required', `parameter "${after.name}" is now required`));
+    } else if (!before.optional && after.optional) {
+        changes.push(change('param-now-optional', `parameter "${after.name}" is now optional`));
+    } else if (before.defaultValue !== null && after.defaultValue !== null && before.defaultValue !== after.defaultValue) {
+        changes.push(change('default-changed', `default of "${after.name}" changed from ${before.defaultValue} to ${after.defaultValue}`));
+    }
+    return changes;
+}
+
+function memberLabel(className, key, member) {
+    const bare = key.replace(/^static /, '').replace(/^set /, '');
+    const label = member.static ? `${className}.${bare}` : `${className}#${bare}`;
+    return member.kind === 'setter' ? `${label} (setter)` : label;
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function article(kind) {
+    return /^[aeiou]/.test(kind) ? `an ${kind}` : `a ${kind}`;
 }
@@ -0,0 +1,265 @@
+/**
+ * Call-site impact of breaking changes.
+ *
+ * For every export whose API broke, the files importing it are looked up in
+ * the head import graph, following aliased, default and namespace imports,
+ * `require()` bindings and re-exports through barrel files. Each call is
+ * then checked against the new signature: too few or too many arguments,
+ * or an options object passing keys the function no longer destructures.
+ * The result is the list of callers in this repository that will break.
+ */
+
+import babelTraverse from '@babel/traverse';
+import { extractApiSurface } from '../analyzers/api-surface.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { assignFingerprints } from '../utils/fingerprint.js';
+
+// Babel traverse default export handling
+const traverse = babelTraverse.default || babelTraverse;
+
+/**
+ * @typedef {object} CallSite
+ * @property {string} file
+ * @property {number} line
+ * @property {string} reason       - Why the call no longer matches, e.g. "passes 1 argument but parse now requires 2"
+ * @property {string|null} text    - Source line of the call
+ */
+
+/**
+ * Finds the calls each major breaking change breaks and attaches them to
+ * it as `callSites`. Changes that are not about a callable export (class
+ * members, types, constants) and overloaded functions are left without
+ * `callSites`.
+ *
+ * @param {import('./breaking-changes.js').BreakingChange[]} breakingChanges
+ * @param {import('../context/import-graph.js').ImportGraph} graph - Head import graph
+ * @param {object} options
+ * @param {import('../utils/file-source.js').FileSource} options.fileSource - Head snapshot
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache]
+ * @returns {Promise<number>} Number of broken call sites found
+ */
+export async function findBrokenCallSites(breakingChanges, graph, options) {
+    const { fileSource, parseCache = createParseCache() } = options;
+    let total = 0;
+
+    for (const bc of breakingChanges) {
+        if (bc.severity !== 'major') continue;
+        const target = targetOf(bc.functionName);
+        if (!target) continue;
+
+        const params = await expectedParams(bc, target, fileSource, parseCache);
+        if (params === undefined) continue;
+
+        bc.callSites = [];
+        for (const call of await findCalls(graph, bc.file, target.name, fileSource, parseCache)) {
+            const reason = params === null
+                ? `"${target.name}" is no longer exported by ${bc.file}`
+                : mismatch(call.args, params, bc.functionName);
+            if (reason) bc.callSites.push({ file: call.file, line: call.line, reason, text: call.text });
+        }
+        total += bc.callSites.length;
+    }
+
+    return total;
+}
+
+/**
+ * Turns broken call sites into findings at the caller, so they are reported
+ * by every formatter and count towards the quality gate.
+ *
+ * @param {import('./breaking-changes.js').BreakingChange[]} breakingChanges
+ * @returns {import('../linters/smart-linter.js').Finding[]}
+ */
+export function callSitesToFindings(breakingChanges) {
+    const findings = breakingChanges.flatMap((bc) => (bc.callSites || []).map((site) => ({
+        file: site.file,
+        line: site.line,
+        severity: 'error',
+        message: `Call to "${bc.functionName}" (${bc.file}) breaks: ${site.reason}`,
+        source: 'graph',
+        ruleId: 'graph/broken-call-site',
+        category: 'reliability',
+        snippet: site.text ? site.text.slice(0, 200) : null,
+    })));
+
+    return assignFingerprints(findings);
+}
+
+// --- Internals ---
+
+/** `parse` → call of an export; `new Store` → construction; members are skipped. */
+function targetOf(functionName) {
+    const match = /^(new )?([\w$]+)$/.exec(functionName);
+    return match ? { name: match[2], construct: Boolean(match[1]) } : null;
+}
+
+/**
+ * Parameters calls must now match: null when the export is gone (every call
+ * breaks), undefined when calls cannot be checked.
+ */
+async function expectedParams(bc, target, fileSource, parseCache) {
+    if (bc.kind === 'removed') return null;
+
+    const content = await fileSource.read(bc.file);
+    const entry = content ? extractApiSurface(content, bc.file, parseCache).get(target.name) : null;
+
+    if (target.construct) {
+        return entry?.kind === 'class' && entry.constructorParams ? entry.constructorParams : undefined;
+    }
+    if (entry?.kind === 'function' && !entry.overloads?.length) return entry.params;
+    return undefined;
+}
+
+/**
+ * Calls of `name` exported by `file`, in every file importing it directly
+ * or through re-exports.
+ */
+async function findCalls(graph, file, name, fileSource, parseCache) {
+    const calls = [];
+    const queue = [[file, name]];
+    const seen = new Set([`${file}#${name}`]);
+
+    while (queue.length > 0) {
+        const [source, exported] = queue.shift();
+        for (const importer of graph.importers.get(source) || []) {
+            const content = await fileSource.read(importer);
+            const ast = content ? parseCache.parse(importer, content) : null;
+            if (!ast) continue;
+
+            const bindings = bindingsOf(ast, importer, source, exported, graph.resolve);
+            for (const alias of bindings.reexports) {
+                const key = `${importer}#${alias}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    queue.push([importer, alias]);
+                }
+            }
+            if (bindings.locals.size > 0 || bindings.namespaces.size > 0) {
+                const lines = content.split('\n');
+                for (const { line, args } of collectCalls(ast, exported, bindings)) {
+                    calls.push({ file: importer, line, args, text: lines[line - 1]?.trim() || null });
+                }
+            }
+        }
+    }
+
+    return calls.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+/**
+ * How `importer` refers to `exported` from `source`:
+ *   locals     — identifiers bound to it (`import { f as g }`, `const { f } = require()`)
+ *   namespaces — identifiers bound to the whole module (`import * as ns`, `const m = require()`)
+ *   reexports  — names it is re-exported under (`export { f as g } from`, `export * from`)
+ */
+function bindingsOf(ast, importer, source, exported, resolve) {
+    const bindings = { locals: new Set(), namespaces: new Set(), reexports: [] };
+    const fromSource = (literal) => typeof literal?.value === 'string' && resolve(literal.value, importer) === source;
+
+    for (const node of ast.program.body) {
+        if (node.type === 'ImportDeclaration' && node.importKind !== 'type' && fromSource(node.source)) {
+            for (const spec of node.specifiers) {
+                if (spec.type === 'ImportNamespaceSpecifier') bindings.namespaces.add(spec.local.name);
+                else if (spec.type === 'ImportDefaultSpecifier' ? exported === 'default' : nameOf(spec.imported) === exported) {
+                    bindings.locals.add(spec.local.name);
+                }
+            }
+        } else if (node.type === 'ExportNamedDeclaration' && fromSource(node.source)) {
+            for (const spec of node.specifiers) {
+                if (spec.type === 'ExportSpecifier' && nameOf(spec.local) === exported) bindings.reexports.push(nameOf(spec.exported));
+            }
+        } else if (node.type === 'ExportAllDeclaration' && !node.exported && exported !== 'default' && fromSource(node.source)) {
+            bindings.reexports.push(exported);
+        } else if (node.type === 'VariableDeclaration') {
+            for (const decl of node.declarations) {
+                if (!isRequireOf(decl.init, fromSource)) continue;
+                if (decl.id.type === 'Identifier') {
+                    // `module.exports = fn` is the module's default export
+                    (exported === 'default' ? bindings.locals : bindings.namespaces).add(decl.id.name);
+                } else if (decl.id.type === 'ObjectPattern') {
+                    for (const prop of decl.id.properties) {
+                        if (prop.type === 'ObjectProperty' && nameOf(prop.key) === exported && prop.value.type === 'Identifier') {
+                            bindings.locals.add(prop.value.name);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return bindings;
+}
+
+function isRequireOf(node, fromSource) {
+    return node?.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+        node.callee.name === 'require' && fromSource(node.arguments[0]);
+}
+
+/** Calls and `new` expressions of the bound identifiers, skipping shadowed names. */
+function collectCalls(ast, exported, { locals, namespaces }) {
+    const calls = [];
+    const isModuleBinding = (path, name) => path.scope.getBinding(name)?.scope.path.isProgram() ?? false;
+
+    const visit = (path) => {
+        const { callee } = path.node;
+        let name = null;
+        if (callee.type === 'Identifier' && locals.has(callee.name)) {
+            name = callee.name;
+        } else if (
+            callee.type === 'MemberExpression' && callee.object.type === 'Identifier' &&
+            namespaces.has(callee.object.name) && memberName(callee) === exported
+        ) {
+            name = callee.object.name;
+        }
+        if (name && isModuleBinding(path, name)) {
+            calls.push({ line: path.node.loc.start.line, args: path.node.arguments });
+        }
+    };
+
+    traverse(ast, { CallExpression: visit, OptionalCallExpression: visit, NewExpression: visit });
+    return calls;
+}
+
+/** Why a call's arguments no longer fit `params`, or null. */
+function mismatch(args, params, label) {
+    // Spread arguments have no static arity
+    if (args.some((arg) => arg.type === 'SpreadElement')) return null;
+
+    const required = params.reduce((count, p, i) => (p.optional || p.rest ? count : i + 1), 0);
+    const accepted = params.some((p) => p.rest) ? Infinity : params.length;
+    if (args.length < required) {
+        return `passes ${plural(args.length, 'argument')} but ${label} now requires ${required}`;
+    }
+    if (args.length > accepted) {
+        return `passes ${plural(args.length, 'argument')} but ${label} now accepts ${accepted}`;
+    }
+
+    for (const [i, param] of params.entries()) {
+        const arg = args[i];
+        if (!param.keys || param.openKeys || arg?.type !== 'ObjectExpression') continue;
+        const passed = arg.properties
+            .filter((p) => (p.type === 'ObjectProperty' || p.type === 'ObjectMethod') && !p.computed)
+            .map((p) => nameOf(p.key));
+        const unknown = passed.filter((key) => key && !param.keys.includes(key));
+        if (unknown.length > 0) {
+            return `passes option ${unknown.map((key) => `"${key}"`).join(', ')}, which ${label} no longer accepts`;
+        }
+    }
+
+    return null;
+}
+
+function memberName(node) {
+    if (!node.computed) return nameOf(node.property);
+    return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+function nameOf(node) {
+    if (node?.type === 'Identifier') return node.name;
+    if (node?.type === 'StringLiteral') return node.value;
+    return null;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
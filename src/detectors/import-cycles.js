@@ -0,0 +1,135 @@
+/**
+ * Import cycle detection.
+ *
+ * Cycles through changed files are found in the head import graph and each
+ * import edge is looked up in the base snapshot. A cycle whose edges all
+ * existed before the change is pre-existing; otherwise the change introduced
+ * it, and the new import that closed it is reported. Cycles matter because
+ * ESM evaluates one side of the loop first: the other side sees `undefined`
+ * exports at startup.
+ */
+
+import { createFileSource } from '../utils/file-source.js';
+import { findCyclesThrough, createResolver, extractImportEntries } from '../context/import-graph.js';
+import { assignFingerprints } from '../utils/fingerprint.js';
+
+/**
+ * @typedef {object} ImportCycle
+ * @property {string[]} path - Files in the cycle, with the first file repeated at the end
+ * @property {{ file: string, line: number|null, text: string|null }|null} closedBy - Import that closed an introduced cycle
+ */
+
+/**
+ * Finds import cycles through changed files, split into introduced and
+ * pre-existing ones.
+ *
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files
+ * @param {import('../context/import-graph.js').ImportGraph} graph - Head import graph
+ * @param {object} [options={}]
+ * @param {string|null} [options.baseRef=null] - Snapshot before the change; without it, imports on added lines count as new
+ * @param {string} [options.repoRoot=process.cwd()]
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Head snapshot, for the closing import's text
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache]
+ * @returns {Promise<{ introduced: ImportCycle[], preexisting: ImportCycle[] }>}
+ */
+export async function detectImportCycles(files, graph, options = {}) {
+    const { baseRef = null, repoRoot = process.cwd(), fileSource = null, parseCache = null } = options;
+    const result = { introduced: [], preexisting: [] };
+
+    const changed = files.filter((f) => f.type !== 'deleted').map((f) => f.file);
+    const cycles = findCyclesThrough(graph, changed);
+    if (cycles.length === 0) return result;
+
+    const addedLines = addedLinesByFile(files);
+    const onAddedLine = (from, to) => addedLines.get(from)?.has(graph.importLines.get(from)?.get(to)) ?? false;
+    const existedInBase = baseRef ? await createBaseEdgeLookup(baseRef, repoRoot, parseCache) : null;
+
+    for (const path of cycles) {
+        const newEdges = [];
+        for (let i = 0; i < path.length - 1; i++) {
+            const edge = [path[i], path[i + 1]];
+            const isNew = existedInBase ? !(await existedInBase(...edge)) : onAddedLine(...edge);
+            if (isNew) newEdges.push(edge);
+        }
+
+        if (newEdges.length === 0) {
+            result.preexisting.push({ path, closedBy: null });
+            continue;
+        }
+
+        // Prefer the new import this change actually added
+        const [from, to] = newEdges.find((edge) => onAddedLine(...edge)) || newEdges[0];
+        const line = graph.importLines.get(from)?.get(to) ?? null;
+        const content = fileSource && line ? await fileSource.read(from) : null;
+
+        result.introduced.push({
+            path,
+            closedBy: { file: from, line, text: content ? content.split('\n')[line - 1].trim() : null },
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Turns introduced cycles into findings, so they are reported by every
+ * formatter and count towards the quality gate.
+ *
+ * @param {ImportCycle[]} cycles
+ * @returns {import('../linters/smart-linter.js').Finding[]}
+ */
+export function cyclesToFindings(cycles) {
+    const findings = cycles.map(({ path, closedBy }) => ({
+        file: closedBy.file,
+        line: closedBy.line,
+        severity: 'error',
+        message: `Import cycle introduced: ${path.join(' → ')}`,
+        source: 'graph',
+        ruleId: 'graph/import-cycle',
+        category: 'reliability',
+        snippet: closedBy.text ? closedBy.text.slice(0, 200) : null,
+    }));
+
+    return assignFingerprints(findings);
+}
+
+// --- Internals ---
+
+function addedLinesByFile(files) {
+    const byFile = new Map();
+    for (const file of files) {
+        const lines = new Set();
+        for (const hunk of file.hunks) {
+            for (const c of hunk.changes) {
+                if (c.type === 'add') lines.add(c.ln);
+            }
+        }
+        byFile.set(file.file, lines);
+    }
+    return byFile;
+}
+
+/**
+ * Answers "did `from` import `to` in the base snapshot?", resolving only the
+ * files asked about rather than building the whole base graph.
+ */
+async function createBaseEdgeLookup(baseRef, repoRoot, parseCache) {
+    const baseSource = createFileSource(baseRef, repoRoot);
+    const resolver = await createResolver(await baseSource.list(), baseSource);
+    const importsOf = new Map();
+
+    return async (from, to) => {
+        if (!importsOf.has(from)) {
+            const targets = new Set();
+            const content = await baseSource.read(from);
+            if (content !== null) {
+                for (const { specifier } of extractImportEntries(content, from, parseCache)) {
+                    const target = resolver.resolve(specifier, from);
+                    if (target) targets.add(target);
+                }
+            }
+            importsOf.set(from, targets);
+        }
+        return importsOf.get(from).has(to);
+    };
+}
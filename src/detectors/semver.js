@@ -0,0 +1,207 @@
+/**
+ * Per-package semver recommendation.
+ *
+ * Every changed file belongs to the package whose package.json is nearest
+ * above it, so a workspace gets one recommendation per package. A package's
+ * required bump follows its most severe API change (see breaking-changes.js),
+ * or `patch` when only source files changed without API impact. It is
+ * compared with the `version` change in that package's package.json between
+ * the base and head snapshots. Packages marked `"private": true` are not
+ * published and are skipped.
+ */
+
+import { posix } from 'node:path';
+import { createFileSource } from '../utils/file-source.js';
+
+const BUMPS = ['none', 'patch', 'minor', 'major'];
+
+/**
+ * @typedef {object} PackageVersion
+ * @property {string} name         - Package name (or its directory when unnamed)
+ * @property {string} manifest     - Repo-relative path of its package.json
+ * @property {number|null} line    - Line of `"version"` in the head manifest
+ * @property {'major'|'minor'|'patch'|null} apiChange - Most severe API change (null: none)
+ * @property {'major'|'minor'|'patch'|'none'} required - Bump the changes call for (0.x: breaking changes need minor)
+ * @property {string|null} from    - Base version (null for a package added by the change)
+ * @property {string|null} to      - Head version
+ * @property {'major'|'minor'|'patch'|'none'|null} bump - Actual version change (null for new packages)
+ * @property {boolean} satisfied   - The actual bump is at least the required one
+ * @property {string|null} suggested - Version to release: `to` when satisfied, else `from` bumped
+ */
+
+/**
+ * Computes the required and suggested version of every changed package.
+ *
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files
+ * @param {import('./breaking-changes.js').BreakingChange[]} breakingChanges
+ * @param {object} options
+ * @param {string|null} options.baseRef - Snapshot before the change; null skips the comparison
+ * @param {string} [options.headRef='HEAD']
+ * @param {string} [options.repoRoot=process.cwd()]
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Head snapshot (overrides headRef)
+ * @returns {Promise<PackageVersion[]>}
+ */
+export async function recommendVersions(files, breakingChanges, options) {
+    const { baseRef, headRef = 'HEAD', repoRoot = process.cwd() } = options;
+    if (!baseRef) return [];
+
+    const headSource = options.fileSource || createFileSource(headRef, repoRoot);
+    const baseSource = createFileSource(baseRef, repoRoot);
+    const manifests = (await headSource.list()).filter(
+        (f) => posix.basename(f) === 'package.json' && !f.split('/').includes('node_modules')
+    );
+
+    // Changed packages: manifest → { apiChange, sourceChanged }
+    const changed = new Map();
+    const touch = (file) => {
+        const manifest = ownerOf(file, manifests);
+        if (!manifest) return null;
+        if (!changed.has(manifest)) changed.set(manifest, { apiChange: null, sourceChanged: false });
+        return changed.get(manifest);
+    };
+    for (const file of files) {
+        const entry = touch(file.file);
+        if (entry && file.category === 'feature') entry.sourceChanged = true;
+    }
+    for (const bc of breakingChanges) {
+        const entry = touch(bc.file);
+        if (entry && rank(bc.severity) > rank(entry.apiChange)) entry.apiChange = bc.severity;
+    }
+
+    const packages = [];
+    for (const [manifest, { apiChange, sourceChanged }] of changed) {
+        const head = parseManifest(await headSource.read(manifest));
+        if (!head || head.json.private) continue;
+
+        const base = parseManifest(await baseSource.read(manifest));
+        const from = validVersion(base?.json.version);
+        const to = validVersion(head.json.version);
+
+        let required = apiChange || (sourceChanged ? 'patch' : 'none');
+        // Pre-1.0 packages signal breaking changes with a minor bump
+        if (required === 'major' && from && Number.parseInt(from, 10) === 0) required = 'minor';
+
+        const bump = from && to ? classifyVersionBump(from, to) : null;
+        const satisfied = !from || (bump !== null && rank(bump) >= rank(required));
+
+        packages.push({
+            name: head.json.name || posix.dirname(manifest),
+            manifest,
+            line: head.versionLine,
+            apiChange,
+            required,
+            from,
+            to,
+            bump,
+            satisfied,
+            suggested: satisfied ? to : bumpVersion(from, required),
+        });
+    }
+
+    return packages.sort((a, b) => a.manifest.localeCompare(b.manifest));
+}
+
+/**
+ * Reports packages with breaking API changes whose version was not bumped
+ * enough, at their package.json `version` line.
+ *
+ * @param {PackageVersion[]} packages
+ * @returns {import('../linters/smart-linter.js').Finding[]}
+ */
+export function versionsToFindings(packages) {
+    return packages
+        .filter((p) => p.apiChange === 'major' && !p.satisfied)
+        .map((p) => ({
+            file: p.manifest,
+            line: p.line,
+            severity: 'warning',
+            message: `Breaking API change in "${p.name}" needs a ${p.required} version bump ` +
+                `(package.json ${describeBump(p)}); suggested version ${p.suggested}`,
+            source: 'semver',
+            ruleId: 'semver/missing-major-bump',
+            category: 'reliability',
+            snippet: p.line && p.to ? `"version": "${p.to}"` : null,
+        }));
+}
+
+/**
+ * Applies a semver bump, dropping any prerelease suffix.
+ *
+ * @param {string} version - e.g. "1.4.2"
+ * @param {'major'|'minor'|'patch'|'none'} level
+ * @returns {string}
+ */
+export function bumpVersion(version, level) {
+    const [major, minor, patch] = parseSemver(version);
+    if (level === 'major') return `${major + 1}.0.0`;
+    if (level === 'minor') return `${major}.${minor + 1}.0`;
+    if (level === 'patch') return `${major}.${minor}.${patch + 1}`;
+    return version;
+}
+
+/**
+ * Classifies the change between two semver versions.
+ *
+ * @param {string} from - e.g. "1.4.2"
+ * @param {string} to   - e.g. "2.0.0"
+ * @returns {'major'|'minor'|'patch'|'none'} 'none' when `to` is not greater than `from`
+ */
+export function classifyVersionBump(from, to) {
+    const a = parseSemver(from);
+    const b = parseSemver(to);
+    if (!a || !b) return 'none';
+
+    if (b[0] !== a[0]) return b[0] > a[0] ? 'major' : 'none';
+    if (b[1] !== a[1]) return b[1] > a[1] ? 'minor' : 'none';
+    return b[2] > a[2] ? 'patch' : 'none';
+}
+
+/**
+ * Describes a package's actual version change, for messages about a
+ * missing bump: "is still 1.2.0" or "1.2.0 → 1.3.0 is only a minor bump".
+ *
+ * @param {PackageVersion} pkg
+ * @returns {string}
+ */
+export function describeBump({ from, to, bump }) {
+    if (!bump) return 'has no valid version';
+    return bump === 'none' ? `is still ${to}` : `${from} → ${to} is only a ${bump} bump`;
+}
+
+// --- Internals ---
+
+function rank(bump) {
+    return BUMPS.indexOf(bump ?? 'none');
+}
+
+/** The package.json nearest above `file`. */
+function ownerOf(file, manifests) {
+    const depth = (manifest) => (posix.dirname(manifest) === '.' ? 0 : posix.dirname(manifest).split('/').length);
+    let best = null;
+    for (const manifest of manifests) {
+        const dir = posix.dirname(manifest);
+        const inside = dir === '.' || file.startsWith(`${dir}/`);
+        if (inside && (!best || depth(manifest) > depth(best))) best = manifest;
+    }
+    return best;
+}
+
+function parseSemver(version) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)/.exec(String(version || ''));
+    return match ? match.slice(1, 4).map(Number) : null;
+}
+
+function parseManifest(text) {
+    if (!text) return null;
+    try {
+        const json = JSON.parse(text);
+        const index = text.split('\n').findIndex((l) => /^\s*"version"\s*:/.test(l));
+        return { json, versionLine: index === -1 ? null : index + 1 };
+    } catch {
+        return null;
+    }
+}
+
+function validVersion(version) {
+    return parseSemver(version) ? version : null;
+}
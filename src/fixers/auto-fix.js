@@ -16,11 +16,31 @@ import { askCopilot } from '../utils/copilot.js';
  * @property {string} description  - Human-readable description
  * @property {string} original     - Original content
  * @property {string} replacement  - Replacement content (empty for removals)
- * @property {string} rule         - Rule that triggered the fix
+ * @property {string} rule         - Fix kind: console | debugger | secret | catch | eval
+ * @property {string} [ruleId]     - Rule ID of the finding being fixed
  */
 
-// Fix generators per rule pattern
+// Fix generators per rule ID
 const FIX_GENERATORS = {
+    'heuristic/no-console': generateConsoleFix,
+    'ast/no-console': generateConsoleFix,
+    'heuristic/no-debugger': generateDebuggerFix,
+    'heuristic/hardcoded-secret': generateSecretFix,
+    'ast/secret-declaration': generateSecretFix,
+    'ast/secret-assignment': generateSecretFix,
+    'entropy/known-prefix': generateSecretFix,
+    'entropy/base64-credential': generateSecretFix,
+    'entropy/hex-secret': generateSecretFix,
+    'entropy/high-entropy-context': generateSecretFix,
+    'entropy/high-entropy': generateSecretFix,
+    'entropy/env-secret': generateEnvSecretFix,
+    'heuristic/empty-promise-catch': generateCatchFix,
+    'heuristic/no-eval': generateEvalFix,
+    'ast/no-eval': generateEvalFix,
+};
+
+// Message keyword → generator, for findings saved before rule IDs existed
+const LEGACY_FIX_GENERATORS = {
     'console': generateConsoleFix,
     'debugger': generateDebuggerFix,
     'secret': generateSecretFix,
@@ -52,21 +72,28 @@ export function getAvailableFixes(findings, repoRoot) {
 /**
  * Generates a fix for a single finding.
  *
+ * Findings are matched by `ruleId`; findings without one (analysis files
+ * saved by older versions) fall back to keyword matching on the message.
+ *
  * @param {object} finding - Finding object
  * @param {number} id      - Finding index (used as fix ID)
  * @param {string} repoRoot
  * @returns {Fix | null}
  */
 export function generateFix(finding, id, repoRoot) {
-    const message = finding.message.toLowerCase();
-
-    for (const [pattern, generator] of Object.entries(FIX_GENERATORS)) {
-        if (message.includes(pattern)) {
-            return generator(finding, id, repoRoot);
-        }
+    let fix = null;
+
+    if (finding.ruleId) {
+        const generator = FIX_GENERATORS[finding.ruleId];
+        fix = generator ? generator(finding, id, repoRoot) : null;
+    } else {
+        const message = finding.message.toLowerCase();
+        const match = Object.entries(LEGACY_FIX_GENERATORS).find(([keyword]) => message.includes(keyword));
+        fix = match ? match[1](finding, id, repoRoot) : null;
     }
 
-    return null;
+    if (fix && finding.ruleId) fix.ruleId = finding.ruleId;
+    return fix;
 }
 
 /**
@@ -147,33 +174,46 @@ export function generatePatch(fix) {
     return lines.join('\n');
 }
 
+// Test framework → name used in the scaffold prompt
+const FRAMEWORK_NAMES = {
+    vitest: 'Vitest',
+    jest: 'Jest',
+    mocha: 'Mocha',
+    node: 'node:test',
+};
+
 /**
  * Generates a test scaffold for an untested file using Copilot.
  *
  * @param {string} sourceFile - Source file path
  * @param {string} repoRoot
+ * @param {object} [options={}]
+ * @param {string} [options.testFile] - Where the test will be written (default: `src/` → `tests/`)
+ * @param {string} [options.framework='vitest'] - vitest | jest | mocha | node
  * @returns {Promise<{ testFile: string, content: string } | null>}
  */
-export async function generateTestScaffold(sourceFile, repoRoot) {
+export async function generateTestScaffold(sourceFile, repoRoot, options = {}) {
     const fullPath = join(repoRoot, sourceFile);
+    const testFile = options.testFile || sourceFile
+        .replace(/\.(js|ts|mjs)$/, '.test.$1')
+        .replace('src/', 'tests/');
+    const framework = FRAMEWORK_NAMES[options.framework] || FRAMEWORK_NAMES.vitest;
 
     try {
         const content = readFileSync(fullPath, 'utf-8').slice(0, 2000);
 
         const scaffold = await askCopilot(
-            `Generate a Vitest test file for the following code. Include test cases for ` +
-            `happy path, error cases, and edge cases. Use describe/it blocks:\n\n${content}`,
+            `Generate a ${framework} test file for the following code. Include test cases for ` +
+            `happy path, error cases, and edge cases. Use describe/it blocks. The test file is ` +
+            `${testFile} and the code is ${sourceFile}; reply with the file content only:\n\n${content}`,
             { timeout: 20000 }
         );
 
         if (!scaffold) return null;
 
-        // Determine test file path
-        const testFile = sourceFile
-            .replace(/\.(js|ts|mjs)$/, '.test.$1')
-            .replace('src/', 'tests/');
-
-        return { testFile, content: scaffold };
+        // Keep only the code when the reply wraps it in a fenced block
+        const fenced = /```[\w-]*\n([\s\S]*?)```/.exec(scaffold);
+        return { testFile, content: fenced ? fenced[1] : scaffold };
     } catch {
         return null;
     }
@@ -217,13 +257,17 @@ function generateSecretFix(finding, id, repoRoot) {
     const original = getLineContent(finding.file, finding.line, repoRoot);
     if (!original) return null;
 
-    // Extract variable name and suggest env var
-    const varMatch = original.match(/(?:const|let|var)\s+(\w+)/);
+    // Extract the declared or assigned name and suggest env var
+    const varMatch = original.match(/(?:const|let|var)\s+(\w+)/) || original.match(/(\w+)['"]?\s*[:=]\s*['"`]/);
     const varName = varMatch ? varMatch[1] : 'SECRET';
     const envVar = varName.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
 
+    // Swap the literal being assigned; otherwise rewrite the line as a declaration
+    const literal = /([:=]\s*)(['"`])(?:\\.|(?!\2).)*\2/;
     const indent = original.match(/^(\s*)/)?.[1] || '';
-    const replacement = `${indent}const ${varName} = process.env.${envVar};`;
+    const replacement = literal.test(original)
+        ? original.replace(literal, `$1process.env.${envVar}`)
+        : `${indent}const ${varName} = process.env.${envVar};`;
 
     return {
         id,
@@ -237,6 +281,23 @@ function generateSecretFix(finding, id, repoRoot) {
     };
 }
 
+function generateEnvSecretFix(finding, id, repoRoot) {
+    const original = getLineContent(finding.file, finding.line, repoRoot);
+    const key = original?.match(/^([A-Z_][A-Z0-9_]*)=/)?.[1];
+    if (!key) return null;
+
+    return {
+        id,
+        type: 'replace',
+        file: finding.file,
+        line: finding.line,
+        description: `Clear the value of ${key} — set it outside version control`,
+        original: original.trim(),
+        replacement: `${key}=`,
+        rule: 'secret',
+    };
+}
+
 function generateCatchFix(finding, id, repoRoot) {
     const original = getLineContent(finding.file, finding.line, repoRoot);
     if (!original) return null;
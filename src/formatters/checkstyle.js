@@ -0,0 +1,37 @@
+/**
+ * Checkstyle XML formatter — understood by Jenkins Warnings NG, SonarQube and most CI dashboards.
+ */
+
+import { toIssues, escapeXml, groupByFile } from './shared.js';
+
+// ReviewPilot severity → Checkstyle severity
+const CHECKSTYLE_SEVERITIES = {
+    critical: 'error',
+    error: 'error',
+    warning: 'warning',
+    info: 'info',
+    suggestion: 'info',
+};
+
+/**
+ * @param {object} results - Check results
+ * @returns {string}
+ */
+export function format(results) {
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<checkstyle version="4.3">'];
+
+    for (const [file, issues] of groupByFile(toIssues(results))) {
+        lines.push(`  <file name="${escapeXml(file)}">`);
+        for (const i of issues) {
+            lines.push(
+                `    <error line="${i.line || 0}" column="0" ` +
+                `severity="${CHECKSTYLE_SEVERITIES[i.severity] || 'warning'}" ` +
+                `message="${escapeXml(i.message)}" source="reviewpilot.${escapeXml(i.ruleId)}" />`
+            );
+        }
+        lines.push('  </file>');
+    }
+
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+}
@@ -0,0 +1,23 @@
+/**
+ * Compact formatter — one issue per line, grep- and editor-friendly:
+ *   src/app.js:12: error - Debugger statement left in code [heuristic/...]
+ */
+
+import { toIssues } from './shared.js';
+
+/**
+ * @param {object} results - Check results
+ * @returns {string}
+ */
+export function format(results) {
+    const issues = toIssues(results);
+
+    const lines = issues.map((i) => {
+        const loc = i.line ? `${i.file}:${i.line}` : i.file;
+        return `${loc}: ${i.severity} - ${i.message} [${i.ruleId}]`;
+    });
+
+    lines.push('');
+    lines.push(`${issues.length} problem(s)`);
+    return lines.join('\n');
+}
@@ -0,0 +1,37 @@
+/**
+ * GitLab Code Quality formatter — the JSON array expected by
+ * `artifacts:reports:codequality` in `.gitlab-ci.yml`.
+ */
+
+import { createHash } from 'node:crypto';
+import { toIssues } from './shared.js';
+
+// ReviewPilot severity → GitLab Code Quality severity
+const GITLAB_SEVERITIES = {
+    critical: 'critical',
+    error: 'major',
+    warning: 'minor',
+    info: 'info',
+    suggestion: 'info',
+};
+
+/**
+ * @param {object} results - Check results
+ * @returns {string}
+ */
+export function format(results) {
+    const report = toIssues(results).map((i) => ({
+        description: i.message,
+        check_name: i.ruleId,
+        fingerprint: createHash('md5')
+            .update(i.fingerprint ? `${i.ruleId}:${i.fingerprint}` : `${i.ruleId}:${i.file}:${i.line || 0}:${i.message}`)
+            .digest('hex'),
+        severity: GITLAB_SEVERITIES[i.severity] || 'minor',
+        location: {
+            path: i.file,
+            lines: { begin: i.line || 1 },
+        },
+    }));
+
+    return JSON.stringify(report, null, 2);
+}
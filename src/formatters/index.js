@@ -0,0 +1,103 @@
+/**
+ * Report formatter registry.
+ *
+ * A formatter turns the check results into a string (console report, XML, JSON…).
+ * Built-in formatters are registered on import; teams can add their own via the
+ * `formatters` map in `.reviewpilotrc`:
+ *
+ *   { "formatters": { "teamcity": "./tools/teamcity-formatter.js" } }
+ *
+ * A custom formatter module default-exports either a function
+ * `(results, context) => string` or an object `{ format(results, context) }`.
+ */
+
+import { isAbsolute, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as stylish from './stylish.js';
+import * as json from './json.js';
+import * as junit from './junit.js';
+import * as checkstyle from './checkstyle.js';
+import * as gitlabCodeQuality from './gitlab-codequality.js';
+import * as compact from './compact.js';
+import * as sarif from './sarif.js';
+
+/**
+ * @callback FormatFn
+ * @param {object} results - Check results (findings, budgetViolations, breakingChanges, …)
+ * @param {{ repoRoot: string, color: boolean }} context
+ * @returns {string|Promise<string>}
+ */
+
+/** @type {Map<string, FormatFn>} */
+const registry = new Map();
+
+/**
+ * Registers (or replaces) a formatter under the given name.
+ *
+ * @param {string} name
+ * @param {FormatFn | { format: FormatFn }} formatter
+ */
+export function registerFormatter(name, formatter) {
+    const fn = typeof formatter === 'function' ? formatter : formatter?.format;
+    if (!name || typeof fn !== 'function') {
+        throw new Error(`Formatter "${name}" must be a function or an object with a format() method`);
+    }
+    registry.set(name, fn);
+}
+
+/**
+ * Returns the formatter registered under `name`.
+ *
+ * @param {string} name
+ * @returns {FormatFn}
+ * @throws {Error} If no formatter with that name exists
+ */
+export function getFormatter(name) {
+    const fn = registry.get(name);
+    if (!fn) {
+        throw new Error(`Unknown format "${name}". Available formats: ${listFormatters().join(', ')}`);
+    }
+    return fn;
+}
+
+/**
+ * @returns {string[]} Names of all registered formatters
+ */
+export function listFormatters() {
+    return [...registry.keys()];
+}
+
+/**
+ * Loads custom formatter modules declared in the config `formatters` map.
+ * Paths are resolved relative to the repo root.
+ *
+ * @param {object} config - Loaded config (needs `repoRoot` and optional `formatters`)
+ * @returns {Promise<string[]>} Names of the formatters that were registered
+ */
+export async function loadCustomFormatters(config) {
+    const entries = Object.entries(config.formatters || {});
+    const loaded = [];
+
+    for (const [name, modulePath] of entries) {
+        const fullPath = isAbsolute(modulePath) ? modulePath : resolve(config.repoRoot, modulePath);
+        try {
+            const mod = await import(pathToFileURL(fullPath).href);
+            registerFormatter(name, mod.default || mod);
+            loaded.push(name);
+        } catch (err) {
+            console.warn(`  ⚠ Formatter "${name}": failed to load — ${err.message}`);
+        }
+    }
+
+    return loaded;
+}
+
+// ── Built-ins ────────────────────────────────────────────────
+
+registerFormatter('stylish', stylish);
+registerFormatter('json', json);
+registerFormatter('junit', junit);
+registerFormatter('checkstyle', checkstyle);
+registerFormatter('gitlab-codequality', gitlabCodeQuality);
+registerFormatter('compact', compact);
+registerFormatter('sarif', sarif);
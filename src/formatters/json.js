@@ -0,0 +1,52 @@
+/**
+ * JSON formatter — the full result set as a single machine-readable document.
+ */
+
+/**
+ * @param {object} results - Check results
+ * @returns {string}
+ */
+export function format(results) {
+    const {
+        findings = [],
+        baselinedCount = 0,
+        budgetViolations = [],
+        breakingChanges = [],
+        versions = null,
+        cycles = { introduced: [], preexisting: [] },
+        testCoverage = null,
+        gate = null,
+        errors = [],
+    } = results;
+
+    const bySeverity = {};
+    for (const f of findings) {
+        bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1;
+    }
+
+    return JSON.stringify({
+        summary: {
+            findings: findings.length,
+            bySeverity,
+            baselined: baselinedCount,
+            budgetViolations: budgetViolations.length,
+            breakingChanges: breakingChanges.length,
+            newImportCycles: cycles.introduced.length,
+            preexistingImportCycles: cycles.preexisting.length,
+            untestedFiles: testCoverage?.untestedFiles.length ?? 0,
+            diffCoverage: testCoverage?.diffCoverage?.percent ?? null,
+            affectedTests: testCoverage?.affectedTests?.tests.length ?? null,
+            testsPassed: testCoverage?.testRun ? testCoverage.testRun.passed : null,
+            stepFailures: errors.length,
+            gatePassed: gate ? gate.passed : null,
+        },
+        gate,
+        findings,
+        budgetViolations,
+        breakingChanges,
+        versions,
+        cycles,
+        testCoverage,
+        errors,
+    }, null, 2);
+}
@@ -0,0 +1,54 @@
+/**
+ * JUnit XML formatter — one test suite per changed file, one failing test case per issue.
+ * Files without issues are reported as a single passing test case so CI shows them as green.
+ */
+
+import { toIssues, escapeXml, groupByFile } from './shared.js';
+
+/**
+ * @param {object} results - Check results
+ * @returns {string}
+ */
+export function format(results) {
+    const groups = groupByFile(toIssues(results));
+
+    // Include analyzed files without issues as passing suites
+    for (const f of results.diffAnalysis?.files || []) {
+        if (f.type !== 'deleted' && !groups.has(f.file)) groups.set(f.file, []);
+    }
+
+    let totalTests = 0;
+    let totalFailures = 0;
+    const suites = [];
+
+    for (const [file, issues] of groups) {
+        const tests = Math.max(issues.length, 1);
+        totalTests += tests;
+        totalFailures += issues.length;
+
+        suites.push(`  <testsuite name="${escapeXml(file)}" tests="${tests}" failures="${issues.length}" errors="0">`);
+
+        if (issues.length === 0) {
+            suites.push(`    <testcase name="reviewpilot" classname="${escapeXml(file)}" />`);
+        }
+
+        for (const i of issues) {
+            const loc = i.line ? `${file}:${i.line}` : file;
+            suites.push(`    <testcase name="${escapeXml(`${loc} ${i.ruleId}`)}" classname="${escapeXml(file)}">`);
+            suites.push(
+                `      <failure message="${escapeXml(i.message)}" type="${i.severity}">` +
+                `${escapeXml(`${i.severity.toUpperCase()} ${loc}\n${i.message}\nRule: ${i.ruleId}`)}</failure>`
+            );
+            suites.push('    </testcase>');
+        }
+
+        suites.push('  </testsuite>');
+    }
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<testsuites name="reviewpilot" tests="${totalTests}" failures="${totalFailures}" errors="${(results.errors || []).length}">`,
+        ...suites,
+        '</testsuites>',
+    ].join('\n');
+}
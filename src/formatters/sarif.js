@@ -0,0 +1,219 @@
+/**
+ * SARIF 2.1.0 formatter.
+ * Converts ReviewPilot results into a Static Analysis Results Interchange Format log
+ * that code-scanning dashboards (GitHub, Azure DevOps, etc.) can ingest directly.
+ *
+ * Each smart-linter layer is emitted as its own tool component (rule set), while
+ * budget violations and breaking changes are reported by the driver itself.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { getRuleId } from './shared.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/Gokul287/Review-Pilot';
+
+// Smart-linter layers, in the order they appear in `tool.extensions`
+const LINTER_LAYERS = ['heuristic', 'entropy', 'ast', 'plugin', 'copilot'];
+
+const LAYER_DESCRIPTIONS = {
+    heuristic: 'Fast regex-based pattern checks',
+    entropy: 'Entropy-based secret detection',
+    ast: 'Babel AST semantic analysis',
+    plugin: 'Custom rules from the plugin directory',
+    copilot: 'Copilot-powered semantic review',
+};
+
+// ReviewPilot severity → SARIF result level
+const SEVERITY_LEVELS = {
+    critical: 'error',
+    error: 'error',
+    warning: 'warning',
+    info: 'note',
+    suggestion: 'note',
+};
+
+// Breaking change severity → SARIF result level
+const BREAKING_LEVELS = {
+    major: 'error',
+    minor: 'warning',
+    patch: 'note',
+};
+
+/**
+ * Builds a SARIF 2.1.0 log from check results.
+ *
+ * @param {object} results
+ * @param {import('../linters/smart-linter.js').Finding[]} [results.findings]
+ * @param {import('../validators/performance-budget.js').BudgetViolation[]} [results.budgetViolations]
+ * @param {import('../detectors/breaking-changes.js').BreakingChange[]} [results.breakingChanges]
+ * @param {Array<{ step: string, error: string }>} [results.errors]
+ * @param {object} [options={}]
+ * @param {string} [options.repoRoot=process.cwd()] - Used as the %SRCROOT% base URI
+ * @returns {object} SARIF log object (serialize with JSON.stringify)
+ */
+export function buildSarifLog(results, options = {}) {
+    const { repoRoot = process.cwd() } = options;
+    const {
+        findings = [],
+        budgetViolations = [],
+        breakingChanges = [],
+        errors = [],
+    } = results;
+
+    const driver = createComponent('ReviewPilot', 'AI-native code review companion');
+    driver.version = getVersion();
+    driver.informationUri = INFORMATION_URI;
+
+    const extensions = LINTER_LAYERS.map((layer) => createComponent(layer, LAYER_DESCRIPTIONS[layer]));
+    const sarifResults = [];
+
+    // ── Smart-linter findings ────────────────────────────────
+    for (const f of findings) {
+        const layerIndex = LINTER_LAYERS.indexOf(f.source);
+        const component = layerIndex === -1 ? driver : extensions[layerIndex];
+        const ruleId = getRuleId(f);
+        const ruleIndex = registerRule(component, ruleId, f.message, SEVERITY_LEVELS[f.severity]);
+
+        sarifResults.push({
+            ruleId,
+            ruleIndex,
+            rule: {
+                id: ruleId,
+                index: ruleIndex,
+                ...(layerIndex === -1 ? {} : { toolComponent: { index: layerIndex } }),
+            },
+            level: SEVERITY_LEVELS[f.severity] || 'warning',
+            message: { text: f.message },
+            locations: [createLocation(f.file, f.line, f.snippet)],
+            ...(f.fingerprint ? { partialFingerprints: { 'reviewpilot/v1': f.fingerprint } } : {}),
+            properties: { severity: f.severity, source: f.source, category: f.category },
+        });
+    }
+
+    // ── Performance budget violations ────────────────────────
+    for (const v of budgetViolations) {
+        const ruleId = `budget/${v.type}`;
+        const ruleIndex = registerRule(driver, ruleId, `Performance budget: ${v.type}`, 'warning');
+
+        sarifResults.push({
+            ruleId,
+            ruleIndex,
+            level: 'warning',
+            message: { text: v.message },
+            locations: [createLocation(v.file, v.line || null)],
+            properties: { actual: v.actual, limit: v.limit },
+        });
+    }
+
+    // ── Breaking changes ─────────────────────────────────────
+    for (const bc of breakingChanges) {
+        const ruleId = `breaking/${bc.severity}`;
+        const ruleIndex = registerRule(driver, ruleId, `${capitalize(bc.severity)} API change`, BREAKING_LEVELS[bc.severity]);
+
+        sarifResults.push({
+            ruleId,
+            ruleIndex,
+            level: BREAKING_LEVELS[bc.severity] || 'warning',
+            message: { text: `${bc.functionName}: ${bc.description}` },
+            locations: [createLocation(bc.file, null)],
+            properties: {
+                functionName: bc.functionName,
+                kind: bc.kind,
+                oldSignature: bc.oldSignature,
+                newSignature: bc.newSignature,
+            },
+        });
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [
+            {
+                tool: { driver, extensions },
+                originalUriBaseIds: {
+                    SRCROOT: { uri: toDirectoryUri(repoRoot) },
+                },
+                invocations: [
+                    {
+                        executionSuccessful: errors.length === 0,
+                        toolExecutionNotifications: errors.map((e) => ({
+                            level: 'error',
+                            message: { text: `${e.step}: ${e.error}` },
+                        })),
+                    },
+                ],
+                results: sarifResults,
+            },
+        ],
+    };
+}
+
+/**
+ * Formatter entry point used by the report registry.
+ *
+ * @param {object} results - Check results
+ * @param {{ repoRoot?: string }} [context={}]
+ * @returns {string}
+ */
+export function format(results, context = {}) {
+    return JSON.stringify(buildSarifLog(results, context), null, 2);
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function createComponent(name, description) {
+    return {
+        name,
+        shortDescription: { text: description },
+        rules: [],
+    };
+}
+
+function registerRule(component, ruleId, description, level = 'warning') {
+    const existing = component.rules.findIndex((r) => r.id === ruleId);
+    if (existing !== -1) return existing;
+
+    component.rules.push({
+        id: ruleId,
+        shortDescription: { text: description.split(': ')[0].slice(0, 200) },
+        defaultConfiguration: { level },
+    });
+    return component.rules.length - 1;
+}
+
+function createLocation(file, line, snippet = null) {
+    const physicalLocation = {
+        artifactLocation: { uri: file.replace(/\\/g, '/'), uriBaseId: 'SRCROOT' },
+    };
+
+    if (line && line > 0) {
+        physicalLocation.region = { startLine: line };
+        if (snippet) physicalLocation.region.snippet = { text: snippet };
+    }
+
+    return { physicalLocation };
+}
+
+function toDirectoryUri(dir) {
+    const uri = pathToFileURL(dir).href;
+    return uri.endsWith('/') ? uri : `${uri}/`;
+}
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function getVersion() {
+    try {
+        const pkg = JSON.parse(readFileSync(join(__dirname, '../../package.json'), 'utf-8'));
+        return pkg.version || 'unknown';
+    } catch {
+        return 'unknown';
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Helpers shared by the built-in report formatters.
+ */
+
+// Breaking change severity → finding severity
+const BREAKING_SEVERITIES = {
+    major: 'error',
+    minor: 'warning',
+    patch: 'info',
+};
+
+/**
+ * @typedef {object} Issue
+ * @property {string} file
+ * @property {number|null} line
+ * @property {'critical'|'error'|'warning'|'info'|'suggestion'} severity
+ * @property {string} message
+ * @property {string} source  - Linter layer, or `budget` / `breaking`
+ * @property {string} ruleId
+ * @property {string} [fingerprint]
+ */
+
+/**
+ * Flattens findings, budget violations and breaking changes into a single
+ * issue list for formats that only know about "problems at a location".
+ *
+ * @param {object} results - Check results
+ * @returns {Issue[]}
+ */
+export function toIssues(results) {
+    const { findings = [], budgetViolations = [], breakingChanges = [] } = results;
+    const issues = [];
+
+    for (const f of findings) {
+        issues.push({
+            file: f.file,
+            line: f.line || null,
+            severity: f.severity,
+            message: f.message,
+            source: f.source,
+            ruleId: getRuleId(f),
+            fingerprint: f.fingerprint,
+        });
+    }
+
+    for (const v of budgetViolations) {
+        issues.push({
+            file: v.file,
+            line: v.line || null,
+            severity: 'warning',
+            message: v.message,
+            source: 'budget',
+            ruleId: `budget/${v.type}`,
+        });
+    }
+
+    for (const bc of breakingChanges) {
+        issues.push({
+            file: bc.file,
+            line: null,
+            severity: BREAKING_SEVERITIES[bc.severity] || 'warning',
+            message: `${bc.functionName}: ${bc.description}`,
+            source: 'breaking',
+            ruleId: `breaking/${bc.severity}`,
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Returns the finding's rule ID. Findings saved before rule IDs existed get
+ * one derived from their source layer and message template (the code excerpt
+ * after a colon is ignored).
+ *
+ * @param {import('../linters/smart-linter.js').Finding} finding
+ * @returns {string} e.g. `heuristic/debugger-statement-left-in-code`
+ */
+export function getRuleId(finding) {
+    if (finding.ruleId) return finding.ruleId;
+
+    const source = finding.source || 'reviewpilot';
+    const message = finding.message || '';
+
+    // Plugin messages are prefixed with the plugin name: "[no-axios] ..."
+    const pluginMatch = message.match(/^\[([^\]]+)\]/);
+    if (source === 'plugin' && pluginMatch) {
+        return `plugin/${slugify(pluginMatch[1])}`;
+    }
+
+    const template = message
+        .split(': ')[0]
+        .replace(/"[^"]*"/g, '')
+        .replace(/\([^)]*\d[^)]*\)/g, '');
+
+    return `${source}/${slugify(template) || 'finding'}`;
+}
+
+/**
+ * Escapes a string for use in XML text and attribute values.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeXml(str) {
+    return String(str ?? '')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Groups issues by file path, preserving first-seen order.
+ * @param {Issue[]} issues
+ * @returns {Map<string, Issue[]>}
+ */
+export function groupByFile(issues) {
+    const groups = new Map();
+    for (const issue of issues) {
+        if (!groups.has(issue.file)) groups.set(issue.file, []);
+        groups.get(issue.file).push(issue);
+    }
+    return groups;
+}
+
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,147 @@
+/**
+ * Stylish formatter — the coloured console report ReviewPilot has always printed.
+ */
+
+import { Chalk, supportsColor } from 'chalk';
+import { formatRanges } from '../validators/diff-coverage.js';
+
+// Broken call sites listed under each breaking change; the rest are findings
+const MAX_CALL_SITES = 5;
+
+// Affected test files listed, and lines of a failed run's output shown
+const MAX_AFFECTED_TESTS = 10;
+const TEST_OUTPUT_LINES = 30;
+
+/**
+ * @param {object} results - Check results
+ * @param {object} [context={}]
+ * @param {boolean} [context.color] - Force colours on/off (defaults to terminal support)
+ * @returns {string}
+ */
+export function format(results, context = {}) {
+    const color = context.color ?? Boolean(supportsColor);
+    const c = new Chalk({ level: color ? (supportsColor?.level || 1) : 0 });
+    const {
+        findings = [], baselinedCount = 0, budgetViolations = [], breakingChanges = [], cycles = null, testCoverage = null,
+        prDescription, checklist,
+    } = results;
+    const out = [];
+
+    const heading = (text) => {
+        out.push('');
+        out.push(c.bold.cyan(`  ✦ ${text}`));
+        out.push(c.dim('  ' + '─'.repeat(50)));
+    };
+    const warn = (text) => out.push(c.yellow(`  ⚠ ${text}`));
+
+    const severityColors = {
+        critical: c.bgRed.white.bold,
+        error: c.red.bold,
+        warning: c.yellow,
+        info: c.blue,
+        suggestion: c.dim,
+    };
+
+    // Findings
+    if (findings.length > 0) {
+        heading('Findings');
+        for (const f of findings) {
+            const badge = severityColors[f.severity]?.(` ${f.severity.toUpperCase()} `) || c.dim(f.severity);
+            const loc = c.dim(`${f.file}${f.line ? `:${f.line}` : ''}`);
+            const src = f.source ? c.dim(` [${f.source}]`) : '';
+            out.push(`  ${badge} ${loc}  ${f.message}${src}`);
+        }
+    } else {
+        out.push(c.green('  ✔ No issues found — looking clean! 🎉'));
+    }
+    if (baselinedCount > 0) {
+        out.push(c.dim(`  ${baselinedCount} known finding(s) hidden by the baseline (--no-baseline to show)`));
+    }
+
+    // Budget violations
+    if (budgetViolations.length > 0) {
+        out.push('');
+        heading('Performance Budget Violations');
+        for (const v of budgetViolations) {
+            warn(`${v.file}: ${v.message}`);
+        }
+    }
+
+    // Added lines the test run never executed
+    const diffCoverage = testCoverage?.diffCoverage;
+    if (diffCoverage?.percent != null) {
+        out.push('');
+        heading(`Diff Coverage ${diffCoverage.percent}% (${diffCoverage.covered}/${diffCoverage.total} added lines)`);
+        for (const f of diffCoverage.files.filter((entry) => entry.uncovered.length > 0)) {
+            warn(`${f.file}: ${f.percent}% — uncovered lines ${formatRanges(f.uncovered)}`);
+        }
+        if (diffCoverage.unmeasured.length > 0) {
+            out.push(c.dim(`  Not in ${diffCoverage.reports.join(', ')}: ${diffCoverage.unmeasured.join(', ')}`));
+        }
+    }
+
+    // Tests importing the changed code, and the result of running them
+    const affectedTests = testCoverage?.affectedTests;
+    const testRun = testCoverage?.testRun;
+    if (affectedTests?.tests.length > 0 || testRun) {
+        out.push('');
+        heading(`Affected Tests (${affectedTests?.tests.length ?? 0})`);
+        for (const test of (affectedTests?.tests || []).slice(0, MAX_AFFECTED_TESTS)) {
+            out.push(c.dim(`  ${test.file}`));
+        }
+        if (affectedTests?.tests.length > MAX_AFFECTED_TESTS) {
+            out.push(c.dim(`  … and ${affectedTests.tests.length - MAX_AFFECTED_TESTS} more`));
+        }
+        if (affectedTests?.fullRun) {
+            warn(`${affectedTests.fullRun} changed — every test may be affected`);
+        }
+        if (testRun?.passed) {
+            out.push(c.green(`  ✔ Passed: ${testRun.command} (${(testRun.durationMs / 1000).toFixed(1)}s)`));
+        } else if (testRun) {
+            out.push(c.red(`  ✖ ${testRun.timedOut ? 'Timed out' : 'Failed'}: ${testRun.command}`));
+            const tail = (testRun.output || '').trimEnd().split('\n').slice(-TEST_OUTPUT_LINES);
+            out.push(...tail.map((line) => c.dim(`    ${line}`)));
+        }
+    }
+
+    // Breaking changes
+    if (breakingChanges.length > 0) {
+        out.push('');
+        heading('Breaking Changes');
+        for (const bc of breakingChanges) {
+            warn(`${bc.file}: ${bc.functionName} — ${bc.description}`);
+            for (const site of (bc.callSites || []).slice(0, MAX_CALL_SITES)) {
+                out.push(c.dim(`      ↳ ${site.file}:${site.line} ${site.reason}`));
+            }
+            if (bc.callSites?.length > MAX_CALL_SITES) {
+                out.push(c.dim(`      … and ${bc.callSites.length - MAX_CALL_SITES} more call site(s)`));
+            }
+        }
+    }
+
+    // Import cycles that existed before this change (introduced ones are findings)
+    if (cycles?.preexisting.length > 0) {
+        out.push('');
+        heading('Pre-existing Import Cycles');
+        out.push(c.dim('  Not introduced by this change and not gated:'));
+        for (const cycle of cycles.preexisting) {
+            out.push(c.dim(`  ↻ ${cycle.path.join(' → ')}`));
+        }
+    }
+
+    // PR description
+    if (prDescription) {
+        out.push('');
+        heading('Generated PR Description');
+        out.push(prDescription);
+    }
+
+    // Checklist
+    if (checklist) {
+        out.push('');
+        heading('Review Checklist');
+        out.push(checklist);
+    }
+
+    return out.join('\n');
+}
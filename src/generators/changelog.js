@@ -0,0 +1,252 @@
+/**
+ * Changelog and migration guide generation.
+ *
+ * The changelog section follows Keep a Changelog (https://keepachangelog.com):
+ * entries come from the API diff (breaking changes and new exports), from
+ * added or deleted source modules, and from conventional commit messages on
+ * the branch. The migration guide shows the before/after signature of every
+ * major change, with the callers in this repository that still need updating.
+ */
+
+// Keep a Changelog section order
+const SECTIONS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// Conventional commit type → changelog section (other types are not user-facing)
+const COMMIT_SECTIONS = {
+    feat: 'Added',
+    fix: 'Fixed',
+    perf: 'Changed',
+    revert: 'Changed',
+    deprecate: 'Deprecated',
+    security: 'Security',
+};
+
+// API change kinds that take something away rather than change it
+const REMOVAL_KINDS = new Set(['removed', 'member-removed']);
+
+const CHANGELOG_HEADER = [
+    '# Changelog',
+    '',
+    'All notable changes to this project will be documented in this file.',
+    '',
+    'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/),',
+    'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).',
+    '',
+].join('\n');
+
+const UNRELEASED = /^##\s+\[?Unreleased\]?\s*$/i;
+
+/**
+ * @typedef {object} ConventionalCommit
+ * @property {string} type        - e.g. `feat`, `fix`
+ * @property {string|null} scope
+ * @property {boolean} breaking   - `type!:` or a `BREAKING CHANGE:` footer
+ * @property {string} description
+ * @property {string|null} breakingNote - Text of the `BREAKING CHANGE:` footer
+ */
+
+/**
+ * Parses a commit message written as a conventional commit
+ * (`type(scope)!: description`).
+ *
+ * @param {string} message - Full commit message
+ * @returns {ConventionalCommit|null} null when the subject does not follow the convention
+ */
+export function parseConventionalCommit(message) {
+    const [subject, ...body] = message.trim().split('\n');
+    const match = /^(\w+)(?:\(([^)]+)\))?(!)?:\s+(.+)$/.exec(subject.trim());
+    if (!match) return null;
+
+    const footer = body.join('\n').match(/^BREAKING[ -]CHANGE:\s*([\s\S]+?)(?:\n\s*\n|(?![\s\S]))/m);
+    return {
+        type: match[1].toLowerCase(),
+        scope: match[2] || null,
+        breaking: Boolean(match[3] || footer),
+        description: match[4].trim(),
+        breakingNote: footer ? footer[1].replace(/\s+/g, ' ').trim() : null,
+    };
+}
+
+/**
+ * Builds the `[Unreleased]` changelog section for a change.
+ *
+ * @param {object} params
+ * @param {import('../analyzers/diff-processor.js').DiffAnalysis} params.diffAnalysis
+ * @param {import('../detectors/breaking-changes.js').BreakingChange[]} params.breakingChanges
+ * @param {string[]} [params.commits=[]] - Commit messages on the branch, oldest first
+ * @returns {string} Markdown, empty when nothing is worth listing
+ */
+export function generateChangelog({ diffAnalysis, breakingChanges, commits = [] }) {
+    const entries = new Map(SECTIONS.map((s) => [s, []]));
+    const add = (section, text) => {
+        if (!entries.get(section).includes(text)) entries.get(section).push(text);
+    };
+
+    for (const bc of breakingChanges) {
+        const name = `\`${bc.functionName}\` (\`${bc.file}\`)`;
+        if (bc.severity === 'major') {
+            add(REMOVAL_KINDS.has(bc.kind) ? 'Removed' : 'Changed', `**BREAKING:** ${name}: ${firstLine(bc.description)}`);
+        } else if (bc.severity === 'minor') {
+            add('Added', bc.kind === 'added' ? `${name} is now exported` : `${name}: ${firstLine(bc.description)}`);
+        }
+    }
+
+    // Whole modules are not part of the API diff, which compares modified files
+    for (const file of diffAnalysis.files.filter((f) => f.category === 'feature')) {
+        if (file.type === 'added') add('Added', `New module \`${file.file}\``);
+        if (file.type === 'deleted') add('Removed', `Module \`${file.file}\` was removed`);
+    }
+
+    for (const message of commits) {
+        const commit = parseConventionalCommit(message);
+        if (!commit) continue;
+        const text = (commit.scope ? `**${commit.scope}:** ` : '') + capitalize(commit.description);
+        if (commit.breaking) {
+            add('Changed', `**BREAKING:** ${text}${commit.breakingNote ? ` — ${commit.breakingNote}` : ''}`);
+        } else if (COMMIT_SECTIONS[commit.type]) {
+            add(COMMIT_SECTIONS[commit.type], text);
+        }
+    }
+
+    const lines = [];
+    for (const [section, items] of entries) {
+        if (items.length === 0) continue;
+        lines.push(`### ${section}`, '', ...items.map((item) => `- ${item}`), '');
+    }
+    return lines.length > 0 ? ['## [Unreleased]', '', ...lines].join('\n') : '';
+}
+
+/**
+ * Builds the migration guide section: one entry per major change with its
+ * signature before and after.
+ *
+ * @param {import('../detectors/breaking-changes.js').BreakingChange[]} breakingChanges
+ * @returns {string} Markdown, empty without major changes
+ */
+export function generateMigrationGuide(breakingChanges) {
+    const major = breakingChanges.filter((c) => c.severity === 'major');
+    if (major.length === 0) return '';
+
+    const lines = ['## Unreleased', ''];
+    for (const bc of major) {
+        lines.push(`### \`${bc.functionName}\` — \`${bc.file}\``, '');
+        lines.push(...bc.changes.map((c) => `- ${capitalize(c.description)}`), '');
+        lines.push('```diff');
+        lines.push(`- ${renderSignature(bc, bc.oldSignature)}`);
+        lines.push(`+ ${renderSignature(bc, bc.newSignature)}`);
+        lines.push('```', '');
+        if (bc.callSites?.length > 0) {
+            lines.push('Callers to update:', '');
+            lines.push(...bc.callSites.map((s) => `- \`${s.file}:${s.line}\` — ${s.reason}`), '');
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Merges a generated `[Unreleased]` section into an existing changelog.
+ * Entries already listed are not repeated, so re-running on the same branch
+ * changes nothing; a missing changelog is created with the standard header.
+ *
+ * @param {string|null} changelog - Current CHANGELOG.md content
+ * @param {string} section - Output of generateChangelog
+ * @returns {string}
+ */
+export function insertIntoChangelog(changelog, section) {
+    if (!changelog?.trim()) return `${CHANGELOG_HEADER}\n${section.trimEnd()}\n`;
+
+    const lines = changelog.split('\n');
+    const start = lines.findIndex((l) => UNRELEASED.test(l));
+    if (start === -1) return insertBeforeReleases(lines, section);
+
+    const end = nextHeading(lines, start + 1);
+    const existing = parseSubsections(lines.slice(start + 1, end));
+    for (const [name, items] of parseSubsections(section.split('\n').slice(1)).sections) {
+        const target = existing.sections.get(name) || [];
+        existing.sections.set(name, [...target, ...items.filter((item) => !target.includes(item))]);
+    }
+
+    return [...lines.slice(0, start + 1), ...renderSubsections(existing), ...lines.slice(end)].join('\n');
+}
+
+/**
+ * Puts a generated migration section into an existing guide, replacing an
+ * earlier `Unreleased` section; a missing guide is created.
+ *
+ * @param {string|null} guide - Current MIGRATION.md content
+ * @param {string} section - Output of generateMigrationGuide
+ * @returns {string}
+ */
+export function insertIntoMigrationGuide(guide, section) {
+    if (!guide?.trim()) return `# Migration Guide\n\n${section.trimEnd()}\n`;
+
+    const lines = guide.split('\n');
+    const start = lines.findIndex((l) => UNRELEASED.test(l));
+    if (start === -1) return insertBeforeReleases(lines, section);
+
+    const end = nextHeading(lines, start + 1);
+    const after = lines.slice(end);
+    return [...lines.slice(0, start), section.trimEnd(), ...(after.length > 0 ? ['', ...after] : [''])].join('\n');
+}
+
+// --- Internals ---
+
+function renderSignature(bc, signature) {
+    if (signature === '(removed)' || signature === '(new)') return `${bc.functionName} ${signature}`;
+    // Star re-exports are described by their `export * from` statement
+    if (signature.startsWith('export ')) return signature;
+    // Types, interface members and enum values have no parameter list
+    if (/^(type|property|enum)-/.test(bc.kind)) return `${bc.functionName}: ${signature}`;
+    return `${bc.functionName}(${signature})`;
+}
+
+/** Index of the next `## ` heading at or after `from`, or the end. */
+function nextHeading(lines, from) {
+    const index = lines.slice(from).findIndex((l) => /^##\s/.test(l));
+    return index === -1 ? lines.length : from + index;
+}
+
+function insertBeforeReleases(lines, section) {
+    const first = nextHeading(lines, 0);
+    const before = lines.slice(0, first);
+    while (before.length > 0 && before[before.length - 1].trim() === '') before.pop();
+    return [...before, '', section.trimEnd(), '', ...lines.slice(first)].join('\n');
+}
+
+/** Splits a section body into free text before the first `###` and bullet lists per subsection. */
+function parseSubsections(lines) {
+    const result = { intro: [], sections: new Map() };
+    let current = null;
+    for (const line of lines) {
+        const heading = /^###\s+(.+?)\s*$/.exec(line);
+        if (heading) {
+            current = heading[1];
+            if (!result.sections.has(current)) result.sections.set(current, []);
+        } else if (current && line.trim()) {
+            result.sections.get(current).push(line);
+        } else if (!current) {
+            result.intro.push(line);
+        }
+    }
+    return result;
+}
+
+function renderSubsections({ intro, sections }) {
+    const lines = [...intro];
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+    lines.push('');
+
+    const names = [...SECTIONS.filter((s) => sections.has(s)), ...[...sections.keys()].filter((s) => !SECTIONS.includes(s))];
+    for (const name of names) {
+        lines.push(`### ${name}`, '', ...sections.get(name), '');
+    }
+    return lines;
+}
+
+function firstLine(text) {
+    return text.split('\n')[0];
+}
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
@@ -74,7 +74,7 @@ export async function buildChecklist({ diffAnalysis, breakingChanges, findings }
     if (breakingChanges.some((c) => c.severity === 'major')) {
         categories.add('api');
     }
-    if (findings.some((f) => f.message.toLowerCase().includes('secret') || f.message.toLowerCase().includes('credential'))) {
+    if (findings.some((f) => f.category === 'security' || f.message.toLowerCase().includes('secret') || f.message.toLowerCase().includes('credential'))) {
         categories.add('security');
     }
 
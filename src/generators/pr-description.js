@@ -1,4 +1,13 @@
 import { askCopilot } from '../utils/copilot.js';
+import { formatRanges } from '../validators/diff-coverage.js';
+
+// Why a package needs the bump, by its most severe API change
+const RELEASE_REASONS = {
+    major: 'breaking API changes',
+    minor: 'backwards-compatible API additions',
+    patch: 'compatible API changes',
+    none: 'changes without API impact',
+};
 
 /**
  * Generates a structured PR description in Markdown from the analysis results.
@@ -8,6 +17,8 @@ import { askCopilot } from '../utils/copilot.js';
  * @param {import('../linters/smart-linter.js').Finding[]} params.findings
  * @param {import('../validators/test-checker.js').TestCoverage} params.testCoverage
  * @param {import('../detectors/breaking-changes.js').BreakingChange[]} params.breakingChanges
+ * @param {import('../detectors/semver.js').PackageVersion[]|null} [params.versions] - Version recommendation per changed package
+ * @param {Map<string, import('../context/context-collector.js').Dependents>} [params.dependents] - Import impact per changed file
  * @param {string} params.branchName
  * @returns {Promise<string>}
  */
@@ -16,6 +27,8 @@ export async function generatePRDescription({
     findings,
     testCoverage,
     breakingChanges,
+    versions = null,
+    dependents = new Map(),
     branchName,
 }) {
     const sections = [];
@@ -56,6 +69,32 @@ export async function generatePRDescription({
         sections.push('### ⚠️ Breaking Changes');
         for (const bc of majorBreaking) {
             sections.push(`- **\`${bc.functionName}\`** in \`${bc.file}\`: ${bc.description}`);
+            for (const site of bc.callSites || []) {
+                sections.push(`  - Breaks \`${site.file}:${site.line}\` — ${site.reason}`);
+            }
+        }
+        sections.push('');
+    }
+
+    // --- Version ---
+    const releases = (versions || []).filter((p) => p.required !== 'none' && p.suggested);
+    if (releases.length > 0) {
+        sections.push('### 📦 Version');
+        for (const p of releases) {
+            const prefix = releases.length > 1 ? `- \`${p.name}\` — ` : '';
+            sections.push(`${prefix}**Suggested version:** \`${p.suggested}\` (${p.required}: ${RELEASE_REASONS[p.apiChange ?? 'none']}` +
+                (p.satisfied ? ')' : `; package.json is at ${p.to ?? 'no valid version'})`));
+        }
+        sections.push('');
+    }
+
+    // --- Impact ---
+    if (dependents.size > 0) {
+        sections.push('### 🔗 Impact');
+        for (const [file, { direct, transitive }] of dependents) {
+            const through = transitive.length > 0 ? `, ${transitive.length} more through them` : '';
+            const shown = direct.slice(0, 5).map((d) => `\`${d}\``).join(', ') + (direct.length > 5 ? ', …' : '');
+            sections.push(`- \`${file}\` is imported by ${direct.length} file(s)${through}: ${shown}`);
         }
         sections.push('');
     }
@@ -68,7 +107,8 @@ export async function generatePRDescription({
         for (const [severity, items] of Object.entries(bySeverity)) {
             sections.push(`\n**${severity.toUpperCase()}:**`);
             for (const item of items.slice(0, 10)) {
-                sections.push(`- \`${item.file}:${item.line}\` — ${item.message}`);
+                const loc = item.line ? `${item.file}:${item.line}` : item.file;
+                sections.push(`- \`${loc}\` — ${item.message}`);
             }
         }
         sections.push('');
@@ -84,6 +124,27 @@ export async function generatePRDescription({
             sections.push(`- \`${f}\``);
         }
     }
+    const diffCoverage = testCoverage.diffCoverage;
+    if (diffCoverage?.percent != null) {
+        sections.push('');
+        sections.push(`**Diff coverage:** ${diffCoverage.percent}% of added lines covered (${diffCoverage.covered}/${diffCoverage.total})`);
+        for (const f of diffCoverage.files.filter((entry) => entry.uncovered.length > 0)) {
+            sections.push(`- \`${f.file}\` — ${f.percent}%, uncovered lines ${formatRanges(f.uncovered)}`);
+        }
+    }
+    if (diffCoverage?.unmeasured.length > 0) {
+        sections.push('');
+        sections.push(`Not in the coverage report: ${diffCoverage.unmeasured.map((f) => `\`${f}\``).join(', ')}`);
+    }
+    const affectedTests = testCoverage.affectedTests?.tests || [];
+    if (affectedTests.length > 0) {
+        sections.push('');
+        sections.push(`**Affected tests:** ${affectedTests.length} test file(s) exercise the changed code`);
+    }
+    if (testCoverage.testRun) {
+        const { passed, timedOut, command } = testCoverage.testRun;
+        sections.push(passed ? `✅ \`${command}\` passed` : `❌ \`${command}\` ${timedOut ? 'timed out' : 'failed'}`);
+    }
     sections.push('');
 
     // --- AI Enhancement ---
@@ -0,0 +1,362 @@
+/**
+ * Offline test scaffolds.
+ *
+ * Builds a deterministic test skeleton for a source file: one `describe`
+ * per exported function (and per public method of exported classes) with a
+ * pending test for every branch the AST shows — both outcomes of each `if`
+ * and ternary, each `switch` case, empty loops, `catch` blocks and `throw`s.
+ * The framework and the place tests live are taken from the tests the
+ * repository already has.
+ */
+
+import { posix } from 'node:path';
+import babelTraverse from '@babel/traverse';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { isTestFile } from '../context/test-impact.js';
+
+// Babel traverse default export handling
+const traverse = babelTraverse.default || babelTraverse;
+
+const TEST_NAME = /\.(test|spec)\.[cm]?[jt]sx?$/;
+const TEST_ROOTS = new Set(['test', 'tests']);
+
+// Longest source excerpt quoted in a test title
+const MAX_LABEL = 60;
+
+// Framework → import line (ESM, CommonJS) and pending-test syntax
+const FRAMEWORKS = {
+    vitest: { esm: "import { describe, it } from 'vitest';", cjs: "const { describe, it } = require('vitest');", pending: 'it.todo' },
+    jest: { esm: null, cjs: null, pending: 'it.todo' },
+    mocha: { esm: null, cjs: null, pending: 'it' },
+    node: { esm: "import { describe, it } from 'node:test';", cjs: "const { describe, it } = require('node:test');", pending: 'it.todo' },
+};
+
+/**
+ * @typedef {object} TestLayout
+ * @property {'colocated'|'__tests__'|'mirror'} placement - Next to the source, in a sibling `__tests__`, or under a test root
+ * @property {string} root      - Test root for `mirror` (`tests` or `test`)
+ * @property {string|null} strip - Source prefix dropped under the test root (e.g. `src/`)
+ * @property {'.test'|'.spec'} suffix
+ */
+
+/**
+ * @typedef {object} ScaffoldTarget
+ * @property {string} name            - Export name (`default` for a default export)
+ * @property {'function'|'class'} kind
+ * @property {string[]} branches      - Pending test titles
+ * @property {Array<{ name: string, branches: string[] }>} [methods] - class
+ */
+
+/**
+ * Infers where tests live from the repository's existing test files. The most
+ * common placement wins; without any test file, tests go under `tests/`
+ * mirroring `src/`.
+ *
+ * @param {string[]} files - Every repo-relative file
+ * @returns {TestLayout}
+ */
+export function detectTestLayout(files) {
+    const fileSet = new Set(files);
+    const tests = files.filter((f) => TEST_NAME.test(f) && isTestFile(f));
+    const layout = { placement: 'mirror', root: 'tests', strip: 'src/', suffix: '.test' };
+    if (tests.length === 0) return layout;
+
+    const votes = { colocated: 0, __tests__: 0, mirror: 0 };
+    const roots = new Map();
+    let spec = 0;
+    let stripped = 0;
+    let kept = 0;
+
+    for (const test of tests) {
+        if (/\.spec\./.test(test)) spec++;
+        const segments = test.split('/');
+        if (segments.includes('__tests__')) {
+            votes.__tests__++;
+        } else if (TEST_ROOTS.has(segments[0])) {
+            votes.mirror++;
+            roots.set(segments[0], (roots.get(segments[0]) || 0) + 1);
+            // tests/a/b.test.js mirrors src/a/b.js or a/b.js
+            const source = segments.slice(1).join('/').replace(/\.(test|spec)\./, '.');
+            if (fileSet.has(`src/${source}`)) stripped++;
+            else if (fileSet.has(source)) kept++;
+        } else {
+            votes.colocated++;
+        }
+    }
+
+    layout.placement = Object.keys(votes).reduce((best, key) => (votes[key] > votes[best] ? key : best), 'mirror');
+    layout.root = [...roots].sort((a, b) => b[1] - a[1])[0]?.[0] || 'tests';
+    layout.strip = kept > stripped ? null : 'src/';
+    layout.suffix = spec > tests.length - spec ? '.spec' : '.test';
+    return layout;
+}
+
+/**
+ * The framework an existing test file is written for, from its imports and
+ * the globals it uses.
+ *
+ * @param {string} content - Test file source
+ * @returns {'vitest'|'jest'|'mocha'|'node'|null}
+ */
+export function frameworkOf(content) {
+    if (/from\s+['"]vitest['"]|require\(['"]vitest['"]\)/.test(content)) return 'vitest';
+    if (/from\s+['"]node:test['"]|require\(['"]node:test['"]\)/.test(content)) return 'node';
+    if (/@jest\/globals|\bjest\.(fn|mock|spyOn)\(/.test(content)) return 'jest';
+    if (/\b(before|after)Each\(\s*function\b|\bthis\.timeout\(|from\s+['"]chai['"]|require\(['"]chai['"]\)/.test(content)) return 'mocha';
+    return null;
+}
+
+/**
+ * Where the test for a source file goes under a layout.
+ *
+ * @param {string} sourceFile - Repo-relative source path
+ * @param {TestLayout} layout
+ * @returns {string} Repo-relative test path
+ */
+export function testPathFor(sourceFile, layout) {
+    const ext = posix.extname(sourceFile);
+    const dir = posix.dirname(sourceFile);
+    const name = `${posix.basename(sourceFile, ext)}${layout.suffix}${ext}`;
+
+    if (layout.placement === 'colocated') return posix.join(dir, name);
+    if (layout.placement === '__tests__') return posix.join(dir, '__tests__', name);
+
+    const relative = layout.strip && sourceFile.startsWith(layout.strip) ? sourceFile.slice(layout.strip.length) : sourceFile;
+    return posix.join(layout.root, posix.dirname(relative), name);
+}
+
+/**
+ * Lists the exported functions and classes of a module with the branch
+ * titles of each.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [parseCache]
+ * @returns {{ targets: ScaffoldTarget[], esm: boolean }|null} null when the file does not parse
+ */
+export function collectScaffoldTargets(content, filename, parseCache = createParseCache()) {
+    const ast = parseCache.parse(filename, content);
+    if (!ast) return null;
+
+    const declarations = new Map();
+    const exported = [];
+    let esm = false;
+    const exportAs = (name, path) => {
+        if (path && !exported.some((e) => e.name === name)) exported.push({ name, path });
+    };
+
+    traverse(ast, {
+        Program(path) {
+            for (const statement of path.get('body')) {
+                for (const [name, target] of topLevelBindings(statement)) declarations.set(name, target);
+            }
+        },
+        ImportDeclaration() {
+            esm = true;
+        },
+        ExportNamedDeclaration(path) {
+            esm = true;
+            const declaration = path.get('declaration');
+            if (declaration.node) {
+                for (const [name, target] of topLevelBindings(declaration)) exportAs(name, target);
+            } else if (!path.node.source) {
+                for (const specifier of path.node.specifiers) {
+                    if (specifier.type !== 'ExportSpecifier') continue;
+                    const name = specifier.exported.name ?? specifier.exported.value;
+                    exportAs(name, declarations.get(specifier.local.name));
+                }
+            }
+        },
+        ExportDefaultDeclaration(path) {
+            esm = true;
+            const declaration = path.get('declaration');
+            exportAs('default', declaration.isIdentifier() ? declarations.get(declaration.node.name) : callable(declaration));
+        },
+        AssignmentExpression(path) {
+            // module.exports = …, module.exports.x = …, exports.x = …
+            if (path.parentPath.parentPath?.type !== 'Program') return;
+            const target = commonJsExport(path.node.left);
+            if (!target) return;
+            const right = path.get('right');
+            if (target === 'module.exports' && right.isObjectExpression()) {
+                for (const property of right.get('properties')) {
+                    if (!property.isObjectProperty() && !property.isObjectMethod()) continue;
+                    const key = property.node.key.name ?? property.node.key.value;
+                    const value = property.isObjectMethod() ? property : property.get('value');
+                    exportAs(key, value.isIdentifier() ? declarations.get(value.node.name) : callable(value));
+                }
+            } else {
+                const value = right.isIdentifier() ? declarations.get(right.node.name) : callable(right);
+                exportAs(target === 'module.exports' ? 'default' : target, value);
+            }
+        },
+    });
+
+    const targets = exported.map(({ name, path }) => (path.isClass()
+        ? { name, kind: 'class', branches: [], methods: classMethods(path, content) }
+        : { name, kind: 'function', branches: collectBranches(path, content) }));
+    return { targets, esm: esm || /\.tsx?$/.test(filename) };
+}
+
+/**
+ * Renders the test skeleton for a source file.
+ *
+ * @param {object} params
+ * @param {string} params.sourceFile - Repo-relative source path
+ * @param {string} params.testFile   - Repo-relative test path
+ * @param {ScaffoldTarget[]} params.targets
+ * @param {boolean} params.esm       - Write `import` rather than `require`
+ * @param {'vitest'|'jest'|'mocha'|'node'} params.framework
+ * @returns {string}
+ */
+export function renderTestScaffold({ sourceFile, testFile, targets, esm, framework }) {
+    const { pending, ...imports } = FRAMEWORKS[framework] || FRAMEWORKS.vitest;
+    const specifier = importSpecifier(testFile, sourceFile);
+    const moduleName = identifierFor(sourceFile);
+    const named = targets.filter((t) => t.name !== 'default').map((t) => t.name);
+    const defaultTarget = targets.find((t) => t.name === 'default');
+
+    const lines = [];
+    const frameworkImport = esm ? imports.esm : imports.cjs;
+    if (frameworkImport) lines.push(frameworkImport);
+    if (esm) {
+        const bindings = [defaultTarget && moduleName, named.length > 0 && `{ ${named.join(', ')} }`].filter(Boolean);
+        lines.push(bindings.length > 0 ? `import ${bindings.join(', ')} from '${specifier}';` : `import '${specifier}';`);
+    } else if (defaultTarget) {
+        lines.push(`const ${moduleName} = require('${specifier}');`);
+    } else {
+        lines.push(named.length > 0 ? `const { ${named.join(', ')} } = require('${specifier}');` : `require('${specifier}');`);
+    }
+    lines.push('');
+
+    const pendingTests = (titles, indent) => {
+        const list = titles.length > 0 ? titles : ['returns the expected result'];
+        return list.map((title) => `${indent}${pending}(${quote(title)});`);
+    };
+
+    if (targets.length === 0) {
+        lines.push(`describe(${quote(sourceFile)}, () => {`, ...pendingTests([], '    '), '});', '');
+        return lines.join('\n');
+    }
+
+    for (const target of targets) {
+        const title = target.name === 'default' ? moduleName : target.name;
+        lines.push(`describe(${quote(title)}, () => {`);
+        if (target.kind === 'class') {
+            const methods = target.methods.length > 0 ? target.methods : [{ name: 'constructor', branches: [] }];
+            methods.forEach((method, i) => {
+                if (i > 0) lines.push('');
+                lines.push(`    describe(${quote(method.name)}, () => {`, ...pendingTests(method.branches, '        '), '    });');
+            });
+        } else {
+            lines.push(...pendingTests(target.branches, '    '));
+        }
+        lines.push('});', '');
+    }
+    return lines.join('\n');
+}
+
+// --- Internals ---
+
+/** Functions and classes a top-level statement declares, by name. */
+function topLevelBindings(path) {
+    const bindings = [];
+    if (path.isFunctionDeclaration() || path.isClassDeclaration()) {
+        if (path.node.id) bindings.push([path.node.id.name, path]);
+    } else if (path.isVariableDeclaration()) {
+        for (const declarator of path.get('declarations')) {
+            const init = declarator.get('init');
+            if (declarator.node.id.type === 'Identifier' && init.node && callable(init)) {
+                bindings.push([declarator.node.id.name, callable(init)]);
+            }
+        }
+    }
+    return bindings;
+}
+
+/** The path itself when it is a function or class, else null. */
+function callable(path) {
+    return path?.isFunction() || path?.isClass() ? path : null;
+}
+
+function commonJsExport(node) {
+    if (node.type !== 'MemberExpression') return null;
+    const { object, property } = node;
+    const key = property.name ?? property.value;
+    if (object.type === 'Identifier' && object.name === 'module' && key === 'exports') return 'module.exports';
+    if (object.type === 'Identifier' && object.name === 'exports') return key;
+    if (object.type === 'MemberExpression' && commonJsExport(object) === 'module.exports') return key;
+    return null;
+}
+
+function classMethods(path, code) {
+    return path.get('body.body')
+        .filter((member) => member.isClassMethod() && member.node.key.type === 'Identifier' && !member.node.key.name.startsWith('_'))
+        .map((member) => ({
+            name: member.node.static ? `static ${member.node.key.name}` : member.node.key.name,
+            branches: collectBranches(member, code),
+        }))
+        .filter((method) => method.name !== 'constructor' || method.branches.length > 0);
+}
+
+/** Pending test titles for every branch inside a function, in source order. */
+function collectBranches(path, code) {
+    const titles = [];
+    const add = (title) => {
+        if (!titles.includes(title)) titles.push(title);
+    };
+    const text = (node) => excerpt(code, node);
+
+    const conditional = ({ node }) => {
+        add(`when ${text(node.test)}`);
+        // An else-if is listed as its own branch
+        if (node.alternate?.type !== 'IfStatement') add(`when ${negate(text(node.test))}`);
+    };
+
+    path.traverse({
+        IfStatement: conditional,
+        ConditionalExpression: conditional,
+        SwitchCase({ node, parent }) {
+            add(node.test ? `when ${text(parent.discriminant)} is ${text(node.test)}` : `when ${text(parent.discriminant)} matches no case`);
+        },
+        'ForOfStatement|ForInStatement'({ node }) {
+            add(`when ${text(node.right)} is empty`);
+        },
+        CatchClause() {
+            add('when an error is thrown');
+        },
+        ThrowStatement({ node }) {
+            add(`throws ${text(node.argument)}`);
+        },
+    });
+    return titles;
+}
+
+function excerpt(code, node) {
+    const flat = code.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+    return flat.length > MAX_LABEL ? `${flat.slice(0, MAX_LABEL - 1)}…` : flat;
+}
+
+function negate(condition) {
+    if (/^![\w$.]+$/.test(condition)) return condition.slice(1);
+    if (/^!\(.*\)$/.test(condition)) return condition.slice(2, -1);
+    return `not ${condition}`;
+}
+
+function quote(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/** Relative import of the source from the test; TypeScript sources drop the extension. */
+function importSpecifier(testFile, sourceFile) {
+    let specifier = posix.relative(posix.dirname(testFile), sourceFile);
+    if (!specifier.startsWith('.')) specifier = `./${specifier}`;
+    return /\.tsx?$/.test(sourceFile) ? specifier.replace(/\.tsx?$/, '') : specifier;
+}
+
+/** camelCase identifier for a module's default export, from its file name. */
+function identifierFor(sourceFile) {
+    const base = posix.basename(sourceFile).replace(/\..*$/, '');
+    const name = base.replace(/[^\w$]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+    return /^[A-Za-z_$]/.test(name) ? name : `_${name}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * Import boundary rules (`boundaries` in `.reviewpilotrc`).
+ *
+ *   {
+ *     "name": "utils-stay-leaf",
+ *     "from": "src/utils/**",
+ *     "disallow": ["src/commands/**"]
+ *   },
+ *   {
+ *     "name": "bayes-only-in-ml",
+ *     "from": "**",
+ *     "except": ["src/ml/**"],
+ *     "disallow": ["bayes"]
+ *   }
+ *
+ * `from` / `except` select the importing files. Imports are matched by their
+ * resolved repository path, or by package name for npm packages and builtins.
+ * `allow` turns a rule into an allow-list for repository imports: files under
+ * `from` may then import only each other and the `allow` globs.
+ *
+ * Only imports on lines added by the change are reported, so existing
+ * violations never block a run.
+ */
+
+import { globToRegExp, matchesAny } from '../utils/glob.js';
+import { SEVERITIES } from '../utils/severity.js';
+import { extractImportEntries, packageNameOf, SOURCE_FILE } from '../context/import-graph.js';
+
+/**
+ * @typedef {object} BoundaryRule
+ * @property {string} name
+ * @property {string} severity
+ * @property {string|null} message     - Extra explanation shown with each violation
+ * @property {RegExp[]} from
+ * @property {RegExp[]} except
+ * @property {RegExp[]} disallow
+ * @property {RegExp[]|null} allow
+ * @property {string} description      - e.g. `src/utils/** may not import src/commands/**`
+ * @property {object} spec             - The rule as configured
+ */
+
+/**
+ * Validates and compiles the `boundaries` config.
+ *
+ * @param {Array<object>} [boundaries=[]]
+ * @returns {BoundaryRule[]}
+ * @throws {Error} On a missing name, duplicate name, missing `from`, or a rule with neither `allow` nor `disallow`
+ */
+export function resolveBoundaries(boundaries = []) {
+    if (!Array.isArray(boundaries)) {
+        throw new Error('"boundaries" must be an array of rules');
+    }
+
+    const names = new Set();
+    return boundaries.map((rule, i) => {
+        const label = rule?.name ? `Boundary "${rule.name}"` : `Boundary #${i + 1}`;
+        if (!rule?.name || typeof rule.name !== 'string') throw new Error(`${label}: "name" is required`);
+        if (names.has(rule.name)) throw new Error(`${label}: duplicate name`);
+        names.add(rule.name);
+
+        const from = toList(rule.from);
+        if (from.length === 0) throw new Error(`${label}: "from" is required`);
+        if (!rule.disallow && !rule.allow) throw new Error(`${label}: needs "disallow" or "allow"`);
+
+        const severity = rule.severity || 'error';
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`${label}: invalid severity "${severity}". Expected one of: ${SEVERITIES.join(', ')}`);
+        }
+
+        const disallow = toList(rule.disallow);
+        const allow = rule.allow ? toList(rule.allow) : null;
+        const description = disallow.length > 0
+            ? `${from.join(', ')} may not import ${disallow.join(', ')}`
+            : `${from.join(', ')} may only import ${allow.join(', ')}`;
+
+        return {
+            name: rule.name,
+            severity,
+            message: rule.message || null,
+            from: from.map(globToRegExp),
+            except: toList(rule.except).map(globToRegExp),
+            disallow: disallow.map(globToRegExp),
+            allow: allow ? allow.map(globToRegExp) : null,
+            description,
+            spec: rule,
+        };
+    });
+}
+
+/**
+ * Checks a file's added imports against the boundary rules.
+ *
+ * @param {string} file    - Repo-relative path of the importing file
+ * @param {string} content - Post-change file content
+ * @param {object} options
+ * @param {BoundaryRule[]} options.rules
+ * @param {(specifier: string, fromFile: string) => string|null} options.resolve - From the import graph
+ * @param {Set<number>} [options.addedLines] - Only imports starting on these lines are checked (default: all)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache]
+ * @returns {import('./smart-linter.js').Finding[]}
+ */
+export function checkImportBoundaries(file, content, options) {
+    const { rules, resolve, addedLines = null, parseCache = null } = options;
+    const applicable = rules.filter((r) => matchesAny(file, r.from) && !matchesAny(file, r.except));
+    if (applicable.length === 0 || !content || !SOURCE_FILE.test(file)) return [];
+
+    const findings = [];
+    for (const { specifier, line } of extractImportEntries(content, file, parseCache)) {
+        if (addedLines && !addedLines.has(line)) continue;
+
+        const resolved = resolve(specifier, file);
+        const isRelative = specifier.startsWith('.');
+        const target = resolved || (isRelative ? null : packageNameOf(specifier));
+        if (!target) continue;
+
+        for (const rule of applicable) {
+            if (!violates(rule, target, Boolean(resolved))) continue;
+            findings.push({
+                file,
+                line,
+                severity: rule.severity,
+                message: `Import of "${target}" crosses boundary "${rule.name}" (${rule.description})` +
+                    (rule.message ? ` — ${rule.message}` : ''),
+                source: 'boundary',
+                ruleId: `boundary/${rule.name}`,
+                category: 'architecture',
+            });
+        }
+    }
+
+    return findings;
+}
+
+// --- Internals ---
+
+function violates(rule, target, isRepoFile) {
+    if (matchesAny(target, rule.disallow)) return true;
+    if (rule.allow && isRepoFile) {
+        return !matchesAny(target, rule.allow) && !matchesAny(target, rule.from);
+    }
+    return false;
+}
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
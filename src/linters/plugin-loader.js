@@ -3,9 +3,10 @@
  * Supports loading external rules from `.reviewpilot-rules/` directory.
  */
 
-import { readdirSync, existsSync } from 'node:fs';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
 import { join, resolve } from 'node:path';
 import { pathToFileURL } from 'node:url';
+import { createHash } from 'node:crypto';
 
 /**
  * Base class for linter plugins.
@@ -40,7 +41,7 @@ export class LinterPlugin {
      *
      * @param {string} file     - File path
      * @param {string} content  - File content
-     * @returns {Promise<Array<{ line?: number, message: string, severity?: string }>>}
+     * @returns {Promise<Array<{ line?: number, message: string, severity?: string, rule?: string }>>}
      */
     async analyze(file, content) {
         throw new Error(`Plugin "${this.name}" must implement analyze()`);
@@ -103,6 +104,30 @@ export async function loadPlugins(repoRoot, pluginDir = '.reviewpilot-rules') {
     return plugins;
 }
 
+/**
+ * Hashes the plugin sources so cached lint results are discarded when a
+ * plugin is added, removed or edited.
+ *
+ * @param {string} repoRoot
+ * @param {string} [pluginDir='.reviewpilot-rules']
+ * @returns {string} Hex digest ('' when there are no plugins)
+ */
+export function hashPluginSources(repoRoot, pluginDir = '.reviewpilot-rules') {
+    const pluginsPath = join(repoRoot, pluginDir);
+    if (!existsSync(pluginsPath)) return '';
+
+    const hash = createHash('sha1');
+    try {
+        const files = readdirSync(pluginsPath).filter((f) => f.endsWith('.js') || f.endsWith('.mjs')).sort();
+        for (const file of files) {
+            hash.update(`${file}\0`).update(readFileSync(join(pluginsPath, file)));
+        }
+    } catch {
+        return '';
+    }
+    return hash.digest('hex');
+}
+
 /**
  * Validates that a plugin instance conforms to the LinterPlugin interface.
  *
@@ -136,6 +161,8 @@ export async function runPlugin(plugin, file, content) {
             severity: r.severity || plugin.severity || 'warning',
             message: `[${plugin.name}] ${r.message}`,
             source: 'plugin',
+            ruleId: `plugin:${plugin.name}/${r.rule || plugin.name}`,
+            category: r.category || plugin.category || 'custom',
         }));
     } catch (err) {
         console.warn(`  ⚠ Plugin "${plugin.name}" error on ${file}: ${err.message}`);
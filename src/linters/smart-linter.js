@@ -1,8 +1,15 @@
 import { askCopilot } from '../utils/copilot.js';
 import { detectSecret, isHighEntropyString, detectBase64Secrets } from '../utils/entropy.js';
 import { analyzeWithAST, canAnalyze } from '../analyzers/ast-analyzer.js';
-import { loadPlugins, runPlugin } from './plugin-loader.js';
+import { loadPlugins, runPlugin, hashPluginSources } from './plugin-loader.js';
 import { FalsePositiveFilter } from '../ml/false-positive-filter.js';
+import { assignFingerprints } from '../utils/fingerprint.js';
+import { parseSuppressions, applySuppressions } from './suppressions.js';
+import { checkImportBoundaries } from './import-boundaries.js';
+import { checkTestQuality } from './test-quality.js';
+import { createFileSource } from '../utils/file-source.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { hashValue } from '../utils/result-cache.js';
 
 /**
  * @typedef {object} Finding
@@ -10,29 +17,51 @@ import { FalsePositiveFilter } from '../ml/false-positive-filter.js';
  * @property {number|null} line  - Line number (null if file-level)
  * @property {'critical'|'error'|'warning'|'info'|'suggestion'} severity
  * @property {string} message    - Human-readable finding description
- * @property {'heuristic'|'copilot'|'ast'|'entropy'|'plugin'} source
+ * @property {'heuristic'|'copilot'|'ast'|'entropy'|'plugin'|'boundary'|'graph'|'semver'|'mutation'} source
+ * @property {string} ruleId      - Stable rule identifier, e.g. `heuristic/no-debugger`
+ * @property {string} category    - Rule category, e.g. `security`, `best-practice`
+ * @property {string|null} snippet - Trimmed source line the finding points at
+ * @property {string} fingerprint - Content-based ID that survives line shifts
  */
 
-// Heuristic patterns: [regex, severity, message template]
+// Bump whenever a rule's behaviour changes — invalidates cached lint results
+export const RULESET_VERSION = 7;
+
+// Heuristic patterns: [ruleId, regex, severity, message template, category]
 const HEURISTIC_RULES = [
-    [/console\.(log|debug|info)\(/g, 'warning', 'Leftover console statement'],
-    [/TODO|FIXME|HACK|XXX/g, 'info', 'Contains TODO/FIXME comment'],
-    [/debugger;/g, 'error', 'Debugger statement left in code'],
-    [/(password|secret|api_?key|token)\s*[:=]\s*['"][^'"]+['"]/gi, 'critical', 'Potential hardcoded secret or credential'],
-    [/\.catch\(\s*\)/g, 'warning', 'Empty catch block — errors are silently swallowed'],
-    [/eval\s*\(/g, 'error', 'Use of eval() — security risk'],
-    [/any\s*[;,)]/g, 'info', 'TypeScript "any" type usage — consider a stricter type'],
-    [/sleep\s*\(\s*\d{4,}/g, 'warning', 'Long sleep/delay — potential performance issue'],
-    [/\/\/\s*@ts-ignore/g, 'warning', '@ts-ignore suppresses type checking'],
-    [/process\.exit/g, 'warning', 'process.exit() call — may cause abrupt termination'],
+    ['heuristic/no-console', /console\.(log|debug|info)\(/g, 'warning', 'Leftover console statement', 'best-practice'],
+    ['heuristic/todo-comment', /TODO|FIXME|HACK|XXX/g, 'info', 'Contains TODO/FIXME comment', 'maintainability'],
+    ['heuristic/no-debugger', /debugger;/g, 'error', 'Debugger statement left in code', 'best-practice'],
+    ['heuristic/hardcoded-secret', /(password|secret|api_?key|token)\s*[:=]\s*['"][^'"]+['"]/gi, 'critical', 'Potential hardcoded secret or credential', 'security'],
+    ['heuristic/empty-promise-catch', /\.catch\(\s*\)/g, 'warning', 'Empty catch block — errors are silently swallowed', 'error-handling'],
+    ['heuristic/no-eval', /\beval\s*\(/g, 'error', 'Use of eval() — security risk', 'security'],
+    ['heuristic/ts-any', /any\s*[;,)]/g, 'info', 'TypeScript "any" type usage — consider a stricter type', 'type-safety'],
+    ['heuristic/long-sleep', /sleep\s*\(\s*\d{4,}/g, 'warning', 'Long sleep/delay — potential performance issue', 'performance'],
+    ['heuristic/ts-ignore', /\/\/\s*@ts-ignore/g, 'warning', '@ts-ignore suppresses type checking', 'type-safety'],
+    ['heuristic/process-exit', /process\.exit/g, 'warning', 'process.exit() call — may cause abrupt termination', 'reliability'],
 ];
 
+// Heuristic rules the AST layer supersedes — only run on files it cannot parse
+const AST_COVERED_RULES = new Set(['heuristic/no-eval']);
+
+// detectSecret() rule → entropy rule ID
+const ENTROPY_RULE_IDS = {
+    'known-prefix': 'entropy/known-prefix',
+    'base64': 'entropy/base64-credential',
+    'hex': 'entropy/hex-secret',
+    'high-entropy-context': 'entropy/high-entropy-context',
+    'high-entropy': 'entropy/high-entropy',
+};
+
 // Environment file patterns
 const ENV_SECRET_KEYS = [
     /^(API_KEY|SECRET_KEY|ACCESS_TOKEN|AUTH_TOKEN|PRIVATE_KEY|DATABASE_URL|DB_PASSWORD|AWS_SECRET)/i,
     /^(STRIPE_SECRET|SENDGRID_API_KEY|TWILIO_AUTH_TOKEN|GITHUB_TOKEN|NPM_TOKEN)/i,
 ];
 
+// Finding sources the ML filter never drops (see isLearnable)
+const ML_EXEMPT_SOURCES = new Set(['boundary', 'graph', 'semver', 'mutation']);
+
 // Function length threshold (lines)
 const MAX_FUNCTION_LINES = 50;
 
@@ -40,20 +69,40 @@ const MAX_FUNCTION_LINES = 50;
  * Runs multi-dimensional analysis on changed code:
  *   1. Heuristic pattern matching (instant, no AI)
  *   2. Entropy-based secret detection
- *   3. AST-level semantic analysis
+ *   3. AST-level semantic analysis (whole file, changed lines only)
  *   4. Function length checks
  *   5. Plugin-based custom rules
  *   6. ML false-positive filtering
  *   7. Copilot-powered semantic analysis (logic errors, race conditions, edge cases)
+ *   8. Import boundary rules (added imports only)
+ *   9. Test quality rules (test files only: focused/skipped tests, missing assertions, flakiness)
+ *  10. Inline suppression directives (`reviewpilot-disable-next-line` etc.)
+ *
+ * Steps 6 and 10 run in finalizeFindings(); pass `finalize: false` to collect
+ * raw findings, add findings from other steps, and finalize them all at once.
  *
  * @param {import('../analyzers/diff-processor.js').FileChange[]} files
  * @param {object} [options={}]
  * @param {string} [options.repoRoot=process.cwd()] - Repository root for plugin loading
  * @param {boolean} [options.useML=true] - Enable ML false-positive filtering
+ * @param {boolean} [options.useCopilot=true] - Enable Copilot semantic analysis
+ * @param {{ requireReason?: boolean, reportUnused?: boolean }} [options.suppressions] - Suppression settings
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Post-change snapshot (defaults to the working tree)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Run-scoped AST cache
+ * @param {import('./import-boundaries.js').BoundaryRule[]} [options.boundaries] - Compiled `boundaries` config (needs `graph`)
+ * @param {import('../context/import-graph.js').ImportGraph} [options.graph] - Head import graph, used to resolve imports for boundaries
+ * @param {import('../utils/result-cache.js').ResultCache} [options.resultCache] - Persistent per-file results; unchanged files are not re-analyzed (suppressions and ML filtering still run)
+ * @param {boolean} [options.finalize=true] - Apply suppressions, fingerprints and ML filtering before returning
  * @returns {Promise<Finding[]>}
  */
 export async function analyze(files, options = {}) {
-    const { repoRoot = process.cwd(), useML = true } = options;
+    const {
+        repoRoot = process.cwd(), useML = true, useCopilot = true, suppressions = {},
+        boundaries = [], graph = null, resultCache = null,
+    } = options;
+    const checkBoundaries = boundaries.length > 0 && graph !== null;
+    const fileSource = options.fileSource || createFileSource(undefined, repoRoot);
+    const parseCache = options.parseCache || createParseCache();
     const findings = [];
 
     // Load plugins (once per run)
@@ -64,20 +113,36 @@ export async function analyze(files, options = {}) {
         // Plugin loading failure is non-fatal
     }
 
-    // Initialize ML filter
-    let fpFilter = null;
-    if (useML) {
-        try {
-            fpFilter = new FalsePositiveFilter();
-            await fpFilter.initialize();
-        } catch {
-            fpFilter = null;
-        }
-    }
+    // Everything besides the file itself that decides its findings
+    const cacheScope = resultCache
+        ? hashValue({
+            ruleset: RULESET_VERSION,
+            useCopilot,
+            suppressions,
+            plugins: hashPluginSources(repoRoot),
+            boundaries: checkBoundaries ? boundaries.map((r) => r.spec) : null,
+        })
+        : null;
 
     for (const file of files) {
         if (file.type === 'deleted') continue;
 
+        // Added line number → source text, used for snippets and fingerprints
+        const fileFindingsStart = findings.length;
+        const addedLineText = new Map();
+        const postChangeContent = await readPostChangeContent(file, fileSource);
+
+        // Boundary results also depend on what the file's imports resolve to
+        const resolvedImports = checkBoundaries ? [...(graph.imports.get(file.file) || [])].sort() : null;
+        const cacheKey = resultCache?.keyFor(file.file, postChangeContent, hashValue([file.hunks, resolvedImports]), cacheScope);
+        const cached = cacheKey ? resultCache.get(cacheKey) : null;
+        if (cached) {
+            findings.push(...cached);
+            continue;
+        }
+
+        const ast = canAnalyze(file.file) ? parseCache.parse(file.file, postChangeContent) : null;
+
         // ── .env file scanning ───────────────────────────────
         if (file.file.includes('.env') && !file.file.includes('.example')) {
             const envFindings = scanEnvFile(file);
@@ -85,21 +150,23 @@ export async function analyze(files, options = {}) {
         }
 
         for (const hunk of file.hunks) {
-            const addedLines = hunk.changes
-                .filter((c) => c.type === 'add')
-                .map((c) => ({ content: c.content, line: c.ln || c.ln2 || hunk.newStart }));
+            const addedLines = getAddedLines(hunk);
+            for (const { content, line } of addedLines) addedLineText.set(line, content);
 
             // 1. Heuristic pattern checks
             for (const { content, line } of addedLines) {
-                for (const [pattern, severity, message] of HEURISTIC_RULES) {
+                for (const [ruleId, pattern, severity, message, category] of HEURISTIC_RULES) {
+                    if (ast && AST_COVERED_RULES.has(ruleId)) continue;
                     pattern.lastIndex = 0; // Reset regex state
                     if (pattern.test(content)) {
                         findings.push({
                             file: file.file,
                             line,
                             severity,
-                            message: `${message}: ${content.trim().slice(0, 80)}`,
+                            message,
                             source: 'heuristic',
+                            ruleId,
+                            category,
                         });
                     }
                 }
@@ -113,8 +180,10 @@ export async function analyze(files, options = {}) {
                             file: file.file,
                             line,
                             severity: result.confidence === 'high' ? 'critical' : 'warning',
-                            message: `${result.reason}: ${value.slice(0, 40)}...`,
+                            message: result.reason,
                             source: 'entropy',
+                            ruleId: ENTROPY_RULE_IDS[result.rule] || 'entropy/high-entropy',
+                            category: 'security',
                         });
                     }
                 }
@@ -130,8 +199,10 @@ export async function analyze(files, options = {}) {
                                 file: file.file,
                                 line,
                                 severity: 'critical',
-                                message: `Base64-encoded credential detected: ${value.slice(0, 30)}...`,
+                                message: 'Base64-encoded credential detected',
                                 source: 'entropy',
+                                ruleId: ENTROPY_RULE_IDS.base64,
+                                category: 'security',
                             });
                         }
                     }
@@ -142,29 +213,33 @@ export async function analyze(files, options = {}) {
             const funcLengthFindings = checkFunctionLength(hunk.content, file.file, hunk.newStart);
             findings.push(...funcLengthFindings);
 
-            // 5. AST-level analysis (for supported file types)
-            if (canAnalyze(file.file) && addedLines.length >= 3) {
-                const codeSnippet = addedLines.map((l) => l.content).join('\n');
-                const astFindings = analyzeWithAST(codeSnippet, file.file);
-                for (const af of astFindings) {
-                    findings.push({
-                        file: file.file,
-                        line: af.line ? hunk.newStart + af.line - 1 : hunk.newStart,
-                        severity: af.severity,
-                        message: af.message,
-                        source: 'ast',
-                    });
-                }
-            }
-
-            // 6. Copilot semantic analysis (per-hunk, batched)
-            if (addedLines.length >= 3) {
+            // 5. Copilot semantic analysis (per-hunk, batched)
+            if (useCopilot && addedLines.length >= 3) {
                 const codeSnippet = addedLines.map((l) => l.content).join('\n');
                 const aiFindings = await analyzeWithCopilot(codeSnippet, file.file, hunk.newStart);
                 findings.push(...aiFindings);
             }
         }
 
+        // 6. AST-level analysis — whole post-change file, reported on changed lines only
+        if (canAnalyze(file.file)) {
+            const astFindings = analyzeWithAST(postChangeContent, file.file, {
+                ast,
+                changedLines: new Set(addedLineText.keys()),
+            });
+            for (const af of astFindings) {
+                findings.push({
+                    file: file.file,
+                    line: af.line,
+                    severity: af.severity,
+                    message: af.message,
+                    source: 'ast',
+                    ruleId: af.ruleId,
+                    category: af.category,
+                });
+            }
+        }
+
         // 7. Run plugins
         if (plugins.length > 0) {
             const fullContent = file.hunks.map((h) => h.content).join('\n');
@@ -173,15 +248,111 @@ export async function analyze(files, options = {}) {
                 findings.push(...pluginFindings);
             }
         }
+
+        // 8. Import boundaries — added imports only
+        if (checkBoundaries) {
+            findings.push(...checkImportBoundaries(file.file, postChangeContent, {
+                rules: boundaries,
+                resolve: graph.resolve,
+                addedLines: new Set(addedLineText.keys()),
+                parseCache,
+            }));
+        }
+
+        // 9. Test quality — files categorized as tests, added lines only
+        if (file.category === 'test') {
+            findings.push(...checkTestQuality(file, postChangeContent, {
+                addedLines: new Set(addedLineText.keys()),
+                parseCache,
+            }));
+        }
+
+        // Attach the offending source line to this file's findings
+        for (let i = fileFindingsStart; i < findings.length; i++) {
+            const text = addedLineText.get(findings[i].line);
+            findings[i].snippet = text ? text.trim().slice(0, 200) : null;
+        }
+
+        if (cacheKey) resultCache.set(cacheKey, findings.slice(fileFindingsStart));
     }
 
-    // Deduplicate
-    let result = deduplicateFindings(findings);
+    if (options.finalize === false) return findings;
+    return finalizeFindings(findings, files, { repoRoot, useML, suppressions, fileSource, parseCache });
+}
 
-    // 8. ML false-positive filtering
-    if (fpFilter && result.length > 0) {
+/**
+ * Applies inline suppressions, deduplicates and fingerprints findings, then
+ * runs ML false-positive filtering. Runs once over every finding of a check
+ * — linter and detector findings alike — so any of them can be suppressed
+ * inline, and fingerprints (and with them the baseline) cover the full set.
+ *
+ * @param {Finding[]} findings
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files - Changed files (unused directives are only reported on added lines)
+ * @param {object} [options={}]
+ * @param {string} [options.repoRoot=process.cwd()]
+ * @param {boolean} [options.useML=true] - Enable ML false-positive filtering
+ * @param {{ requireReason?: boolean, reportUnused?: boolean }} [options.suppressions] - Suppression settings
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Post-change snapshot (defaults to the working tree)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Run-scoped AST cache
+ * @returns {Promise<Finding[]>}
+ */
+export async function finalizeFindings(findings, files, options = {}) {
+    const { repoRoot = process.cwd(), useML = true, suppressions = {} } = options;
+    const fileSource = options.fileSource || createFileSource(undefined, repoRoot);
+    const parseCache = options.parseCache || createParseCache();
+    const changed = new Map(files.filter((f) => f.type !== 'deleted').map((f) => [f.file, f]));
+    const byFile = groupByFile(findings);
+
+    // 10. Inline suppressions — applied after every layer, plugins and detectors included
+    const kept = [];
+    for (const path of new Set([...changed.keys(), ...byFile.keys()])) {
+        const file = changed.get(path);
+        const fileFindings = byFile.get(path) || [];
+        const content = file ? await readPostChangeContent(file, fileSource) : await fileSource.read(path);
+        const ast = content && canAnalyze(path) ? parseCache.parse(path, content) : null;
+        const directives = parseSuppressions(content, { ast, filename: path });
+        if (directives.length === 0) {
+            kept.push(...fileFindings);
+            continue;
+        }
+
+        const addedLines = new Set(file ? file.hunks.flatMap((h) => getAddedLines(h).map((l) => l.line)) : []);
+        const { findings: unsuppressed } = applySuppressions(fileFindings, directives, {
+            file: path,
+            addedLines,
+            requireReason: suppressions.requireReason,
+            reportUnused: suppressions.reportUnused,
+        });
+        const lines = content.split('\n');
+        for (const finding of unsuppressed) {
+            finding.snippet ??= lines[finding.line - 1]?.trim().slice(0, 200) ?? null;
+        }
+        kept.push(...unsuppressed);
+    }
+
+    // Deduplicate, then fingerprint per file
+    let result = deduplicateFindings(kept);
+    for (const fileFindings of groupByFile(result).values()) {
+        assignFingerprints(fileFindings);
+    }
+
+    // 11. ML false-positive filtering
+    let fpFilter = null;
+    if (useML && result.length > 0) {
+        try {
+            fpFilter = new FalsePositiveFilter();
+            await fpFilter.initialize();
+        } catch {
+            fpFilter = null;
+        }
+    }
+    if (fpFilter) {
         const filtered = [];
         for (const finding of result) {
+            if (!isLearnable(finding)) {
+                filtered.push(finding);
+                continue;
+            }
             const { shouldReport } = await fpFilter.shouldReport(finding);
             if (shouldReport) {
                 filtered.push(finding);
@@ -195,15 +366,44 @@ export async function analyze(files, options = {}) {
 
 // --- Internals ---
 
+/**
+ * Returns the added lines of a hunk with their new-file line numbers.
+ * The leading `+` diff marker is stripped from the content.
+ */
+function getAddedLines(hunk) {
+    return hunk.changes
+        .filter((c) => c.type === 'add')
+        .map((c) => ({
+            content: c.content.startsWith('+') ? c.content.slice(1) : c.content,
+            line: c.ln || c.ln2 || hunk.newStart,
+        }));
+}
+
+/**
+ * Returns the post-change content of a file: from the file source when it
+ * exists there, otherwise rebuilt from the diff hunks (lines outside hunks
+ * are left blank).
+ */
+async function readPostChangeContent(file, fileSource) {
+    const content = await fileSource.read(file.file);
+    if (content !== null) return content;
+
+    const lines = [];
+    for (const hunk of file.hunks) {
+        for (const c of hunk.changes) {
+            if (c.type === 'del') continue;
+            const ln = c.type === 'add' ? c.ln : c.ln2;
+            if (ln) lines[ln - 1] = c.content.slice(1);
+        }
+    }
+    return Array.from(lines, (l) => l ?? '').join('\n');
+}
+
 function scanEnvFile(file) {
     const findings = [];
 
     for (const hunk of file.hunks) {
-        const addedLines = hunk.changes
-            .filter((c) => c.type === 'add')
-            .map((c) => ({ content: c.content, line: c.ln || c.ln2 || hunk.newStart }));
-
-        for (const { content, line } of addedLines) {
+        for (const { content, line } of getAddedLines(hunk)) {
             // Parse KEY=VALUE patterns
             const envMatch = content.match(/^([A-Z_][A-Z0-9_]*)=(.+)$/);
             if (!envMatch) continue;
@@ -219,8 +419,10 @@ function scanEnvFile(file) {
                     file: file.file,
                     line,
                     severity: 'critical',
-                    message: `Secret in .env file: ${key}=${value.slice(0, 20)}...`,
+                    message: `Secret in .env file: ${key}`,
                     source: 'entropy',
+                    ruleId: 'entropy/env-secret',
+                    category: 'security',
                 });
             }
         }
@@ -269,6 +471,8 @@ function checkFunctionLength(content, file, startLine) {
                     severity: 'warning',
                     message: `Function "${funcName}" is ${funcLength} lines long (max recommended: ${MAX_FUNCTION_LINES})`,
                     source: 'heuristic',
+                    ruleId: 'heuristic/max-function-length',
+                    category: 'maintainability',
                 });
             }
             funcStart = -1;
@@ -310,7 +514,15 @@ function parseCopilotResponse(response, file, startLine) {
 
         const message = line.replace(/^[-*•\d.)\s]+/, '').trim();
         if (message.length > 10) {
-            findings.push({ file, line: startLine, severity, message, source: 'copilot' });
+            findings.push({
+                file,
+                line: startLine,
+                severity,
+                message,
+                source: 'copilot',
+                ruleId: 'copilot/semantic-review',
+                category: 'semantic',
+            });
         }
     }
 
@@ -320,9 +532,29 @@ function parseCopilotResponse(response, file, startLine) {
 function deduplicateFindings(findings) {
     const seen = new Set();
     return findings.filter((f) => {
-        const key = `${f.file}:${f.line}:${f.message.slice(0, 50)}`;
+        const key = `${f.file}:${f.line}:${f.ruleId}:${f.message.slice(0, 50)}`;
         if (seen.has(key)) return false;
         seen.add(key);
         return true;
     });
 }
+
+/**
+ * Findings the ML filter may drop. Test quality findings live in test files,
+ * whose paths the classifier learned to skip as fixtures, and boundary, graph
+ * and semver findings come from resolved imports and manifests, not a line
+ * pattern — both are
+ * deterministic and never filtered.
+ */
+function isLearnable(finding) {
+    return finding.category !== 'test-quality' && !ML_EXEMPT_SOURCES.has(finding.source);
+}
+
+function groupByFile(findings) {
+    const groups = new Map();
+    for (const f of findings) {
+        if (!groups.has(f.file)) groups.set(f.file, []);
+        groups.get(f.file).push(f);
+    }
+    return groups;
+}
@@ -0,0 +1,238 @@
+/**
+ * Inline suppression directives.
+ *
+ * Supported forms (in the file type's own comment syntax — `//`, `/* *\/`, `#`, `<!-- -->`, `--`):
+ *
+ *   // reviewpilot-disable-next-line heuristic/no-console -- CLI entry point
+ *   doThing(); // reviewpilot-disable-line entropy/known-prefix -- test fixture
+ *   /* reviewpilot-disable heuristic/no-console *\/
+ *   ...
+ *   /* reviewpilot-enable *\/
+ *
+ * A directive must open its comment. In parsed JavaScript/TypeScript the
+ * comments come from the AST, so strings and doc text that mention a
+ * directive are ignored; other files need one of their own comment tokens
+ * right before it. Prose and unknown file types (Markdown, plain text, JSON)
+ * have no comments to read directives from.
+ *
+ * Rule lists are comma- or space-separated. Omitting the list suppresses every
+ * rule. Entries match exactly, by `prefix/*`, or by layer/plugin prefix
+ * (`heuristic`, `plugin:no-axios`). Text after ` -- ` is the reason.
+ */
+
+import { posix } from 'node:path';
+
+const DIRECTIVE = 'reviewpilot-(disable-next-line|disable-line|disable|enable)(?![\\w-])(.*)';
+// Start of a comment's text (AST comments)
+const COMMENT_DIRECTIVE_PATTERN = new RegExp(`^\\s*${DIRECTIVE}`, 's');
+
+// Line comment tokens by extension (or file name), for files without an AST
+const C_STYLE = ['//', '/*'];
+const HASH = ['#'];
+const MARKUP = ['<!--'];
+const COMMENT_TOKENS = {
+    ...Object.fromEntries(['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts', 'java', 'kt', 'kts', 'go', 'rs', 'c', 'h',
+        'cc', 'cpp', 'hpp', 'cs', 'swift', 'scala', 'dart', 'groovy', 'gradle', 'scss', 'less', 'jsonc', 'json5'].map((ext) => [ext, C_STYLE])),
+    ...Object.fromEntries(['py', 'rb', 'sh', 'bash', 'zsh', 'fish', 'ps1', 'pl', 'r', 'yml', 'yaml', 'toml', 'ini', 'cfg',
+        'conf', 'properties', 'env', 'dockerfile', 'makefile', 'gitignore', 'npmrc', 'editorconfig'].map((ext) => [ext, HASH])),
+    ...Object.fromEntries(['html', 'htm', 'xml', 'svg'].map((ext) => [ext, MARKUP])),
+    css: ['/*'],
+    php: [...C_STYLE, '#'],
+    vue: [...C_STYLE, ...MARKUP],
+    svelte: [...C_STYLE, ...MARKUP],
+    sql: ['--', '/*'],
+    lua: ['--'],
+};
+const ALL_TOKENS = ['//', '/*', '#', '<!--'];
+
+/**
+ * @typedef {object} SuppressionDirective
+ * @property {'disable-next-line'|'disable-line'|'disable'|'enable'} type
+ * @property {number} line        - 1-indexed line the directive is written on
+ * @property {string[]} rules     - Rule IDs/patterns (empty = all rules)
+ * @property {string|null} reason - Justification after ` -- `
+ * @property {number} [from]      - First suppressed line (computed)
+ * @property {number} [to]        - Last suppressed line (computed, Infinity for open blocks)
+ */
+
+/**
+ * Parses suppression directives out of a file's content and resolves the
+ * line range each one covers.
+ *
+ * @param {string} content - Full post-change file content
+ * @param {object} [options={}]
+ * @param {object|null} [options.ast] - Babel AST of `content`; its comments are the only place directives are read from
+ * @param {string} [options.filename] - Picks the comment tokens for files without an AST (any token when omitted)
+ * @returns {SuppressionDirective[]} Directives (excluding `enable`) with `from`/`to` ranges
+ */
+export function parseSuppressions(content, options = {}) {
+    if (!content || !content.includes('reviewpilot-')) return [];
+
+    const directives = [];
+    const openBlocks = [];
+
+    for (const { type, rest, line, endLine } of findDirectives(content, options)) {
+        const { rules, reason } = parseDirectiveBody(rest);
+
+        switch (type) {
+            case 'disable-next-line':
+                directives.push({ type, line, rules, reason, from: endLine + 1, to: endLine + 1 });
+                break;
+            case 'disable-line':
+                directives.push({ type, line, rules, reason, from: line, to: line });
+                break;
+            case 'disable': {
+                const directive = { type, line, rules, reason, from: line, to: Infinity };
+                directives.push(directive);
+                openBlocks.push(directive);
+                break;
+            }
+            case 'enable':
+                // `enable` without rules closes every open block; with rules it
+                // closes the blocks whose rules it fully covers
+                for (let j = openBlocks.length - 1; j >= 0; j--) {
+                    const block = openBlocks[j];
+                    if (rules.length === 0 || (block.rules.length > 0 && block.rules.every((r) => rules.includes(r)))) {
+                        block.to = line;
+                        openBlocks.splice(j, 1);
+                    }
+                }
+                break;
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * Checks whether a directive rule pattern matches a finding's rule ID.
+ *
+ * @param {string} pattern - e.g. `heuristic/no-console`, `plugin:no-axios/*`, `entropy`
+ * @param {string} ruleId
+ * @returns {boolean}
+ */
+export function ruleMatches(pattern, ruleId) {
+    if (!ruleId) return false;
+    if (pattern === ruleId) return true;
+    if (pattern.endsWith('/*')) return ruleId.startsWith(pattern.slice(0, -1));
+    return !pattern.includes('/') && ruleId.startsWith(`${pattern}/`);
+}
+
+/**
+ * Filters a file's findings through its suppression directives.
+ * Directives on added lines that suppress nothing, or that lack a required
+ * reason, are reported as findings themselves.
+ *
+ * @param {import('./smart-linter.js').Finding[]} findings - Findings for one file
+ * @param {SuppressionDirective[]} directives
+ * @param {object} options
+ * @param {string} options.file                 - File path
+ * @param {Set<number>} [options.addedLines]    - Lines added by the change (directive findings are limited to these)
+ * @param {boolean} [options.requireReason=false] - Ignore directives without a ` -- reason`
+ * @param {boolean} [options.reportUnused=true]  - Report directives that suppress nothing
+ * @returns {{ findings: import('./smart-linter.js').Finding[], suppressed: import('./smart-linter.js').Finding[] }}
+ */
+export function applySuppressions(findings, directives, options) {
+    const { file, addedLines = null, requireReason = false, reportUnused = true } = options;
+    const isNew = (line) => !addedLines || addedLines.has(line);
+
+    const active = directives.filter((d) => !requireReason || d.reason);
+    const used = new Set();
+    const kept = [];
+    const suppressed = [];
+
+    for (const finding of findings) {
+        const directive = finding.line
+            ? active.find((d) =>
+                finding.line >= d.from && finding.line <= d.to &&
+                (d.rules.length === 0 || d.rules.some((r) => ruleMatches(r, finding.ruleId))))
+            : null;
+
+        if (directive) {
+            used.add(directive);
+            suppressed.push(finding);
+        } else {
+            kept.push(finding);
+        }
+    }
+
+    for (const d of directives) {
+        if (!isNew(d.line)) continue;
+
+        if (requireReason && !d.reason) {
+            kept.push(createDirectiveFinding(file, d,
+                'reviewpilot/suppression-missing-reason',
+                `Suppression "reviewpilot-${d.type}" has no reason — add " -- <why>" after the rule list`));
+        } else if (reportUnused && !used.has(d)) {
+            const target = d.rules.length > 0 ? d.rules.join(', ') : 'any rule';
+            kept.push(createDirectiveFinding(file, d,
+                'reviewpilot/unused-suppression',
+                `Unused suppression "reviewpilot-${d.type}" — no ${target} finding to suppress`));
+        }
+    }
+
+    return { findings: kept, suppressed };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+/** Directive comments in source order: `{ type, rest, line, endLine }`. */
+function findDirectives(content, { ast = null, filename = null }) {
+    if (ast?.comments) {
+        return ast.comments.flatMap((comment) => {
+            const match = comment.value.match(COMMENT_DIRECTIVE_PATTERN);
+            if (!match) return [];
+            // Only the first line of a block comment holds the rule list
+            const rest = match[2].split('\n')[0];
+            return [{ type: match[1], rest, line: comment.loc.start.line, endLine: comment.loc.end.line }];
+        });
+    }
+
+    const pattern = lineDirectivePattern(filename ? commentTokensFor(filename) : ALL_TOKENS);
+    if (!pattern) return [];
+
+    return content.split('\n').flatMap((text, i) => {
+        const match = text.match(pattern);
+        return match ? [{ type: match[1], rest: match[2], line: i + 1, endLine: i + 1 }] : [];
+    });
+}
+
+function commentTokensFor(filename) {
+    const base = posix.basename(filename).toLowerCase();
+    const key = base.startsWith('.env') ? 'env' : base.slice(base.lastIndexOf('.') + 1);
+    return COMMENT_TOKENS[key] || [];
+}
+
+/** A directive right after one of the comment tokens, or null without tokens. */
+function lineDirectivePattern(tokens) {
+    if (tokens.length === 0) return null;
+    const alternatives = tokens.map((t) => (t === '/*' ? '\\/\\*+' : t.replace(/[/*]/g, '\\$&')));
+    return new RegExp(`(?:${alternatives.join('|')})\\s*${DIRECTIVE}$`);
+}
+
+function parseDirectiveBody(rest) {
+    // Drop block-comment terminators and split off the reason
+    const body = rest.replace(/\s*(\*\/|-->)\s*$/, '');
+    const reasonIndex = body.indexOf(' -- ');
+    const ruleText = reasonIndex === -1 ? body : body.slice(0, reasonIndex);
+    const reason = reasonIndex === -1 ? null : body.slice(reasonIndex + 4).trim() || null;
+
+    const rules = ruleText
+        .split(/[\s,]+/)
+        .map((r) => r.trim())
+        .filter(Boolean);
+
+    return { rules, reason };
+}
+
+function createDirectiveFinding(file, directive, ruleId, message) {
+    return {
+        file,
+        line: directive.line,
+        severity: 'warning',
+        message,
+        source: 'heuristic',
+        ruleId,
+        category: 'maintainability',
+    };
+}
@@ -0,0 +1,309 @@
+/**
+ * Test quality rules — run on files the diff processor categorizes as `test`.
+ *
+ * Other layers read a test like any other code; these rules read it as a
+ * test: focused and skipped tests (a committed `.only` silently drops every
+ * other test from the run), tests that assert nothing, and sources of
+ * flakiness inside a test body — real timers, the wall clock, randomness,
+ * network calls and promises nobody waits for. Snapshot files that were
+ * regenerated wholesale are flagged for a closer look.
+ *
+ * Like the AST layer, only nodes on added lines are reported.
+ */
+
+import babelTraverse from '@babel/traverse';
+import { canAnalyze } from '../analyzers/ast-analyzer.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+
+// Babel traverse default export handling
+const traverse = babelTraverse.default || babelTraverse;
+
+// Test and suite functions (jest, vitest, mocha, jasmine, node:test)
+const TEST_FUNCTIONS = new Set(['it', 'test', 'specify']);
+const SUITE_FUNCTIONS = new Set(['describe', 'suite', 'context']);
+const FOCUSED_ALIASES = new Set(['fit', 'fdescribe', 'ftest']);
+const SKIPPED_ALIASES = new Set(['xit', 'xdescribe', 'xtest', 'xspecify', 'xcontext']);
+
+// Callee roots that count as an assertion
+const ASSERTION = /^(expect|assert|should|chai|sinon|td)$|^(expect|assert|verify)[A-Z_]/;
+
+// A file that installs fake timers or mocks the network opts out of those rules
+const FAKE_TIMERS = /useFakeTimers|setSystemTime|mock\.timers\.enable|lolex|@sinonjs\/fake-timers/;
+const NETWORK_MOCKS = /\bnock\b|\bmsw\b|fetch-mock|mock\(\s*['"](axios|node-fetch|undici|got|cross-fetch)['"]|stubGlobal\(\s*['"]fetch['"]|spyOn\(\s*(global|globalThis|window)\s*,\s*['"]fetch['"]|(global|globalThis|window)\.fetch\s*=/;
+const NETWORK_CLIENTS = new Set(['axios', 'got', 'superagent', 'needle']);
+
+// Snapshot rewrites: share of the old file replaced, and the smallest rewrite reported
+const SNAPSHOT_REWRITE_RATIO = 0.5;
+const SNAPSHOT_MIN_LINES = 10;
+
+const CATEGORY = 'test-quality';
+
+/**
+ * Runs the test quality rules on a test file.
+ *
+ * @param {import('../analyzers/diff-processor.js').FileChange} file - A change categorized as `test`
+ * @param {string|null} content - Post-change file content
+ * @param {object} [options={}]
+ * @param {Set<number>} [options.addedLines] - Lines to report on (default: all)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache]
+ * @returns {import('./smart-linter.js').Finding[]} Without snippet and fingerprint
+ */
+export function checkTestQuality(file, content, options = {}) {
+    if (file.file.endsWith('.snap')) return checkSnapshotRewrite(file, content);
+    if (!content || !canAnalyze(file.file)) return [];
+
+    const { addedLines = null, parseCache = createParseCache() } = options;
+    const ast = parseCache.parse(file.file, content);
+    if (!ast) return [];
+
+    const fakeTimers = FAKE_TIMERS.test(content);
+    const mockedNetwork = NETWORK_MOCKS.test(content);
+    const findings = [];
+    const report = (node, ruleId, severity, message, wholeNode = false) => {
+        const start = node.loc?.start.line;
+        const end = wholeNode ? node.loc?.end.line ?? start : start;
+        if (!start || (addedLines && !rangeHasAddedLine(start, end, addedLines))) return;
+        findings.push({ file: file.file, line: start, severity, message, source: 'ast', ruleId, category: CATEGORY });
+    };
+
+    // Async functions declared in the file, to spot calls nobody awaits
+    const asyncFunctions = new Set();
+    traverse(ast, {
+        Function(path) {
+            if (!path.node.async) return;
+            if (path.node.id) asyncFunctions.add(path.node.id.name);
+            else if (path.parentPath.isVariableDeclarator() && path.parent.id.type === 'Identifier') asyncFunctions.add(path.parent.id.name);
+        },
+    });
+
+    traverse(ast, {
+        CallExpression(path) {
+            const call = testCall(path.node.callee);
+            if (!call) return;
+
+            if (call.modifier === 'only') {
+                report(path.node, 'test/focused-test', 'error',
+                    `Focused ${call.kind} (${call.name}) — every other test in the run is skipped`);
+            } else if (call.modifier === 'skip') {
+                report(path.node, 'test/skipped-test', 'warning',
+                    `Skipped ${call.kind} (${call.name}) — remove it or track why it is disabled`);
+            }
+
+            if (call.kind !== 'test' || call.modifier === 'skip' || call.modifier === 'todo') return;
+            const body = testBody(path);
+            if (!body) return;
+
+            if (!hasAssertion(body)) {
+                report(path.node, 'test/no-assertions', 'warning',
+                    `Test "${testTitle(path.node)}" makes no assertions — it passes whatever the code does`, true);
+            }
+            checkFlakiness(body, { report, fakeTimers, mockedNetwork, asyncFunctions });
+        },
+    });
+
+    return findings;
+}
+
+// --- Internals ---
+
+/**
+ * Classifies a test or suite call: `it(...)`, `it.only(...)`, `fit(...)`,
+ * `describe.skip(...)`, `test.concurrent.only(...)`, `it.each(...)(...)`.
+ */
+function testCall(callee) {
+    // it.each(table)(...) — classify by the inner callee
+    if (callee.type === 'CallExpression') return testCall(callee.callee);
+
+    if (callee.type === 'Identifier') {
+        if (FOCUSED_ALIASES.has(callee.name)) return { kind: kindOf(callee.name.slice(1)), modifier: 'only', name: callee.name };
+        if (SKIPPED_ALIASES.has(callee.name)) return { kind: kindOf(callee.name.slice(1)), modifier: 'skip', name: callee.name };
+        const kind = kindOf(callee.name);
+        return kind ? { kind, modifier: null, name: callee.name } : null;
+    }
+
+    if (callee.type !== 'MemberExpression') return null;
+    const chain = memberChain(callee);
+    if (!chain) return null;
+    const kind = kindOf(chain[0]);
+    if (!kind) return null;
+
+    const modifiers = chain.slice(1);
+    const modifier = ['only', 'skip', 'todo'].find((m) => modifiers.includes(m)) || null;
+    // it.each / describe.each are fine; anything else (it.helper) is not a test call
+    if (!modifier && !modifiers.every((m) => ['each', 'concurrent', 'sequential', 'serial', 'failing'].includes(m))) return null;
+    return { kind, modifier, name: chain.join('.') };
+}
+
+function kindOf(name) {
+    if (TEST_FUNCTIONS.has(name)) return 'test';
+    if (SUITE_FUNCTIONS.has(name)) return 'suite';
+    return null;
+}
+
+/** `a.b.c` → ['a', 'b', 'c'], or null when the chain is computed or not rooted in an identifier. */
+function memberChain(node) {
+    const names = [];
+    let current = node;
+    while (current.type === 'MemberExpression') {
+        if (current.computed || current.property.type !== 'Identifier') return null;
+        names.unshift(current.property.name);
+        current = current.object;
+    }
+    return current.type === 'Identifier' ? [current.name, ...names] : null;
+}
+
+/** The test's callback, as a path, when it is written inline. */
+function testBody(path) {
+    const callback = path.get('arguments').find((arg) => arg.isFunction());
+    return callback || null;
+}
+
+function testTitle(node) {
+    const [title] = node.arguments;
+    if (title?.type === 'StringLiteral') return title.value;
+    if (title?.type === 'TemplateLiteral') return title.quasis.map((q) => q.value.cooked).join('…');
+    return '(untitled)';
+}
+
+/**
+ * Whether a test body asserts anything: `expect`/`assert`-style calls,
+ * `.should` chains, or `t.*` calls on a node:test / tap context parameter.
+ */
+function hasAssertion(body) {
+    const context = body.node.params[0]?.type === 'Identifier' ? body.node.params[0].name : null;
+    let found = false;
+
+    body.traverse({
+        CallExpression(path) {
+            const root = calleeRoot(path.node.callee);
+            if (!root) return;
+            if (ASSERTION.test(root)) found = true;
+            // t.assert.ok(), t.equal(), t.throws() — the test context assertion API
+            else if (root === context && context !== 'done' && path.node.callee.type === 'MemberExpression') found = true;
+        },
+        MemberExpression(path) {
+            if (!path.node.computed && path.node.property.name === 'should') found = true;
+        },
+    });
+    return found;
+}
+
+function calleeRoot(callee) {
+    let current = callee;
+    while (current.type === 'MemberExpression' || current.type === 'CallExpression') {
+        current = current.type === 'MemberExpression' ? current.object : current.callee;
+    }
+    return current.type === 'Identifier' ? current.name : null;
+}
+
+function checkFlakiness(body, { report, fakeTimers, mockedNetwork, asyncFunctions }) {
+    body.traverse({
+        CallExpression(path) {
+            const { callee } = path.node;
+            const chain = callee.type === 'MemberExpression' ? memberChain(callee) : null;
+            const name = callee.type === 'Identifier' ? callee.name : chain?.join('.');
+
+            if (!fakeTimers && ['setTimeout', 'setInterval', 'setImmediate'].includes(name?.replace(/^(global|globalThis|window)\./, ''))) {
+                report(path.node, 'test/real-timers', 'warning',
+                    `${name}() in a test waits on real time — use fake timers (vi.useFakeTimers / jest.useFakeTimers)`);
+            } else if (!fakeTimers && name === 'Date.now') {
+                report(path.node, 'test/wall-clock', 'warning',
+                    'Date.now() in a test depends on when it runs — freeze the clock (setSystemTime) or inject the time');
+            } else if (name === 'Math.random') {
+                report(path.node, 'test/random', 'warning',
+                    'Math.random() makes the test non-deterministic — use fixed values or a seeded generator');
+            } else if (!mockedNetwork && isNetworkCall(callee, chain)) {
+                report(path.node, 'test/network-call', 'warning',
+                    `Network call (${name || 'request'}) in a test — mock it (msw, nock, vi.mock) so the test does not depend on a live service`);
+            }
+        },
+        NewExpression(path) {
+            if (!fakeTimers && path.node.callee.type === 'Identifier' && path.node.callee.name === 'Date' && path.node.arguments.length === 0) {
+                report(path.node, 'test/wall-clock', 'warning',
+                    'new Date() in a test depends on when it runs — freeze the clock (setSystemTime) or pass a fixed date');
+            }
+        },
+        ExpressionStatement(path) {
+            // Statements in nested callbacks (event handlers, mocks) run on their own schedule
+            if (path.getFunctionParent()?.node !== body.node) return;
+            const reason = floatingPromise(path.node.expression, asyncFunctions);
+            if (reason) {
+                report(path.node, 'test/unawaited-promise', 'warning',
+                    `${reason} is not awaited or returned — the test can finish before it settles`);
+            }
+        },
+    });
+}
+
+function isNetworkCall(callee, chain) {
+    if (callee.type === 'Identifier') return callee.name === 'fetch' || NETWORK_CLIENTS.has(callee.name);
+    if (!chain) return false;
+    if (NETWORK_CLIENTS.has(chain[0])) return true;
+    if (['http', 'https'].includes(chain[0]) && ['get', 'request'].includes(chain[1])) return true;
+    return ['window', 'global', 'globalThis'].includes(chain[0]) && chain[1] === 'fetch';
+}
+
+/** Why an expression statement leaves a promise floating, or null. */
+function floatingPromise(expression, asyncFunctions) {
+    if (expression.type !== 'CallExpression') return null;
+    const { callee } = expression;
+
+    if (callee.type === 'Identifier' && asyncFunctions.has(callee.name)) return `Call to async ${callee.name}()`;
+    if (callee.type !== 'MemberExpression' || callee.computed) return null;
+
+    const method = callee.property.name;
+    if (['then', 'catch', 'finally'].includes(method)) return `Promise chain (.${method})`;
+
+    // expect(promise).resolves.toBe(...) / .rejects.toThrow(...)
+    let current = callee.object;
+    while (current.type === 'MemberExpression' || current.type === 'CallExpression') {
+        if (current.type === 'MemberExpression' && ['resolves', 'rejects'].includes(current.property.name)) {
+            return `expect(…).${current.property.name} assertion`;
+        }
+        current = current.type === 'MemberExpression' ? current.object : current.callee;
+    }
+    return null;
+}
+
+/**
+ * Flags a modified snapshot file when most of it was replaced, which is what
+ * running the suite with `-u` after an unintended change looks like.
+ */
+function checkSnapshotRewrite(file, content) {
+    if (file.type !== 'modified' || content === null) return [];
+
+    let added = 0;
+    let deleted = 0;
+    let firstAdded = null;
+    for (const hunk of file.hunks) {
+        for (const change of hunk.changes) {
+            if (change.type === 'add') {
+                added++;
+                firstAdded ??= change.ln;
+            } else if (change.type === 'del') {
+                deleted++;
+            }
+        }
+    }
+
+    const newLines = content.split('\n').length;
+    const oldLines = newLines - added + deleted;
+    if (deleted < SNAPSHOT_MIN_LINES || oldLines <= 0 || deleted / oldLines < SNAPSHOT_REWRITE_RATIO) return [];
+
+    return [{
+        file: file.file,
+        line: firstAdded,
+        severity: 'warning',
+        message: `Snapshot file rewritten (${deleted} of ${oldLines} lines replaced) — check that every change is intended rather than accepted with -u`,
+        source: 'ast',
+        ruleId: 'test/snapshot-rewrite',
+        category: CATEGORY,
+    }];
+}
+
+function rangeHasAddedLine(start, end, addedLines) {
+    for (let line = start; line <= end; line++) {
+        if (addedLines.has(line)) return true;
+    }
+    return false;
+}
@@ -41,43 +41,56 @@ export class FalsePositiveFilter {
     }
 
     /**
-     * Pre-trains the classifier with known true/false positive patterns.
+     * Pre-trains the classifier with known true/false positive patterns,
+     * expressed as rule ID + offending source line + file. Every rule with
+     * false-positive samples gets at least as many real-issue samples, so the
+     * rule ID alone never tips a finding towards skipping — only the
+     * fixture-like context does.
      */
     async preTrainDefaults() {
         // True positives (real issues → should report)
         const realIssues = [
-            'console.log(secretKey)',
-            'console.log(password)',
-            'console.log(apiToken)',
-            'const password = "admin123"',
-            'const apiKey = "sk-live-abc123def456"',
-            'eval(userInput)',
-            'eval(requestBody)',
-            'innerHTML = userData',
-            'debugger; // left in production',
+            ['heuristic/no-console', 'console.log(secretKey)', 'src/auth/session.js'],
+            ['heuristic/no-console', 'console.log(password)', 'src/auth/login.js'],
+            ['heuristic/no-console', 'console.log(apiToken)', 'src/api/client.js'],
+            ['heuristic/no-console', 'console.log(user)', 'src/services/user.js'],
+            ['heuristic/no-console', 'console.debug(state)', 'src/store/index.js'],
+            ['heuristic/hardcoded-secret', 'const password = "admin123"', 'src/db/seed.js'],
+            ['heuristic/hardcoded-secret', 'const dbPassword = "Pr0d-s3cret!"', 'src/db/connection.js'],
+            ['heuristic/hardcoded-secret', 'secret: "session_signing_secret"', 'src/config.js'],
+            ['heuristic/hardcoded-secret', 'api_key = "live_9f8e7d6c5b4a"', 'src/services/payments.js'],
+            ['entropy/known-prefix', 'const apiKey = "sk-live-abc123def456"', 'src/services/stripe.js'],
+            ['heuristic/no-eval', 'eval(userInput)', 'src/utils/expr.js'],
+            ['ast/no-eval', 'eval(requestBody)', 'src/api/handler.js'],
+            ['ast/inner-html', 'innerHTML = userData', 'src/ui/profile.js'],
+            ['ast/sql-injection', 'query(`SELECT * FROM users WHERE id = ${req.query.id}`)', 'src/routes/users.js'],
+            ['ast/xss', 'innerHTML = req.query.html', 'src/routes/preview.js'],
+            ['heuristic/no-debugger', 'debugger; // left in production', 'src/app.js'],
+            ['heuristic/todo-comment', '// TODO: handle the error case', 'src/services/user.js'],
+            ['heuristic/todo-comment', '// FIXME: breaks on empty input', 'src/utils/parse.js'],
         ];
 
         // False positives (not real issues → should NOT report)
         const falsePositives = [
-            'console.log("Server started on port", port)',
-            'console.log("Starting migration...")',
-            'console.log(JSON.stringify(config, null, 2))',
-            'console.log("Test passed")',
-            'const password = "test_password" // test fixture',
-            'const mockApiKey = "test-key-for-unit-tests"',
-            'password: process.env.DB_PASSWORD',
-            'apiKey: config.get("apiKey")',
-            'if (DEBUG) console.log(data)',
-            '// TODO: refactor this module',
-            '// FIXME: known issue #123',
+            ['heuristic/no-console', 'console.log("Server started on port", port)', 'src/server.js'],
+            ['heuristic/no-console', 'console.log("Starting migration...")', 'scripts/migrate.js'],
+            ['heuristic/no-console', 'console.log(JSON.stringify(config, null, 2))', 'scripts/print-config.js'],
+            ['heuristic/no-console', 'console.log("Test passed")', 'tests/smoke.test.js'],
+            ['heuristic/hardcoded-secret', 'const password = "test_password" // test fixture', 'tests/fixtures/users.js'],
+            ['heuristic/hardcoded-secret', 'const mockApiKey = "test-key-for-unit-tests"', 'tests/api.test.js'],
+            ['heuristic/hardcoded-secret', 'password: process.env.DB_PASSWORD', 'src/config.js'],
+            ['heuristic/hardcoded-secret', 'apiKey: config.get("apiKey")', 'src/services/stripe.js'],
+            ['heuristic/no-console', 'if (DEBUG) console.log(data)', 'src/utils/debug.js'],
+            ['heuristic/todo-comment', '// TODO: refactor this module', 'src/legacy/index.js'],
+            ['heuristic/todo-comment', '// FIXME: known issue #123', 'src/legacy/report.js'],
         ];
 
-        for (const text of realIssues) {
-            await this.classifier.learn(text, 'report');
+        for (const [ruleId, context, file] of realIssues) {
+            await this.classifier.learn(this.buildFeatureText({ ruleId, context, file }), 'report');
         }
 
-        for (const text of falsePositives) {
-            await this.classifier.learn(text, 'skip');
+        for (const [ruleId, context, file] of falsePositives) {
+            await this.classifier.learn(this.buildFeatureText({ ruleId, context, file }), 'skip');
         }
     }
 
@@ -85,8 +98,9 @@ export class FalsePositiveFilter {
      * Determines whether a finding should be reported.
      *
      * @param {object} finding - Finding object
+     * @param {string} [finding.ruleId] - Stable rule ID (preferred over the message)
      * @param {string} finding.message - Finding message
-     * @param {string} [finding.context] - Code context
+     * @param {string} [finding.context] - Code context (falls back to `snippet`)
      * @returns {Promise<{ shouldReport: boolean, confidence: number }>}
      */
     async shouldReport(finding) {
@@ -148,13 +162,17 @@ export class FalsePositiveFilter {
 
     /**
      * Builds a feature text string from a finding for classification.
+     * Keys off the rule ID when present so the classifier learns per rule rather
+     * than per message wording; legacy findings fall back to the message.
      * @param {object} finding
      * @returns {string}
      */
     buildFeatureText(finding) {
         const parts = [];
-        if (finding.message) parts.push(finding.message);
-        if (finding.context) parts.push(finding.context);
+        if (finding.ruleId) parts.push(finding.ruleId);
+        else if (finding.message) parts.push(finding.message);
+        const context = finding.context || finding.snippet;
+        if (context) parts.push(context);
         if (finding.file) parts.push(finding.file);
         return parts.join(' ');
     }
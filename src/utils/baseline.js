@@ -0,0 +1,177 @@
+/**
+ * Baseline file support.
+ *
+ * A baseline records the fingerprints of known (legacy) findings so that
+ * `reviewpilot check` only reports — and fails on — findings introduced since.
+ * Matching uses fingerprints, never line numbers, so baselined issues stay
+ * baselined when surrounding code moves.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+export const BASELINE_VERSION = 1;
+
+/**
+ * @typedef {object} BaselineEntry
+ * @property {string} fingerprint - Finding fingerprint (without the `:n` occurrence suffix)
+ * @property {string} ruleId
+ * @property {string} file
+ * @property {number|null} line   - Line at the time the baseline was written (informational only)
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} Baseline
+ * @property {number} version
+ * @property {string} createdAt - ISO timestamp
+ * @property {BaselineEntry[]} findings
+ */
+
+/**
+ * Builds a baseline from a list of findings.
+ *
+ * @param {import('../linters/smart-linter.js').Finding[]} findings
+ * @returns {Baseline}
+ */
+export function createBaseline(findings) {
+    const entries = findings
+        .filter((f) => f.fingerprint)
+        .map((f) => ({
+            fingerprint: stripOccurrence(f.fingerprint),
+            ruleId: f.ruleId,
+            file: f.file,
+            line: f.line ?? null,
+            message: f.message,
+        }));
+
+    return {
+        version: BASELINE_VERSION,
+        createdAt: new Date().toISOString(),
+        findings: sortEntries(entries),
+    };
+}
+
+/**
+ * Reads a baseline file.
+ *
+ * @param {string} filePath - Absolute path to the baseline file
+ * @returns {Baseline|null} The baseline, or null if the file does not exist
+ * @throws {Error} If the file exists but is not a valid baseline
+ */
+export function loadBaseline(filePath) {
+    if (!existsSync(filePath)) return null;
+
+    let data;
+    try {
+        data = JSON.parse(readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        throw new Error(`Invalid baseline file ${filePath}: ${err.message}`);
+    }
+
+    if (!data || !Array.isArray(data.findings)) {
+        throw new Error(`Invalid baseline file ${filePath}: missing "findings" array`);
+    }
+    if (data.version > BASELINE_VERSION) {
+        throw new Error(`Baseline file ${filePath} has version ${data.version}; this ReviewPilot supports up to ${BASELINE_VERSION}`);
+    }
+
+    return data;
+}
+
+/**
+ * Writes a baseline file (pretty-printed, stable entry order for clean diffs).
+ *
+ * @param {string} filePath - Absolute path to the baseline file
+ * @param {Baseline} baseline
+ */
+export function saveBaseline(filePath, baseline) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    const data = { ...baseline, findings: sortEntries(baseline.findings) };
+    writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Splits findings into new ones and ones covered by the baseline.
+ * Each baseline entry absorbs at most one finding, so a second copy of a
+ * baselined issue in the same file is still reported.
+ *
+ * @param {import('../linters/smart-linter.js').Finding[]} findings
+ * @param {Baseline|null} baseline
+ * @returns {{ findings: import('../linters/smart-linter.js').Finding[], baselined: import('../linters/smart-linter.js').Finding[] }}
+ */
+export function filterBaseline(findings, baseline) {
+    if (!baseline || baseline.findings.length === 0) {
+        return { findings, baselined: [] };
+    }
+
+    const remaining = countFingerprints(baseline.findings);
+    const kept = [];
+    const baselined = [];
+
+    for (const finding of findings) {
+        const key = finding.fingerprint && stripOccurrence(finding.fingerprint);
+        if (key && remaining.get(key) > 0) {
+            remaining.set(key, remaining.get(key) - 1);
+            baselined.push(finding);
+        } else {
+            kept.push(finding);
+        }
+    }
+
+    return { findings: kept, baselined };
+}
+
+/**
+ * Drops baseline entries that no longer match any current finding.
+ *
+ * @param {Baseline} baseline
+ * @param {import('../linters/smart-linter.js').Finding[]} findings - Current findings for the baselined files
+ * @returns {{ baseline: Baseline, removed: BaselineEntry[] }}
+ */
+export function pruneBaseline(baseline, findings) {
+    const available = countFingerprints(
+        findings.filter((f) => f.fingerprint).map((f) => ({ fingerprint: f.fingerprint }))
+    );
+    const kept = [];
+    const removed = [];
+
+    for (const entry of baseline.findings) {
+        const key = stripOccurrence(entry.fingerprint);
+        if (available.get(key) > 0) {
+            available.set(key, available.get(key) - 1);
+            kept.push(entry);
+        } else {
+            removed.push(entry);
+        }
+    }
+
+    return { baseline: { ...baseline, findings: kept }, removed };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+/**
+ * Occurrence suffixes (`:2`) depend on how many identical findings were
+ * analyzed together, which differs between a full scan and a diff — match
+ * on the base fingerprint and count occurrences instead.
+ */
+function stripOccurrence(fingerprint) {
+    return fingerprint.replace(/:\d+$/, '');
+}
+
+function countFingerprints(entries) {
+    const counts = new Map();
+    for (const { fingerprint } of entries) {
+        const key = stripOccurrence(fingerprint);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+}
+
+function sortEntries(entries) {
+    return [...entries].sort((a, b) =>
+        a.file.localeCompare(b.file) ||
+        (a.line ?? 0) - (b.line ?? 0) ||
+        a.fingerprint.localeCompare(b.fingerprint));
+}
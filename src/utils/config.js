@@ -13,16 +13,50 @@ const DEFAULTS = {
         maxFileSize: 500 * 1024,        // 500KB
         maxFunctionLength: 50,           // lines
         maxCyclomaticComplexity: 10,     // McCabe
-        maxImportDepth: 5,               // dependency depth
+        maxImportDepth: 5,               // longest chain of repository imports
+        maxFanOut: 15,                   // direct imports of repository modules
     },
     retryAttempts: 3,
     copilotConcurrency: 3,
     pluginDir: '.reviewpilot-rules',
+    dependentsDepth: 3,                  // import hops followed for transitive dependents
+    boundaries: [],                      // import boundary rules, see docs/configuration.md
+    baselineFile: '.reviewpilot-baseline.json',
+    coverageReports: ['coverage/lcov.info', 'coverage/coverage-final.json'],  // for diff coverage
+    testRunner: null,                    // vitest | jest | mocha | node, or null to detect from package.json
+    testTimeout: 600000,                 // ms before `check --run-tests` stops the test run
+    formatters: {},                      // name → custom formatter module path
+    gate: {
+        failOn: 'error',                 // minimum failing severity, or 'none'
+        maxFindings: {},                 // severity → max allowed count
+        failOnBudget: false,
+        failOnBreakingWithoutBump: false,
+        failOnUntested: false,
+        minDiffCoverage: null,           // % of added executable lines that must be covered
+        failOnStepError: false,
+    },
+    hooks: {
+        preCommit: { failOn: 'error' },  // `reviewpilot hooks install` thresholds
+        prePush: { failOn: 'error' },
+    },
+    cache: {
+        enabled: true,                   // reuse per-file lint results from <outputDir>/cache
+        maxEntries: 5000,                // least recently used entries beyond this are dropped
+    },
+    suppressions: {
+        requireReason: false,            // ignore directives without " -- reason"
+        reportUnused: true,              // report directives that suppress nothing
+    },
+    mutation: {
+        maxMutantsPerFile: 10,           // `reviewpilot mutate` mutants per changed file
+        timeBudget: 300000,              // ms for the whole mutation run; the rest is skipped
+    },
 };
 
 /**
  * Load configuration from `.reviewpilotrc` in the repo root (if present),
- * merged with sensible defaults.
+ * merged with sensible defaults. Nested sections (`cache`, `hooks`, …) are
+ * merged key by key, so setting one option keeps the section's other defaults.
  *
  * @returns {Promise<object>} Merged config
  */
@@ -37,16 +71,16 @@ export async function loadConfig() {
     const configPath = join(repoRoot, '.reviewpilotrc');
 
     if (!existsSync(configPath)) {
-        return { ...DEFAULTS, repoRoot };
+        return { ...mergeConfig(DEFAULTS, {}), repoRoot };
     }
 
     try {
         const raw = readFileSync(configPath, 'utf-8');
         const userConfig = JSON.parse(raw);
-        return { ...DEFAULTS, ...userConfig, repoRoot };
+        return { ...mergeConfig(DEFAULTS, userConfig), repoRoot };
     } catch (err) {
         console.warn(`  ⚠ Failed to parse .reviewpilotrc: ${err.message}. Using defaults.`);
-        return { ...DEFAULTS, repoRoot };
+        return { ...mergeConfig(DEFAULTS, {}), repoRoot };
     }
 }
 
@@ -67,3 +101,20 @@ export function shouldExclude(filePath, patterns) {
         return filePath === pattern;
     });
 }
+
+// --- Internals ---
+
+/** Deep-merges plain objects; arrays and other values from `overrides` replace the default. */
+function mergeConfig(defaults, overrides) {
+    const merged = structuredClone(defaults);
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeConfig(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -23,6 +23,14 @@ export function getCopilotStats() {
   return { ...stats };
 }
 
+/**
+ * Turns Copilot off for the rest of the session (`--no-copilot`):
+ * every subsequent `askCopilot` call resolves to null without spawning a process.
+ */
+export function disableCopilot() {
+  copilotAvailable = false;
+}
+
 /**
  * Clears the session prompt cache.
  */
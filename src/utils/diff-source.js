@@ -0,0 +1,165 @@
+/**
+ * Diff sources — which changes `reviewpilot check` reviews.
+ *
+ *   (default)           merge-base(base, HEAD) .. HEAD
+ *   --staged            HEAD .. index
+ *   --working-tree      HEAD .. working tree (staged + unstaged)
+ *   --commit <sha>      <sha>^ .. <sha>
+ *   --range a..b        a .. b   (`a...b` diffs from their merge base)
+ *   --diff-file <path>  a unified diff from a file, or `-` for stdin
+ *
+ * Each source also names the snapshots on either side of the diff so that
+ * later steps read file contents from the matching ref or index.
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import {
+    getStagedDiff, getUncommittedDiff, getDiffBetween,
+    getMergeBase, resolveCommit, getParentCommit,
+} from './git.js';
+import { WORKTREE, INDEX } from './file-source.js';
+
+/**
+ * @typedef {object} DiffSource
+ * @property {'branch'|'staged'|'working-tree'|'commit'|'range'|'diff-file'} mode
+ * @property {string} description  - Human-readable summary, e.g. "staged changes"
+ * @property {string} rawDiff      - Unified diff
+ * @property {string|null} baseRef - Snapshot before the change (git ref), null if unknown
+ * @property {string} headRef      - Snapshot after the change (git ref, INDEX or WORKTREE)
+ */
+
+/**
+ * Resolves the diff to review from `check` options.
+ *
+ * @param {object} options
+ * @param {boolean} [options.staged]
+ * @param {boolean} [options.workingTree]
+ * @param {string} [options.commit]
+ * @param {string} [options.range]
+ * @param {string} [options.diffFile] - Path, or `-` for stdin
+ * @param {string} baseBranch - Used by the default branch mode
+ * @returns {Promise<DiffSource>}
+ * @throws {Error} When more than one mode is selected or a ref is unknown
+ */
+export async function resolveDiffSource(options, baseBranch) {
+    const modes = [
+        options.staged && '--staged',
+        options.workingTree && '--working-tree',
+        options.commit && '--commit',
+        options.range && '--range',
+        options.diffFile && '--diff-file',
+    ].filter(Boolean);
+
+    if (modes.length > 1) {
+        throw new Error(`Options ${modes.join(' and ')} cannot be combined — pick one diff mode`);
+    }
+
+    if (options.staged) {
+        return {
+            mode: 'staged',
+            description: 'staged changes',
+            rawDiff: await getStagedDiff(),
+            baseRef: 'HEAD',
+            headRef: INDEX,
+        };
+    }
+
+    if (options.workingTree) {
+        return {
+            mode: 'working-tree',
+            description: 'uncommitted changes',
+            rawDiff: await getUncommittedDiff(),
+            baseRef: 'HEAD',
+            headRef: WORKTREE,
+        };
+    }
+
+    if (options.commit) {
+        const sha = await resolveCommit(options.commit);
+        const parent = await getParentCommit(sha);
+        return {
+            mode: 'commit',
+            description: `commit ${sha.slice(0, 8)}`,
+            rawDiff: await getDiffBetween(parent, sha),
+            baseRef: parent,
+            headRef: sha,
+        };
+    }
+
+    if (options.range) {
+        const { from, to, symmetric } = parseRange(options.range);
+        const head = await resolveCommit(to);
+        const base = symmetric ? await getMergeBase(from, head) : await resolveCommit(from);
+        return {
+            mode: 'range',
+            description: `range ${options.range}`,
+            rawDiff: await getDiffBetween(base, head),
+            baseRef: base,
+            headRef: head,
+        };
+    }
+
+    if (options.diffFile) {
+        const rawDiff = options.diffFile === '-'
+            ? await readStdin()
+            : readFileSync(resolve(options.diffFile), 'utf-8');
+
+        // A supplied patch has no recorded base — assume it applies to the
+        // checked-out tree and compare APIs against the base branch
+        let baseRef = null;
+        try {
+            baseRef = await getMergeBase(baseBranch);
+        } catch {
+            // Not a git checkout, or no such branch: breaking-change detection is skipped
+        }
+
+        return {
+            mode: 'diff-file',
+            description: options.diffFile === '-' ? 'diff from stdin' : `diff file ${options.diffFile}`,
+            rawDiff,
+            baseRef,
+            headRef: WORKTREE,
+        };
+    }
+
+    const mergeBase = await getMergeBase(baseBranch);
+    return {
+        mode: 'branch',
+        description: `current branch vs ${baseBranch}`,
+        rawDiff: await getDiffBetween(mergeBase, 'HEAD'),
+        baseRef: mergeBase,
+        headRef: 'HEAD',
+    };
+}
+
+/**
+ * Splits `a..b` / `a...b` into its ends. A missing end defaults to HEAD.
+ *
+ * @param {string} range
+ * @returns {{ from: string, to: string, symmetric: boolean }}
+ * @throws {Error} If the range has no `..`
+ */
+export function parseRange(range) {
+    const match = /^(.*?)(\.\.\.?)(.*)$/.exec(range);
+    if (!match) {
+        throw new Error(`Invalid range "${range}" — expected <from>..<to> or <from>...<to>`);
+    }
+
+    const [, from, dots, to] = match;
+    return {
+        from: from || 'HEAD',
+        to: to || 'HEAD',
+        symmetric: dots === '...',
+    };
+}
+
+// --- Internals ---
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
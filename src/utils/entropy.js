@@ -130,37 +130,37 @@ export function hasSecretPrefix(str) {
  *
  * @param {string} str - Input string (the value, not the key)
  * @param {string} [context=''] - Variable name or key for context
- * @returns {{ isSecret: boolean, reason: string | null, confidence: 'high' | 'medium' | 'low' | null }}
+ * @returns {{ isSecret: boolean, reason: string | null, confidence: 'high' | 'medium' | 'low' | null, rule: string | null }}
  */
 export function detectSecret(str, context = '') {
-    if (!str || str.length < 8) return { isSecret: false, reason: null, confidence: null };
+    if (!str || str.length < 8) return { isSecret: false, reason: null, confidence: null, rule: null };
 
     // 1. Known prefix match (highest confidence)
     if (hasSecretPrefix(str)) {
-        return { isSecret: true, reason: 'Known secret prefix detected', confidence: 'high' };
+        return { isSecret: true, reason: 'Known secret prefix detected', confidence: 'high', rule: 'known-prefix' };
     }
 
     // 2. Base64 encoded secret
     const b64 = detectBase64Secrets(str);
     if (b64.isSecret) {
-        return { isSecret: true, reason: 'Base64-encoded credential detected', confidence: 'high' };
+        return { isSecret: true, reason: 'Base64-encoded credential detected', confidence: 'high', rule: 'base64' };
     }
 
     // 3. Hex-encoded secret
     if (detectHexSecrets(str)) {
-        return { isSecret: true, reason: 'Hex-encoded secret detected', confidence: 'medium' };
+        return { isSecret: true, reason: 'Hex-encoded secret detected', confidence: 'medium', rule: 'hex' };
     }
 
     // 4. High entropy with security context
     const securityContext = /password|secret|token|key|auth|cred|api.?key/i.test(context);
     if (securityContext && isHighEntropyString(str, 3.5, 12)) {
-        return { isSecret: true, reason: 'High-entropy value in security-sensitive variable', confidence: 'high' };
+        return { isSecret: true, reason: 'High-entropy value in security-sensitive variable', confidence: 'high', rule: 'high-entropy-context' };
     }
 
     // 5. High entropy standalone (lower confidence)
     if (isHighEntropyString(str, 5.0, 24)) {
-        return { isSecret: true, reason: 'High-entropy string (potential secret)', confidence: 'low' };
+        return { isSecret: true, reason: 'High-entropy string (potential secret)', confidence: 'low', rule: 'high-entropy' };
     }
 
-    return { isSecret: false, reason: null, confidence: null };
+    return { isSecret: false, reason: null, confidence: null, rule: null };
 }
@@ -0,0 +1,89 @@
+/**
+ * File sources — read and list files from one snapshot of the repository:
+ * the working tree, the git index, or any commit-ish ref.
+ *
+ * Pipeline steps that need full file contents (context gathering, breaking
+ * changes, suppressions) read through a source so they see the same version
+ * of the code as the diff being reviewed, not always `HEAD`.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createBlobReader, getFileContent, listFilesAtRef, listTrackedFiles, listWorktreeFiles } from './git.js';
+
+export const WORKTREE = ':worktree';
+export const INDEX = ':index';
+
+/**
+ * @typedef {object} FileSource
+ * @property {string} ref                                   - WORKTREE, INDEX, or a git ref
+ * @property {(file: string) => Promise<string|null>} read  - Reads a repo-relative file (null if missing, memoized)
+ * @property {() => Promise<string[]>} list                 - Lists repo-relative file paths (memoized)
+ */
+
+/**
+ * Creates a file source for a snapshot of the repository. Reads are memoized,
+ * so one source shared across pipeline steps reads each file once per run.
+ *
+ * @param {string} [ref=WORKTREE] - WORKTREE, INDEX, or a git ref (branch, tag, SHA)
+ * @param {string} [repoRoot=process.cwd()]
+ * @returns {FileSource}
+ */
+export function createFileSource(ref = WORKTREE, repoRoot = process.cwd()) {
+    const contents = new Map();
+    let listing = null;
+    let readBlob = null;
+
+    return {
+        ref,
+        read: (file) => {
+            if (!contents.has(file)) {
+                if (ref === WORKTREE) {
+                    contents.set(file, readFileAt(file, ref, repoRoot));
+                } else {
+                    // Snapshot reads share one `git cat-file --batch` process
+                    readBlob ??= createBlobReader(repoRoot);
+                    contents.set(file, readBlob(file, ref === INDEX ? '' : ref));
+                }
+            }
+            return contents.get(file);
+        },
+        list: () => {
+            listing ??= listFiles(ref, repoRoot);
+            return listing;
+        },
+    };
+}
+
+/**
+ * Reads a repo-relative file from a snapshot.
+ *
+ * @param {string} file
+ * @param {string} ref - WORKTREE, INDEX, or a git ref
+ * @param {string} [repoRoot=process.cwd()]
+ * @returns {Promise<string|null>}
+ */
+export async function readFileAt(file, ref, repoRoot = process.cwd()) {
+    if (ref === WORKTREE) {
+        const fullPath = join(repoRoot, file);
+        try {
+            return existsSync(fullPath) ? readFileSync(fullPath, 'utf-8') : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // `git show :path` reads the staged version
+    return getFileContent(file, ref === INDEX ? '' : ref, repoRoot);
+}
+
+// --- Internals ---
+
+async function listFiles(ref, repoRoot) {
+    if (ref === INDEX) return listTrackedFiles([], repoRoot);
+    if (ref !== WORKTREE) return listFilesAtRef(ref, repoRoot);
+
+    // Untracked files count; ignored build output does not, nor tracked files deleted on disk
+    const files = await listWorktreeFiles(repoRoot);
+    return files.filter((file) => existsSync(join(repoRoot, file)));
+}
@@ -0,0 +1,53 @@
+/**
+ * Content-based fingerprints for findings.
+ * A fingerprint identifies "the same issue" across runs even when surrounding
+ * edits shift it to a different line: it hashes the rule, the file and the
+ * normalized source text of the offending line — never the line number.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Normalizes a source snippet so whitespace-only edits keep the same fingerprint.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSnippet(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Computes the base fingerprint of a finding.
+ *
+ * @param {{ ruleId?: string, file: string, snippet?: string|null, message?: string }} finding
+ * @returns {string} 16-char hex digest
+ */
+export function computeFingerprint(finding) {
+    const content = finding.snippet ? normalizeSnippet(finding.snippet) : normalizeSnippet(finding.message);
+    return createHash('sha1')
+        .update(`${finding.ruleId || finding.source || ''}\0${finding.file}\0${content}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Assigns a `fingerprint` to every finding. Identical base fingerprints within
+ * a file (e.g. the same `console.log(x)` line pasted twice) are disambiguated
+ * by their order of appearance, so each finding stays unique.
+ *
+ * @param {import('../linters/smart-linter.js').Finding[]} findings
+ * @returns {import('../linters/smart-linter.js').Finding[]} The same array, mutated
+ */
+export function assignFingerprints(findings) {
+    const ordered = [...findings].sort((a, b) => (a.line || 0) - (b.line || 0));
+    const seen = new Map();
+
+    for (const finding of ordered) {
+        const base = computeFingerprint(finding);
+        const occurrence = seen.get(base) || 0;
+        seen.set(base, occurrence + 1);
+        finding.fingerprint = occurrence === 0 ? base : `${base}:${occurrence}`;
+    }
+
+    return findings;
+}
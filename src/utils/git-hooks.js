@@ -0,0 +1,263 @@
+/**
+ * Git hook management for `reviewpilot hooks`.
+ *
+ * ReviewPilot never overwrites a hook. Its commands live in a marked block:
+ *
+ *   # >>> reviewpilot pre-commit >>>
+ *   ...
+ *   # <<< reviewpilot pre-commit <<<
+ *
+ * which is inserted into existing shell hooks (including husky's), replaced in
+ * place on update, and removed on uninstall. Hooks written in another language
+ * are moved aside to `<hook>.pre-reviewpilot` and chained from a small wrapper.
+ */
+
+import { readFileSync, writeFileSync, existsSync, renameSync, unlinkSync, chmodSync, mkdirSync, statSync } from 'node:fs';
+import { join, resolve, relative } from 'node:path';
+import { getConfigValue, getGitPath } from './git.js';
+
+export const SUPPORTED_HOOKS = ['pre-commit', 'pre-push'];
+
+// What each hook runs: a fast staged-only review before commit, the full branch review before push
+const HOOK_COMMANDS = {
+    'pre-commit': 'check --staged --no-copilot --no-telemetry',
+    'pre-push': 'check --no-telemetry',
+};
+
+const BACKUP_SUFFIX = '.pre-reviewpilot';
+const SHELL_SHEBANG = /^#!.*\b(sh|bash|zsh|dash|ksh)\b/;
+
+/**
+ * @typedef {object} HooksLocation
+ * @property {string} dir             - Absolute directory the hooks live in
+ * @property {'git'|'hooksPath'|'husky'} manager
+ * @property {string|null} hooksPath  - Value of core.hooksPath, if set
+ */
+
+/**
+ * Finds where hooks must be written: husky's directory when husky manages
+ * hooks, otherwise `core.hooksPath` or `.git/hooks`.
+ *
+ * @param {string} repoRoot
+ * @returns {Promise<HooksLocation>}
+ */
+export async function resolveHooksLocation(repoRoot) {
+    const hooksPath = await getConfigValue('core.hooksPath', repoRoot);
+
+    // husky v9 points core.hooksPath at `.husky/_` and runs user hooks from `.husky/`
+    if (hooksPath && /(^|[\\/])\.husky([\\/]_)?[\\/]?$/.test(hooksPath)) {
+        const huskyDir = resolve(repoRoot, hooksPath.replace(/[\\/]_[\\/]?$/, ''));
+        return { dir: huskyDir, manager: 'husky', hooksPath };
+    }
+
+    if (hooksPath) {
+        const dir = resolve(repoRoot, hooksPath);
+        if (existsSync(dir) && !statSync(dir).isDirectory()) {
+            throw new Error(
+                `core.hooksPath is set to "${hooksPath}", which is not a directory, so git hooks are disabled. ` +
+                'Unset it (`git config --unset core.hooksPath`, or `--global`) or point it at a directory.'
+            );
+        }
+        return { dir, manager: 'hooksPath', hooksPath };
+    }
+
+    return { dir: await getGitPath('hooks', repoRoot), manager: 'git', hooksPath: null };
+}
+
+/**
+ * Renders the ReviewPilot block for a hook.
+ *
+ * @param {string} hook - 'pre-commit' | 'pre-push'
+ * @param {object} [options={}]
+ * @param {string} [options.failOn='error'] - Minimum severity that blocks the commit/push
+ * @returns {string}
+ */
+export function renderHookBlock(hook, options = {}) {
+    const { failOn = 'error' } = options;
+    const [start, end] = markers(hook);
+
+    return [
+        start,
+        '# Skip with REVIEWPILOT_SKIP=1 (e.g. `REVIEWPILOT_SKIP=1 git commit ...`)',
+        'if [ "$REVIEWPILOT_SKIP" != "1" ]; then',
+        '  if [ -x ./node_modules/.bin/reviewpilot ]; then',
+        '    ./node_modules/.bin/reviewpilot ' + `${HOOK_COMMANDS[hook]} --fail-on ${failOn} || exit $?`,
+        '  else',
+        '    npx --no-install reviewpilot ' + `${HOOK_COMMANDS[hook]} --fail-on ${failOn} || exit $?`,
+        '  fi',
+        'fi',
+        end,
+    ].join('\n');
+}
+
+/**
+ * Inserts or replaces the ReviewPilot block in a shell script. The block goes
+ * after the shebang and any leading `. file` source lines (husky), so a
+ * trailing `exit` in the existing hook cannot skip it.
+ *
+ * @param {string} script - Existing hook content ('' for a new hook)
+ * @param {string} hook
+ * @param {string} block  - From renderHookBlock
+ * @returns {string}
+ */
+export function upsertHookBlock(script, hook, block) {
+    if (hasHookBlock(script, hook)) {
+        const [start, end] = markers(hook);
+        const from = script.indexOf(start);
+        const to = script.indexOf(end, from) + end.length;
+        return script.slice(0, from) + block + script.slice(to);
+    }
+
+    const lines = script.split('\n');
+    let insertAt = 0;
+    while (insertAt < lines.length && /^(#!|\.\s|\s*$)/.test(lines[insertAt])) {
+        insertAt++;
+    }
+
+    const before = lines.slice(0, insertAt);
+    const after = lines.slice(insertAt);
+    while (before.length > 0 && before[before.length - 1].trim() === '') before.pop();
+
+    return [
+        ...before,
+        ...(before.length > 0 ? [''] : []),
+        block,
+        ...(after.length > 0 && after.some((l) => l.trim()) ? ['', ...after] : ['']),
+    ].join('\n');
+}
+
+/**
+ * Removes the ReviewPilot block from a script.
+ *
+ * @param {string} script
+ * @param {string} hook
+ * @returns {string}
+ */
+export function removeHookBlock(script, hook) {
+    if (!hasHookBlock(script, hook)) return script;
+
+    const [start, end] = markers(hook);
+    const from = script.indexOf(start);
+    const to = script.indexOf(end, from) + end.length;
+    return (script.slice(0, from).replace(/\n*$/, '\n') + script.slice(to).replace(/^\n+/, ''))
+        .replace(/^\n+/, '');
+}
+
+/**
+ * @param {string} script
+ * @param {string} hook
+ * @returns {boolean}
+ */
+export function hasHookBlock(script, hook) {
+    const [start, end] = markers(hook);
+    return script.includes(start) && script.includes(end);
+}
+
+/**
+ * Installs or updates one hook.
+ *
+ * @param {HooksLocation} location
+ * @param {string} hook
+ * @param {{ failOn?: string }} [options={}]
+ * @returns {{ path: string, action: 'created'|'updated'|'chained'|'wrapped' }}
+ */
+export function installHook(location, hook, options = {}) {
+    const path = join(location.dir, hook);
+    const block = renderHookBlock(hook, options);
+    mkdirSync(location.dir, { recursive: true });
+
+    let action;
+    if (!existsSync(path)) {
+        writeFileSync(path, location.manager === 'husky' ? `${block}\n` : `#!/bin/sh\n\n${block}\n`);
+        action = 'created';
+    } else {
+        const existing = readFileSync(path, 'utf-8');
+        const shebang = existing.split('\n')[0];
+
+        if (hasHookBlock(existing, hook)) {
+            writeFileSync(path, upsertHookBlock(existing, hook, block));
+            action = 'updated';
+        } else if (shebang.startsWith('#!') && !SHELL_SHEBANG.test(shebang)) {
+            // Not a shell script — keep it intact and call it after our block
+            renameSync(path, path + BACKUP_SUFFIX);
+            writeFileSync(path, [
+                '#!/bin/sh',
+                '',
+                block,
+                '',
+                `exec "$(dirname "$0")/${hook}${BACKUP_SUFFIX}" "$@"`,
+                '',
+            ].join('\n'));
+            action = 'wrapped';
+        } else {
+            writeFileSync(path, upsertHookBlock(existing, hook, block));
+            action = 'chained';
+        }
+    }
+
+    chmodSync(path, 0o755);
+    return { path, action };
+}
+
+/**
+ * Removes one hook's ReviewPilot block, restoring or deleting the file as
+ * appropriate.
+ *
+ * @param {HooksLocation} location
+ * @param {string} hook
+ * @returns {{ path: string, action: 'removed'|'restored'|'unchained'|'not-installed' }}
+ */
+export function uninstallHook(location, hook) {
+    const path = join(location.dir, hook);
+    if (!existsSync(path)) return { path, action: 'not-installed' };
+
+    const existing = readFileSync(path, 'utf-8');
+    if (!hasHookBlock(existing, hook)) return { path, action: 'not-installed' };
+
+    if (existsSync(path + BACKUP_SUFFIX)) {
+        renameSync(path + BACKUP_SUFFIX, path);
+        return { path, action: 'restored' };
+    }
+
+    const remaining = removeHookBlock(existing, hook);
+    if (isEmptyScript(remaining)) {
+        unlinkSync(path);
+        return { path, action: 'removed' };
+    }
+
+    writeFileSync(path, remaining);
+    return { path, action: 'unchained' };
+}
+
+/**
+ * Reports the state of one hook.
+ *
+ * @param {HooksLocation} location
+ * @param {string} hook
+ * @param {string} repoRoot
+ * @returns {{ hook: string, path: string, installed: boolean, chained: boolean, failOn: string|null }}
+ */
+export function inspectHook(location, hook, repoRoot) {
+    const path = join(location.dir, hook);
+    const display = relative(repoRoot, path) || path;
+    if (!existsSync(path)) return { hook, path: display, installed: false, chained: false, failOn: null };
+
+    const script = readFileSync(path, 'utf-8');
+    const installed = hasHookBlock(script, hook);
+    const failOn = installed ? (/--fail-on (\w+)/.exec(script)?.[1] ?? null) : null;
+    const chained = installed && (existsSync(path + BACKUP_SUFFIX) || !isEmptyScript(removeHookBlock(script, hook)));
+
+    return { hook, path: display, installed, chained, failOn };
+}
+
+// --- Internals ---
+
+function markers(hook) {
+    return [`# >>> reviewpilot ${hook} >>>`, `# <<< reviewpilot ${hook} <<<`];
+}
+
+function isEmptyScript(script) {
+    return script
+        .split('\n')
+        .every((line) => !line.trim() || line.startsWith('#!'));
+}
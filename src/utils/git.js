@@ -1,3 +1,5 @@
+import { spawn } from 'node:child_process';
+import { resolve } from 'node:path';
 import simpleGit from 'simple-git';
 
 /**
@@ -9,6 +11,9 @@ function createGit(cwd = process.cwd()) {
     return simpleGit({ baseDir: cwd });
 }
 
+// Git's well-known empty tree object — the "parent" of a root commit
+export const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
 /**
  * Returns the raw unified diff between the current branch and the base branch.
  * @param {string} baseBranch - Branch to diff against (e.g. 'main')
@@ -29,6 +34,98 @@ export async function getUncommittedDiff() {
     return git.diff(['HEAD']);
 }
 
+/**
+ * Returns the raw diff of staged changes (index vs HEAD).
+ * @returns {Promise<string>}
+ */
+export async function getStagedDiff() {
+    const git = createGit();
+    return git.diff(['--cached']);
+}
+
+/**
+ * Returns the raw diff between two refs.
+ * @param {string} fromRef
+ * @param {string} toRef
+ * @returns {Promise<string>}
+ */
+export async function getDiffBetween(fromRef, toRef) {
+    const git = createGit();
+    return git.diff([fromRef, toRef]);
+}
+
+/**
+ * Returns the merge base of two refs.
+ * @param {string} a
+ * @param {string} [b='HEAD']
+ * @returns {Promise<string>} Commit SHA
+ */
+export async function getMergeBase(a, b = 'HEAD') {
+    const git = createGit();
+    const mergeBase = await git.raw(['merge-base', a, b]);
+    return mergeBase.trim();
+}
+
+/**
+ * Resolves a ref to its full commit SHA.
+ * @param {string} ref
+ * @returns {Promise<string>}
+ * @throws {Error} If the ref does not exist
+ */
+export async function resolveCommit(ref) {
+    const git = createGit();
+    let sha = '';
+    try {
+        sha = await git.revparse(['--verify', '--quiet', `${ref}^{commit}`]);
+    } catch {
+        // Reported below
+    }
+    if (!sha.trim()) throw new Error(`Unknown commit "${ref}"`);
+    return sha.trim();
+}
+
+/**
+ * Returns the first parent of a commit, or the empty tree for a root commit.
+ * @param {string} sha
+ * @returns {Promise<string>}
+ */
+export async function getParentCommit(sha) {
+    const git = createGit();
+    try {
+        const parent = await git.revparse(['--verify', '--quiet', `${sha}^`]);
+        if (parent.trim()) return parent.trim();
+    } catch {
+        // Root commit — fall through
+    }
+    return EMPTY_TREE;
+}
+
+/**
+ * Lists files at a git ref (commit, branch or tag).
+ * @param {string} ref
+ * @param {string} [cwd=process.cwd()] - Repo root
+ * @returns {Promise<string[]>}
+ */
+export async function listFilesAtRef(ref, cwd = process.cwd()) {
+    const git = createGit(cwd);
+    const output = await git.raw(['ls-tree', '-r', '--name-only', ref]);
+    return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Returns the full messages of the commits in `fromRef..toRef`, oldest first.
+ * Merge commits are skipped.
+ * @param {string} fromRef
+ * @param {string} toRef
+ * @param {string} [cwd=process.cwd()] - Repo root
+ * @returns {Promise<string[]>}
+ */
+export async function getCommitMessages(fromRef, toRef, cwd = process.cwd()) {
+    const git = createGit(cwd);
+    const output = await git.raw(['log', '--reverse', '--no-merges', '--format=%B%x00', `${fromRef}..${toRef}`]);
+    return output.split('\0').map((m) => m.trim()).filter(Boolean);
+}
+
 /**
  * Returns categorized lists of changed files between current branch and base.
  * @param {string} baseBranch
@@ -57,6 +154,30 @@ export async function getChangedFiles(baseBranch) {
     return result;
 }
 
+/**
+ * Lists files tracked by git, optionally limited to the given paths.
+ * @param {string[]} [paths=[]] - Pathspecs relative to the repo root
+ * @param {string} [cwd=process.cwd()] - Repo root
+ * @returns {Promise<string[]>}
+ */
+export async function listTrackedFiles(paths = [], cwd = process.cwd()) {
+    const git = createGit(cwd);
+    const output = await git.raw(['ls-files', '--', ...paths]);
+    return output.split('\n').filter(Boolean);
+}
+
+/**
+ * Lists the files in the working tree that git knows or would pick up:
+ * tracked files plus untracked ones not excluded by .gitignore.
+ * @param {string} [cwd=process.cwd()] - Repo root
+ * @returns {Promise<string[]>}
+ */
+export async function listWorktreeFiles(cwd = process.cwd()) {
+    const git = createGit(cwd);
+    const output = await git.raw(['ls-files', '--cached', '--others', '--exclude-standard']);
+    return [...new Set(output.split('\n').filter(Boolean))];
+}
+
 /**
  * Returns the current branch name.
  * @returns {Promise<string>}
@@ -83,11 +204,12 @@ export async function getBaseBranch() {
 /**
  * Reads a file at a specific git ref.
  * @param {string} filePath - Relative path within repo
- * @param {string} ref - Git ref (branch, tag, commit)
+ * @param {string} ref - Git ref (branch, tag, commit); an empty string reads the index
+ * @param {string} [cwd=process.cwd()] - Repo root
  * @returns {Promise<string|null>} File content or null if not found
  */
-export async function getFileContent(filePath, ref) {
-    const git = createGit();
+export async function getFileContent(filePath, ref, cwd = process.cwd()) {
+    const git = createGit(cwd);
     try {
         return await git.show([`${ref}:${filePath}`]);
     } catch {
@@ -95,6 +217,53 @@ export async function getFileContent(filePath, ref) {
     }
 }
 
+/**
+ * Creates a reader that streams file contents at any ref through one
+ * `git cat-file --batch` process, instead of spawning `git show` per file.
+ * The process starts on the first read and exits once reads go idle.
+ *
+ * @param {string} [cwd=process.cwd()] - Repo root
+ * @returns {(filePath: string, ref: string) => Promise<string|null>} Same contract as getFileContent (`''` reads the index)
+ */
+export function createBlobReader(cwd = process.cwd()) {
+    let batch = null;
+
+    return (filePath, ref) => {
+        if (/[\n\r]/.test(filePath)) return getFileContent(filePath, ref, cwd);
+        batch ??= startBatch(cwd, () => { batch = null; });
+        return batch.read(`${ref}:${filePath}`);
+    };
+}
+
+/**
+ * Reads a git config value.
+ * @param {string} key - e.g. 'core.hooksPath'
+ * @param {string} [cwd=process.cwd()]
+ * @returns {Promise<string|null>} The value, or null when unset
+ */
+export async function getConfigValue(key, cwd = process.cwd()) {
+    const git = createGit(cwd);
+    try {
+        const value = await git.raw(['config', '--get', key]);
+        return value.trim() || null;
+    } catch {
+        return null; // `git config --get` exits 1 for unset keys
+    }
+}
+
+/**
+ * Resolves a path inside the git directory (handles worktrees, submodules and
+ * `core.hooksPath` for 'hooks').
+ * @param {string} name - e.g. 'hooks'
+ * @param {string} [cwd=process.cwd()]
+ * @returns {Promise<string>} Absolute path
+ */
+export async function getGitPath(name, cwd = process.cwd()) {
+    const git = createGit(cwd);
+    const path = await git.raw(['rev-parse', '--git-path', name]);
+    return resolve(cwd, path.trim());
+}
+
 /**
  * Returns the repo root directory.
  * @returns {Promise<string>}
@@ -104,3 +273,68 @@ export async function getRepoRoot() {
     const root = await git.revparse(['--show-toplevel']);
     return root.trim();
 }
+
+// --- Internals ---
+
+// A batch process with no reads for this long is closed
+const BATCH_IDLE_MS = 100;
+
+/** One `git cat-file --batch` process; `onEnd` runs once it stops taking reads. */
+function startBatch(cwd, onEnd) {
+    const child = spawn('git', ['cat-file', '--batch'], { cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    const pending = [];
+    let buffer = Buffer.alloc(0);
+    let idle = null;
+    let ended = false;
+
+    const end = () => {
+        if (ended) return;
+        ended = true;
+        clearTimeout(idle);
+        onEnd();
+        child.stdin.end();
+    };
+    const fail = () => {
+        end();
+        for (const request of pending.splice(0)) request(null);
+    };
+
+    // Each reply: "<sha> <type> <size>\n<content>\n", or "<object> missing\n"
+    const drain = () => {
+        while (pending.length > 0) {
+            const newline = buffer.indexOf(10);
+            if (newline === -1) return;
+            const header = buffer.subarray(0, newline).toString();
+            const [, type, size] = header.split(' ');
+            if (/ (missing|ambiguous)$/.test(header) || size === undefined) {
+                buffer = buffer.subarray(newline + 1);
+                pending.shift()(null);
+                continue;
+            }
+
+            const start = newline + 1;
+            const length = Number(size);
+            if (buffer.length < start + length + 1) return;
+            const content = buffer.subarray(start, start + length);
+            buffer = buffer.subarray(start + length + 1);
+            pending.shift()(type === 'blob' ? content.toString('utf-8') : null);
+        }
+        idle = setTimeout(end, BATCH_IDLE_MS);
+    };
+
+    child.stdout.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        drain();
+    });
+    child.stdin.on('error', fail);
+    child.on('error', fail);
+    child.on('close', fail);
+
+    return {
+        read: (object) => new Promise((resolvePending) => {
+            clearTimeout(idle);
+            pending.push(resolvePending);
+            child.stdin.write(`${object}\n`);
+        }),
+    };
+}
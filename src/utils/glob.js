@@ -0,0 +1,45 @@
+/**
+ * Minimal glob matching for repo-relative paths.
+ *
+ *   **   any number of path segments (including none)
+ *   *    any characters except `/`
+ *   ?    one character except `/`
+ */
+
+/**
+ * Compiles a glob into an anchored regular expression.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` may match nothing, so `src/**/x.js` also matches `src/x.js`
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} path
+ * @param {RegExp[]} patterns - From globToRegExp
+ * @returns {boolean}
+ */
+export function matchesAny(path, patterns) {
+    return patterns.some((pattern) => pattern.test(path));
+}
@@ -3,6 +3,17 @@ import ora from 'ora';
 
 let activeSpinner = null;
 
+// Human-readable output goes to stdout unless a machine-readable report claims it
+let print = (...args) => console.log(...args);
+
+/**
+ * Routes all human-readable output to stderr, keeping stdout clean
+ * for machine-readable reports (e.g. `--format sarif`).
+ */
+export function useStderr() {
+    print = (...args) => console.error(...args);
+}
+
 // ─── Spinners ────────────────────────────────────────────────
 
 export function startSpinner(text) {
@@ -35,30 +46,34 @@ export function stopSpinner() {
 // ─── Text Output ─────────────────────────────────────────────
 
 export function heading(text) {
-    console.log();
-    console.log(chalk.bold.cyan(`  ✦ ${text}`));
-    console.log(chalk.dim('  ' + '─'.repeat(50)));
+    print();
+    print(chalk.bold.cyan(`  ✦ ${text}`));
+    print(chalk.dim('  ' + '─'.repeat(50)));
 }
 
 export function success(text) {
-    console.log(chalk.green(`  ✔ ${text}`));
+    print(chalk.green(`  ✔ ${text}`));
 }
 
 export function warn(text) {
-    console.log(chalk.yellow(`  ⚠ ${text}`));
+    print(chalk.yellow(`  ⚠ ${text}`));
 }
 
 export function error(text) {
-    console.log(chalk.red(`  ✖ ${text}`));
+    print(chalk.red(`  ✖ ${text}`));
 }
 
 export function info(text) {
-    console.log(chalk.dim(`  ℹ ${text}`));
+    print(chalk.dim(`  ℹ ${text}`));
+}
+
+export function plain(text) {
+    print(text);
 }
 
 export function bullet(text, indent = 2) {
     const pad = ' '.repeat(indent);
-    console.log(`${pad}${chalk.dim('•')} ${text}`);
+    print(`${pad}${chalk.dim('•')} ${text}`);
 }
 
 // ─── Findings Table ──────────────────────────────────────────
@@ -75,17 +90,17 @@ export function finding(severity, file, line, message, source = '') {
     const badge = severityColors[severity]?.(` ${severity.toUpperCase()} `) || chalk.dim(severity);
     const loc = chalk.dim(`${file}${line ? `:${line}` : ''}`);
     const src = source ? chalk.dim(` [${source}]`) : '';
-    console.log(`  ${badge} ${loc}  ${message}${src}`);
+    print(`  ${badge} ${loc}  ${message}${src}`);
 }
 
 // ─── Dividers & Spacing ──────────────────────────────────────
 
 export function divider() {
-    console.log(chalk.dim('  ' + '═'.repeat(50)));
+    print(chalk.dim('  ' + '═'.repeat(50)));
 }
 
 export function newline() {
-    console.log();
+    print();
 }
 
 // ─── Step Progress ───────────────────────────────────────────
@@ -106,36 +121,64 @@ export function stepProgress(current, total, name) {
  * @param {string} formattedSummary - Pre-formatted summary string from PerformanceTracker
  */
 export function perfSummary(formattedSummary) {
-    console.log();
+    print();
     for (const line of formattedSummary.split('\n')) {
         if (line.includes('Bottleneck')) {
-            console.log(chalk.yellow(`  ${line}`));
+            print(chalk.yellow(`  ${line}`));
         } else if (line.startsWith('⚡')) {
-            console.log(chalk.bold.cyan(`  ${line}`));
+            print(chalk.bold.cyan(`  ${line}`));
         } else if (line.startsWith('─')) {
-            console.log(chalk.dim(`  ${line}`));
+            print(chalk.dim(`  ${line}`));
         } else {
-            console.log(chalk.dim(`  ${line}`));
+            print(chalk.dim(`  ${line}`));
         }
     }
 }
 
+/**
+ * Renders the quality gate table and verdict.
+ * @param {import('../validators/quality-gate.js').GateResult} gate
+ */
+export function gateSummary(gate) {
+    const icons = {
+        pass: chalk.green('✔'),
+        fail: chalk.red('✖'),
+        off: chalk.dim('–'),
+    };
+    const nameWidth = Math.max(...gate.checks.map((c) => c.name.length));
+
+    print(chalk.bold.cyan('  ✦ Quality Gate'));
+    print(chalk.dim('  ' + '─'.repeat(50)));
+    for (const check of gate.checks) {
+        const limit = check.limit === null ? '' : ` / ${check.limit}`;
+        const row = `${check.name.padEnd(nameWidth)}  ${`${check.actual}${limit}`.padEnd(8)} ${check.detail}`;
+        print(`  ${icons[check.status]} ${check.status === 'off' ? chalk.dim(row) : row}`);
+    }
+    print();
+    if (gate.passed) {
+        print(chalk.bold.green('  ✔ Quality gate passed'));
+    } else {
+        const failed = gate.checks.filter((c) => c.status === 'fail').map((c) => c.name);
+        print(chalk.bold.red(`  ✖ Quality gate failed: ${failed.join(', ')}`));
+    }
+}
+
 /**
  * Shows a warning for a failed pipeline step.
  * @param {string} step  - Step name
  * @param {string} error - Error message
  */
 export function partialResult(step, error) {
-    console.log(chalk.yellow(`  ⚠ ${step} failed: ${error}`));
-    console.log(chalk.dim(`    Continuing with remaining steps...`));
+    print(chalk.yellow(`  ⚠ ${step} failed: ${error}`));
+    print(chalk.dim(`    Continuing with remaining steps...`));
 }
 
 // ─── Banner ──────────────────────────────────────────────────
 
 export function banner() {
-    console.log();
-    console.log(chalk.bold.cyan('  ╔══════════════════════════════════════╗'));
-    console.log(chalk.bold.cyan('  ║') + chalk.bold.white('   🛩️  ReviewPilot — AI Code Review   ') + chalk.bold.cyan('║'));
-    console.log(chalk.bold.cyan('  ╚══════════════════════════════════════╝'));
-    console.log();
+    print();
+    print(chalk.bold.cyan('  ╔══════════════════════════════════════╗'));
+    print(chalk.bold.cyan('  ║') + chalk.bold.white('   🛩️  ReviewPilot — AI Code Review   ') + chalk.bold.cyan('║'));
+    print(chalk.bold.cyan('  ╚══════════════════════════════════════╝'));
+    print();
 }
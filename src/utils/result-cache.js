@@ -0,0 +1,135 @@
+/**
+ * Incremental lint result cache, persisted in `.reviewpilot-output/cache`.
+ *
+ * Findings for a file are stored under a key built from:
+ *   - the file path and its git blob hash (post-change content),
+ *   - a hash of the file's diff (which lines count as changed),
+ *   - a scope hash covering the rule-set version and lint configuration.
+ *
+ * Re-running `check` after editing one file therefore re-analyzes only that
+ * file; every other file's findings come straight from the cache. Entries not
+ * used recently are evicted once the cache exceeds `maxEntries`.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+
+export const CACHE_VERSION = 1;
+const CACHE_FILE = 'lint-results.json';
+
+/**
+ * @typedef {object} ResultCache
+ * @property {(file: string, content: string, diffHash: string, scope: string) => string} keyFor
+ * @property {(key: string) => object[]|null} get  - Cached findings (copies), or null on a miss
+ * @property {(key: string, findings: object[]) => void} set
+ * @property {() => void} save                     - Writes the cache to disk (no-op when unchanged)
+ * @property {() => { hits: number, misses: number }} stats
+ */
+
+/**
+ * Computes the git blob hash of file content (same as `git hash-object`).
+ * @param {string} content
+ * @returns {string}
+ */
+export function blobHash(content) {
+    const body = Buffer.from(content, 'utf-8');
+    return createHash('sha1')
+        .update(`blob ${body.length}\0`)
+        .update(body)
+        .digest('hex');
+}
+
+/**
+ * Hashes any JSON-serializable value. Object keys are sorted so equal
+ * configurations always produce the same hash.
+ * @param {*} value
+ * @returns {string}
+ */
+export function hashValue(value) {
+    return createHash('sha1').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Opens (or starts) the result cache in a directory.
+ *
+ * @param {string} dir - Cache directory, e.g. `<repo>/.reviewpilot-output/cache`
+ * @param {object} [options={}]
+ * @param {number} [options.maxEntries=5000] - Least recently used entries beyond this are dropped on save
+ * @returns {ResultCache}
+ */
+export function createResultCache(dir, options = {}) {
+    const { maxEntries = 5000 } = options;
+    const path = join(dir, CACHE_FILE);
+    const entries = load(path);
+    const counters = { hits: 0, misses: 0 };
+    let dirty = false;
+
+    return {
+        keyFor(file, content, diffHash, scope) {
+            return hashValue([file, blobHash(content), diffHash, scope]);
+        },
+
+        get(key) {
+            const entry = entries[key];
+            if (!entry) {
+                counters.misses++;
+                return null;
+            }
+
+            counters.hits++;
+            entry.usedAt = Date.now();
+            dirty = true;
+            return entry.findings.map((f) => ({ ...f }));
+        },
+
+        set(key, findings) {
+            entries[key] = { findings: findings.map((f) => ({ ...f })), usedAt: Date.now() };
+            dirty = true;
+        },
+
+        save() {
+            if (!dirty) return;
+
+            const kept = Object.entries(entries)
+                .sort(([, a], [, b]) => b.usedAt - a.usedAt)
+                .slice(0, maxEntries);
+
+            try {
+                mkdirSync(dir, { recursive: true });
+                // Keep the cache out of `git status` even when the output directory is not ignored
+                if (!existsSync(join(dir, '.gitignore'))) writeFileSync(join(dir, '.gitignore'), '*\n');
+                writeFileSync(path, JSON.stringify({ version: CACHE_VERSION, entries: Object.fromEntries(kept) }));
+                dirty = false;
+            } catch {
+                // A read-only checkout just runs without a persistent cache
+            }
+        },
+
+        stats() {
+            return { ...counters };
+        },
+    };
+}
+
+// --- Internals ---
+
+function load(path) {
+    if (!existsSync(path)) return {};
+
+    try {
+        const data = JSON.parse(readFileSync(path, 'utf-8'));
+        return data.version === CACHE_VERSION && data.entries ? data.entries : {};
+    } catch {
+        // Corrupt cache — start over
+        return {};
+    }
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
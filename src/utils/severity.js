@@ -0,0 +1,7 @@
+/**
+ * Finding severities, shared by the linters that validate configured
+ * severities and the quality gate that ranks them.
+ */
+
+// Most → least severe
+export const SEVERITIES = ['critical', 'error', 'warning', 'info', 'suggestion'];
@@ -0,0 +1,132 @@
+/**
+ * Test runner integration — runs a project's tests with the runner it
+ * already uses (vitest, jest, mocha or node:test), optionally limited to
+ * a list of test files.
+ */
+
+import { spawn } from 'node:child_process';
+import { readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+// Runner → local binary and the arguments that select test files
+const RUNNERS = {
+    vitest: { bin: 'vitest', args: (files) => ['run', ...files] },
+    jest: { bin: 'jest', args: (files) => (files.length > 0 ? ['--runTestsByPath', ...files] : []) },
+    mocha: { bin: 'mocha', args: (files) => files },
+    node: { bin: null, args: (files) => ['--test', ...files] },
+};
+
+// Captured output kept for the report (tail)
+const MAX_OUTPUT = 64 * 1024;
+
+/**
+ * @typedef {object} TestRun
+ * @property {string} runner       - vitest | jest | mocha | node
+ * @property {string} command      - Command line that was run
+ * @property {number} fileCount    - Test files passed to the runner (0: whole suite)
+ * @property {number|null} exitCode - null when killed by the timeout
+ * @property {boolean} passed
+ * @property {boolean} timedOut
+ * @property {number} durationMs
+ * @property {string|null} output  - Tail of stdout + stderr (when captured)
+ */
+
+/**
+ * Detects the test runner from package.json: the `test` script first, then
+ * the dependencies.
+ *
+ * @param {string} repoRoot
+ * @returns {'vitest'|'jest'|'mocha'|'node'|null}
+ */
+export function detectTestRunner(repoRoot) {
+    const manifestPath = join(repoRoot, 'package.json');
+    if (!existsSync(manifestPath)) return null;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+    } catch {
+        return null;
+    }
+
+    const script = manifest.scripts?.test || '';
+    if (/\bvitest\b/.test(script)) return 'vitest';
+    if (/\bjest\b/.test(script)) return 'jest';
+    if (/\bmocha\b/.test(script)) return 'mocha';
+    if (/\bnode\b.*--test\b/.test(script)) return 'node';
+
+    const deps = { ...manifest.dependencies, ...manifest.devDependencies };
+    return ['vitest', 'jest', 'mocha'].find((name) => name in deps) || null;
+}
+
+/**
+ * Runs tests with the given runner.
+ *
+ * @param {'vitest'|'jest'|'mocha'|'node'} runner
+ * @param {string[]} files - Repo-relative test files; empty runs the whole suite
+ * @param {object} [options={}]
+ * @param {string} [options.cwd=process.cwd()] - Repo root
+ * @param {boolean} [options.capture=false] - Collect output for the report instead of streaming it
+ * @param {number} [options.timeout=0] - Kill the run after this many ms (0: no limit)
+ * @returns {Promise<TestRun>}
+ * @throws {Error} When the runner is not one of the supported names
+ */
+export function runTests(runner, files, options = {}) {
+    const { cwd = process.cwd(), capture = false, timeout = 0 } = options;
+    const { command, args } = resolveCommand(runner, files, cwd);
+    const started = Date.now();
+
+    return new Promise((resolve) => {
+        const child = spawn(command, args, {
+            cwd,
+            stdio: capture ? ['ignore', 'pipe', 'pipe'] : 'inherit',
+            env: { ...process.env, FORCE_COLOR: capture ? '0' : process.env.FORCE_COLOR },
+        });
+
+        let output = '';
+        const collect = (chunk) => {
+            output = (output + chunk).slice(-MAX_OUTPUT);
+        };
+        child.stdout?.on('data', collect);
+        child.stderr?.on('data', collect);
+
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGTERM');
+        }, timeout) : null;
+
+        const finish = (exitCode, error = null) => {
+            if (timer) clearTimeout(timer);
+            if (error) collect(`${error.message}\n`);
+            resolve({
+                runner,
+                command: [runner === 'node' ? 'node' : RUNNERS[runner].bin, ...args].join(' '),
+                fileCount: files.length,
+                exitCode,
+                passed: exitCode === 0 && !timedOut,
+                timedOut,
+                durationMs: Date.now() - started,
+                output: capture ? output : null,
+            });
+        };
+        child.on('error', (err) => finish(null, err));
+        child.on('close', (code) => finish(code));
+    });
+}
+
+// --- Internals ---
+
+/** Prefers the project's local binary; falls back to npx. */
+function resolveCommand(runner, files, cwd) {
+    if (!RUNNERS[runner]) {
+        throw new Error(`Unknown test runner "${runner}". Expected one of: ${Object.keys(RUNNERS).join(', ')}`);
+    }
+    const { bin, args } = RUNNERS[runner];
+    if (!bin) return { command: process.execPath, args: args(files) };
+
+    const local = join(cwd, 'node_modules', '.bin', bin);
+    return existsSync(local)
+        ? { command: local, args: args(files) }
+        : { command: 'npx', args: ['--no-install', bin, ...args(files)] };
+}
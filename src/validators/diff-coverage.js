@@ -0,0 +1,196 @@
+/**
+ * Diff coverage — how much of the added code the test suite executes.
+ *
+ * Reads line coverage from an lcov report (`lcov.info`) or istanbul's JSON
+ * report (`coverage-final.json`) produced by the project's own test run, and
+ * intersects it with the lines the diff adds. Only lines the report marks as
+ * executable count: blank lines, comments and declarations without code are
+ * neither covered nor uncovered, and files missing from the report are listed
+ * as unmeasured rather than counted as 0%.
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'node:path';
+
+/**
+ * Line hits per repo-relative file path.
+ * @typedef {Map<string, Map<number, number>>} LineCoverage
+ */
+
+/**
+ * @typedef {object} FileDiffCoverage
+ * @property {string} file
+ * @property {number} covered     - Added executable lines that ran
+ * @property {number} total       - Added executable lines
+ * @property {number|null} percent
+ * @property {Array<{ start: number, end: number }>} uncovered - Ranges of added lines that never ran
+ */
+
+/**
+ * @typedef {object} DiffCoverage
+ * @property {string[]} reports           - Reports read, repo-relative
+ * @property {number} covered
+ * @property {number} total
+ * @property {number|null} percent        - null when no added line is executable
+ * @property {FileDiffCoverage[]} files   - Changed files with executable added lines
+ * @property {string[]} unmeasured        - Changed source files the report has no data for
+ */
+
+/**
+ * Loads every coverage report that exists and merges their line hits.
+ * Relative source paths in a report are resolved against the directory
+ * above the report's own (`<project>/coverage/lcov.info` → `<project>`).
+ *
+ * @param {string[]} reportPaths - Paths relative to the repo root
+ * @param {string} repoRoot
+ * @returns {{ coverage: LineCoverage, reports: string[] }|null} null when no readable report exists
+ */
+export function loadCoverage(reportPaths, repoRoot) {
+    const coverage = new Map();
+    const reports = [];
+
+    for (const reportPath of reportPaths) {
+        const absPath = resolve(repoRoot, reportPath);
+        if (!existsSync(absPath)) continue;
+
+        let parsed;
+        try {
+            const text = readFileSync(absPath, 'utf-8');
+            parsed = absPath.endsWith('.json') ? parseIstanbulJson(JSON.parse(text)) : parseLcov(text);
+        } catch {
+            continue; // Unreadable or truncated report — treat as missing
+        }
+        const projectRoot = dirname(dirname(absPath));
+
+        for (const [source, lines] of parsed) {
+            const file = relative(repoRoot, isAbsolute(source) ? source : join(projectRoot, source)).split(sep).join('/');
+            const merged = coverage.get(file) || new Map();
+            for (const [line, hits] of lines) merged.set(line, (merged.get(line) || 0) + hits);
+            coverage.set(file, merged);
+        }
+        reports.push(relative(repoRoot, absPath).split(sep).join('/'));
+    }
+
+    return reports.length > 0 ? { coverage, reports } : null;
+}
+
+/**
+ * Parses an lcov tracefile: `SF:` starts a file, `DA:<line>,<hits>` records a line.
+ *
+ * @param {string} text
+ * @returns {LineCoverage} Keyed by the `SF:` path as written
+ */
+export function parseLcov(text) {
+    const coverage = new Map();
+    let lines = null;
+
+    for (const raw of text.split('\n')) {
+        const line = raw.trim();
+        if (line.startsWith('SF:')) {
+            const file = line.slice(3);
+            lines = coverage.get(file) || new Map();
+            coverage.set(file, lines);
+        } else if (line.startsWith('DA:') && lines) {
+            const [number, hits] = line.slice(3).split(',').map(Number);
+            if (Number.isInteger(number)) lines.set(number, (lines.get(number) || 0) + (hits || 0));
+        } else if (line === 'end_of_record') {
+            lines = null;
+        }
+    }
+
+    return coverage;
+}
+
+/**
+ * Parses istanbul's `coverage-final.json`. A line is executable when a
+ * statement starts on it, and covered when any of those statements ran —
+ * the same rule istanbul's own lcov reporter applies.
+ *
+ * @param {object} json
+ * @returns {LineCoverage} Keyed by the file path in the report
+ */
+export function parseIstanbulJson(json) {
+    const coverage = new Map();
+
+    for (const [key, data] of Object.entries(json)) {
+        const lines = new Map();
+        for (const [id, location] of Object.entries(data.statementMap || {})) {
+            const line = location.start.line;
+            lines.set(line, (lines.get(line) || 0) + (data.s?.[id] || 0));
+        }
+        coverage.set(data.path || key, lines);
+    }
+
+    return coverage;
+}
+
+/**
+ * Intersects the lines each file adds with the coverage data.
+ *
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files
+ * @param {{ coverage: LineCoverage, reports: string[] }} loaded - Result of loadCoverage
+ * @returns {DiffCoverage}
+ */
+export function computeDiffCoverage(files, { coverage, reports }) {
+    const result = { reports, covered: 0, total: 0, percent: null, files: [], unmeasured: [] };
+
+    for (const file of files) {
+        if (file.type === 'deleted') continue;
+        const lines = coverage.get(file.file);
+        if (!lines) {
+            if (file.category === 'feature') result.unmeasured.push(file.file);
+            continue;
+        }
+
+        const added = file.hunks.flatMap((h) => h.changes.filter((c) => c.type === 'add').map((c) => c.ln));
+        const executable = added.filter((ln) => lines.has(ln)).sort((a, b) => a - b);
+        if (executable.length === 0) continue;
+
+        const addedSet = new Set(added);
+        const entry = { file: file.file, covered: 0, total: executable.length, percent: null, uncovered: [] };
+        let range = null;
+        for (const ln of executable) {
+            if (lines.get(ln) > 0) {
+                entry.covered++;
+                range = null;
+            } else if (range && isAddedBetween(addedSet, range.end, ln)) {
+                // Same block of added lines, only blank or non-executable lines in between
+                range.end = ln;
+            } else {
+                range = { start: ln, end: ln };
+                entry.uncovered.push(range);
+            }
+        }
+        entry.percent = percentage(entry.covered, entry.total);
+
+        result.files.push(entry);
+        result.covered += entry.covered;
+        result.total += entry.total;
+    }
+
+    result.percent = percentage(result.covered, result.total);
+    return result;
+}
+
+/**
+ * Renders uncovered ranges compactly, e.g. "12-15, 40".
+ *
+ * @param {Array<{ start: number, end: number }>} ranges
+ * @returns {string}
+ */
+export function formatRanges(ranges) {
+    return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+// --- Internals ---
+
+function isAddedBetween(added, from, to) {
+    for (let ln = from + 1; ln < to; ln++) {
+        if (!added.has(ln)) return false;
+    }
+    return true;
+}
+
+function percentage(covered, total) {
+    return total === 0 ? null : Math.round((covered / total) * 1000) / 10;
+}
@@ -0,0 +1,331 @@
+/**
+ * Mutation testing of changed lines.
+ *
+ * A test file existing next to a module says nothing about whether the tests
+ * check the new logic. This validator makes small AST-guided edits to the
+ * lines a change adds — flipped comparisons, `&&`/`||` swaps, conditions
+ * forced to `true`/`false`, replaced return values — and runs the tests that
+ * import the file against each mutant. A mutant the tests still pass
+ * ("survives") marks changed code that no test asserts.
+ *
+ * Mutants are written to the working tree one at a time and the original
+ * file is always restored, including when the run is interrupted. The number
+ * of mutants per file is capped and the whole run has a time budget.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import babelTraverse from '@babel/traverse';
+import { canAnalyze } from '../analyzers/ast-analyzer.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { findAffectedTests } from '../context/test-impact.js';
+import { runTests } from '../utils/test-runner.js';
+import { assignFingerprints } from '../utils/fingerprint.js';
+
+// Babel traverse default export handling
+const traverse = babelTraverse.default || babelTraverse;
+
+// Comparison operator → its negation
+const FLIPPED_COMPARISONS = {
+    '<': '>=', '<=': '>', '>': '<=', '>=': '<',
+    '===': '!==', '!==': '===', '==': '!=', '!=': '==',
+};
+
+// A mutant may take this many times the unmutated run before it counts as killed by timeout
+const TIMEOUT_FACTOR = 3;
+const MIN_MUTANT_TIMEOUT = 10000;
+
+/**
+ * @typedef {object} Mutant
+ * @property {number} line
+ * @property {'comparison'|'logical'|'conditional'|'return-value'} operator
+ * @property {string} description  - e.g. `replaced < with >=`
+ * @property {number} start        - Offset of the replaced source range
+ * @property {number} end
+ * @property {string} replacement
+ * @property {string} snippet      - The mutated line, trimmed
+ * @property {'killed'|'survived'|'timeout'|'skipped'} [status] - Set by runMutationTesting
+ */
+
+/**
+ * @typedef {object} FileMutationResult
+ * @property {string} file
+ * @property {string[]} tests         - Test files run against each mutant
+ * @property {Mutant[]} mutants
+ * @property {string|null} skipped    - Why the file was not mutated, or null
+ */
+
+/**
+ * @typedef {object} MutationResult
+ * @property {FileMutationResult[]} files
+ * @property {number} killed          - Mutants some test failed on (timeouts included)
+ * @property {number} survived
+ * @property {number} skipped         - Mutants not run because the time budget ran out
+ * @property {number|null} score      - Killed share of the mutants that ran, in percent
+ * @property {boolean} budgetExhausted
+ */
+
+/**
+ * Lists the mutants for the added lines of a file. When there are more than
+ * `maxMutants`, lines take turns so the cap spreads over the whole change.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {Set<number>} addedLines
+ * @param {object} [options={}]
+ * @param {number} [options.maxMutants=Infinity]
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache]
+ * @returns {Mutant[]} In source order
+ */
+export function generateMutants(content, filename, addedLines, options = {}) {
+    const { maxMutants = Infinity, parseCache = createParseCache() } = options;
+    if (!content || !canAnalyze(filename)) return [];
+    const ast = parseCache.parse(filename, content);
+    if (!ast) return [];
+
+    const lines = content.split('\n');
+    const lineStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+    const mutants = [];
+    const add = (node, operator, description, replacement, start = node.start, end = node.end) => {
+        const line = lineAt(lineStarts, start);
+        if (!addedLines.has(line)) return;
+        const snippet = lines[line - 1].trim().slice(0, 200);
+        mutants.push({ line, operator, description, start, end, replacement, snippet });
+    };
+    const operatorOffset = ({ left, right, operator }) => {
+        const index = content.slice(left.end, right.start).indexOf(operator);
+        return index === -1 ? null : left.end + index;
+    };
+
+    traverse(ast, {
+        BinaryExpression({ node }) {
+            const flipped = FLIPPED_COMPARISONS[node.operator];
+            if (!flipped) return;
+            const offset = operatorOffset(node);
+            if (offset !== null) add(node, 'comparison', `replaced ${node.operator} with ${flipped}`, flipped, offset, offset + node.operator.length);
+        },
+        LogicalExpression({ node }) {
+            if (node.operator === '??') return;
+            const swapped = node.operator === '&&' ? '||' : '&&';
+            const offset = operatorOffset(node);
+            if (offset !== null) add(node, 'logical', `replaced ${node.operator} with ${swapped}`, swapped, offset, offset + 2);
+        },
+        'IfStatement|ConditionalExpression'({ node }) {
+            const kind = node.type === 'IfStatement' ? 'if' : 'ternary';
+            add(node.test, 'conditional', `${kind} condition forced to true`, 'true');
+            add(node.test, 'conditional', `${kind} condition forced to false`, 'false');
+        },
+        ReturnStatement({ node }) {
+            const replacement = node.argument && alternativeValue(node.argument);
+            if (replacement) add(node.argument, 'return-value', `return value replaced with ${replacement}`, replacement);
+        },
+    });
+
+    mutants.sort((a, b) => a.start - b.start || a.end - b.end);
+    return mutants.length > maxMutants ? spreadOverLines(mutants, maxMutants) : mutants;
+}
+
+/**
+ * Applies a mutant to the file content.
+ *
+ * @param {string} content
+ * @param {Mutant} mutant
+ * @returns {string}
+ */
+export function applyMutant(content, mutant) {
+    return content.slice(0, mutant.start) + mutant.replacement + content.slice(mutant.end);
+}
+
+/**
+ * Runs the affected tests against every mutant of the changed source files.
+ * Files whose working-tree content differs from the reviewed snapshot, that
+ * no test imports, or whose tests already fail are skipped.
+ *
+ * @param {import('../analyzers/diff-processor.js').FileChange[]} files
+ * @param {object} options
+ * @param {string} options.repoRoot
+ * @param {import('../context/import-graph.js').ImportGraph} options.graph - Head import graph
+ * @param {'vitest'|'jest'|'mocha'|'node'} options.runner
+ * @param {import('../utils/file-source.js').FileSource} options.fileSource - Reviewed snapshot
+ * @param {number} [options.maxMutantsPerFile=10]
+ * @param {number} [options.timeBudget=300000] - ms for the whole run; remaining mutants are skipped
+ * @param {(event: { file: string, mutant?: Mutant, index?: number, total?: number }) => void} [options.onProgress]
+ * @returns {Promise<MutationResult>}
+ */
+export async function runMutationTesting(files, options) {
+    const {
+        repoRoot, graph, runner, fileSource, maxMutantsPerFile = 10, timeBudget = 300000, onProgress = () => {},
+    } = options;
+    const deadline = Date.now() + timeBudget;
+    const parseCache = createParseCache();
+    const result = { files: [], killed: 0, survived: 0, skipped: 0, score: null, budgetExhausted: false };
+
+    // The file currently holding a mutant, restored if the process is interrupted
+    let active = null;
+    const restoreOnSignal = (signal) => {
+        if (active) writeFileSync(active.path, active.original);
+        process.exit(signal === 'SIGINT' ? 130 : 143);
+    };
+    process.on('SIGINT', restoreOnSignal);
+    process.on('SIGTERM', restoreOnSignal);
+
+    try {
+        for (const file of files) {
+            if (file.category !== 'feature' || file.type === 'deleted' || !canAnalyze(file.file)) continue;
+
+            const entry = { file: file.file, tests: [], mutants: [], skipped: null };
+            result.files.push(entry);
+            const path = join(repoRoot, file.file);
+            const original = readWorkingCopy(path);
+            if (original === null || original !== (await fileSource.read(file.file))) {
+                entry.skipped = 'working copy differs from the reviewed changes';
+                continue;
+            }
+
+            const addedLines = new Set(file.hunks.flatMap((h) => h.changes.filter((c) => c.type === 'add').map((c) => c.ln)));
+            entry.mutants = generateMutants(original, file.file, addedLines, { maxMutants: maxMutantsPerFile, parseCache });
+            entry.tests = findAffectedTests(graph, [file]).tests.map((t) => t.file);
+            if (entry.mutants.length === 0) continue;
+            if (entry.tests.length === 0) {
+                entry.skipped = 'no test imports this file';
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                skipRemaining(entry.mutants, result);
+                continue;
+            }
+
+            onProgress({ file: file.file });
+            const baseline = await runTests(runner, entry.tests, { cwd: repoRoot, capture: true, timeout: Math.max(deadline - Date.now(), 1) });
+            if (!baseline.passed) {
+                entry.skipped = baseline.timedOut ? 'tests did not finish within the time budget' : 'tests fail without mutations';
+                continue;
+            }
+            const mutantTimeout = Math.max(MIN_MUTANT_TIMEOUT, baseline.durationMs * TIMEOUT_FACTOR);
+
+            for (const [index, mutant] of entry.mutants.entries()) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    skipRemaining(entry.mutants.slice(index), result);
+                    break;
+                }
+
+                onProgress({ file: file.file, mutant, index, total: entry.mutants.length });
+                active = { path, original };
+                let run;
+                try {
+                    writeFileSync(path, applyMutant(original, mutant));
+                    run = await runTests(runner, entry.tests, { cwd: repoRoot, capture: true, timeout: Math.min(mutantTimeout, remaining) });
+                } finally {
+                    writeFileSync(path, original);
+                    active = null;
+                }
+
+                if (run.timedOut && Date.now() >= deadline) {
+                    // Cut off by the budget rather than by an infinite loop — no verdict
+                    skipRemaining(entry.mutants.slice(index), result);
+                    break;
+                }
+                mutant.status = run.passed ? 'survived' : run.timedOut ? 'timeout' : 'killed';
+                if (run.passed) result.survived++;
+                else result.killed++;
+            }
+        }
+    } finally {
+        process.off('SIGINT', restoreOnSignal);
+        process.off('SIGTERM', restoreOnSignal);
+    }
+
+    result.budgetExhausted = result.skipped > 0;
+    const ran = result.killed + result.survived;
+    result.score = ran === 0 ? null : Math.round((result.killed / ran) * 1000) / 10;
+    return result;
+}
+
+/**
+ * Turns surviving mutants into findings on the mutated line.
+ *
+ * @param {MutationResult} result
+ * @returns {import('../linters/smart-linter.js').Finding[]}
+ */
+export function mutationsToFindings(result) {
+    const findings = [];
+    for (const entry of result.files) {
+        const fileFindings = entry.mutants
+            .filter((m) => m.status === 'survived')
+            .map((m) => ({
+                file: entry.file,
+                line: m.line,
+                severity: 'warning',
+                message: `Mutant survived (${m.description}) — this changed code is not asserted by any test; ${entry.tests.length} test file(s) still pass`,
+                source: 'mutation',
+                ruleId: `mutation/${m.operator}`,
+                category: 'test-quality',
+                snippet: m.snippet,
+            }));
+        findings.push(...assignFingerprints(fileFindings));
+    }
+    return findings;
+}
+
+// --- Internals ---
+
+function readWorkingCopy(path) {
+    try {
+        return readFileSync(path, 'utf-8');
+    } catch {
+        return null;
+    }
+}
+
+function skipRemaining(mutants, result) {
+    for (const mutant of mutants) mutant.status = 'skipped';
+    result.skipped += mutants.length;
+}
+
+/** A value a return statement could plausibly not have returned, or null to leave it alone. */
+function alternativeValue(node) {
+    switch (node.type) {
+        case 'BooleanLiteral': return String(!node.value);
+        case 'NumericLiteral': return node.value === 0 ? '1' : '0';
+        case 'StringLiteral': return node.value === '' ? "'mutated'" : "''";
+        case 'NullLiteral': return null;
+        case 'Identifier': return node.name === 'undefined' ? null : 'null';
+        default: return 'null';
+    }
+}
+
+/** Takes one mutant per line in turn until `max` are chosen; keeps source order. */
+function spreadOverLines(mutants, max) {
+    const byLine = new Map();
+    for (const mutant of mutants) {
+        if (!byLine.has(mutant.line)) byLine.set(mutant.line, []);
+        byLine.get(mutant.line).push(mutant);
+    }
+
+    const chosen = new Set();
+    for (let round = 0; chosen.size < max; round++) {
+        let picked = false;
+        for (const lineMutants of byLine.values()) {
+            if (round < lineMutants.length && chosen.size < max) {
+                chosen.add(lineMutants[round]);
+                picked = true;
+            }
+        }
+        if (!picked) break;
+    }
+    return mutants.filter((m) => chosen.has(m));
+}
+
+/** 1-based line of an offset, by binary search over the line start offsets. */
+function lineAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return low + 1;
+}
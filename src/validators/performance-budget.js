@@ -1,20 +1,22 @@
 /**
  * Performance budget validator.
  * Checks changed files against configurable thresholds for size,
- * function length, and cyclomatic complexity.
+ * function length, cyclomatic complexity, import depth and fan-out.
  */
 
-import { readFileSync, statSync, existsSync } from 'node:fs';
-import { join } from 'node:path';
 import { calculateComplexity, canAnalyze } from '../analyzers/ast-analyzer.js';
+import { createParseCache } from '../analyzers/parse-cache.js';
+import { findLongestImportChain } from '../context/import-graph.js';
+import { createFileSource } from '../utils/file-source.js';
 
 /**
  * @typedef {object} BudgetViolation
- * @property {'file-size'|'function-length'|'complexity'} type
+ * @property {'file-size'|'function-length'|'complexity'|'import-depth'|'fan-out'} type
  * @property {string} file    - File path
  * @property {number} actual  - Measured value
  * @property {number} limit   - Budget limit
  * @property {string} message - Human-readable message
+ * @property {string[]} [chain] - Offending import chain (import-depth only)
  */
 
 // Default budgets (can be overridden in .reviewpilotrc)
@@ -22,6 +24,8 @@ const DEFAULT_BUDGETS = {
     maxFileSize: 500 * 1024,         // 500KB
     maxFunctionLength: 50,            // lines
     maxCyclomaticComplexity: 10,      // McCabe
+    maxImportDepth: 5,                // longest chain of repository imports
+    maxFanOut: 15,                    // direct imports of repository modules
 };
 
 /**
@@ -30,9 +34,16 @@ const DEFAULT_BUDGETS = {
  * @param {import('../analyzers/diff-processor.js').FileChange[]} files
  * @param {string} repoRoot
  * @param {object} [budgets] - Custom budget thresholds
+ * @param {object} [options={}]
+ * @param {import('../utils/file-source.js').FileSource} [options.fileSource] - Post-change snapshot (defaults to the working tree)
+ * @param {import('../analyzers/parse-cache.js').ParseCache} [options.parseCache] - Reuses ASTs parsed by earlier steps
+ * @param {import('../context/import-graph.js').ImportGraph} [options.graph] - Import graph; import budgets are skipped without it
  * @returns {Promise<BudgetViolation[]>}
  */
-export async function checkPerformanceBudget(files, repoRoot, budgets = {}) {
+export async function checkPerformanceBudget(files, repoRoot, budgets = {}, options = {}) {
+    const { graph = null } = options;
+    const fileSource = options.fileSource || createFileSource(undefined, repoRoot);
+    const parseCache = options.parseCache || createParseCache();
     const config = { ...DEFAULT_BUDGETS, ...budgets };
     const violations = [];
 
@@ -41,23 +52,25 @@ export async function checkPerformanceBudget(files, repoRoot, budgets = {}) {
     );
 
     for (const file of sourceFiles) {
-        const fullPath = join(repoRoot, file.file);
+        // The same snapshot the linter reviews — the working tree only in branch and working-tree modes
+        let content = null;
+        try {
+            content = await fileSource.read(file.file);
+        } catch {
+            // Skip unreadable files
+        }
 
         // ── File size check ──────────────────────────────────
-        if (existsSync(fullPath)) {
-            try {
-                const stat = statSync(fullPath);
-                if (stat.size > config.maxFileSize) {
-                    violations.push({
-                        type: 'file-size',
-                        file: file.file,
-                        actual: stat.size,
-                        limit: config.maxFileSize,
-                        message: `File size ${formatBytes(stat.size)} exceeds budget of ${formatBytes(config.maxFileSize)}`,
-                    });
-                }
-            } catch {
-                // Skip unreadable files
+        if (content !== null) {
+            const size = Buffer.byteLength(content);
+            if (size > config.maxFileSize) {
+                violations.push({
+                    type: 'file-size',
+                    file: file.file,
+                    actual: size,
+                    limit: config.maxFileSize,
+                    message: `File size ${formatBytes(size)} exceeds budget of ${formatBytes(config.maxFileSize)}`,
+                });
             }
         }
 
@@ -78,10 +91,11 @@ export async function checkPerformanceBudget(files, repoRoot, budgets = {}) {
         }
 
         // ── Cyclomatic complexity check (AST-based) ─────────
-        if (canAnalyze(file.file) && existsSync(fullPath)) {
+        if (canAnalyze(file.file) && content !== null) {
             try {
-                const content = readFileSync(fullPath, 'utf-8');
-                const complexity = calculateComplexity(content, file.file);
+                const complexity = calculateComplexity(content, file.file, {
+                    ast: parseCache.parse(file.file, content),
+                });
                 if (complexity > config.maxCyclomaticComplexity) {
                     violations.push({
                         type: 'complexity',
@@ -95,6 +109,11 @@ export async function checkPerformanceBudget(files, repoRoot, budgets = {}) {
                 // Skip files that can't be analyzed
             }
         }
+
+        // ── Import depth and fan-out (import graph) ─────────
+        if (graph) {
+            violations.push(...checkImportBudgets(graph, file.file, config));
+        }
     }
 
     return violations;
@@ -102,6 +121,36 @@ export async function checkPerformanceBudget(files, repoRoot, budgets = {}) {
 
 // ── Internals ────────────────────────────────────────────────
 
+function checkImportBudgets(graph, file, config) {
+    const violations = [];
+
+    const chain = findLongestImportChain(graph, file);
+    const depth = chain.length - 1;
+    if (depth > config.maxImportDepth) {
+        violations.push({
+            type: 'import-depth',
+            file,
+            actual: depth,
+            limit: config.maxImportDepth,
+            chain,
+            message: `Import chain depth ${depth} exceeds budget of ${config.maxImportDepth}: ${chain.join(' → ')}`,
+        });
+    }
+
+    const fanOut = graph.imports.get(file)?.size || 0;
+    if (fanOut > config.maxFanOut) {
+        violations.push({
+            type: 'fan-out',
+            file,
+            actual: fanOut,
+            limit: config.maxFanOut,
+            message: `Imports ${fanOut} repository modules directly (budget: ${config.maxFanOut})`,
+        });
+    }
+
+    return violations;
+}
+
 /**
  * Measures function lengths in a code block using brace counting.
  */
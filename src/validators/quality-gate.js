@@ -0,0 +1,201 @@
+/**
+ * Quality gate.
+ * Decides whether a `reviewpilot check` run passes, based on the `gate`
+ * section of `.reviewpilotrc` (and `--fail-on` on the CLI), and records
+ * why — every check produces a row for the gate summary table.
+ */
+
+import { describeBump } from '../detectors/semver.js';
+import { SEVERITIES } from '../utils/severity.js';
+
+// Default gate (can be overridden in .reviewpilotrc) — matches the historical
+// "fail on any critical or error finding" behaviour
+const DEFAULT_GATE = {
+    failOn: 'error',                     // minimum failing severity, or 'none'
+    maxFindings: {},                     // severity → max allowed count
+    failOnBudget: false,                 // any performance budget violation
+    failOnBreakingWithoutBump: false,    // major API change without a major version bump
+    failOnUntested: false,               // changed source files without tests
+    minDiffCoverage: null,               // % of added executable lines covered, or null
+    failOnStepError: false,              // any pipeline step failed
+};
+
+/**
+ * @typedef {object} GateCheck
+ * @property {string} name                 - Short label, e.g. "error findings"
+ * @property {'pass'|'fail'|'off'} status
+ * @property {number} actual               - Measured count
+ * @property {number|null} limit           - Max allowed count (null when the check is off)
+ * @property {string} detail               - Why the check passed or failed
+ */
+
+/**
+ * @typedef {object} GateResult
+ * @property {boolean} passed
+ * @property {GateCheck[]} checks
+ */
+
+/**
+ * Merges gate settings over the defaults and validates them.
+ *
+ * @param {object} [gate={}] - `gate` section from config
+ * @param {{ failOn?: string }} [overrides={}] - CLI overrides
+ * @returns {typeof DEFAULT_GATE}
+ * @throws {Error} On an unknown severity
+ */
+export function resolveGate(gate = {}, overrides = {}) {
+    const resolved = {
+        ...DEFAULT_GATE,
+        ...gate,
+        maxFindings: { ...DEFAULT_GATE.maxFindings, ...(gate.maxFindings || {}) },
+    };
+    if (overrides.failOn) resolved.failOn = overrides.failOn;
+
+    if (resolved.failOn !== 'none' && !SEVERITIES.includes(resolved.failOn)) {
+        throw new Error(`Invalid fail-on severity "${resolved.failOn}". Expected one of: ${[...SEVERITIES, 'none'].join(', ')}`);
+    }
+    if (resolved.minDiffCoverage !== null &&
+        !(typeof resolved.minDiffCoverage === 'number' && resolved.minDiffCoverage >= 0 && resolved.minDiffCoverage <= 100)) {
+        throw new Error(`Invalid gate.minDiffCoverage "${resolved.minDiffCoverage}". Expected a percentage from 0 to 100, or null`);
+    }
+    for (const severity of Object.keys(resolved.maxFindings)) {
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity "${severity}" in gate.maxFindings. Expected one of: ${SEVERITIES.join(', ')}`);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Evaluates check results against the gate.
+ *
+ * A severity at or above `failOn` allows zero findings unless `maxFindings`
+ * sets a higher limit; a severity below it only fails when `maxFindings`
+ * caps it explicitly.
+ *
+ * @param {object} results - Check results (findings, budgetViolations, breakingChanges, testCoverage, errors)
+ * @param {ReturnType<typeof resolveGate>} gate
+ * @param {object} [context={}]
+ * @param {import('../detectors/semver.js').PackageVersion[]|null} [context.packages] - Version change per changed package (null: unknown)
+ * @returns {GateResult}
+ */
+export function evaluateGate(results, gate, context = {}) {
+    const { findings = [], budgetViolations = [], breakingChanges = [], testCoverage = null, errors = [] } = results;
+    const checks = [];
+
+    // ── Findings per severity ────────────────────────────────
+    const threshold = gate.failOn === 'none' ? -1 : SEVERITIES.indexOf(gate.failOn);
+    for (const [rank, severity] of SEVERITIES.entries()) {
+        const actual = findings.filter((f) => f.severity === severity).length;
+        const limit = gate.maxFindings[severity] ?? (rank <= threshold ? 0 : null);
+        if (limit === null && actual === 0) continue;
+
+        checks.push(countCheck(`${severity} findings`, actual, limit,
+            limit === null ? `below the fail-on threshold (${gate.failOn})` : null));
+    }
+
+    // ── Performance budgets ──────────────────────────────────
+    checks.push(countCheck('budget violations', budgetViolations.length, gate.failOnBudget ? 0 : null));
+
+    // ── Major API changes without a version bump ─────────────
+    const major = breakingChanges.filter((bc) => bc.severity === 'major').length;
+    if (gate.failOnBreakingWithoutBump) {
+        const breaking = (context.packages || []).filter((p) => p.apiChange === 'major');
+        const unbumped = breaking.filter((p) => !p.satisfied);
+        const bumped = Boolean(context.packages) && unbumped.length === 0;
+        checks.push({
+            name: 'major API changes',
+            status: major === 0 || bumped ? 'pass' : 'fail',
+            actual: major,
+            limit: bumped ? null : 0,
+            detail: major === 0
+                ? 'no major API changes'
+                : bumped
+                    ? `version bumped ${breaking.map((p) => `${p.name} ${p.from} → ${p.to}`).join(', ')}`
+                    : unbumped.length > 0
+                        ? unbumped.map((p) => `${p.name} needs a ${p.required} version bump (package.json ${describeBump(p)})`).join('; ')
+                        : 'needs a major version bump (package versions unknown)',
+        });
+    } else {
+        checks.push(countCheck('major API changes', major, null));
+    }
+
+    // ── Untested files ───────────────────────────────────────
+    const untested = testCoverage?.untestedFiles?.length ?? 0;
+    checks.push(countCheck('untested files', untested, gate.failOnUntested ? 0 : null));
+
+    // ── Diff coverage ────────────────────────────────────────
+    // Skipped when nothing was analyzed or no source lines changed — a missing report has nothing to measure
+    const diffCoverage = testCoverage?.diffCoverage ?? null;
+    const measurable = Boolean(testCoverage) && testCoverage.addedSourceLines !== 0;
+    if (measurable && (gate.minDiffCoverage !== null || diffCoverage?.percent != null)) {
+        checks.push(diffCoverageCheck(diffCoverage, gate.minDiffCoverage));
+    }
+
+    // ── Affected tests (`check --run-tests`) ─────────────────
+    if (testCoverage?.testRun) {
+        checks.push(testRunCheck(testCoverage.testRun));
+    }
+
+    // ── Pipeline step failures ───────────────────────────────
+    checks.push(countCheck('step failures', errors.length, gate.failOnStepError ? 0 : null));
+
+    return {
+        passed: checks.every((c) => c.status !== 'fail'),
+        checks,
+    };
+}
+
+// ── Internals ────────────────────────────────────────────────
+
+function countCheck(name, actual, limit, offDetail = null) {
+    if (limit === null || limit === undefined) {
+        return { name, status: 'off', actual, limit: null, detail: offDetail || 'not gated' };
+    }
+
+    const passed = actual <= limit;
+    return {
+        name,
+        status: passed ? 'pass' : 'fail',
+        actual,
+        limit,
+        detail: passed ? `${actual} ≤ ${limit}` : `${actual} exceeds the limit of ${limit}`,
+    };
+}
+
+function diffCoverageCheck(diffCoverage, minimum) {
+    const name = 'diff coverage';
+    if (!diffCoverage) {
+        // A configured minimum must not switch itself off because CI skipped the coverage run
+        if (minimum === null) return { name, status: 'off', actual: 0, limit: null, detail: 'no coverage report found' };
+        return { name, status: 'fail', actual: 0, limit: minimum, detail: 'no coverage report found' };
+    }
+    if (diffCoverage.percent === null) {
+        const status = minimum === null ? 'off' : 'pass';
+        return { name, status, actual: 0, limit: minimum, detail: 'no executable lines added' };
+    }
+
+    const { percent, covered, total } = diffCoverage;
+    const measured = `${covered}/${total} added lines covered`;
+    if (minimum === null) return { name, status: 'off', actual: percent, limit: null, detail: `${measured}, not gated` };
+
+    const passed = percent >= minimum;
+    return {
+        name,
+        status: passed ? 'pass' : 'fail',
+        actual: percent,
+        limit: minimum,
+        detail: passed ? `${measured} (≥ ${minimum}%)` : `${measured}, below the minimum of ${minimum}%`,
+    };
+}
+
+function testRunCheck(run) {
+    const scope = run.fileCount > 0 ? `${run.fileCount} affected test file(s)` : 'full test suite';
+    const detail = run.passed
+        ? `${scope} passed`
+        : run.timedOut
+            ? `${scope} timed out after ${Math.round(run.durationMs / 1000)}s`
+            : `${scope} failed (${run.runner} exited with ${run.exitCode ?? 'an error'})`;
+    return { name: 'test run', status: run.passed ? 'pass' : 'fail', actual: run.passed ? 0 : 1, limit: 0, detail };
+}
@@ -1,6 +1,8 @@
 import { existsSync } from 'node:fs';
 import { basename, dirname, join } from 'node:path';
 import { askCopilot } from '../utils/copilot.js';
+import { loadCoverage, computeDiffCoverage } from './diff-coverage.js';
+import { findAffectedTests } from '../context/test-impact.js';
 
 /**
  * @typedef {object} TestSuggestion
@@ -13,18 +15,36 @@ import { askCopilot } from '../utils/copilot.js';
  * @property {string[]}         untestedFiles  - Source files with no corresponding test
  * @property {string[]}         existingTests  - Found test files for changed sources
  * @property {TestSuggestion[]} suggestions    - AI-suggested test cases
+ * @property {number}           addedSourceLines - Lines added to source files (nothing to measure when 0)
+ * @property {import('./diff-coverage.js').DiffCoverage|null} diffCoverage - Line coverage of added code (null: no coverage report)
+ * @property {import('../context/test-impact.js').AffectedTests|null} affectedTests - Tests importing changed code (null: no import graph)
+ * @property {import('../utils/test-runner.js').TestRun|null} [testRun] - Result of running the affected tests (`check --run-tests`)
  */
 
 /**
  * Validates test coverage for changed files:
- *   1. Checks if each source file has a corresponding test file (naming convention)
+ *   1. Checks if each source file has a corresponding test file (naming convention),
+ *      or a test that imports it through the import graph
  *   2. Uses Copilot to suggest test cases for untested code
+ *   3. Computes diff coverage when the project's coverage report exists
  *
  * @param {import('../analyzers/diff-processor.js').FileChange[]} files
  * @param {string} repoRoot
+ * @param {object} [options={}]
+ * @param {string[]} [options.coverageReports=[]] - lcov / istanbul JSON reports, relative to repoRoot
+ * @param {import('../context/import-graph.js').ImportGraph} [options.graph] - Head import graph, for test impact
+ * @param {boolean} [options.suggest=true] - Ask Copilot for test cases for untested files
  * @returns {Promise<TestCoverage>}
  */
-export async function validateTestCoverage(files, repoRoot) {
+export async function validateTestCoverage(files, repoRoot, options = {}) {
+    const { coverageReports = [], graph = null, suggest = true } = options;
+    const affectedTests = graph ? findAffectedTests(graph, files) : null;
+    const testedBy = new Map();
+    for (const test of affectedTests?.tests || []) {
+        for (const changed of test.changed) {
+            if (!testedBy.has(changed)) testedBy.set(changed, test.file);
+        }
+    }
     const untestedFiles = [];
     const existingTests = [];
     const suggestions = [];
@@ -35,7 +55,8 @@ export async function validateTestCoverage(files, repoRoot) {
     );
 
     for (const file of sourceFiles) {
-        const testFile = findTestFile(file.file, repoRoot);
+        const importingTest = testedBy.get(file.file);
+        const testFile = findTestFile(file.file, repoRoot) || (importingTest ? join(repoRoot, importingTest) : null);
 
         if (testFile) {
             existingTests.push(testFile);
@@ -47,7 +68,7 @@ export async function validateTestCoverage(files, repoRoot) {
                 .flatMap((h) => h.changes.filter((c) => c.type === 'add').map((c) => c.content))
                 .join('\n');
 
-            if (addedCode.length > 30) {
+            if (suggest && addedCode.length > 30) {
                 const aiSuggestion = await askCopilot(
                     `Suggest 3-5 test cases for the following new code. ` +
                     `Be specific about edge cases and error scenarios:\n\n${addedCode.slice(0, 1500)}`,
@@ -61,7 +82,11 @@ export async function validateTestCoverage(files, repoRoot) {
         }
     }
 
-    return { untestedFiles, existingTests, suggestions };
+    const addedSourceLines = sourceFiles.reduce((sum, f) => sum + (f.additions || 0), 0);
+    const coverage = loadCoverage(coverageReports, repoRoot);
+    const diffCoverage = coverage ? computeDiffCoverage(files, coverage) : null;
+
+    return { untestedFiles, existingTests, suggestions, addedSourceLines, diffCoverage, affectedTests };
 }
 
 // --- Internals ---
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { extractApiSurface } from '../../src/analyzers/api-surface.js';
+
+describe('extractApiSurface', () => {
+    it('should model named, aliased, default and re-exports', () => {
+        const api = extractApiSurface([
+            'function internal(a, b) {}',
+            'const VERSION = 2;',
+            'export { internal as publicName, VERSION };',
+            "export { helper as h } from './helpers';",
+            "export * from './types';",
+            "export * as ns from './ns';",
+            'export default function main({ verbose, dryRun = false }, ...rest) {}',
+        ].join('\n'), 'src/index.js');
+
+        expect([...api.keys()]).toEqual(['publicName', 'VERSION', 'h', 're-export of ./types', 'ns', 'default']);
+        expect(api.get('publicName')).toMatchObject({ kind: 'function', signature: 'a, b' });
+        expect(api.get('VERSION').kind).toBe('constant');
+        expect(api.get('h')).toEqual({ kind: 'reexport', source: './helpers', imported: 'helper' });
+        expect(api.get('ns')).toMatchObject({ kind: 'reexport', imported: '*' });
+
+        const [options, rest] = api.get('default').params;
+        expect(options).toMatchObject({ keys: ['verbose', 'dryRun'], optional: false, rest: false });
+        expect(rest).toMatchObject({ name: 'rest', rest: true });
+    });
+
+    it('should keep destructured params with commas as one parameter', () => {
+        const api = extractApiSurface('export const f = ({ a, b }, [c, d], e = 1) => {};', 'x.js');
+
+        expect(api.get('f').params.map((p) => [p.name, p.optional, p.defaultValue])).toEqual([
+            ['{ a, b }', false, null],
+            ['[c, d]', false, null],
+            ['e', true, '1'],
+        ]);
+    });
+
+    it('should model public class members and the constructor', () => {
+        const api = extractApiSurface([
+            'export class Store {',
+            '    static create(opts) {}',
+            '    #secret = 1;',
+            '    size = 0;',
+            '    constructor(name, options = {}) {}',
+            '    get(key) {}',
+            '    get count() { return 0; }',
+            '    _internal() {}',
+            '}',
+        ].join('\n'), 'store.js');
+
+        const store = api.get('Store');
+        expect(store.constructorSignature).toBe('name, options = {}');
+        expect([...store.members.keys()]).toEqual(['static create', 'size', 'get', 'count', '_internal']);
+        expect(store.members.get('count').kind).toBe('getter');
+        expect(store.members.get('size').kind).toBe('property');
+    });
+
+    it('should skip private and protected TypeScript members', () => {
+        const api = extractApiSurface([
+            'export class Repo {',
+            '    constructor(private readonly db: Db, name?: string) {}',
+            '    private cache(): void {}',
+            '    find(id: string): Item {}',
+            '}',
+        ].join('\n'), 'repo.ts');
+
+        const repo = api.get('Repo');
+        expect(repo.constructorParams.map((p) => [p.name, p.optional])).toEqual([['db', false], ['name', true]]);
+        expect([...repo.members.keys()]).toEqual(['find']);
+    });
+
+    it('should model TypeScript types, interfaces, enums and overloads', () => {
+        const api = extractApiSurface([
+            'export interface Options { readonly id: string; timeout?: number; on(event: string): void; }',
+            "export type Mode = 'a' | 'b';",
+            'export enum Level { Low = 1, High }',
+            'export function parse(input: string): Ast;',
+            'export function parse(input: Buffer, encoding: string): Ast;',
+            'export function parse(input: any, encoding?: string): Ast { return null; }',
+        ].join('\n'), 'api.ts');
+
+        expect(api.get('Options').members.get('id')).toMatchObject({ kind: 'property', readonly: true, optional: false, type: 'string' });
+        expect(api.get('Options').members.get('on')).toMatchObject({ kind: 'method', signature: 'event: string', returnType: 'void' });
+        expect(api.get('Mode')).toMatchObject({ kind: 'type', type: "'a' | 'b'", members: null });
+        expect([...api.get('Level').members]).toEqual([['Low', '1'], ['High', null]]);
+        expect(api.get('parse').overloads.map((o) => o.signature)).toEqual(['input: string', 'input: Buffer, encoding: string']);
+        expect(api.get('parse').params[0].type).toBe('any');
+    });
+
+    it('should read CommonJS exports', () => {
+        const api = extractApiSurface([
+            'function a(x) {}',
+            'module.exports = { a, b: (y, z) => y, c() {} };',
+            'exports.d = function (w) {};',
+        ].join('\n'), 'lib.js');
+
+        expect([...api.entries()].map(([name, e]) => [name, e.kind, e.signature])).toEqual([
+            ['a', 'function', 'x'],
+            ['b', 'function', 'y, z'],
+            ['c', 'function', ''],
+            ['d', 'function', 'w'],
+        ]);
+    });
+
+    it('should fall back to patterns for files the parser does not handle', () => {
+        const api = extractApiSurface('exports.run = function (cmd, { cwd, env } = {}) {};', 'lib.cjs');
+
+        expect(api.get('run').params.map((p) => [p.name, p.optional])).toEqual([['cmd', false], ['{ cwd, env }', true]]);
+    });
+});
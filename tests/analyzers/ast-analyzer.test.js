@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { analyzeWithAST, canAnalyze, calculateComplexity } from '../../src/analyzers/ast-analyzer.js';
+import { analyzeWithAST, canAnalyze, calculateComplexity, parseCode } from '../../src/analyzers/ast-analyzer.js';
+import { createParseCache } from '../../src/analyzers/parse-cache.js';
 
 describe('canAnalyze', () => {
     it('should support .js files', () => expect(canAnalyze('app.js')).toBe(true));
@@ -50,6 +51,19 @@ describe('analyzeWithAST', () => {
         expect(findings.some((f) => f.message.includes('innerHTML'))).toBe(true);
     });
 
+    it('should NOT flag eval() or innerHTML with constant values', () => {
+        const code = `eval('1 + 1');\nel.innerHTML = '<b>static</b>';`;
+        expect(analyzeWithAST(code, 'test.js')).toEqual([]);
+    });
+
+    it('should report untrusted input reaching a sink with its path, instead of the generic check', () => {
+        const code = `const html = req.query.html;\ndocument.body.innerHTML = html;`;
+        const findings = analyzeWithAST(code, 'test.js');
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({ line: 2, ruleId: 'ast/xss', severity: 'error', category: 'security' });
+        expect(findings[0].message).toContain('req.query.html (line 1) → html (line 1) → innerHTML (line 2)');
+    });
+
     it('should detect empty catch blocks', () => {
         const code = `try { foo(); } catch (e) {}`;
         const findings = analyzeWithAST(code, 'test.js');
@@ -69,6 +83,64 @@ describe('analyzeWithAST', () => {
     });
 });
 
+describe('analyzeWithAST with changedLines', () => {
+    const code = [
+        'function load(debug) {',       // 1
+        '    if (debug) {',             // 2
+        '        console.log("state");', // 3
+        '    }',                         // 4
+        '    eval(input);',              // 5
+        '    console.log("done");',      // 6
+        '}',                             // 7
+    ].join('\n');
+
+    it('should use the enclosing code when a changed line sits inside an unchanged block', () => {
+        const findings = analyzeWithAST(code, 'test.js', { changedLines: new Set([3]) });
+        expect(findings).toHaveLength(0);
+    });
+
+    it('should only report findings on changed lines, with file line numbers', () => {
+        const findings = analyzeWithAST(code, 'test.js', { changedLines: new Set([1, 6]) });
+        expect(findings.map((f) => [f.ruleId, f.line])).toEqual([['ast/no-console', 6]]);
+    });
+
+    it('should report nodes spanning a changed line', () => {
+        const findings = analyzeWithAST('try {\n  foo();\n} catch (e) {\n}\n', 'test.js', {
+            changedLines: new Set([4]),
+        });
+        expect(findings.some((f) => f.message.includes('Empty catch'))).toBe(true);
+    });
+
+    it('should report a taint flow when only its source line changed', () => {
+        const flow = 'const cmd = process.argv[2];\nconst a = 1;\neval(cmd);\n';
+        expect(analyzeWithAST(flow, 'test.js', { changedLines: new Set([1]) }).map((f) => [f.ruleId, f.line]))
+            .toEqual([['ast/code-injection', 3]]);
+        expect(analyzeWithAST(flow, 'test.js', { changedLines: new Set([2]) })).toEqual([]);
+    });
+
+    it('should accept a pre-parsed AST', () => {
+        const ast = parseCode(code, 'test.js');
+        const findings = analyzeWithAST(code, 'test.js', { ast });
+        expect(findings.map((f) => f.line)).toEqual([5, 6]);
+    });
+});
+
+describe('createParseCache', () => {
+    it('should parse each file version once', () => {
+        const cache = createParseCache();
+        const first = cache.parse('a.js', 'const a = 1;');
+        expect(cache.parse('a.js', 'const a = 1;')).toBe(first);
+        cache.parse('a.js', 'const a = 2;');
+        expect(cache.stats()).toEqual({ parses: 2, hits: 1 });
+    });
+
+    it('should return null for empty or unparseable content', () => {
+        const cache = createParseCache();
+        expect(cache.parse('a.js', '')).toBeNull();
+        expect(cache.parse('a.py', 'print(1)')).toBeNull();
+    });
+});
+
 describe('calculateComplexity', () => {
     it('should return 1 for simple function', () => {
         const code = `function simple() { return 1; }`;
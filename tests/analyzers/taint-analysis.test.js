@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseCode } from '../../src/analyzers/ast-analyzer.js';
+import { findTaintFlows } from '../../src/analyzers/taint-analysis.js';
+
+const flowsIn = (code) => findTaintFlows(parseCode(code, 'app.js'), code);
+const pathOf = (flow) => flow.path.map((s) => `${s.label}@${s.line}`);
+
+describe('findTaintFlows', () => {
+    it('should follow request input through destructuring, variables and local calls to a SQL string', () => {
+        const flows = flowsIn([
+            'function findUser(db, id) {',
+            '    return db.query(`SELECT * FROM users WHERE id = ${id}`);',
+            '}',
+            "app.get('/users', (req, res) => {",
+            '    const { id } = req.query;',
+            '    const userId = id.trim();',
+            '    return findUser(db, userId);',
+            '});',
+        ].join('\n'));
+
+        expect(flows).toHaveLength(1);
+        expect(flows[0]).toMatchObject({ kind: 'sql-injection', severity: 'critical', source: 'req.query' });
+        expect(pathOf(flows[0])).toEqual([
+            'req.query@5', 'id@5', 'userId@6', 'id (parameter of findUser())@1', 'SQL query@2',
+        ]);
+    });
+
+    it('should recognise each sink', () => {
+        const flows = flowsIn([
+            "import { exec } from 'node:child_process';",
+            "const fs = require('fs');",
+            "app.post('/x', (req, res) => {",
+            '    exec("convert " + req.body.file);',
+            '    fs.readFileSync(path.join(root, req.params.name));',
+            '    res.redirect(req.query.next);',
+            '    new RegExp(req.query.q);',
+            '    eval(req.body.code);',
+            "    db.run('DELETE FROM t WHERE id = ' + req.params.id);",
+            '});',
+            'el.innerHTML = location.hash;',
+            "window.addEventListener('message', (event) => run(new Function(event.data)));",
+        ].join('\n'));
+
+        expect(flows.map((f) => [f.kind, f.path[0].line])).toEqual([
+            ['command-injection', 4],
+            ['path-traversal', 5],
+            ['open-redirect', 6],
+            ['regex-injection', 7],
+            ['code-injection', 8],
+            ['sql-injection', 9],
+            ['xss', 11],
+            ['code-injection', 12],
+        ]);
+    });
+
+    it('should stop at sanitizers, constants and unrelated methods', () => {
+        const flows = flowsIn([
+            "import { exec } from 'child_process';",
+            "app.get('/', (req, res) => {",
+            '    const page = encodeURIComponent(req.query.page);',
+            "    res.redirect('/list?page=' + page);",
+            '    const limit = parseInt(req.query.limit, 10);',
+            '    db.query(`SELECT * FROM t LIMIT ${limit}`);',
+            "    exec('ls -la');",
+            '    /^[a-z]+$/.exec(req.query.name);',
+            '    db.query(sql`SELECT * FROM t WHERE id = ${req.query.id}`);',
+            '});',
+        ].join('\n'));
+        expect(flows).toEqual([]);
+    });
+
+    it('should not treat same-named functions from other modules as sinks', () => {
+        const flows = flowsIn([
+            "import { exec } from './jobs.js';",
+            "import { readFile } from './storage.js';",
+            "app.get('/', (req) => { exec(req.query.job); readFile(req.query.key); });",
+        ].join('\n'));
+        expect(flows).toEqual([]);
+    });
+});
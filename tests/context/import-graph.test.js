@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { buildImportGraph, findDependents, extractImports, createResolver } from '../../src/context/import-graph.js';
+
+// In-memory file source: path → content
+function memorySource(files) {
+    return {
+        ref: 'test',
+        list: async () => Object.keys(files),
+        read: async (file) => files[file] ?? null,
+    };
+}
+
+describe('extractImports', () => {
+    it('should collect static, dynamic, re-export and require specifiers', () => {
+        const code = [
+            "import a from './a';",
+            "import './side-effect.js';",
+            "export { b } from '../b';",
+            "export * from './c';",
+            "const d = require('./d');",
+            "const e = await import('./e');",
+            'const f = require(`./f`);',
+            'const g = require(name);',
+        ].join('\n');
+
+        expect(extractImports(code, 'src/x.js').sort()).toEqual(
+            ['../b', './a', './c', './d', './e', './f', './side-effect.js']
+        );
+    });
+
+    it('should handle TypeScript import-equals', () => {
+        expect(extractImports("import fs = require('node:fs');", 'x.ts')).toEqual(['node:fs']);
+    });
+
+    it('should fall back to a pattern scan for unparseable files', () => {
+        expect(extractImports("const x = require('./legacy');", 'x.cjs')).toEqual(['./legacy']);
+    });
+
+    it('should not match basenames in unrelated strings', () => {
+        expect(extractImports("const label = 'utils import helper';", 'x.js')).toEqual([]);
+    });
+});
+
+describe('createResolver', () => {
+    const files = {
+        'package.json': JSON.stringify({
+            name: '@acme/app',
+            imports: { '#db/*': './src/db/*.js', '#config': { node: './src/config.js', default: './src/config.browser.js' } },
+            exports: { '.': './src/index.js', './utils/*': './src/utils/*.js' },
+        }),
+        'tsconfig.json': `{
+            // comments and trailing commas are allowed
+            "compilerOptions": { "baseUrl": "src", "paths": { "@lib/*": ["lib/*"], }, },
+        }`,
+        'src/index.js': '',
+        'src/config.js': '',
+        'src/db/users.js': '',
+        'src/utils/format.js': '',
+        'src/utils/index.ts': '',
+        'src/lib/http.ts': '',
+        'src/feature/view.tsx': '',
+        'packages/core/package.json': JSON.stringify({ name: '@acme/core', exports: { '.': { import: './dist/index.js', source: './src/index.ts' } } }),
+        'packages/core/src/index.ts': '',
+    };
+
+    const resolve = async (specifier, from = 'src/feature/view.tsx') =>
+        (await createResolver(Object.keys(files), memorySource(files))).resolve(specifier, from);
+
+    it('should resolve relative, extensionless and index specifiers', async () => {
+        expect(await resolve('../utils/format')).toBe('src/utils/format.js');
+        expect(await resolve('../utils')).toBe('src/utils/index.ts');
+        expect(await resolve('../lib/http.js')).toBe('src/lib/http.ts');
+        expect(await resolve('./missing')).toBeNull();
+    });
+
+    it('should resolve package.json imports', async () => {
+        expect(await resolve('#db/users')).toBe('src/db/users.js');
+        expect(await resolve('#config')).toBe('src/config.js');
+    });
+
+    it('should resolve package.json exports for self and workspace packages', async () => {
+        expect(await resolve('@acme/app')).toBe('src/index.js');
+        expect(await resolve('@acme/app/utils/format')).toBe('src/utils/format.js');
+        expect(await resolve('@acme/core')).toBe('packages/core/src/index.ts');
+    });
+
+    it('should resolve tsconfig paths and baseUrl', async () => {
+        expect(await resolve('@lib/http')).toBe('src/lib/http.ts');
+        expect(await resolve('utils/format')).toBe('src/utils/format.js');
+    });
+
+    it('should leave npm packages and builtins unresolved', async () => {
+        expect(await resolve('lodash')).toBeNull();
+        expect(await resolve('node:fs')).toBeNull();
+    });
+});
+
+describe('buildImportGraph / findDependents', () => {
+    const files = {
+        'src/utils.js': 'export const x = 1;',
+        'src/service.js': "import { x } from './utils.js';",
+        'src/api.js': "import './service.js';",
+        'src/server.js': "import './api.js';",
+        'src/unrelated.js': "// mentions utils and import but does not import it\nexport const y = 'utils';",
+        'lib/other.js': "const s = require('../src/service');",
+    };
+
+    it('should report direct and transitive dependents', async () => {
+        const graph = await buildImportGraph(memorySource(files));
+
+        expect(findDependents(graph, 'src/utils.js')).toEqual({
+            direct: ['src/service.js'],
+            transitive: ['lib/other.js', 'src/api.js', 'src/server.js'],
+        });
+    });
+
+    it('should stop at the depth limit', async () => {
+        const graph = await buildImportGraph(memorySource(files));
+
+        expect(findDependents(graph, 'src/utils.js', 2)).toEqual({
+            direct: ['src/service.js'],
+            transitive: ['lib/other.js', 'src/api.js'],
+        });
+        expect(findDependents(graph, 'src/utils.js', 1).transitive).toEqual([]);
+    });
+
+    it('should terminate on import cycles', async () => {
+        const graph = await buildImportGraph(memorySource({
+            'a.js': "import './b.js';",
+            'b.js': "import './a.js';",
+        }));
+
+        expect(findDependents(graph, 'a.js')).toEqual({ direct: ['b.js'], transitive: [] });
+    });
+});
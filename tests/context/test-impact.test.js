@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { buildImportGraph } from '../../src/context/import-graph.js';
+import { isTestFile, findAffectedTests } from '../../src/context/test-impact.js';
+
+// In-memory file source: path → content
+function memorySource(files) {
+    return {
+        ref: 'test',
+        list: async () => Object.keys(files),
+        read: async (file) => files[file] ?? null,
+    };
+}
+
+const change = (file, type = 'modified') => ({ file, type, category: 'feature', hunks: [] });
+
+describe('isTestFile', () => {
+    it('should match test and spec names and sources under test directories', () => {
+        expect(isTestFile('src/a.test.js')).toBe(true);
+        expect(isTestFile('src/a.spec.tsx')).toBe(true);
+        expect(isTestFile('tests/integration/api.js')).toBe(true);
+        expect(isTestFile('src/__tests__/a.ts')).toBe(true);
+    });
+
+    it('should not match support files or ordinary sources', () => {
+        expect(isTestFile('tests/fixtures/sample.js')).toBe(false);
+        expect(isTestFile('test/helpers/setup.js')).toBe(false);
+        expect(isTestFile('tests/data.json')).toBe(false);
+        expect(isTestFile('src/testing.js')).toBe(false);
+    });
+});
+
+describe('findAffectedTests', () => {
+    const files = {
+        'src/math.js': 'export const add = (a, b) => a + b;',
+        'src/calc.js': "import { add } from './math.js';\nexport const sum = (xs) => xs.reduce(add, 0);",
+        'src/other.js': 'export const x = 1;',
+        'tests/math.test.js': "import { add } from '../src/math.js';",
+        'tests/integration/calc.js': "import { sum } from '../../src/calc.js';",
+        'tests/other.test.js': "import { x } from '../src/other.js';",
+        'tests/helpers/setup.js': "import { add } from '../../src/math.js';",
+    };
+
+    it('should find tests importing a changed module at any depth', async () => {
+        const graph = await buildImportGraph(memorySource(files));
+        const result = findAffectedTests(graph, [change('src/math.js')]);
+
+        expect(result).toEqual({
+            tests: [
+                { file: 'tests/integration/calc.js', changed: ['src/math.js'] },
+                { file: 'tests/math.test.js', changed: ['src/math.js'] },
+            ],
+            fullRun: null,
+        });
+    });
+
+    it('should include changed tests and ask for a full run on runner config changes', async () => {
+        const graph = await buildImportGraph(memorySource({ ...files, 'vitest.config.js': 'export default {};' }));
+        const result = findAffectedTests(graph, [
+            change('tests/other.test.js'),
+            change('vitest.config.js'),
+            change('src/gone.js', 'deleted'),
+        ]);
+
+        expect(result.tests).toEqual([{ file: 'tests/other.test.js', changed: ['tests/other.test.js'] }]);
+        expect(result.fullRun).toBe('vitest.config.js');
+    });
+});
@@ -1,9 +1,11 @@
 import { describe, it, expect, vi } from 'vitest';
-import { detectBreakingChanges } from '../../src/detectors/breaking-changes.js';
+import { detectBreakingChanges, diffApiSurface } from '../../src/detectors/breaking-changes.js';
+import { extractApiSurface } from '../../src/analyzers/api-surface.js';
+import { INDEX } from '../../src/utils/file-source.js';
 
 // Mock git.js to return controlled file content
 vi.mock('../../src/utils/git.js', () => ({
-    getFileContent: vi.fn(async (filePath, ref) => {
+    createBlobReader: () => vi.fn(async (filePath, ref) => {
         const contents = {
             // Old version on 'main'
             'src/api.js:main': `
@@ -32,6 +34,12 @@ export function createUser(name, email, role) {
 export function updateUser(id, data) {
   return fetch('/users/' + id, { method: 'PUT', body: JSON.stringify(data) });
 }
+`,
+            // Staged version (`git show :src/api.js`) — only getUser left
+            'src/api.js:': `
+export function getUser(id) {
+  return fetch('/users/' + id);
+}
 `,
         };
         return contents[`${filePath}:${ref}`] || null;
@@ -72,14 +80,16 @@ describe('breaking-changes', () => {
         expect(changed).toBeDefined();
         expect(changed.oldSignature).toBe('name, email');
         expect(changed.newSignature).toBe('name, email, role');
+        expect(changed.severity).toBe('major');
+        expect(changed.kind).toBe('param-added-required');
     });
 
-    it('should detect new exports as patch-level changes', async () => {
+    it('should detect new exports as minor (additive) changes', async () => {
         const changes = await detectBreakingChanges(mockFiles, 'main');
 
         const added = changes.find((c) => c.functionName === 'updateUser');
         expect(added).toBeDefined();
-        expect(added.severity).toBe('patch');
+        expect(added.severity).toBe('minor');
         expect(added.oldSignature).toBe('(new)');
     });
 
@@ -92,6 +102,18 @@ describe('breaking-changes', () => {
         expect(unchanged).toBeUndefined();
     });
 
+    it('should read the new version from the head snapshot', async () => {
+        const changes = await detectBreakingChanges(mockFiles, 'main', { headRef: INDEX });
+        const removed = changes.filter((c) => c.newSignature === '(removed)').map((c) => c.functionName);
+
+        expect(removed).toEqual(['createUser', 'deleteUser']);
+        expect(changes.find((c) => c.functionName === 'updateUser')).toBeUndefined();
+    });
+
+    it('should skip detection without a base snapshot', async () => {
+        expect(await detectBreakingChanges(mockFiles, null)).toEqual([]);
+    });
+
     it('should skip deleted files', async () => {
         const deletedFiles = [
             {
@@ -124,3 +146,146 @@ describe('breaking-changes', () => {
         expect(changes).toHaveLength(0);
     });
 });
+
+describe('diffApiSurface', () => {
+    // Diffs two versions of one function's declaration: kinds of the changes, most severe first
+    function diff(before, after, file = 'api.js') {
+        return diffApiSurface(file, extractApiSurface(before, file), extractApiSurface(after, file));
+    }
+
+    function kinds(before, after) {
+        const [change] = diff(`export function f(${before}) {}`, `export function f(${after}) {}`);
+        return change ? [change.severity, change.changes.map((c) => c.kind)] : null;
+    }
+
+    it('should classify parameter changes by arity, optionality, defaults, rest and names', () => {
+        expect(kinds('a', 'a, b = 1')).toEqual(['minor', ['param-added-optional']]);
+        expect(kinds('a', 'a, b')).toEqual(['major', ['param-added-required']]);
+        expect(kinds('a, b', 'a')).toEqual(['major', ['param-removed']]);
+        expect(kinds('a, b = 1', 'a, b')).toEqual(['major', ['param-now-required']]);
+        expect(kinds('a, b', 'a, b = 1')).toEqual(['minor', ['param-now-optional']]);
+        expect(kinds('a, b = 1', 'a, b = 2')).toEqual(['patch', ['default-changed']]);
+        expect(kinds('a, b', 'a, ...rest')).toEqual(['minor', ['rest-added']]);
+        expect(kinds('a, ...rest', 'a, b')).toEqual(['major', ['rest-removed']]);
+        expect(kinds('a, b', 'a, c')).toEqual(['patch', ['param-renamed']]);
+        expect(kinds('a, b', 'a,  b')).toBeNull();
+    });
+
+    it('should recognise removed, inserted and reordered parameters', () => {
+        expect(kinds('a, b, c', 'a, c')).toEqual(['major', ['param-removed']]);
+        expect(kinds('a, c', 'a, b, c')).toEqual(['major', ['param-inserted']]);
+        expect(kinds('a, b', 'b, a')).toEqual(['major', ['param-reordered', 'param-reordered']]);
+    });
+
+    it('should diff the keys of an options object', () => {
+        expect(kinds('{ a, b }', '{ a, c }')).toEqual(['major', ['option-removed', 'option-added']]);
+        expect(kinds('{ a } = {}', '{ a, b } = {}')).toEqual(['minor', ['option-added']]);
+    });
+
+    it('should report class constructor and member changes separately', () => {
+        const changes = diff(
+            'export class C { constructor(a) {} run(x) {} stop() {} static of(v) {} }',
+            'export class C { constructor(a, b) {} run(x, y = 0) {} static of(v) {} get size() {} }'
+        );
+
+        expect(changes.map((c) => [c.functionName, c.severity, c.kind])).toEqual([
+            ['new C', 'major', 'param-added-required'],
+            ['C#run', 'minor', 'param-added-optional'],
+            ['C#stop', 'major', 'member-removed'],
+            ['C#size', 'minor', 'member-added'],
+        ]);
+    });
+
+    it('should treat a kind change as major and a moved re-export as patch', () => {
+        const [kindChange] = diff('export function f() {}', 'export const f = 1;');
+        expect([kindChange.severity, kindChange.description]).toEqual(['major', '"f" changed from a function to a constant']);
+
+        const [moved] = diff("export { a } from './x';", "export { a } from './y';");
+        expect([moved.severity, moved.kind]).toEqual(['patch', 'reexport-changed']);
+    });
+
+    it('should compare the default export and star re-exports by their public names', () => {
+        const changes = diff(
+            "export default function main(a) {}\nexport * from './types';",
+            'export default function renamed(a) {}'
+        );
+
+        expect(changes.map((c) => [c.functionName, c.kind])).toEqual([['re-export of ./types', 'removed']]);
+        expect(changes[0].description).toBe("Re-export of everything from './types' was removed — its names are no longer exported for consumers");
+    });
+});
+
+describe('diffApiSurface (TypeScript)', () => {
+    function diff(before, after, file = 'types.ts') {
+        return diffApiSurface(file, extractApiSurface(before, file), extractApiSurface(after, file))
+            .map((c) => [c.functionName, c.severity, c.changes.map((x) => x.kind)]);
+    }
+
+    it('should flag removed and required-ified interface members', () => {
+        expect(diff(
+            'export interface Options { timeout?: number; retries: number; verbose?: boolean }',
+            'export interface Options { timeout: number; verbose?: boolean; signal?: AbortSignal; id: string }'
+        )).toEqual([
+            ['Options.timeout', 'major', ['property-now-required']],
+            ['Options.retries', 'major', ['member-removed']],
+            ['Options.signal', 'minor', ['member-added']],
+            ['Options.id', 'major', ['property-added-required']],
+        ]);
+    });
+
+    it('should classify parameter narrowing and widening', () => {
+        expect(diff(
+            'export function load(path: string | URL, mode: "r"): void {}',
+            'export function load(path: string, mode: "r" | "w"): void {}'
+        )).toEqual([['load', 'major', ['param-type-narrowed', 'param-type-widened']]]);
+        expect(diff('export function f(a: string): void {}', 'export function f(a: unknown): void {}'))
+            .toEqual([['f', 'minor', ['param-type-widened']]]);
+        expect(diff('export function f(a: string): void {}', 'export function f(a: number): void {}'))
+            .toEqual([['f', 'major', ['param-type-changed']]]);
+    });
+
+    it('should flag widened return types and accept narrowed ones', () => {
+        expect(diff('export function get(): User {}', 'export function get(): User | null {}'))
+            .toEqual([['get', 'major', ['return-type-widened']]]);
+        expect(diff('export function get(): User | null {}', 'export function get(): User {}'))
+            .toEqual([['get', 'patch', ['return-type-narrowed']]]);
+    });
+
+    it('should compare function overloads in declaration files', () => {
+        const before = [
+            'export declare function parse(input: string): Ast;',
+            'export declare function parse(input: Buffer, encoding: string): Ast;',
+        ].join('\n');
+        const after = [
+            'export declare function parse(input: string): Ast;',
+            'export declare function parse(input: string, options: ParseOptions): Ast;',
+        ].join('\n');
+
+        expect(diff(before, after, 'index.d.ts')).toEqual([['parse', 'major', ['overload-removed', 'overload-added']]]);
+    });
+
+    it('should flag removed and renumbered enum members', () => {
+        expect(diff(
+            'export enum Level { Low = 1, High = 2, Max = 3 }',
+            'export enum Level { Low = 1, High = 5, Critical = 9 }'
+        )).toEqual([
+            ['Level.High', 'major', ['enum-value-changed']],
+            ['Level.Max', 'major', ['enum-member-removed']],
+            ['Level.Critical', 'minor', ['enum-member-added']],
+        ]);
+    });
+
+    it('should compare type aliases as unions or object literals', () => {
+        expect(diff("export type Mode = 'fast' | 'slow';", "export type Mode = 'fast';"))
+            .toEqual([['Mode', 'major', ['type-narrowed']]]);
+        expect(diff("export type Mode = 'fast';", "export type Mode = 'fast' | 'slow';"))
+            .toEqual([['Mode', 'minor', ['type-widened']]]);
+        expect(diff('export type Cfg = { a: string };', 'export type Cfg = { a: string; b?: number };'))
+            .toEqual([['Cfg.b', 'minor', ['member-added']]]);
+    });
+
+    it('should ignore formatting-only type changes', () => {
+        expect(diff('export function f(a: string|number): Promise<void> {}', 'export function f(a: number | string): Promise< void > {}'))
+            .toEqual([]);
+    });
+});
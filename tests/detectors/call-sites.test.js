@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { findBrokenCallSites, callSitesToFindings } from '../../src/detectors/call-sites.js';
+import { buildImportGraph } from '../../src/context/import-graph.js';
+
+function memorySource(files) {
+    return { ref: 'HEAD', list: async () => Object.keys(files), read: async (file) => files[file] ?? null };
+}
+
+const breaking = (functionName, kind = 'param-added-required', file = 'src/api.js') => ({
+    file, functionName, severity: 'major', kind, changes: [], description: '',
+});
+
+async function analyze(files, breakingChanges) {
+    const fileSource = memorySource(files);
+    const graph = await buildImportGraph(fileSource);
+    await findBrokenCallSites(breakingChanges, graph, { fileSource });
+    return breakingChanges;
+}
+
+const sites = (bc) => bc.callSites.map((s) => `${s.file}:${s.line}`);
+
+describe('findBrokenCallSites', () => {
+    it('should report calls with too few or too many arguments through aliases', async () => {
+        const [bc] = await analyze({
+            'src/api.js': 'export function fetchUser(id, token, options = {}) {}\n',
+            'src/a.js': "import { fetchUser as load } from './api.js';\nload(1);\nload(1, 't');\n",
+            'src/b.js': "import * as api from './api.js';\napi.fetchUser(1, 't', {}, true);\n",
+            'src/c.js': "const { fetchUser } = require('./api');\nfetchUser(...args);\n",
+        }, [breaking('fetchUser')]);
+
+        expect(sites(bc)).toEqual(['src/a.js:2', 'src/b.js:2']);
+        expect(bc.callSites[0]).toMatchObject({
+            reason: 'passes 1 argument but fetchUser now requires 2',
+            text: 'load(1);',
+        });
+        expect(bc.callSites[1].reason).toBe('passes 4 arguments but fetchUser now accepts 3');
+    });
+
+    it('should follow re-exports through barrel files', async () => {
+        const [bc] = await analyze({
+            'src/api.js': 'export function fetchUser(id, token) {}\n',
+            'src/index.js': "export { fetchUser as getUser } from './api.js';\n",
+            'src/app.js': "import { getUser } from './index.js';\ngetUser(1);\n",
+        }, [breaking('fetchUser')]);
+
+        expect(sites(bc)).toEqual(['src/app.js:2']);
+    });
+
+    it('should report options the function no longer destructures', async () => {
+        const [bc] = await analyze({
+            'src/api.js': 'export function connect(url, { timeout, retries } = {}) {}\n',
+            'src/a.js': "import { connect } from './api.js';\nconnect('x', { timeout: 1 });\nconnect('x', { timeout: 1, keepAlive: true });\n",
+        }, [breaking('connect', 'option-removed')]);
+
+        expect(sites(bc)).toEqual(['src/a.js:3']);
+        expect(bc.callSites[0].reason).toBe('passes option "keepAlive", which connect no longer accepts');
+    });
+
+    it('should check constructors and removed exports, ignoring shadowed names', async () => {
+        const [ctor, removed] = await analyze({
+            'src/api.js': 'export class Store { constructor(name, db) {} }\n',
+            'src/a.js': [
+                "import { Store, legacy } from './api.js';",
+                "new Store('x');",
+                'legacy();',
+                'function local(legacy) { legacy(); }',
+            ].join('\n'),
+        }, [breaking('new Store'), breaking('legacy', 'removed')]);
+
+        expect(sites(ctor)).toEqual(['src/a.js:2']);
+        expect(removed.callSites).toEqual([
+            expect.objectContaining({ line: 3, reason: '"legacy" is no longer exported by src/api.js' }),
+        ]);
+    });
+
+    it('should leave class members and non-breaking changes unanalyzed', async () => {
+        const member = breaking('Store#get');
+        const minor = { ...breaking('fetchUser'), severity: 'minor' };
+        await analyze({ 'src/api.js': 'export function fetchUser() {}\n' }, [member, minor]);
+
+        expect(member.callSites).toBeUndefined();
+        expect(minor.callSites).toBeUndefined();
+    });
+});
+
+describe('callSitesToFindings', () => {
+    it('should report each broken call at the caller', () => {
+        const findings = callSitesToFindings([{
+            ...breaking('fetchUser'),
+            callSites: [{ file: 'src/a.js', line: 2, reason: 'passes 1 argument but fetchUser now requires 2', text: 'load(1);' }],
+        }]);
+
+        expect(findings).toEqual([expect.objectContaining({
+            file: 'src/a.js',
+            line: 2,
+            severity: 'error',
+            ruleId: 'graph/broken-call-site',
+            message: 'Call to "fetchUser" (src/api.js) breaks: passes 1 argument but fetchUser now requires 2',
+            snippet: 'load(1);',
+        })]);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { detectImportCycles, cyclesToFindings } from '../../src/detectors/import-cycles.js';
+import { buildImportGraph } from '../../src/context/import-graph.js';
+
+// Base snapshot on 'main': a → b → a already cycles; c imports nothing
+const BASE = {
+    'src/a.js': "import './b.js';",
+    'src/b.js': "import './a.js';",
+    'src/c.js': 'export const c = 1;',
+    'src/d.js': "import './c.js';",
+};
+
+vi.mock('../../src/utils/git.js', () => ({
+    listFilesAtRef: vi.fn(async () => Object.keys(BASE)),
+    createBlobReader: () => vi.fn(async (file) => BASE[file] ?? null),
+}));
+
+// Head: c.js now imports d.js, closing c → d → c; a → b → a unchanged
+const HEAD = {
+    ...BASE,
+    'src/a.js': "import './b.js';\nexport const a = 1;",
+    'src/c.js': "export const c = 1;\nimport { d } from './d.js';",
+};
+
+const headSource = {
+    ref: 'HEAD',
+    list: async () => Object.keys(HEAD),
+    read: async (file) => HEAD[file] ?? null,
+};
+
+const change = (file, addedLines) => ({
+    file,
+    type: 'modified',
+    category: 'feature',
+    hunks: [{ changes: addedLines.map((ln) => ({ type: 'add', ln, content: `+${HEAD[file].split('\n')[ln - 1]}` })) }],
+});
+
+describe('detectImportCycles', () => {
+    const files = [change('src/c.js', [2]), change('src/a.js', [2])];
+
+    it('should split introduced and pre-existing cycles using the base snapshot', async () => {
+        const graph = await buildImportGraph(headSource);
+        const { introduced, preexisting } = await detectImportCycles(files, graph, { baseRef: 'main', fileSource: headSource });
+
+        expect(introduced).toEqual([{
+            path: ['src/c.js', 'src/d.js', 'src/c.js'],
+            closedBy: { file: 'src/c.js', line: 2, text: "import { d } from './d.js';" },
+        }]);
+        expect(preexisting.map((c) => c.path)).toEqual([['src/a.js', 'src/b.js', 'src/a.js']]);
+    });
+
+    it('should treat imports on added lines as new without a base snapshot', async () => {
+        const graph = await buildImportGraph(headSource);
+        const { introduced, preexisting } = await detectImportCycles(files, graph, { baseRef: null });
+
+        expect(introduced.map((c) => c.closedBy)).toEqual([{ file: 'src/c.js', line: 2, text: null }]);
+        expect(preexisting).toHaveLength(1);
+    });
+
+    it('should ignore cycles that do not involve changed files', async () => {
+        const graph = await buildImportGraph(headSource);
+        const result = await detectImportCycles([change('src/d.js', [])], graph, { baseRef: 'main' });
+
+        // d.js is on the new cycle, so it is still reported; nothing touches a ↔ b
+        expect(result.preexisting).toHaveLength(0);
+        expect(result.introduced).toHaveLength(1);
+    });
+});
+
+describe('cyclesToFindings', () => {
+    it('should report the closing import as an error finding', () => {
+        const [finding] = cyclesToFindings([{
+            path: ['src/c.js', 'src/d.js', 'src/c.js'],
+            closedBy: { file: 'src/c.js', line: 2, text: "import { d } from './d.js';" },
+        }]);
+
+        expect(finding).toMatchObject({
+            file: 'src/c.js',
+            line: 2,
+            severity: 'error',
+            ruleId: 'graph/import-cycle',
+            message: 'Import cycle introduced: src/c.js → src/d.js → src/c.js',
+            snippet: "import { d } from './d.js';",
+        });
+        expect(finding.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    });
+});
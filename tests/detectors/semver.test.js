@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+import { recommendVersions, versionsToFindings, bumpVersion, classifyVersionBump, describeBump } from '../../src/detectors/semver.js';
+
+const manifest = (fields) => JSON.stringify(fields, null, 2);
+
+// Base snapshot on 'main': a workspace with a private root and three packages
+const BASE = {
+    'package.json': manifest({ name: 'monorepo', private: true, version: '1.0.0' }),
+    'packages/core/package.json': manifest({ name: '@acme/core', version: '1.4.2' }),
+    'packages/utils/package.json': manifest({ name: '@acme/utils', version: '0.3.1' }),
+    'packages/cli/package.json': manifest({ name: '@acme/cli', version: '2.0.0' }),
+};
+
+vi.mock('../../src/utils/git.js', () => ({
+    createBlobReader: () => vi.fn(async (file) => BASE[file] ?? null),
+}));
+
+function memorySource(files) {
+    return { ref: 'HEAD', list: async () => Object.keys(files), read: async (file) => files[file] ?? null };
+}
+
+const change = (file, category = 'feature') => ({ file, type: 'modified', category, hunks: [] });
+const breaking = (file, severity) => ({ file, functionName: 'x', severity, description: '' });
+
+describe('recommendVersions', () => {
+    const head = {
+        ...BASE,
+        'packages/cli/package.json': manifest({ name: '@acme/cli', version: '3.0.0' }),
+        'packages/new/package.json': manifest({ name: '@acme/new', version: '0.1.0' }),
+    };
+
+    async function recommend(files, breakingChanges, headFiles = head) {
+        return recommendVersions(files, breakingChanges, { baseRef: 'main', fileSource: memorySource(headFiles) });
+    }
+
+    it('should compute the required bump per package from its most severe API change', async () => {
+        const packages = await recommend(
+            [change('packages/core/src/a.js'), change('packages/core/src/b.js'), change('packages/cli/src/c.js')],
+            [breaking('packages/core/src/a.js', 'minor'), breaking('packages/core/src/b.js', 'major'), breaking('packages/cli/src/c.js', 'major')]
+        );
+
+        expect(packages.map((p) => [p.name, p.apiChange, p.required, p.bump, p.satisfied, p.suggested])).toEqual([
+            ['@acme/cli', 'major', 'major', 'major', true, '3.0.0'],
+            ['@acme/core', 'major', 'major', 'none', false, '2.0.0'],
+        ]);
+    });
+
+    it('should require a patch for source changes without API impact and nothing for docs', async () => {
+        const packages = await recommend([change('packages/core/src/a.js'), change('packages/cli/README.md', 'docs')], []);
+
+        expect(packages.map((p) => [p.name, p.required, p.suggested])).toEqual([
+            ['@acme/cli', 'none', '3.0.0'],
+            ['@acme/core', 'patch', '1.4.3'],
+        ]);
+    });
+
+    it('should accept a minor bump for breaking changes before 1.0', async () => {
+        const bumped = { ...head, 'packages/utils/package.json': manifest({ name: '@acme/utils', version: '0.4.0' }) };
+        const [utils] = await recommend([change('packages/utils/index.js')], [breaking('packages/utils/index.js', 'major')], bumped);
+
+        expect([utils.required, utils.satisfied]).toEqual(['minor', true]);
+    });
+
+    it('should skip private packages and accept any version for new ones', async () => {
+        const packages = await recommend(
+            [change('scripts/build.js'), change('packages/new/index.js')],
+            [breaking('scripts/build.js', 'major')]
+        );
+
+        expect(packages.map((p) => [p.name, p.from, p.satisfied])).toEqual([['@acme/new', null, true]]);
+    });
+
+    it('should skip the comparison without a base snapshot', async () => {
+        expect(await recommendVersions([change('packages/core/a.js')], [], { baseRef: null })).toEqual([]);
+    });
+});
+
+describe('versionsToFindings', () => {
+    it('should report major API changes without a sufficient bump at the version line', async () => {
+        const packages = await recommendVersions(
+            [change('packages/core/src/a.js'), change('packages/utils/a.js')],
+            [breaking('packages/core/src/a.js', 'major'), breaking('packages/utils/a.js', 'minor')],
+            { baseRef: 'main', fileSource: memorySource(BASE) }
+        );
+        const findings = versionsToFindings(packages);
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({
+            file: 'packages/core/package.json',
+            line: 3,
+            ruleId: 'semver/missing-major-bump',
+            source: 'semver',
+        });
+        expect(findings[0].message).toBe(
+            'Breaking API change in "@acme/core" needs a major version bump (package.json is still 1.4.2); suggested version 2.0.0'
+        );
+    });
+});
+
+describe('bumpVersion', () => {
+    it('should bump each level and drop prerelease tags', () => {
+        expect(bumpVersion('1.4.2', 'major')).toBe('2.0.0');
+        expect(bumpVersion('1.4.2', 'minor')).toBe('1.5.0');
+        expect(bumpVersion('1.4.2-beta.1', 'patch')).toBe('1.4.3');
+        expect(bumpVersion('1.4.2', 'none')).toBe('1.4.2');
+    });
+});
+
+describe('classifyVersionBump', () => {
+    it('should classify semver changes', () => {
+        expect(classifyVersionBump('1.2.3', '2.0.0')).toBe('major');
+        expect(classifyVersionBump('1.2.3', '1.3.0')).toBe('minor');
+        expect(classifyVersionBump('1.2.3', '1.2.4')).toBe('patch');
+        expect(classifyVersionBump('1.2.3', '1.2.3')).toBe('none');
+        expect(classifyVersionBump('2.0.0', '1.9.9')).toBe('none');
+        expect(classifyVersionBump('v1.0.0', '2.0.0-beta.1')).toBe('major');
+    });
+});
+
+describe('describeBump', () => {
+    it('should describe a missing or insufficient version change', () => {
+        expect(describeBump({ from: '1.2.0', to: '1.2.0', bump: 'none' })).toBe('is still 1.2.0');
+        expect(describeBump({ from: '1.2.0', to: '1.3.0', bump: 'minor' })).toBe('1.2.0 → 1.3.0 is only a minor bump');
+        expect(describeBump({ from: null, to: 'next', bump: null })).toBe('has no valid version');
+    });
+});
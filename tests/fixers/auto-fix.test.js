@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { getAvailableFixes, generateFix, generatePatch, applyFix } from '../../src/fixers/auto-fix.js';
 import { readFileSync, writeFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
 
 vi.mock('node:fs', async () => {
     const actual = await vi.importActual('node:fs');
@@ -64,6 +65,56 @@ describe('generateFix', () => {
         expect(fix.rule).toBe('secret');
     });
 
+    it('should replace only the assigned literal for secret assignments', () => {
+        readFileSync.mockReturnValue('    this.authToken = "c2VjcmV0LXRva2VuLXZhbHVl";\n');
+
+        const fix = generateFix({ file: 'src/client.js', line: 1, message: 'x', ruleId: 'ast/secret-assignment' }, 0, '/repo');
+        expect(fix.replacement).toBe('this.authToken = process.env.AUTH_TOKEN;');
+    });
+
+    it('should clear secret values in .env files', () => {
+        readFileSync.mockReturnValue('STRIPE_SECRET=sk_live_abc123\n');
+
+        const fix = generateFix({ file: '.env', line: 1, message: 'x', ruleId: 'entropy/env-secret' }, 0, '/repo');
+        expect(fix).toMatchObject({ type: 'replace', replacement: 'STRIPE_SECRET=', rule: 'secret' });
+    });
+
+    it('should have a generator for every secret rule the linters emit', async () => {
+        const sources = await Promise.all(['src/linters/smart-linter.js', 'src/analyzers/ast-analyzer.js']
+            .map((file) => readFile(new URL(`../../${file}`, import.meta.url), 'utf-8')));
+        const ruleIds = new Set(sources.join('\n').match(/'(?:entropy\/[\w-]+|[\w]+\/[\w-]*secret[\w-]*)'/g).map((id) => id.slice(1, -1)));
+        readFileSync.mockReturnValue('API_KEY=abc123\n');
+
+        expect(ruleIds.size).toBeGreaterThanOrEqual(8);
+        for (const ruleId of ruleIds) {
+            expect(generateFix({ file: 'src/app.js', line: 1, message: 'x', ruleId }, 0, '/repo'), ruleId).not.toBeNull();
+        }
+    });
+
+    it('should match fixes by rule ID rather than message text', () => {
+        const finding = {
+            file: 'src/app.js',
+            line: 2,
+            message: 'Console.log() statement outside conditional/catch block',
+            ruleId: 'ast/no-console',
+        };
+
+        const fix = generateFix(finding, 0, '/repo');
+        expect(fix.rule).toBe('console');
+        expect(fix.ruleId).toBe('ast/no-console');
+    });
+
+    it('should not fix findings whose rule ID has no generator', () => {
+        const finding = {
+            file: 'src/app.js',
+            line: 2,
+            message: 'Leftover console statement',
+            ruleId: 'ast/empty-catch',
+        };
+
+        expect(generateFix(finding, 0, '/repo')).toBeNull();
+    });
+
     it('should return null for unknown issue types', () => {
         const finding = {
             file: 'src/app.js',
@@ -0,0 +1,131 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { getFormatter, registerFormatter, listFormatters, loadCustomFormatters } from '../../src/formatters/index.js';
+
+const results = {
+    diffAnalysis: {
+        files: [
+            { file: 'src/app.js', type: 'modified' },
+            { file: 'src/clean.js', type: 'modified' },
+        ],
+    },
+    findings: [
+        { file: 'src/app.js', line: 3, severity: 'error', message: 'Debugger statement left in code: debugger;', source: 'heuristic' },
+        { file: 'src/app.js', line: 9, severity: 'warning', message: 'Uses <div> & "quotes"', source: 'plugin' },
+    ],
+    budgetViolations: [
+        { type: 'complexity', file: 'src/app.js', actual: 14, limit: 10, message: 'Cyclomatic complexity 14 exceeds budget of 10' },
+    ],
+    breakingChanges: [
+        { file: 'src/api.js', functionName: 'deleteUser', severity: 'major', description: 'Exported "deleteUser" was removed' },
+    ],
+    testCoverage: {
+        untestedFiles: ['src/app.js'],
+        existingTests: [],
+        suggestions: [],
+        diffCoverage: {
+            reports: ['coverage/lcov.info'],
+            covered: 3,
+            total: 4,
+            percent: 75,
+            files: [{ file: 'src/app.js', covered: 3, total: 4, percent: 75, uncovered: [{ start: 9, end: 10 }] }],
+            unmeasured: [],
+        },
+    },
+    errors: [],
+};
+
+const context = { repoRoot: '/repo', color: false };
+
+describe('formatter registry', () => {
+    it('should register all built-in formatters', () => {
+        expect(listFormatters()).toEqual(expect.arrayContaining([
+            'stylish', 'json', 'junit', 'checkstyle', 'gitlab-codequality', 'compact', 'sarif',
+        ]));
+    });
+
+    it('should throw a helpful error for unknown formats', () => {
+        expect(() => getFormatter('nope')).toThrow(/Unknown format "nope".*stylish/);
+    });
+
+    it('should accept function and object formatters', () => {
+        registerFormatter('fn-test', () => 'fn');
+        registerFormatter('obj-test', { format: () => 'obj' });
+        expect(getFormatter('fn-test')(results)).toBe('fn');
+        expect(getFormatter('obj-test')(results)).toBe('obj');
+    });
+
+    it('should reject invalid formatters', () => {
+        expect(() => registerFormatter('bad', {})).toThrow('must be a function');
+    });
+
+    describe('loadCustomFormatters', () => {
+        let dir;
+        afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+        it('should load formatter modules from config relative to the repo root', async () => {
+            dir = mkdtempSync(join(tmpdir(), 'rp-fmt-'));
+            writeFileSync(join(dir, 'count.mjs'), 'export default (r) => `count=${r.findings.length}`;');
+
+            const loaded = await loadCustomFormatters({ repoRoot: dir, formatters: { count: './count.mjs' } });
+            expect(loaded).toEqual(['count']);
+            expect(getFormatter('count')(results)).toBe('count=2');
+        });
+    });
+});
+
+describe('built-in formatters', () => {
+    it('stylish should render findings without colour codes when color is off', () => {
+        const out = getFormatter('stylish')(results, context);
+        expect(out).toContain('Findings');
+        expect(out).toContain('src/app.js:3');
+        expect(out).toContain('Performance Budget Violations');
+        expect(out).toContain('Diff Coverage 75% (3/4 added lines)');
+        expect(out).toContain('src/app.js: 75% — uncovered lines 9-10');
+        expect(out).not.toMatch(/\x1b\[/);
+    });
+
+    it('json should include a severity summary', () => {
+        const out = JSON.parse(getFormatter('json')(results, context));
+        expect(out.summary.bySeverity).toEqual({ error: 1, warning: 1 });
+        expect(out.summary.untestedFiles).toBe(1);
+        expect(out.summary.diffCoverage).toBe(75);
+        expect(out.findings).toHaveLength(2);
+    });
+
+    it('junit should emit a failing test case per issue and a passing suite for clean files', () => {
+        const out = getFormatter('junit')(results, context);
+        expect(out).toContain('<testsuites name="reviewpilot" tests="5" failures="4"');
+        expect(out).toContain('<testsuite name="src/clean.js" tests="1" failures="0"');
+        expect(out).toContain('&lt;div&gt; &amp; &quot;quotes&quot;');
+    });
+
+    it('checkstyle should group errors by file with mapped severities', () => {
+        const out = getFormatter('checkstyle')(results, context);
+        expect(out).toContain('<checkstyle version="4.3">');
+        expect(out).toContain('<file name="src/app.js">');
+        expect(out).toMatch(/<error line="3" column="0" severity="error"/);
+        expect(out).toContain('source="reviewpilot.budget/complexity"');
+    });
+
+    it('gitlab-codequality should emit issues with fingerprints and line ranges', () => {
+        const out = JSON.parse(getFormatter('gitlab-codequality')(results, context));
+        expect(out).toHaveLength(4);
+        expect(out[0]).toMatchObject({
+            check_name: 'heuristic/debugger-statement-left-in-code',
+            severity: 'major',
+            location: { path: 'src/app.js', lines: { begin: 3 } },
+        });
+        expect(out[0].fingerprint).toMatch(/^[0-9a-f]{32}$/);
+        expect(new Set(out.map((i) => i.fingerprint)).size).toBe(4);
+    });
+
+    it('compact should print one line per issue', () => {
+        const out = getFormatter('compact')(results, context);
+        expect(out).toContain('src/app.js:3: error - Debugger statement left in code: debugger;');
+        expect(out).toContain('src/api.js: error - deleteUser:');
+        expect(out).toContain('4 problem(s)');
+    });
+});
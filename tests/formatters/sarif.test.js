@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { buildSarifLog, format } from '../../src/formatters/sarif.js';
+import { getRuleId } from '../../src/formatters/shared.js';
+
+const results = {
+    findings: [
+        { file: 'src/app.js', line: 3, severity: 'error', message: 'Debugger statement left in code: debugger;', source: 'heuristic' },
+        { file: 'src/app.js', line: 7, severity: 'warning', message: 'Leftover console statement: console.log(x)', source: 'heuristic' },
+        { file: 'src/keys.js', line: 1, severity: 'critical', message: 'Known secret prefix detected: sk_live_abc...', source: 'entropy' },
+        { file: 'src/app.js', line: 12, severity: 'warning', message: 'Empty catch block — errors are silently swallowed', source: 'ast' },
+        { file: 'src/http.js', line: null, severity: 'warning', message: '[no-axios] Use fetch instead', source: 'plugin' },
+        { file: 'src/app.js', line: 20, severity: 'suggestion', message: 'Consider guarding against null input', source: 'copilot' },
+    ],
+    budgetViolations: [
+        { type: 'complexity', file: 'src/app.js', actual: 14, limit: 10, message: 'Cyclomatic complexity 14 exceeds budget of 10' },
+    ],
+    breakingChanges: [
+        { file: 'src/api.js', functionName: 'deleteUser', oldSignature: 'id', newSignature: '(removed)', severity: 'major', description: 'Exported "deleteUser" was removed' },
+    ],
+    errors: [],
+};
+
+describe('buildSarifLog', () => {
+    it('should produce a SARIF 2.1.0 log with one run', () => {
+        const log = buildSarifLog(results, { repoRoot: '/repo' });
+        expect(log.version).toBe('2.1.0');
+        expect(log.$schema).toContain('sarif-2.1.0');
+        expect(log.runs).toHaveLength(1);
+        expect(log.runs[0].originalUriBaseIds.SRCROOT.uri).toBe('file:///repo/');
+    });
+
+    it('should expose each linter layer as its own rule set', () => {
+        const { tool } = buildSarifLog(results).runs[0];
+        expect(tool.driver.name).toBe('ReviewPilot');
+        expect(tool.extensions.map((e) => e.name)).toEqual(['heuristic', 'entropy', 'ast', 'plugin', 'copilot']);
+        expect(tool.extensions[0].rules.map((r) => r.id)).toEqual([
+            'heuristic/debugger-statement-left-in-code',
+            'heuristic/leftover-console-statement',
+        ]);
+    });
+
+    it('should point findings at their rule and tool component', () => {
+        const run = buildSarifLog(results).runs[0];
+        const result = run.results.find((r) => r.ruleId === 'entropy/known-secret-prefix-detected');
+
+        expect(result.rule.toolComponent.index).toBe(1);
+        expect(run.tool.extensions[1].rules[result.rule.index].id).toBe(result.ruleId);
+        expect(result.level).toBe('error');
+    });
+
+    it('should emit physicalLocation regions for findings with a line', () => {
+        const run = buildSarifLog(results).runs[0];
+        const [location] = run.results[0].locations;
+
+        expect(location.physicalLocation.artifactLocation).toEqual({ uri: 'src/app.js', uriBaseId: 'SRCROOT' });
+        expect(location.physicalLocation.region).toEqual({ startLine: 3 });
+    });
+
+    it('should omit the region for file-level findings', () => {
+        const run = buildSarifLog(results).runs[0];
+        const plugin = run.results.find((r) => r.ruleId === 'plugin/no-axios');
+        expect(plugin.locations[0].physicalLocation.region).toBeUndefined();
+    });
+
+    it('should report budget violations and breaking changes under the driver', () => {
+        const run = buildSarifLog(results).runs[0];
+        const driverRules = run.tool.driver.rules.map((r) => r.id);
+
+        expect(driverRules).toContain('budget/complexity');
+        expect(driverRules).toContain('breaking/major');
+        expect(run.results.find((r) => r.ruleId === 'breaking/major').level).toBe('error');
+    });
+
+    it('should record step failures as tool execution notifications', () => {
+        const log = buildSarifLog({ errors: [{ step: 'Gather Context', error: 'boom' }] });
+        const [invocation] = log.runs[0].invocations;
+
+        expect(invocation.executionSuccessful).toBe(false);
+        expect(invocation.toolExecutionNotifications[0].message.text).toBe('Gather Context: boom');
+    });
+
+    it('should handle empty results', () => {
+        const log = buildSarifLog({});
+        expect(log.runs[0].results).toEqual([]);
+    });
+
+    it('should serialize the log through the formatter entry point', () => {
+        expect(JSON.parse(format(results)).version).toBe('2.1.0');
+    });
+});
+
+describe('getRuleId', () => {
+    it('should ignore the code excerpt after the colon', () => {
+        const a = getRuleId({ source: 'heuristic', message: 'Leftover console statement: console.log(a)' });
+        const b = getRuleId({ source: 'heuristic', message: 'Leftover console statement: console.info(b)' });
+        expect(a).toBe(b);
+    });
+
+    it('should ignore quoted identifiers and measured values', () => {
+        const a = getRuleId({ source: 'ast', message: 'High-entropy string in security variable "apiKey" (entropy: 4.2)' });
+        const b = getRuleId({ source: 'ast', message: 'High-entropy string in security variable "token" (entropy: 3.9)' });
+        expect(a).toBe(b);
+    });
+});
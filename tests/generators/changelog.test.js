@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseConventionalCommit, generateChangelog, generateMigrationGuide, insertIntoChangelog, insertIntoMigrationGuide,
+} from '../../src/generators/changelog.js';
+import { extractApiSurface } from '../../src/analyzers/api-surface.js';
+import { diffApiSurface } from '../../src/detectors/breaking-changes.js';
+
+const diffAnalysis = (files = []) => ({ files, summary: { additions: 0, deletions: 0, fileCount: files.length } });
+
+const createUser = {
+    file: 'src/api.js',
+    functionName: 'createUser',
+    oldSignature: 'name, email',
+    newSignature: 'name, email, role',
+    severity: 'major',
+    kind: 'param-added-required',
+    changes: [{ kind: 'param-added-required', severity: 'major', description: 'required parameter "role" added' }],
+    description: 'required parameter "role" added',
+    callSites: [{ file: 'src/app.js', line: 4, reason: 'passes 2 arguments but createUser now requires 3' }],
+};
+
+describe('parseConventionalCommit', () => {
+    it('should parse type, scope and breaking markers', () => {
+        expect(parseConventionalCommit('feat(api): add roles')).toMatchObject({
+            type: 'feat', scope: 'api', breaking: false, description: 'add roles',
+        });
+        expect(parseConventionalCommit('fix!: drop node 16').breaking).toBe(true);
+        expect(parseConventionalCommit('refactor: x\n\nBREAKING CHANGE: config moved\nto rc file')).toMatchObject({
+            breaking: true, breakingNote: 'config moved to rc file',
+        });
+        expect(parseConventionalCommit('Update readme')).toBeNull();
+    });
+});
+
+describe('generateChangelog', () => {
+    it('should group API changes, modules and commits into Keep a Changelog sections', () => {
+        const section = generateChangelog({
+            diffAnalysis: diffAnalysis([
+                { file: 'src/roles.js', type: 'added', category: 'feature' },
+                { file: 'src/legacy.js', type: 'deleted', category: 'feature' },
+                { file: 'docs/api.md', type: 'added', category: 'docs' },
+            ]),
+            breakingChanges: [
+                createUser,
+                { ...createUser, functionName: 'deleteUser', kind: 'removed', description: 'Exported "deleteUser" was removed' },
+                { ...createUser, functionName: 'listUsers', severity: 'minor', kind: 'added' },
+                { ...createUser, functionName: 'getUser', severity: 'patch', kind: 'param-renamed' },
+            ],
+            commits: ['feat(api): add roles', 'fix: handle empty email', 'chore: bump deps', 'Merge branch x'],
+        });
+
+        expect(section).toBe([
+            '## [Unreleased]',
+            '',
+            '### Added',
+            '',
+            '- `listUsers` (`src/api.js`) is now exported',
+            '- New module `src/roles.js`',
+            '- **api:** Add roles',
+            '',
+            '### Changed',
+            '',
+            '- **BREAKING:** `createUser` (`src/api.js`): required parameter "role" added',
+            '',
+            '### Removed',
+            '',
+            '- **BREAKING:** `deleteUser` (`src/api.js`): Exported "deleteUser" was removed',
+            '- Module `src/legacy.js` was removed',
+            '',
+            '### Fixed',
+            '',
+            '- Handle empty email',
+            '',
+        ].join('\n'));
+    });
+
+    it('should be empty when nothing is user-facing', () => {
+        expect(generateChangelog({ diffAnalysis: diffAnalysis(), breakingChanges: [], commits: ['test: more'] })).toBe('');
+    });
+});
+
+describe('generateMigrationGuide', () => {
+    it('should show before/after signatures and callers to update', () => {
+        const guide = generateMigrationGuide([createUser, { ...createUser, severity: 'minor' }]);
+
+        expect(guide).toContain('### `createUser` — `src/api.js`');
+        expect(guide).toContain('- createUser(name, email)\n+ createUser(name, email, role)');
+        expect(guide).toContain('- `src/app.js:4` — passes 2 arguments but createUser now requires 3');
+        expect(guide.match(/^### /gm)).toHaveLength(1);
+    });
+
+    it('should be empty without major changes', () => {
+        expect(generateMigrationGuide([{ ...createUser, severity: 'minor' }])).toBe('');
+    });
+
+    it('should name a removed star re-export by its module', () => {
+        const surface = (code) => extractApiSurface(code, 'src/index.js');
+        const changes = diffApiSurface('src/index.js', surface("export * from './x.js';"), surface(''));
+        const guide = generateMigrationGuide(changes);
+
+        expect(guide).toContain('### `re-export of ./x.js` — `src/index.js`');
+        expect(guide).toContain("- export * from './x.js'\n+ re-export of ./x.js (removed)");
+        expect(generateChangelog({ diffAnalysis: diffAnalysis(), breakingChanges: changes })).toContain(
+            "- **BREAKING:** `re-export of ./x.js` (`src/index.js`): Re-export of everything from './x.js' was removed"
+        );
+    });
+});
+
+describe('insertIntoChangelog', () => {
+    const section = '## [Unreleased]\n\n### Added\n\n- New thing\n\n### Fixed\n\n- A bug\n';
+
+    it('should merge entries into the existing Unreleased section once', () => {
+        const changelog = '# Changelog\n\n## [Unreleased]\n\n### Fixed\n\n- Older bug\n\n## [1.0.0] - 2026-01-01\n\n- Init\n';
+        const once = insertIntoChangelog(changelog, section);
+
+        expect(once).toBe(
+            '# Changelog\n\n## [Unreleased]\n\n### Added\n\n- New thing\n\n### Fixed\n\n- Older bug\n- A bug\n\n' +
+            '## [1.0.0] - 2026-01-01\n\n- Init\n'
+        );
+        expect(insertIntoChangelog(once, section)).toBe(once);
+    });
+
+    it('should add the section above the latest release, or create the file', () => {
+        const changelog = '# Changelog\n\nIntro.\n\n## [1.0.0] - 2026-01-01\n\n- Init\n';
+
+        expect(insertIntoChangelog(changelog, section)).toBe(
+            `# Changelog\n\nIntro.\n\n${section}\n## [1.0.0] - 2026-01-01\n\n- Init\n`
+        );
+        expect(insertIntoChangelog(null, section)).toMatch(/^# Changelog\n[\s\S]*Keep a Changelog[\s\S]*## \[Unreleased\]/);
+    });
+});
+
+describe('insertIntoMigrationGuide', () => {
+    it('should replace an earlier Unreleased section', () => {
+        const guide = '# Migration Guide\n\n## Unreleased\n\nold notes\n\n## 1.0.0\n\n- notes\n';
+
+        expect(insertIntoMigrationGuide(guide, '## Unreleased\n\nnew notes\n')).toBe(
+            '# Migration Guide\n\n## Unreleased\n\nnew notes\n\n## 1.0.0\n\n- notes\n'
+        );
+        expect(insertIntoMigrationGuide(null, '## Unreleased\n\nnew notes\n')).toBe('# Migration Guide\n\n## Unreleased\n\nnew notes\n');
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect, vi } from 'vitest';
+import { generatePRDescription } from '../../src/generators/pr-description.js';
+
+vi.mock('../../src/utils/copilot.js', () => ({
+    askCopilot: vi.fn().mockResolvedValue(null),
+}));
+
+const diffAnalysis = {
+    summary: { fileCount: 1, additions: 3, deletions: 1 },
+    files: [{ file: 'src/api.js', type: 'modified', category: 'feature', additions: 3, deletions: 1 }],
+    aiSummary: null,
+};
+
+describe('generatePRDescription', () => {
+    it('should list findings without a line by file only', async () => {
+        const md = await generatePRDescription({
+            diffAnalysis,
+            findings: [
+                { file: 'src/api.js', line: 4, severity: 'error', message: 'Debugger statement left in code' },
+                { file: 'package.json', line: null, severity: 'warning', message: 'Breaking API change needs a major version bump' },
+            ],
+            testCoverage: { untestedFiles: [], diffCoverage: null },
+            breakingChanges: [],
+            branchName: 'feat/api',
+        });
+
+        expect(md).toContain('- `src/api.js:4` — Debugger statement left in code');
+        expect(md).toContain('- `package.json` — Breaking API change needs a major version bump');
+        expect(md).not.toContain(':null');
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+    detectTestLayout, testPathFor, frameworkOf, collectScaffoldTargets, renderTestScaffold,
+} from '../../src/generators/test-scaffold.js';
+
+describe('detectTestLayout', () => {
+    it('should default to tests/ mirroring src/ without existing tests', () => {
+        const layout = detectTestLayout(['src/a.js']);
+        expect(layout).toEqual({ placement: 'mirror', root: 'tests', strip: 'src/', suffix: '.test' });
+        expect(testPathFor('src/lib/a.js', layout)).toBe('tests/lib/a.test.js');
+    });
+
+    it('should follow the most common placement and suffix', () => {
+        const colocated = detectTestLayout(['src/a.js', 'src/a.spec.ts', 'src/b.spec.ts', 'tests/e2e.test.js']);
+        expect(colocated).toMatchObject({ placement: 'colocated', suffix: '.spec' });
+        expect(testPathFor('src/c.ts', colocated)).toBe('src/c.spec.ts');
+
+        const nested = detectTestLayout(['lib/a.js', 'lib/__tests__/a.test.js']);
+        expect(testPathFor('lib/b.js', nested)).toBe('lib/__tests__/b.test.js');
+    });
+
+    it('should keep the source path under the test root when tests mirror it as-is', () => {
+        const layout = detectTestLayout(['lib/a.js', 'test/lib/a.test.js']);
+        expect(layout).toMatchObject({ placement: 'mirror', root: 'test', strip: null });
+        expect(testPathFor('lib/b.js', layout)).toBe('test/lib/b.test.js');
+    });
+});
+
+describe('frameworkOf', () => {
+    it('should recognise the framework from imports and globals', () => {
+        expect(frameworkOf("import { it } from 'vitest';")).toBe('vitest');
+        expect(frameworkOf("const test = require('node:test');")).toBe('node');
+        expect(frameworkOf("const fn = jest.fn();")).toBe('jest');
+        expect(frameworkOf("const { expect } = require('chai');")).toBe('mocha');
+        expect(frameworkOf("describe('x', () => {});")).toBeNull();
+    });
+});
+
+describe('collectScaffoldTargets', () => {
+    it('should list a pending test per branch of each exported function', () => {
+        const code = [
+            'export function parse(input, opts = {}) {',
+            "    if (!input) throw new Error('empty');",
+            '    if (opts.strict) return 1;',
+            '    else if (opts.loose) return 2;',
+            "    switch (opts.mode) { case 'a': break; default: break; }",
+            '    for (const item of input.items) {}',
+            '    try { run(); } catch {}',
+            '    return input.ok ? 1 : 0;',
+            '}',
+            'function helper() {}',
+            'export { helper as aliased };',
+            'export const config = { a: 1 };',
+        ].join('\n');
+
+        const { targets, esm } = collectScaffoldTargets(code, 'src/parse.js');
+
+        expect(esm).toBe(true);
+        expect(targets.map((t) => t.name)).toEqual(['parse', 'aliased']);
+        expect(targets[0].branches).toEqual([
+            'when !input',
+            'when input',
+            "throws new Error('empty')",
+            'when opts.strict',
+            'when opts.loose',
+            'when not opts.loose',
+            "when opts.mode is 'a'",
+            'when opts.mode matches no case',
+            'when input.items is empty',
+            'when an error is thrown',
+            'when input.ok',
+            'when not input.ok',
+        ]);
+        expect(targets[1].branches).toEqual([]);
+    });
+
+    it('should list public class methods and CommonJS exports', () => {
+        const code = [
+            'class Store {',
+            '    get(key) { return key in this.items ? this.items[key] : null; }',
+            '    _sync() {}',
+            '    static create() { return new Store(); }',
+            '}',
+            'module.exports = { Store, size: (s) => s.length };',
+        ].join('\n');
+
+        const { targets, esm } = collectScaffoldTargets(code, 'lib/store.js');
+
+        expect(esm).toBe(false);
+        expect(targets[0]).toMatchObject({ name: 'Store', kind: 'class' });
+        expect(targets[0].methods).toEqual([
+            { name: 'get', branches: ['when key in this.items', 'when not key in this.items'] },
+            { name: 'static create', branches: [] },
+        ]);
+        expect(targets[1]).toMatchObject({ name: 'size', kind: 'function' });
+    });
+
+    it('should return null for unparseable files', () => {
+        expect(collectScaffoldTargets('# readme', 'README.md')).toBeNull();
+    });
+});
+
+describe('renderTestScaffold', () => {
+    it('should render a deterministic skeleton for the framework', () => {
+        const code = "export default function format(v) { return v ? 'a' : 'b'; }\nexport const noop = () => {};";
+        const params = { sourceFile: 'src/text/format-date.ts', testFile: 'tests/text/format-date.test.ts', framework: 'vitest' };
+        const rendered = renderTestScaffold({ ...params, ...collectScaffoldTargets(code, 'src/text/format-date.ts') });
+
+        expect(rendered).toBe([
+            "import { describe, it } from 'vitest';",
+            "import formatDate, { noop } from '../../src/text/format-date';",
+            '',
+            "describe('formatDate', () => {",
+            "    it.todo('when v');",
+            "    it.todo('when not v');",
+            '});',
+            '',
+            "describe('noop', () => {",
+            "    it.todo('returns the expected result');",
+            '});',
+            '',
+        ].join('\n'));
+        expect(renderTestScaffold({ ...params, ...collectScaffoldTargets(code, 'src/text/format-date.ts') })).toBe(rendered);
+    });
+
+    it('should use require and pending mocha tests for CommonJS sources', () => {
+        const rendered = renderTestScaffold({
+            sourceFile: 'lib/a.js',
+            testFile: 'test/a.test.js',
+            framework: 'mocha',
+            ...collectScaffoldTargets("exports.run = function (x) { if (x) return 1; };", 'lib/a.js'),
+        });
+
+        expect(rendered).toContain("const { run } = require('../lib/a.js');");
+        expect(rendered).toContain("    it('when x');");
+        expect(rendered).not.toContain('import');
+    });
+});
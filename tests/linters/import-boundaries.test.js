@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { resolveBoundaries, checkImportBoundaries } from '../../src/linters/import-boundaries.js';
+import { buildImportGraph } from '../../src/context/import-graph.js';
+import { globToRegExp } from '../../src/utils/glob.js';
+
+// In-memory file source: path → content
+function memorySource(files) {
+    return {
+        ref: 'test',
+        list: async () => Object.keys(files),
+        read: async (file) => files[file] ?? null,
+    };
+}
+
+async function check(files, file, boundaries, addedLines) {
+    const graph = await buildImportGraph(memorySource(files));
+    return checkImportBoundaries(file, files[file], {
+        rules: resolveBoundaries(boundaries),
+        resolve: graph.resolve,
+        addedLines,
+    });
+}
+
+describe('globToRegExp', () => {
+    it('should match segments with * and any depth with **', () => {
+        expect(globToRegExp('src/*.js').test('src/a.js')).toBe(true);
+        expect(globToRegExp('src/*.js').test('src/x/a.js')).toBe(false);
+        expect(globToRegExp('src/**').test('src/x/a.js')).toBe(true);
+        expect(globToRegExp('src/**/a.js').test('src/a.js')).toBe(true);
+        expect(globToRegExp('a?.js').test('ab.js')).toBe(true);
+        expect(globToRegExp('a.js').test('abjs')).toBe(false);
+    });
+});
+
+describe('resolveBoundaries', () => {
+    it('should compile rules with defaults', () => {
+        const [rule] = resolveBoundaries([{ name: 'leaf', from: 'src/utils/**', disallow: 'src/commands/**' }]);
+
+        expect(rule.severity).toBe('error');
+        expect(rule.allow).toBeNull();
+        expect(rule.description).toBe('src/utils/** may not import src/commands/**');
+    });
+
+    it('should reject invalid rules', () => {
+        expect(() => resolveBoundaries({})).toThrow('must be an array');
+        expect(() => resolveBoundaries([{ from: 'a', disallow: 'b' }])).toThrow('"name" is required');
+        expect(() => resolveBoundaries([{ name: 'x', disallow: 'b' }])).toThrow('"from" is required');
+        expect(() => resolveBoundaries([{ name: 'x', from: 'a' }])).toThrow('needs "disallow" or "allow"');
+        expect(() => resolveBoundaries([{ name: 'x', from: 'a', disallow: 'b', severity: 'fatal' }])).toThrow('invalid severity');
+        expect(() => resolveBoundaries([
+            { name: 'x', from: 'a', disallow: 'b' },
+            { name: 'x', from: 'c', disallow: 'd' },
+        ])).toThrow('duplicate name');
+    });
+});
+
+describe('checkImportBoundaries', () => {
+    const files = {
+        'src/utils/log.js': "import { run } from '../commands/run.js';\nimport chalk from 'chalk';\n",
+        'src/commands/run.js': 'export const run = 1;\n',
+        'src/ml/model.js': "import bayes from 'bayes/lib/x';\n",
+        'src/core/a.js': "import { b } from './b';\nimport { run } from '../commands/run.js';\nimport fs from 'node:fs';\n",
+        'src/core/b.js': 'export const b = 1;\n',
+    };
+
+    it('should report a disallowed repository import, named after the rule', async () => {
+        const findings = await check(files, 'src/utils/log.js', [
+            { name: 'utils-stay-leaf', from: 'src/utils/**', disallow: ['src/commands/**'], message: 'Utils are shared by every command' },
+        ]);
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({
+            file: 'src/utils/log.js',
+            line: 1,
+            severity: 'error',
+            ruleId: 'boundary/utils-stay-leaf',
+            source: 'boundary',
+        });
+        expect(findings[0].message).toContain('"src/commands/run.js"');
+        expect(findings[0].message).toContain('Utils are shared by every command');
+    });
+
+    it('should match packages by name and honour except', async () => {
+        const rules = [{ name: 'bayes-only-in-ml', from: '**', except: ['src/ml/**'], disallow: ['bayes'], severity: 'warning' }];
+
+        expect(await check(files, 'src/ml/model.js', rules)).toEqual([]);
+
+        const outside = { ...files, 'src/core/b.js': "import bayes from 'bayes';\n" };
+        const findings = await check(outside, 'src/core/b.js', rules);
+        expect(findings.map((f) => [f.ruleId, f.severity])).toEqual([['boundary/bayes-only-in-ml', 'warning']]);
+    });
+
+    it('should treat allow as an allow-list for repository imports only', async () => {
+        const findings = await check(files, 'src/core/a.js', [
+            { name: 'core-is-self-contained', from: 'src/core/**', allow: ['src/utils/**'] },
+        ]);
+
+        // ./b is inside `from`, node:fs is a package
+        expect(findings.map((f) => f.line)).toEqual([2]);
+    });
+
+    it('should only check imports on added lines', async () => {
+        const rules = [{ name: 'leaf', from: 'src/core/**', disallow: ['src/commands/**'] }];
+
+        expect(await check(files, 'src/core/a.js', rules, new Set([1, 3]))).toEqual([]);
+        expect(await check(files, 'src/core/a.js', rules, new Set([2]))).toHaveLength(1);
+    });
+});
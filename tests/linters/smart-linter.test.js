@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
-import { analyze } from '../../src/linters/smart-linter.js';
+import { analyze, finalizeFindings } from '../../src/linters/smart-linter.js';
+import { resolveBoundaries } from '../../src/linters/import-boundaries.js';
+import { FalsePositiveFilter } from '../../src/ml/false-positive-filter.js';
 import { vi } from 'vitest';
 
 vi.mock('../../src/utils/copilot.js', () => ({
@@ -31,6 +33,12 @@ function mockFile(file, lines) {
     };
 }
 
+// File source serving each mock file's added lines as its content
+function memorySource(files) {
+    const contents = new Map(files.map((f) => [f.file, f.hunks[0].content]));
+    return { ref: 'test', list: async () => [...contents.keys()], read: async (file) => contents.get(file) ?? null };
+}
+
 describe('smart-linter', () => {
     describe('heuristic rules', () => {
         it('should detect console.log statements', async () => {
@@ -69,6 +77,20 @@ describe('smart-linter', () => {
             expect(findings.some((f) => f.severity === 'error' && f.message.includes('eval'))).toBe(true);
         });
 
+        it('should leave eval() in parseable files to the AST layer', async () => {
+            const files = [mockFile('app.js', ["eval('1 + 1');", 'const doc = retrieval(query);'])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings).toHaveLength(0);
+        });
+
+        it('should only match eval() as a whole word in other files', async () => {
+            const files = [mockFile('template.vue', ['eval(code)', 'retrieval(query)'])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings.filter((f) => f.ruleId === 'heuristic/no-eval').map((f) => f.line)).toEqual([1]);
+        });
+
         it('should detect TODO/FIXME comments', async () => {
             const files = [mockFile('app.js', ['// TODO: fix this later', '// FIXME: broken'])];
             const findings = await analyze(files, { useML: false });
@@ -150,6 +172,191 @@ describe('smart-linter', () => {
         });
     });
 
+    describe('rule IDs and fingerprints', () => {
+        it('should attach a rule ID and category to every finding', async () => {
+            const files = [mockFile('app.js', ['debugger;', 'const password = "hunter2_secret";'])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings.find((f) => f.ruleId === 'heuristic/no-debugger').category).toBe('best-practice');
+            expect(findings.find((f) => f.ruleId === 'heuristic/hardcoded-secret').category).toBe('security');
+            expect(findings.every((f) => f.ruleId && f.category && f.fingerprint)).toBe(true);
+        });
+
+        it('should keep offending code out of the message and in the snippet', async () => {
+            const files = [mockFile('app.js', ['  console.log("debug");'])];
+            const [finding] = await analyze(files, { useML: false });
+
+            expect(finding.message).toBe('Leftover console statement');
+            expect(finding.snippet).toBe('console.log("debug");');
+        });
+
+        it('should keep fingerprints stable when the line shifts', async () => {
+            const before = await analyze([mockFile('app.js', ['debugger;'])], { useML: false });
+            const after = await analyze([mockFile('app.js', ['// moved down', '', 'debugger;'])], { useML: false });
+
+            const a = before.find((f) => f.ruleId === 'heuristic/no-debugger');
+            const b = after.find((f) => f.ruleId === 'heuristic/no-debugger');
+            expect(a.line).not.toBe(b.line);
+            expect(a.fingerprint).toBe(b.fingerprint);
+        });
+    });
+
+    describe('inline suppressions', () => {
+        it('should honour disable-next-line directives across layers', async () => {
+            const files = [mockFile('app.js', [
+                '// reviewpilot-disable-next-line heuristic/no-console -- CLI output',
+                'console.log("ready");',
+                'debugger;',
+            ])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings.some((f) => f.ruleId === 'heuristic/no-console')).toBe(false);
+            expect(findings.some((f) => f.ruleId === 'heuristic/no-debugger')).toBe(true);
+        });
+
+        it('should suppress plugin findings', async () => {
+            const files = [mockFile('app.js', ['/* reviewpilot-disable */', 'eval(x);', '/* reviewpilot-enable */'])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings.filter((f) => f.ruleId !== 'reviewpilot/unused-suppression')).toHaveLength(0);
+        });
+
+        it('should report a directive that suppresses nothing', async () => {
+            const files = [mockFile('app.js', ['// reviewpilot-disable-next-line heuristic/no-eval', 'const a = 1;'])];
+            const findings = await analyze(files, { useML: false });
+
+            expect(findings).toHaveLength(1);
+            expect(findings[0].ruleId).toBe('reviewpilot/unused-suppression');
+        });
+    });
+
+    describe('finalizeFindings', () => {
+        const callSite = (file, line) => ({
+            file, line, severity: 'error', message: 'Call to "parse" (src/a.js) breaks: missing argument',
+            source: 'graph', ruleId: 'graph/broken-call-site', category: 'reliability', snippet: 'parse(x);',
+        });
+
+        it('should suppress detector findings inline, in files outside the diff too', async () => {
+            const changed = mockFile('src/a.js', ['export function parse(x, opts) {}']);
+            const fileSource = {
+                ref: 'test',
+                list: async () => [],
+                read: async (file) => ({
+                    'src/a.js': 'export function parse(x, opts) {}',
+                    'src/b.js': '// reviewpilot-disable-next-line graph/broken-call-site -- migrated in #12\nparse(x);\nparse(y);',
+                })[file] ?? null,
+            };
+            const raw = await analyze([changed], { useML: false, fileSource, finalize: false });
+            const findings = await finalizeFindings([...raw, callSite('src/b.js', 2), callSite('src/b.js', 3)], [changed], { useML: false, fileSource });
+
+            expect(findings.map((f) => [f.file, f.line, f.ruleId])).toEqual([['src/b.js', 3, 'graph/broken-call-site']]);
+            expect(findings[0].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+        });
+
+        it('should report unused directives only on added lines', async () => {
+            const changed = mockFile('src/a.js', ['// reviewpilot-disable-next-line graph/broken-call-site', 'const a = 1;']);
+            const fileSource = {
+                ref: 'test',
+                list: async () => [],
+                read: async (file) => ({
+                    'src/a.js': changed.hunks[0].content,
+                    'src/b.js': '// reviewpilot-disable-next-line graph/broken-call-site\nlet b;\nparse(y);',
+                })[file] ?? null,
+            };
+            const findings = await finalizeFindings([callSite('src/b.js', 3)], [changed], { useML: false, fileSource });
+
+            expect(findings.map((f) => [f.file, f.line, f.ruleId])).toEqual([
+                ['src/a.js', 1, 'reviewpilot/unused-suppression'],
+                ['src/b.js', 3, 'graph/broken-call-site'],
+            ]);
+        });
+
+        it('should not read directives from code samples in Markdown docs', async () => {
+            const doc = mockFile('docs/configuration.md', [
+                '```javascript',
+                '// reviewpilot-disable-next-line heuristic/no-console -- CLI entry point prints to stdout',
+                'console.log(banner);',
+                '```',
+            ]);
+            const findings = await analyze([doc], { useML: false });
+
+            expect(findings.filter((f) => f.ruleId?.startsWith('reviewpilot/'))).toEqual([]);
+        });
+    });
+
+    describe('import boundaries', () => {
+        it('should report added imports that cross a configured boundary', async () => {
+            const files = [mockFile('src/utils/log.js', ["import { run } from '../commands/run.js';"])];
+            const graph = {
+                imports: new Map([['src/utils/log.js', new Set(['src/commands/run.js'])]]),
+                resolve: () => 'src/commands/run.js',
+            };
+            const boundaries = resolveBoundaries([{ name: 'utils-stay-leaf', from: 'src/utils/**', disallow: 'src/commands/**' }]);
+
+            const findings = await analyze(files, { useML: false, boundaries, graph, fileSource: memorySource(files) });
+            expect(findings.map((f) => f.ruleId)).toEqual(['boundary/utils-stay-leaf']);
+        });
+    });
+
+    describe('test quality', () => {
+        it('should run only on files categorized as tests', async () => {
+            const lines = ["it.only('works', () => { expect(1).toBe(1); });"];
+            const testFile = { ...mockFile('src/a.test.js', lines), category: 'test' };
+            const sourceFile = mockFile('src/a.js', lines);
+
+            const findings = await analyze([testFile, sourceFile], { useML: false, fileSource: memorySource([testFile, sourceFile]) });
+            expect(findings.map((f) => [f.file, f.ruleId])).toEqual([['src/a.test.js', 'test/focused-test']]);
+        });
+
+        it('should never send test quality findings through the ML filter', async () => {
+            const shouldReport = vi.spyOn(FalsePositiveFilter.prototype, 'shouldReport').mockResolvedValue({ shouldReport: false, confidence: 1 });
+            try {
+                const testFile = { ...mockFile('tests/a.test.js', ["it.only('works', () => { expect(1).toBe(1); });", 'debugger;']), category: 'test' };
+                const findings = await analyze([testFile], { fileSource: memorySource([testFile]) });
+
+                expect(findings.map((f) => f.ruleId)).toEqual(['test/focused-test']);
+                expect(shouldReport.mock.calls.every(([f]) => f.category !== 'test-quality')).toBe(true);
+            } finally {
+                shouldReport.mockRestore();
+            }
+        });
+    });
+
+    describe('ML filtering', () => {
+        it('should keep real secrets, console statements and TODOs with the default classifier', async () => {
+            const file = mockFile('src/app.js', ['const password = "hunter2_secret";', 'console.log(name);', '// TODO: handle errors']);
+            const findings = await analyze([file], { useML: true, fileSource: memorySource([file]) });
+
+            expect(findings.map((f) => f.ruleId)).toEqual(expect.arrayContaining([
+                'heuristic/hardcoded-secret', 'heuristic/no-console', 'heuristic/todo-comment',
+            ]));
+        });
+
+        it('should still drop fixture-like secrets in tests', async () => {
+            const file = mockFile('tests/auth.test.js', ['const mockApiKey = "test-key-for-unit-tests";']);
+            const findings = await analyze([file], { useML: true, fileSource: memorySource([file]) });
+
+            expect(findings.some((f) => f.ruleId === 'heuristic/hardcoded-secret')).toBe(false);
+        });
+    });
+
+    describe('taint analysis', () => {
+        it('should keep injection findings through the ML filter', async () => {
+            const lines = [
+                "app.get('/users', async (req, res) => {",
+                '    const rows = await db.query(`SELECT * FROM users WHERE name = \'${req.query.name}\'`);',
+                '    res.json(rows);',
+                '});',
+            ];
+            const file = mockFile('src/routes/users.js', lines);
+
+            const findings = await analyze([file], { fileSource: memorySource([file]) });
+            const injection = findings.find((f) => f.ruleId === 'ast/sql-injection');
+            expect(injection).toMatchObject({ line: 2, severity: 'critical', source: 'ast' });
+            expect(injection.message).toContain('req.query.name (line 2) → SQL query (line 2)');
+        });
+    });
+
     describe('clean code', () => {
         it('should produce no findings for clean code', async () => {
             const files = [
@@ -163,4 +370,39 @@ describe('smart-linter', () => {
             expect(findings).toHaveLength(0);
         });
     });
+
+    describe('result cache', () => {
+        function memoryCache() {
+            const entries = new Map();
+            return {
+                keyFor: (file, content, diffHash, scope) => [file, content, diffHash, scope].join('|'),
+                get: (key) => entries.get(key) ?? null,
+                set: (key, findings) => entries.set(key, findings),
+                entries,
+            };
+        }
+
+        it('should reuse cached findings for an unchanged file', async () => {
+            const resultCache = memoryCache();
+            const files = [mockFile('app.js', ['debugger;'])];
+
+            await analyze(files, { useML: false, resultCache });
+            expect(resultCache.entries.size).toBe(1);
+
+            const [key] = resultCache.entries.keys();
+            resultCache.entries.set(key, [{ file: 'app.js', line: 1, severity: 'info', message: 'from cache', ruleId: 'x' }]);
+            const findings = await analyze(files, { useML: false, resultCache });
+
+            expect(findings.map((f) => f.message)).toEqual(['from cache']);
+        });
+
+        it('should re-analyze a file whose diff changed', async () => {
+            const resultCache = memoryCache();
+            await analyze([mockFile('app.js', ['debugger;'])], { useML: false, resultCache });
+            const findings = await analyze([mockFile('app.js', ['eval(x);'])], { useML: false, resultCache });
+
+            expect(findings.some((f) => f.ruleId === 'ast/no-eval')).toBe(true);
+            expect(resultCache.entries.size).toBe(2);
+        });
+    });
 });
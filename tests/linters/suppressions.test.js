@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { parseSuppressions, applySuppressions, ruleMatches } from '../../src/linters/suppressions.js';
+import { parseCode } from '../../src/analyzers/ast-analyzer.js';
+
+const finding = (line, ruleId) => ({ file: 'a.js', line, ruleId, severity: 'warning', message: 'x', source: 'heuristic' });
+
+describe('parseSuppressions', () => {
+    it('should parse next-line directives with rules and reason', () => {
+        const [d] = parseSuppressions('// reviewpilot-disable-next-line heuristic/no-console, ast/no-console -- CLI output\nconsole.log(1);');
+        expect(d).toMatchObject({
+            type: 'disable-next-line',
+            line: 1,
+            rules: ['heuristic/no-console', 'ast/no-console'],
+            reason: 'CLI output',
+            from: 2,
+            to: 2,
+        });
+    });
+
+    it('should parse same-line directives', () => {
+        const [d] = parseSuppressions('const k = "sk_live_x"; // reviewpilot-disable-line entropy/known-prefix');
+        expect(d).toMatchObject({ type: 'disable-line', from: 1, to: 1, rules: ['entropy/known-prefix'], reason: null });
+    });
+
+    it('should resolve disable/enable blocks', () => {
+        const code = ['a', '/* reviewpilot-disable heuristic/no-console */', 'b', 'c', '/* reviewpilot-enable */', 'd'].join('\n');
+        const [d] = parseSuppressions(code);
+        expect(d).toMatchObject({ type: 'disable', from: 2, to: 5, rules: ['heuristic/no-console'] });
+    });
+
+    it('should leave unterminated blocks open to the end of the file', () => {
+        const [d] = parseSuppressions('# reviewpilot-disable\nSECRET=1');
+        expect(d.to).toBe(Infinity);
+        expect(d.rules).toEqual([]);
+    });
+
+    it('should ignore lookalike words', () => {
+        expect(parseSuppressions('const reviewpilot-disabled = 1;')).toEqual([]);
+    });
+
+    it('should ignore directives outside comments', () => {
+        const code = "const hint = 'reviewpilot-disable-next-line heuristic/no-console';\nconsole.log(hint);";
+        expect(parseSuppressions(code, { ast: parseCode(code, 'a.js') })).toEqual([]);
+        expect(parseSuppressions('text = "reviewpilot-disable-line"')).toEqual([]);
+    });
+
+    it('should only read directives that open a comment in parsed files', () => {
+        const code = [
+            '/**',
+            ' * Example: doThing(); // reviewpilot-disable-line entropy/known-prefix',
+            ' */',
+            '/* reviewpilot-disable-next-line heuristic/no-console',
+            '   spanning two lines */',
+            'console.log(1);',
+        ].join('\n');
+        const directives = parseSuppressions(code, { ast: parseCode(code, 'a.js') });
+        expect(directives).toHaveLength(1);
+        expect(directives[0]).toMatchObject({ type: 'disable-next-line', line: 4, from: 6, to: 6, rules: ['heuristic/no-console'] });
+    });
+
+    it('should only accept the comment tokens of the file type', () => {
+        expect(parseSuppressions('# reviewpilot-disable-next-line\nSECRET=1', { filename: '.env.local' })).toHaveLength(1);
+        expect(parseSuppressions('# reviewpilot-disable-next-line\nkey: 1', { filename: 'ci/deploy.yml' })).toHaveLength(1);
+        expect(parseSuppressions('-- reviewpilot-disable-next-line\nSELECT 1;', { filename: 'db/seed.sql' })).toHaveLength(1);
+        expect(parseSuppressions('# reviewpilot-disable-next-line\nx = 1', { filename: 'style.css' })).toEqual([]);
+    });
+
+    it('should ignore directive samples in prose files', () => {
+        const doc = [
+            'Findings can be silenced in source with a comment naming the rule IDs:',
+            '',
+            '```javascript',
+            '// reviewpilot-disable-next-line heuristic/no-console -- CLI entry point prints to stdout',
+            'console.log(banner);',
+            '/* reviewpilot-disable heuristic/no-console */',
+            '```',
+            '',
+            '# reviewpilot-disable',
+            '<!-- reviewpilot-disable-line -->',
+        ].join('\n');
+        expect(parseSuppressions(doc, { filename: 'docs/configuration.md' })).toEqual([]);
+        expect(parseSuppressions(doc, { filename: 'NOTES.txt' })).toEqual([]);
+    });
+});
+
+describe('ruleMatches', () => {
+    it('should match exact IDs, wildcards and layer prefixes', () => {
+        expect(ruleMatches('heuristic/no-console', 'heuristic/no-console')).toBe(true);
+        expect(ruleMatches('plugin:no-axios/*', 'plugin:no-axios/no-axios')).toBe(true);
+        expect(ruleMatches('entropy', 'entropy/known-prefix')).toBe(true);
+        expect(ruleMatches('heuristic/no-console', 'ast/no-console')).toBe(false);
+        expect(ruleMatches('heur', 'heuristic/no-console')).toBe(false);
+    });
+});
+
+describe('applySuppressions', () => {
+    it('should suppress matching findings in range only', () => {
+        const directives = parseSuppressions('// reviewpilot-disable-next-line heuristic/no-console\nx\ny');
+        const { findings, suppressed } = applySuppressions(
+            [finding(2, 'heuristic/no-console'), finding(2, 'heuristic/no-debugger'), finding(3, 'heuristic/no-console')],
+            directives,
+            { file: 'a.js' }
+        );
+
+        expect(suppressed).toHaveLength(1);
+        expect(findings.map((f) => `${f.line}:${f.ruleId}`)).toEqual(['2:heuristic/no-debugger', '3:heuristic/no-console']);
+    });
+
+    it('should report unused directives on added lines', () => {
+        const directives = parseSuppressions('// reviewpilot-disable-next-line heuristic/no-eval\nx');
+        const { findings } = applySuppressions([], directives, { file: 'a.js', addedLines: new Set([1, 2]) });
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0]).toMatchObject({ ruleId: 'reviewpilot/unused-suppression', line: 1 });
+    });
+
+    it('should not report unused directives on unchanged lines', () => {
+        const directives = parseSuppressions('// reviewpilot-disable-next-line\nx');
+        const { findings } = applySuppressions([], directives, { file: 'a.js', addedLines: new Set([2]) });
+        expect(findings).toHaveLength(0);
+    });
+
+    it('should require a reason when configured', () => {
+        const directives = parseSuppressions('// reviewpilot-disable-next-line heuristic/no-console\nconsole.log(1)');
+        const { findings, suppressed } = applySuppressions([finding(2, 'heuristic/no-console')], directives, {
+            file: 'a.js',
+            requireReason: true,
+        });
+
+        expect(suppressed).toHaveLength(0);
+        expect(findings.map((f) => f.ruleId)).toEqual(['heuristic/no-console', 'reviewpilot/suppression-missing-reason']);
+    });
+});
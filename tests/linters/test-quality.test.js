@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { checkTestQuality } from '../../src/linters/test-quality.js';
+
+const testFile = (file = 'tests/a.test.js', fields = {}) => ({ file, type: 'modified', category: 'test', hunks: [], ...fields });
+const ruleIds = (findings) => findings.map((f) => `${f.line}:${f.ruleId}`);
+
+describe('checkTestQuality', () => {
+    it('should flag focused and skipped tests and suites', () => {
+        const code = [
+            "describe.only('suite', () => {",
+            "    it.only('a', () => { expect(1).toBe(1); });",
+            "    fit('b', () => { expect(1).toBe(1); });",
+            "    xit('c', () => {});",
+            "    test.skip('d', () => {});",
+            "    it.todo('e');",
+            "    it.each([1])('f %i', (n) => { expect(n).toBe(1); });",
+            '});',
+        ].join('\n');
+
+        expect(ruleIds(checkTestQuality(testFile(), code))).toEqual([
+            '1:test/focused-test',
+            '2:test/focused-test',
+            '3:test/focused-test',
+            '4:test/skipped-test',
+            '5:test/skipped-test',
+        ]);
+    });
+
+    it('should flag tests without assertions', () => {
+        const code = [
+            "it('asserts nothing', () => { run(); });",
+            "it('expect', () => { expect(run()).toBe(1); });",
+            "it('assert', () => { assert.equal(run(), 1); });",
+            "it('should', () => { run().should.equal(1); });",
+            "it('context', (t) => { t.assert.ok(run()); });",
+            "it('helper', () => { expectValid(run()); });",
+        ].join('\n');
+
+        const findings = checkTestQuality(testFile(), code);
+        expect(ruleIds(findings)).toEqual(['1:test/no-assertions']);
+        expect(findings[0].message).toContain('"asserts nothing"');
+    });
+
+    it('should flag flakiness sources inside a test body', () => {
+        const code = [
+            'async function load() {}',
+            "it('flaky', async () => {",
+            '    await new Promise((r) => setTimeout(r, 50));',
+            '    const now = Date.now();',
+            '    const stamp = new Date();',
+            '    const id = Math.random();',
+            "    const res = await fetch('https://example.com');",
+            '    load();',
+            '    expect(load()).resolves.toBe(1);',
+            '    emitter.on("x", () => { load(); });',
+            '    expect(res.ok).toBe(true);',
+            '});',
+        ].join('\n');
+
+        expect(ruleIds(checkTestQuality(testFile(), code))).toEqual([
+            '3:test/real-timers',
+            '4:test/wall-clock',
+            '5:test/wall-clock',
+            '6:test/random',
+            '7:test/network-call',
+            '8:test/unawaited-promise',
+            '9:test/unawaited-promise',
+        ]);
+    });
+
+    it('should accept fake timers and mocked network calls', () => {
+        const code = [
+            "vi.mock('axios');",
+            'vi.useFakeTimers();',
+            "it('stable', async () => {",
+            '    setTimeout(done, 50);',
+            '    const now = Date.now();',
+            "    await axios.get('/api');",
+            '    expect(now).toBe(0);',
+            '});',
+        ].join('\n');
+
+        expect(checkTestQuality(testFile(), code)).toEqual([]);
+    });
+
+    it('should report on added lines only', () => {
+        const code = [
+            "it.only('old', () => {});",
+            "it('changed', () => {",
+            '    run();',
+            '});',
+        ].join('\n');
+
+        expect(ruleIds(checkTestQuality(testFile(), code, { addedLines: new Set([3]) }))).toEqual(['2:test/no-assertions']);
+    });
+
+    it('should flag snapshot files that were mostly rewritten', () => {
+        const change = (type, ln) => ({ type, ln });
+        const hunks = (deleted, added) => [{
+            changes: [
+                ...Array.from({ length: deleted }, (_, i) => change('del', i + 1)),
+                ...Array.from({ length: added }, (_, i) => change('add', i + 1)),
+            ],
+        }];
+        const content = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+        const snap = 'tests/__snapshots__/a.test.js.snap';
+
+        const rewritten = checkTestQuality(testFile(snap, { hunks: hunks(15, 15) }), content);
+        expect(rewritten).toMatchObject([{ line: 1, ruleId: 'test/snapshot-rewrite', severity: 'warning' }]);
+        expect(rewritten[0].message).toContain('15 of 20 lines replaced');
+
+        expect(checkTestQuality(testFile(snap, { hunks: hunks(3, 3) }), content)).toEqual([]);
+        expect(checkTestQuality(testFile(snap, { type: 'added', hunks: hunks(0, 20) }), content)).toEqual([]);
+    });
+});
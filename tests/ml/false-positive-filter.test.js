@@ -63,6 +63,17 @@ describe('FalsePositiveFilter', () => {
         expect(text).toContain('test.js');
     });
 
+    it('should key feature text off the rule ID when present', () => {
+        const text = filter.buildFeatureText({
+            ruleId: 'heuristic/no-console',
+            message: 'Leftover console statement',
+            snippet: 'console.log(x)',
+        });
+        expect(text).toContain('heuristic/no-console');
+        expect(text).toContain('console.log(x)');
+        expect(text).not.toContain('Leftover');
+    });
+
     it('should handle empty finding gracefully', async () => {
         const result = await filter.shouldReport({});
         expect(typeof result.shouldReport).toBe('boolean');
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    createBaseline, loadBaseline, saveBaseline, filterBaseline, pruneBaseline, BASELINE_VERSION,
+} from '../../src/utils/baseline.js';
+
+const finding = (fingerprint, line = 1) => ({
+    file: 'src/app.js',
+    line,
+    severity: 'warning',
+    message: 'Leftover console statement',
+    source: 'heuristic',
+    ruleId: 'heuristic/no-console',
+    fingerprint,
+});
+
+describe('createBaseline', () => {
+    it('should record fingerprints without occurrence suffixes', () => {
+        const baseline = createBaseline([finding('aaa', 5), finding('aaa:1', 9), { ...finding(null), fingerprint: undefined }]);
+
+        expect(baseline.version).toBe(BASELINE_VERSION);
+        expect(baseline.findings.map((e) => e.fingerprint)).toEqual(['aaa', 'aaa']);
+        expect(baseline.findings[0]).toMatchObject({ ruleId: 'heuristic/no-console', file: 'src/app.js', line: 5 });
+    });
+});
+
+describe('filterBaseline', () => {
+    it('should hide baselined findings regardless of line number', () => {
+        const baseline = createBaseline([finding('aaa', 5)]);
+        const { findings, baselined } = filterBaseline([finding('aaa', 42), finding('bbb', 43)], baseline);
+
+        expect(baselined.map((f) => f.line)).toEqual([42]);
+        expect(findings.map((f) => f.fingerprint)).toEqual(['bbb']);
+    });
+
+    it('should only absorb as many findings as were baselined', () => {
+        const baseline = createBaseline([finding('aaa')]);
+        const { findings } = filterBaseline([finding('aaa', 1), finding('aaa:1', 2)], baseline);
+
+        expect(findings).toHaveLength(1);
+        expect(findings[0].line).toBe(2);
+    });
+
+    it('should pass everything through without a baseline', () => {
+        const input = [finding('aaa')];
+        expect(filterBaseline(input, null)).toEqual({ findings: input, baselined: [] });
+    });
+});
+
+describe('pruneBaseline', () => {
+    it('should drop entries with no matching finding', () => {
+        const baseline = createBaseline([finding('aaa', 1), finding('bbb', 2)]);
+        const { baseline: pruned, removed } = pruneBaseline(baseline, [finding('bbb', 10)]);
+
+        expect(pruned.findings.map((e) => e.fingerprint)).toEqual(['bbb']);
+        expect(removed.map((e) => e.fingerprint)).toEqual(['aaa']);
+    });
+
+    it('should drop surplus duplicates', () => {
+        const baseline = createBaseline([finding('aaa', 1), finding('aaa:1', 2)]);
+        const { removed } = pruneBaseline(baseline, [finding('aaa', 1)]);
+        expect(removed).toHaveLength(1);
+    });
+});
+
+describe('loadBaseline / saveBaseline', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-baseline-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should round-trip a baseline', () => {
+        const path = join(dir, 'nested', 'baseline.json');
+        saveBaseline(path, createBaseline([finding('bbb', 9), finding('aaa', 2)]));
+
+        const loaded = loadBaseline(path);
+        expect(loaded.findings.map((e) => e.fingerprint)).toEqual(['aaa', 'bbb']);
+        expect(readFileSync(path, 'utf-8').endsWith('\n')).toBe(true);
+    });
+
+    it('should return null when the file does not exist', () => {
+        expect(loadBaseline(join(dir, 'missing.json'))).toBeNull();
+    });
+
+    it('should reject malformed files', () => {
+        const path = join(dir, 'bad.json');
+        writeFileSync(path, '{ "version": 1 }');
+        expect(() => loadBaseline(path)).toThrow(/missing "findings"/);
+
+        writeFileSync(path, 'not json');
+        expect(() => loadBaseline(path)).toThrow(/Invalid baseline file/);
+    });
+
+    it('should reject baselines from a newer version', () => {
+        const path = join(dir, 'future.json');
+        writeFileSync(path, JSON.stringify({ version: BASELINE_VERSION + 1, findings: [] }));
+        expect(() => loadBaseline(path)).toThrow(/version/);
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+let repoRoot;
+vi.mock('../../src/utils/git.js', () => ({
+    getRepoRoot: async () => repoRoot,
+}));
+
+const { loadConfig } = await import('../../src/utils/config.js');
+
+describe('loadConfig', () => {
+    beforeEach(() => {
+        repoRoot = mkdtempSync(join(tmpdir(), 'rp-config-'));
+    });
+    afterEach(() => rmSync(repoRoot, { recursive: true, force: true }));
+
+    const writeConfig = (config) => writeFileSync(join(repoRoot, '.reviewpilotrc'), JSON.stringify(config));
+
+    it('should keep the other defaults of a partially overridden section', async () => {
+        writeConfig({
+            cache: { dir: '.x' },
+            hooks: { prePush: { failOn: 'critical' } },
+            mutation: { maxMutantsPerFile: 3 },
+            excludePatterns: ['vendor/**'],
+        });
+        const config = await loadConfig();
+
+        expect(config.cache).toEqual({ enabled: true, maxEntries: 5000, dir: '.x' });
+        expect(config.hooks).toEqual({ preCommit: { failOn: 'error' }, prePush: { failOn: 'critical' } });
+        expect(config.mutation).toEqual({ maxMutantsPerFile: 3, timeBudget: 300000 });
+        expect(config.suppressions).toEqual({ requireReason: false, reportUnused: true });
+        expect(config.excludePatterns).toEqual(['vendor/**']);
+        expect(config.repoRoot).toBe(repoRoot);
+    });
+
+    it('should not share default sections between loads', async () => {
+        const first = await loadConfig();
+        first.cache.enabled = false;
+
+        expect((await loadConfig()).cache.enabled).toBe(true);
+    });
+});
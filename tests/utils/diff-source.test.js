@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/git.js', () => ({
+    getStagedDiff: vi.fn(async () => 'staged-diff'),
+    getUncommittedDiff: vi.fn(async () => 'worktree-diff'),
+    getDiffBetween: vi.fn(async (from, to) => `diff ${from}..${to}`),
+    getMergeBase: vi.fn(async (a, b = 'HEAD') => `mb(${a},${b})`),
+    resolveCommit: vi.fn(async (ref) => {
+        if (ref === 'nope') throw new Error('Unknown commit "nope"');
+        return `sha-${ref}`;
+    }),
+    getParentCommit: vi.fn(async (sha) => `${sha}^`),
+}));
+
+vi.mock('node:fs', () => ({
+    readFileSync: vi.fn(() => 'file-diff'),
+}));
+
+import { resolveDiffSource, parseRange } from '../../src/utils/diff-source.js';
+import { WORKTREE, INDEX } from '../../src/utils/file-source.js';
+import { getDiffBetween } from '../../src/utils/git.js';
+
+describe('parseRange', () => {
+    it('should split two- and three-dot ranges', () => {
+        expect(parseRange('v1.0..v1.1')).toEqual({ from: 'v1.0', to: 'v1.1', symmetric: false });
+        expect(parseRange('main...feat')).toEqual({ from: 'main', to: 'feat', symmetric: true });
+    });
+
+    it('should default missing ends to HEAD', () => {
+        expect(parseRange('origin/main..')).toEqual({ from: 'origin/main', to: 'HEAD', symmetric: false });
+    });
+
+    it('should reject non-ranges', () => {
+        expect(() => parseRange('main')).toThrow(/Invalid range/);
+    });
+});
+
+describe('resolveDiffSource', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should diff the branch against its merge base by default', async () => {
+        const source = await resolveDiffSource({}, 'main');
+        expect(source).toMatchObject({ mode: 'branch', baseRef: 'mb(main,HEAD)', headRef: 'HEAD' });
+        expect(getDiffBetween).toHaveBeenCalledWith('mb(main,HEAD)', 'HEAD');
+    });
+
+    it('should read staged changes from the index', async () => {
+        const source = await resolveDiffSource({ staged: true }, 'main');
+        expect(source).toMatchObject({ mode: 'staged', rawDiff: 'staged-diff', baseRef: 'HEAD', headRef: INDEX });
+    });
+
+    it('should read uncommitted changes from the working tree', async () => {
+        const source = await resolveDiffSource({ workingTree: true }, 'main');
+        expect(source).toMatchObject({ rawDiff: 'worktree-diff', baseRef: 'HEAD', headRef: WORKTREE });
+    });
+
+    it('should diff a single commit against its parent', async () => {
+        const source = await resolveDiffSource({ commit: 'abc' }, 'main');
+        expect(source).toMatchObject({ mode: 'commit', baseRef: 'sha-abc^', headRef: 'sha-abc' });
+    });
+
+    it('should use the merge base for three-dot ranges', async () => {
+        const twoDot = await resolveDiffSource({ range: 'a..b' }, 'main');
+        expect(twoDot).toMatchObject({ baseRef: 'sha-a', headRef: 'sha-b' });
+
+        const threeDot = await resolveDiffSource({ range: 'a...b' }, 'main');
+        expect(threeDot).toMatchObject({ baseRef: 'mb(a,sha-b)', headRef: 'sha-b' });
+    });
+
+    it('should read a diff file against the working tree', async () => {
+        const source = await resolveDiffSource({ diffFile: 'changes.patch' }, 'main');
+        expect(source).toMatchObject({ mode: 'diff-file', rawDiff: 'file-diff', headRef: WORKTREE, baseRef: 'mb(main,HEAD)' });
+    });
+
+    it('should reject combined modes', async () => {
+        await expect(resolveDiffSource({ staged: true, range: 'a..b' }, 'main'))
+            .rejects.toThrow('Options --staged and --range cannot be combined');
+    });
+
+    it('should surface unknown commits', async () => {
+        await expect(resolveDiffSource({ commit: 'nope' }, 'main')).rejects.toThrow('Unknown commit "nope"');
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createFileSource, WORKTREE, INDEX } from '../../src/utils/file-source.js';
+
+describe('createFileSource', () => {
+    let dir;
+    afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+    const write = (file, content) => {
+        mkdirSync(join(dir, file, '..'), { recursive: true });
+        writeFileSync(join(dir, file), content);
+    };
+
+    it('should list the working tree as git sees it, leaving out ignored build output', async () => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-source-'));
+        execFileSync('git', ['init', '-q'], { cwd: dir });
+        write('.gitignore', 'dist/\ncoverage/\n');
+        write('src/app.js', 'export const a = 1;\n');
+        write('src/removed.js', 'export const b = 2;\n');
+        execFileSync('git', ['add', '.'], { cwd: dir });
+        rmSync(join(dir, 'src/removed.js'));
+        write('src/new.js', 'export const c = 3;\n');
+        write('dist/app.js', 'bundled\n');
+        write('coverage/lcov.info', 'TN:\n');
+
+        const files = await createFileSource(WORKTREE, dir).list();
+        expect(files.sort()).toEqual(['.gitignore', 'src/app.js', 'src/new.js']);
+    });
+
+    it('should read snapshots through one batch process, with missing files as null', async () => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-source-'));
+        execFileSync('git', ['init', '-q'], { cwd: dir });
+        write('a.js', 'export const a = 1;\n');
+        write('b.js', 'first\nsecond\n');
+        execFileSync('git', ['add', '.'], { cwd: dir });
+        execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '-qm', 'init'], { cwd: dir });
+        write('a.js', 'export const a = 2;\n');
+        execFileSync('git', ['add', 'a.js'], { cwd: dir });
+
+        const head = createFileSource('HEAD', dir);
+        expect(await Promise.all(['a.js', 'b.js', 'gone.js'].map((f) => head.read(f))))
+            .toEqual(['export const a = 1;\n', 'first\nsecond\n', null]);
+        expect(await createFileSource(INDEX, dir).read('a.js')).toBe('export const a = 2;\n');
+        expect(await createFileSource('no-such-ref', dir).read('a.js')).toBeNull();
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { computeFingerprint, assignFingerprints, normalizeSnippet } from '../../src/utils/fingerprint.js';
+
+describe('normalizeSnippet', () => {
+    it('should collapse whitespace', () => {
+        expect(normalizeSnippet('  console.log(  x )\t')).toBe('console.log( x )');
+    });
+});
+
+describe('computeFingerprint', () => {
+    const base = { ruleId: 'heuristic/no-console', file: 'src/app.js', snippet: 'console.log(x);' };
+
+    it('should ignore the line number', () => {
+        expect(computeFingerprint({ ...base, line: 3 })).toBe(computeFingerprint({ ...base, line: 40 }));
+    });
+
+    it('should ignore indentation changes', () => {
+        expect(computeFingerprint(base)).toBe(computeFingerprint({ ...base, snippet: '    console.log(x);' }));
+    });
+
+    it('should differ by rule, file and content', () => {
+        const fp = computeFingerprint(base);
+        expect(computeFingerprint({ ...base, ruleId: 'ast/no-console' })).not.toBe(fp);
+        expect(computeFingerprint({ ...base, file: 'src/other.js' })).not.toBe(fp);
+        expect(computeFingerprint({ ...base, snippet: 'console.log(y);' })).not.toBe(fp);
+    });
+
+    it('should fall back to the message when there is no snippet', () => {
+        const a = computeFingerprint({ ruleId: 'copilot/semantic-review', file: 'a.js', message: 'Possible null dereference' });
+        const b = computeFingerprint({ ruleId: 'copilot/semantic-review', file: 'a.js', message: 'Possible race condition' });
+        expect(a).not.toBe(b);
+    });
+});
+
+describe('assignFingerprints', () => {
+    it('should disambiguate identical lines by order of appearance', () => {
+        const findings = [
+            { ruleId: 'heuristic/no-console', file: 'a.js', line: 9, snippet: 'console.log(x);' },
+            { ruleId: 'heuristic/no-console', file: 'a.js', line: 2, snippet: 'console.log(x);' },
+        ];
+        assignFingerprints(findings);
+
+        expect(findings[1].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+        expect(findings[0].fingerprint).toBe(`${findings[1].fingerprint}:1`);
+    });
+});
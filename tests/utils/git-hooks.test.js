@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    renderHookBlock, upsertHookBlock, removeHookBlock, hasHookBlock,
+    installHook, uninstallHook, inspectHook,
+} from '../../src/utils/git-hooks.js';
+
+describe('renderHookBlock', () => {
+    it('should run a staged, Copilot-free check before commit', () => {
+        const block = renderHookBlock('pre-commit', { failOn: 'warning' });
+        expect(block).toContain('check --staged --no-copilot --no-telemetry --fail-on warning');
+        expect(block).toContain('REVIEWPILOT_SKIP');
+    });
+
+    it('should run the full branch check before push', () => {
+        const block = renderHookBlock('pre-push');
+        expect(block).toContain('check --no-telemetry --fail-on error');
+        expect(block).not.toContain('--staged');
+    });
+});
+
+describe('upsertHookBlock / removeHookBlock', () => {
+    const block = renderHookBlock('pre-commit');
+
+    it('should insert after the shebang and husky source line', () => {
+        const script = '#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\nnpm test\nexit 0\n';
+        const out = upsertHookBlock(script, 'pre-commit', block);
+        const lines = out.split('\n');
+
+        expect(lines[1]).toBe('. "$(dirname -- "$0")/_/husky.sh"');
+        expect(out.indexOf(block)).toBeLessThan(out.indexOf('npm test'));
+    });
+
+    it('should replace an existing block in place', () => {
+        const installed = upsertHookBlock('#!/bin/sh\nnpm test\n', 'pre-commit', block);
+        const updated = upsertHookBlock(installed, 'pre-commit', renderHookBlock('pre-commit', { failOn: 'critical' }));
+
+        expect(updated.match(/>>> reviewpilot pre-commit >>>/g)).toHaveLength(1);
+        expect(updated).toContain('--fail-on critical');
+        expect(updated).toContain('npm test');
+    });
+
+    it('should round-trip an existing hook', () => {
+        const script = '#!/bin/sh\nnpm test\n';
+        const removed = removeHookBlock(upsertHookBlock(script, 'pre-commit', block), 'pre-commit');
+
+        expect(removed).toBe(script);
+        expect(hasHookBlock(removed, 'pre-commit')).toBe(false);
+    });
+});
+
+describe('installHook / uninstallHook', () => {
+    let dir;
+    let location;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-hooks-'));
+        location = { dir, manager: 'git', hooksPath: null };
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create an executable hook and remove it again', () => {
+        expect(installHook(location, 'pre-push').action).toBe('created');
+        const path = join(dir, 'pre-push');
+        expect(statSync(path).mode & 0o111).not.toBe(0);
+        expect(readFileSync(path, 'utf-8').startsWith('#!/bin/sh')).toBe(true);
+
+        expect(uninstallHook(location, 'pre-push').action).toBe('removed');
+        expect(existsSync(path)).toBe(false);
+    });
+
+    it('should chain into an existing shell hook', () => {
+        const path = join(dir, 'pre-commit');
+        writeFileSync(path, '#!/bin/bash\nnpm run lint\n');
+
+        expect(installHook(location, 'pre-commit').action).toBe('chained');
+        expect(installHook(location, 'pre-commit', { failOn: 'warning' }).action).toBe('updated');
+        expect(inspectHook(location, 'pre-commit', dir)).toMatchObject({ installed: true, chained: true, failOn: 'warning' });
+
+        expect(uninstallHook(location, 'pre-commit').action).toBe('unchained');
+        expect(readFileSync(path, 'utf-8')).toBe('#!/bin/bash\nnpm run lint\n');
+    });
+
+    it('should wrap hooks written in another language', () => {
+        const path = join(dir, 'pre-commit');
+        writeFileSync(path, '#!/usr/bin/env python3\nprint("hi")\n');
+
+        expect(installHook(location, 'pre-commit').action).toBe('wrapped');
+        expect(readFileSync(path + '.pre-reviewpilot', 'utf-8')).toContain('python3');
+        expect(readFileSync(path, 'utf-8')).toContain('exec "$(dirname "$0")/pre-commit.pre-reviewpilot" "$@"');
+
+        expect(uninstallHook(location, 'pre-commit').action).toBe('restored');
+        expect(readFileSync(path, 'utf-8')).toContain('python3');
+        expect(existsSync(path + '.pre-reviewpilot')).toBe(false);
+    });
+
+    it('should write husky hooks without a shebang', () => {
+        installHook({ ...location, manager: 'husky' }, 'pre-commit');
+        expect(readFileSync(join(dir, 'pre-commit'), 'utf-8').startsWith('# >>> reviewpilot pre-commit')).toBe(true);
+    });
+
+    it('should leave foreign hooks alone on uninstall', () => {
+        writeFileSync(join(dir, 'pre-push'), '#!/bin/sh\nexit 0\n');
+        expect(uninstallHook(location, 'pre-push').action).toBe('not-installed');
+        expect(existsSync(join(dir, 'pre-push'))).toBe(true);
+    });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { PerformanceTracker } from '../../src/utils/metrics.js';
 
 describe('PerformanceTracker', () => {
@@ -8,15 +8,20 @@ describe('PerformanceTracker', () => {
         tracker = new PerformanceTracker();
     });
 
-    it('should track step timing', async () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should track step timing', () => {
+        vi.useFakeTimers();
         tracker.startStep('Test Step');
-        await new Promise((r) => setTimeout(r, 50));
+        vi.advanceTimersByTime(50);
         tracker.endStep();
 
         const summary = tracker.getSummary();
         expect(summary.breakdown).toHaveLength(1);
         expect(summary.breakdown[0].step).toBe('Test Step');
-        expect(summary.breakdown[0].ms).toBeGreaterThanOrEqual(40);
+        expect(summary.breakdown[0].ms).toBe(50);
     });
 
     it('should track multiple steps', () => {
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { blobHash, hashValue, createResultCache } from '../../src/utils/result-cache.js';
+
+const finding = { file: 'src/app.js', line: 3, severity: 'warning', message: 'Leftover console statement' };
+
+describe('blobHash', () => {
+    it('should match git hash-object', () => {
+        // `printf 'hello\n' | git hash-object --stdin`
+        expect(blobHash('hello\n')).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+    });
+});
+
+describe('hashValue', () => {
+    it('should not depend on object key order', () => {
+        expect(hashValue({ a: 1, b: { c: [1, 2] } })).toBe(hashValue({ b: { c: [1, 2] }, a: 1 }));
+        expect(hashValue({ a: 1 })).not.toBe(hashValue({ a: 2 }));
+    });
+});
+
+describe('createResultCache', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-cache-'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist findings across runs', () => {
+        const first = createResultCache(dir);
+        const key = first.keyFor('src/app.js', 'console.log(1);\n', 'diff', 'scope');
+        expect(first.get(key)).toBeNull();
+        first.set(key, [finding]);
+        first.save();
+
+        const second = createResultCache(dir);
+        expect(second.get(second.keyFor('src/app.js', 'console.log(1);\n', 'diff', 'scope'))).toEqual([finding]);
+        expect(second.stats()).toEqual({ hits: 1, misses: 0 });
+    });
+
+    it('should key on content, diff and scope', () => {
+        const cache = createResultCache(dir);
+        const key = cache.keyFor('src/app.js', 'a', 'diff', 'scope');
+
+        expect(cache.keyFor('src/app.js', 'b', 'diff', 'scope')).not.toBe(key);
+        expect(cache.keyFor('src/app.js', 'a', 'other', 'scope')).not.toBe(key);
+        expect(cache.keyFor('src/app.js', 'a', 'diff', 'ruleset-2')).not.toBe(key);
+        expect(cache.keyFor('src/lib.js', 'a', 'diff', 'scope')).not.toBe(key);
+    });
+
+    it('should return copies so callers cannot corrupt the cache', () => {
+        const cache = createResultCache(dir);
+        cache.set('k', [finding]);
+        cache.get('k')[0].fingerprint = 'abc';
+        expect(cache.get('k')[0].fingerprint).toBeUndefined();
+    });
+
+    it('should evict least recently used entries beyond maxEntries', () => {
+        vi.useFakeTimers();
+        const cache = createResultCache(dir, { maxEntries: 1 });
+        cache.set('old', [finding]);
+        vi.advanceTimersByTime(5);
+        cache.set('new', [finding]);
+        cache.save();
+
+        const reopened = createResultCache(dir);
+        expect(reopened.get('old')).toBeNull();
+        expect(reopened.get('new')).not.toBeNull();
+    });
+
+    it('should start empty on a corrupt cache file', () => {
+        writeFileSync(join(dir, 'lint-results.json'), '{not json');
+        expect(createResultCache(dir).get('k')).toBeNull();
+    });
+});
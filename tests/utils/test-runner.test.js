@@ -0,0 +1,56 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { detectTestRunner, runTests } from '../../src/utils/test-runner.js';
+
+describe('detectTestRunner', () => {
+    let dir;
+    afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+    const withManifest = (manifest) => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-runner-'));
+        writeFileSync(join(dir, 'package.json'), JSON.stringify(manifest));
+        return dir;
+    };
+
+    it('should prefer the test script over dependencies', () => {
+        expect(detectTestRunner(withManifest({ scripts: { test: 'vitest run' }, devDependencies: { jest: '^29' } }))).toBe('vitest');
+    });
+
+    it('should recognise node --test and fall back to dependencies', () => {
+        expect(detectTestRunner(withManifest({ scripts: { test: 'node --test test/' } }))).toBe('node');
+        rmSync(dir, { recursive: true, force: true });
+        expect(detectTestRunner(withManifest({ scripts: { test: 'npm run unit' }, devDependencies: { mocha: '^10' } }))).toBe('mocha');
+    });
+
+    it('should return null without a manifest or a known runner', () => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-runner-'));
+        expect(detectTestRunner(dir)).toBeNull();
+        writeFileSync(join(dir, 'package.json'), '{}');
+        expect(detectTestRunner(dir)).toBeNull();
+    });
+});
+
+describe('runTests', () => {
+    let dir;
+    afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+    it('should run the given files with node --test and capture the result', async () => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-runner-'));
+        writeFileSync(join(dir, 'pass.test.mjs'), "import test from 'node:test';\ntest('ok', () => {});\n");
+        writeFileSync(join(dir, 'fail.test.mjs'), "import test from 'node:test';\ntest('broken', () => { throw new Error('boom'); });\n");
+
+        const passed = await runTests('node', ['pass.test.mjs'], { cwd: dir, capture: true, timeout: 60000 });
+        expect(passed).toMatchObject({ runner: 'node', fileCount: 1, exitCode: 0, passed: true, timedOut: false });
+        expect(passed.command).toBe('node --test pass.test.mjs');
+
+        const failed = await runTests('node', ['fail.test.mjs'], { cwd: dir, capture: true, timeout: 60000 });
+        expect(failed.passed).toBe(false);
+        expect(failed.output).toContain('boom');
+    });
+
+    it('should reject unknown runners', () => {
+        expect(() => runTests('ava', [])).toThrow('Unknown test runner "ava"');
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+    loadCoverage, parseLcov, parseIstanbulJson, computeDiffCoverage, formatRanges,
+} from '../../src/validators/diff-coverage.js';
+
+const LCOV = [
+    'TN:',
+    'SF:src/app.js',
+    'DA:1,1',
+    'DA:2,0',
+    'DA:3,0',
+    'DA:5,0',
+    'DA:7,4',
+    'DA:9,0',
+    'end_of_record',
+    'SF:/abs/src/other.js',
+    'DA:1,1',
+    'end_of_record',
+].join('\n');
+
+const change = (file, lines, fields = {}) => ({
+    file,
+    type: 'modified',
+    category: 'feature',
+    hunks: [{ changes: lines.map((ln) => ({ type: 'add', ln })) }],
+    ...fields,
+});
+
+const coverageOf = (entries) => ({ coverage: new Map(entries), reports: ['coverage/lcov.info'] });
+
+describe('parseLcov', () => {
+    it('should read line hits per source file', () => {
+        const coverage = parseLcov(LCOV);
+
+        expect([...coverage.keys()]).toEqual(['src/app.js', '/abs/src/other.js']);
+        expect(coverage.get('src/app.js').get(7)).toBe(4);
+        expect(coverage.get('src/app.js').has(4)).toBe(false);
+    });
+});
+
+describe('parseIstanbulJson', () => {
+    it('should mark a line covered when any statement starting on it ran', () => {
+        const coverage = parseIstanbulJson({
+            '/repo/src/a.js': {
+                path: '/repo/src/a.js',
+                statementMap: {
+                    0: { start: { line: 1, column: 0 }, end: { line: 1, column: 10 } },
+                    1: { start: { line: 1, column: 12 }, end: { line: 1, column: 20 } },
+                    2: { start: { line: 3, column: 0 }, end: { line: 4, column: 1 } },
+                },
+                s: { 0: 0, 1: 2, 2: 0 },
+            },
+        });
+
+        expect([...coverage.get('/repo/src/a.js')]).toEqual([[1, 2], [3, 0]]);
+    });
+});
+
+describe('loadCoverage', () => {
+    let dir;
+    afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+    it('should resolve report paths to repo-relative files and skip missing reports', () => {
+        dir = mkdtempSync(join(tmpdir(), 'rp-cov-'));
+        mkdirSync(join(dir, 'packages/web/coverage'), { recursive: true });
+        writeFileSync(join(dir, 'packages/web/coverage/lcov.info'), `SF:src/app.js\nDA:1,1\nend_of_record\nSF:${join(dir, 'lib/x.js')}\nDA:2,0\n`);
+
+        const loaded = loadCoverage(['coverage/lcov.info', 'packages/web/coverage/lcov.info'], dir);
+
+        expect(loaded.reports).toEqual(['packages/web/coverage/lcov.info']);
+        expect([...loaded.coverage.keys()]).toEqual(['packages/web/src/app.js', 'lib/x.js']);
+        expect(loadCoverage(['coverage/lcov.info'], dir)).toBeNull();
+    });
+});
+
+describe('computeDiffCoverage', () => {
+    const coverage = coverageOf([['src/app.js', parseLcov(LCOV).get('src/app.js')]]);
+
+    it('should count only executable added lines and group uncovered ranges', () => {
+        const result = computeDiffCoverage([change('src/app.js', [1, 2, 3, 4, 5, 7, 9])], coverage);
+
+        expect(result).toMatchObject({ covered: 2, total: 6, percent: 33.3, unmeasured: [] });
+        // 2-5 is one block (4 is not executable); 9 is separated by the covered line 7
+        expect(result.files[0].uncovered).toEqual([{ start: 2, end: 5 }, { start: 9, end: 9 }]);
+        expect(formatRanges(result.files[0].uncovered)).toBe('2-5, 9');
+    });
+
+    it('should not join uncovered lines from separate hunks', () => {
+        const result = computeDiffCoverage([change('src/app.js', [3, 9])], coverage);
+
+        expect(result.files[0].uncovered).toEqual([{ start: 3, end: 3 }, { start: 9, end: 9 }]);
+    });
+
+    it('should list source files missing from the report as unmeasured', () => {
+        const result = computeDiffCoverage([
+            change('src/new.js', [1]),
+            change('README.md', [1], { category: 'docs' }),
+            change('src/gone.js', [], { type: 'deleted' }),
+        ], coverage);
+
+        expect(result).toMatchObject({ covered: 0, total: 0, percent: null, unmeasured: ['src/new.js'] });
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { buildImportGraph } from '../../src/context/import-graph.js';
+import {
+    generateMutants, applyMutant, runMutationTesting, mutationsToFindings,
+} from '../../src/validators/mutation-testing.js';
+
+const allLines = (content) => new Set(content.split('\n').map((_, i) => i + 1));
+
+// In-memory file source: path → content
+function memorySource(files) {
+    return {
+        ref: 'test',
+        list: async () => Object.keys(files),
+        read: async (file) => files[file] ?? null,
+    };
+}
+
+describe('generateMutants', () => {
+    it('should flip comparisons, swap logical operators, force conditions and replace return values', () => {
+        const code = [
+            'export function check(a, b) {',
+            '    if (a < b && b !== 0) return true;',
+            '    return a === b ? 1 : 0;',
+            '}',
+        ].join('\n');
+        const mutants = generateMutants(code, 'src/check.js', allLines(code));
+        const descriptions = mutants.map((m) => m.description);
+
+        expect(descriptions).toEqual(expect.arrayContaining([
+            'replaced < with >=',
+            'replaced !== with ===',
+            'replaced && with ||',
+            'if condition forced to true',
+            'if condition forced to false',
+            'return value replaced with false',
+            'replaced === with !==',
+            'ternary condition forced to true',
+            'return value replaced with null',
+        ]));
+        const flip = mutants.find((m) => m.description === 'replaced < with >=');
+        expect(applyMutant(code, flip).split('\n')[1]).toBe('    if (a >= b && b !== 0) return true;');
+        expect(flip).toMatchObject({ line: 2, operator: 'comparison', snippet: 'if (a < b && b !== 0) return true;' });
+    });
+
+    it('should only mutate added lines', () => {
+        const code = 'const a = x > 1;\nconst b = y > 2;\n';
+        const mutants = generateMutants(code, 'src/a.js', new Set([2]));
+        expect(mutants).toHaveLength(1);
+        expect(mutants[0]).toMatchObject({ line: 2, description: 'replaced > with <=' });
+    });
+
+    it('should spread the per-file cap over the changed lines', () => {
+        const code = 'const a = x > 1 && y < 2 && z === 3;\nconst b = w > 4;\n';
+        const mutants = generateMutants(code, 'src/a.js', allLines(code), { maxMutants: 2 });
+        expect(mutants.map((m) => m.line)).toEqual([1, 2]);
+    });
+
+    it('should leave unparseable and non-JavaScript files alone', () => {
+        expect(generateMutants('if (a <', 'src/a.js', new Set([1]))).toEqual([]);
+        expect(generateMutants('a < b', 'README.md', new Set([1]))).toEqual([]);
+    });
+});
+
+describe('runMutationTesting', () => {
+    let dir;
+    afterEach(() => dir && rmSync(dir, { recursive: true, force: true }));
+
+    const source = [
+        'export function isPositive(n) {',
+        '    return n > 0;',
+        '}',
+        'export function label(n) {',
+        "    return n > 100 ? 'big' : 'small';",
+        '}',
+    ].join('\n');
+    const test = [
+        "import { test } from 'node:test';",
+        "import assert from 'node:assert';",
+        "import { isPositive } from '../src/sign.js';",
+        "test('isPositive', () => { assert.strictEqual(isPositive(5), true); assert.strictEqual(isPositive(-1), false); });",
+    ].join('\n');
+
+    async function setup(files) {
+        dir = mkdtempSync(join(tmpdir(), 'rp-mutate-'));
+        mkdirSync(join(dir, 'src'));
+        mkdirSync(join(dir, 'tests'));
+        writeFileSync(join(dir, 'package.json'), '{ "type": "module" }');
+        for (const [file, content] of Object.entries(files)) writeFileSync(join(dir, file), content);
+        const fileSource = memorySource(files);
+        return { repoRoot: dir, runner: 'node', fileSource, graph: await buildImportGraph(fileSource) };
+    }
+
+    const change = { file: 'src/sign.js', type: 'added', category: 'feature', hunks: [{ changes: source.split('\n').map((_, i) => ({ type: 'add', ln: i + 1 })) }] };
+
+    it('should report the mutants the affected tests do not catch and restore the file', async () => {
+        const options = await setup({ 'src/sign.js': source, 'tests/sign.test.js': test });
+        const result = await runMutationTesting([change], options);
+
+        const [entry] = result.files;
+        expect(entry.tests).toEqual(['tests/sign.test.js']);
+        expect(entry.mutants.filter((m) => m.line === 2).every((m) => m.status === 'killed')).toBe(true);
+        expect(entry.mutants.filter((m) => m.line === 5).every((m) => m.status === 'survived')).toBe(true);
+        expect(result.survived).toBeGreaterThan(0);
+        expect(result.score).toBeLessThan(100);
+        expect(readFileSync(join(dir, 'src/sign.js'), 'utf-8')).toBe(source);
+
+        const findings = mutationsToFindings(result);
+        expect(findings).toHaveLength(result.survived);
+        expect(findings[0]).toMatchObject({ file: 'src/sign.js', line: 5, source: 'mutation', severity: 'warning', category: 'test-quality' });
+        expect(findings[0].message).toMatch(/not asserted by any test/);
+        expect(findings[0].fingerprint).toBeTruthy();
+    }, 60000);
+
+    it('should skip files without tests, with edited working copies, or past the time budget', async () => {
+        const options = await setup({ 'src/sign.js': source });
+        let result = await runMutationTesting([change], options);
+        expect(result.files[0].skipped).toBe('no test imports this file');
+
+        writeFileSync(join(dir, 'src/sign.js'), `${source}\n// edited`);
+        result = await runMutationTesting([change], options);
+        expect(result.files[0].skipped).toBe('working copy differs from the reviewed changes');
+
+        rmSync(dir, { recursive: true, force: true });
+        const withTests = await setup({ 'src/sign.js': source, 'tests/sign.test.js': test });
+        result = await runMutationTesting([change], { ...withTests, timeBudget: 0 });
+        expect(result.budgetExhausted).toBe(true);
+        expect(result.killed + result.survived).toBe(0);
+        expect(result.files[0].mutants.every((m) => m.status === 'skipped')).toBe(true);
+    });
+});
@@ -1,21 +1,19 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { checkPerformanceBudget } from '../../src/validators/performance-budget.js';
 
-vi.mock('node:fs', async () => {
-    const actual = await vi.importActual('node:fs');
-    return {
-        ...actual,
-        existsSync: vi.fn().mockReturnValue(true),
-        statSync: vi.fn().mockReturnValue({ size: 1024 }),
-        readFileSync: vi.fn().mockReturnValue('function simple() { return 1; }'),
-    };
-});
-
 vi.mock('../../src/analyzers/ast-analyzer.js', () => ({
     canAnalyze: vi.fn().mockImplementation((f) => f.endsWith('.js')),
     calculateComplexity: vi.fn().mockReturnValue(5),
+    parseCode: vi.fn().mockReturnValue({ type: 'File' }),
 }));
 
+// Every file reads as `content`; the snapshot the run reviews, not the working tree
+const snapshot = (content = 'function simple() { return 1; }') => ({
+    ref: 'test',
+    list: async () => [],
+    read: vi.fn().mockResolvedValue(content),
+});
+
 describe('checkPerformanceBudget', () => {
     const makeFile = (name, overrides = {}) => ({
         file: name,
@@ -27,36 +25,42 @@ describe('checkPerformanceBudget', () => {
 
     it('should return empty array when all budgets pass', async () => {
         const files = [makeFile('src/app.js')];
-        const violations = await checkPerformanceBudget(files, '/repo');
+        const violations = await checkPerformanceBudget(files, '/repo', {}, { fileSource: snapshot() });
         expect(violations).toHaveLength(0);
     });
 
     it('should detect file size violations', async () => {
-        const { statSync } = await import('node:fs');
-        statSync.mockReturnValue({ size: 600 * 1024 }); // 600KB > 500KB
-
         const files = [makeFile('src/large.js')];
-        const violations = await checkPerformanceBudget(files, '/repo');
+        const fileSource = snapshot('x'.repeat(600 * 1024)); // 600KB > 500KB
+        const violations = await checkPerformanceBudget(files, '/repo', {}, { fileSource });
         expect(violations.some((v) => v.type === 'file-size')).toBe(true);
     });
 
     it('should detect cyclomatic complexity violations', async () => {
         const { calculateComplexity } = await import('../../src/analyzers/ast-analyzer.js');
-        calculateComplexity.mockReturnValue(15); // > 10 default
+        calculateComplexity.mockReturnValueOnce(15); // > 10 default
 
         const files = [makeFile('src/complex.js')];
-        const violations = await checkPerformanceBudget(files, '/repo');
+        const violations = await checkPerformanceBudget(files, '/repo', {}, { fileSource: snapshot() });
         expect(violations.some((v) => v.type === 'complexity')).toBe(true);
     });
 
-    it('should respect custom budget thresholds', async () => {
-        const { statSync } = await import('node:fs');
-        statSync.mockReturnValue({ size: 200 * 1024 });
+    it('should measure the reviewed snapshot through the shared parse cache', async () => {
+        const { calculateComplexity } = await import('../../src/analyzers/ast-analyzer.js');
+        const fileSource = snapshot('const staged = 1;');
+        const parseCache = { parse: vi.fn().mockReturnValue({ type: 'File' }) };
 
+        await checkPerformanceBudget([makeFile('src/app.js')], '/repo', {}, { fileSource, parseCache });
+        expect(fileSource.read).toHaveBeenCalledWith('src/app.js');
+        expect(parseCache.parse).toHaveBeenCalledWith('src/app.js', 'const staged = 1;');
+        expect(calculateComplexity).toHaveBeenLastCalledWith('const staged = 1;', 'src/app.js', { ast: { type: 'File' } });
+    });
+
+    it('should respect custom budget thresholds', async () => {
         const files = [makeFile('src/app.js')];
         const violations = await checkPerformanceBudget(files, '/repo', {
             maxFileSize: 100 * 1024, // 100KB threshold
-        });
+        }, { fileSource: snapshot('x'.repeat(200 * 1024)) });
         expect(violations.some((v) => v.type === 'file-size')).toBe(true);
     });
 
@@ -71,4 +75,45 @@ describe('checkPerformanceBudget', () => {
         const violations = await checkPerformanceBudget(files, '/repo');
         expect(violations).toHaveLength(0);
     });
+
+    describe('import budgets', () => {
+        // a.js → b.js → c.js → d.js, a.js → d.js
+        const graph = {
+            files: ['src/a.js', 'src/b.js', 'src/c.js', 'src/d.js'],
+            imports: new Map([
+                ['src/a.js', new Set(['src/b.js', 'src/d.js'])],
+                ['src/b.js', new Set(['src/c.js'])],
+                ['src/c.js', new Set(['src/d.js'])],
+            ]),
+            importers: new Map(),
+        };
+
+        it('should report the longest import chain beyond maxImportDepth', async () => {
+            const violations = await checkPerformanceBudget([makeFile('src/a.js')], '/repo', { maxImportDepth: 2 }, { graph });
+            const depth = violations.find((v) => v.type === 'import-depth');
+
+            expect(depth).toMatchObject({ actual: 3, limit: 2, chain: ['src/a.js', 'src/b.js', 'src/c.js', 'src/d.js'] });
+            expect(depth.message).toContain('src/a.js → src/b.js → src/c.js → src/d.js');
+        });
+
+        it('should report fan-out beyond maxFanOut', async () => {
+            const violations = await checkPerformanceBudget([makeFile('src/a.js')], '/repo', { maxFanOut: 1 }, { graph });
+            expect(violations.find((v) => v.type === 'fan-out')).toMatchObject({ actual: 2, limit: 1 });
+        });
+
+        it('should pass within budget and without a graph', async () => {
+            expect((await checkPerformanceBudget([makeFile('src/a.js')], '/repo', {}, { graph }))
+                .filter((v) => v.type === 'import-depth' || v.type === 'fan-out')).toHaveLength(0);
+            expect((await checkPerformanceBudget([makeFile('src/a.js')], '/repo', { maxImportDepth: 0 }))
+                .some((v) => v.type === 'import-depth')).toBe(false);
+        });
+
+        it('should not follow import cycles', async () => {
+            const cyclic = {
+                imports: new Map([['src/a.js', new Set(['src/b.js'])], ['src/b.js', new Set(['src/a.js'])]]),
+            };
+            const violations = await checkPerformanceBudget([makeFile('src/a.js')], '/repo', { maxImportDepth: 0 }, { graph: cyclic });
+            expect(violations.find((v) => v.type === 'import-depth').chain).toEqual(['src/a.js', 'src/b.js']);
+        });
+    });
 });
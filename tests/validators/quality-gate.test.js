@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { resolveGate, evaluateGate } from '../../src/validators/quality-gate.js';
+
+const f = (severity) => ({ file: 'a.js', line: 1, severity, message: 'x', source: 'heuristic' });
+const check = (gate, name) => gate.checks.find((c) => c.name === name);
+
+describe('resolveGate', () => {
+    it('should default to failing on errors and above', () => {
+        expect(resolveGate().failOn).toBe('error');
+    });
+
+    it('should let the CLI override failOn', () => {
+        expect(resolveGate({ failOn: 'warning' }, { failOn: 'critical' }).failOn).toBe('critical');
+    });
+
+    it('should reject unknown severities', () => {
+        expect(() => resolveGate({ failOn: 'fatal' })).toThrow(/Invalid fail-on severity "fatal"/);
+        expect(() => resolveGate({ maxFindings: { warnings: 3 } })).toThrow(/gate.maxFindings/);
+    });
+});
+
+describe('evaluateGate', () => {
+    it('should keep the historical behaviour by default', () => {
+        expect(evaluateGate({ findings: [f('warning')] }, resolveGate()).passed).toBe(true);
+        expect(evaluateGate({ findings: [f('error')] }, resolveGate()).passed).toBe(false);
+        expect(evaluateGate({ findings: [f('critical')] }, resolveGate()).passed).toBe(false);
+    });
+
+    it('should honour a lower fail-on threshold', () => {
+        const gate = evaluateGate({ findings: [f('warning')] }, resolveGate({}, { failOn: 'warning' }));
+        expect(gate.passed).toBe(false);
+        expect(check(gate, 'warning findings')).toMatchObject({ status: 'fail', actual: 1, limit: 0 });
+    });
+
+    it('should never fail on findings with failOn none', () => {
+        expect(evaluateGate({ findings: [f('critical')] }, resolveGate({ failOn: 'none' })).passed).toBe(true);
+    });
+
+    it('should apply per-severity maximum counts', () => {
+        const gate = resolveGate({ maxFindings: { warning: 2, error: 1 } });
+        expect(evaluateGate({ findings: [f('warning'), f('warning'), f('error')] }, gate).passed).toBe(true);
+        expect(evaluateGate({ findings: [f('warning'), f('warning'), f('warning')] }, gate).passed).toBe(false);
+    });
+
+    it('should gate budgets, untested files and step failures when enabled', () => {
+        const results = {
+            budgetViolations: [{ type: 'complexity' }],
+            testCoverage: { untestedFiles: ['src/a.js'] },
+            errors: [{ step: 'Gather Context', error: 'boom' }],
+        };
+
+        expect(evaluateGate(results, resolveGate()).passed).toBe(true);
+
+        const gate = evaluateGate(results, resolveGate({ failOnBudget: true, failOnUntested: true, failOnStepError: true }));
+        expect(gate.passed).toBe(false);
+        expect(gate.checks.filter((c) => c.status === 'fail').map((c) => c.name))
+            .toEqual(['budget violations', 'untested files', 'step failures']);
+    });
+
+    describe('minDiffCoverage', () => {
+        const results = (percent) => ({ testCoverage: { untestedFiles: [], diffCoverage: { percent, covered: 3, total: 4 } } });
+
+        it('should fail below the minimum and pass at or above it', () => {
+            const gate = resolveGate({ minDiffCoverage: 80 });
+
+            const failed = evaluateGate(results(75), gate);
+            expect(failed.passed).toBe(false);
+            expect(check(failed, 'diff coverage')).toMatchObject({ status: 'fail', actual: 75, limit: 80 });
+            expect(evaluateGate(results(80), gate).passed).toBe(true);
+        });
+
+        it('should not gate without a minimum or executable added lines', () => {
+            expect(check(evaluateGate(results(10), resolveGate()), 'diff coverage').status).toBe('off');
+            expect(evaluateGate(results(null), resolveGate({ minDiffCoverage: 80 })).passed).toBe(true);
+            expect(check(evaluateGate({}, resolveGate()), 'diff coverage')).toBeUndefined();
+        });
+
+        it('should fail when a minimum is set but no coverage report was found', () => {
+            const gate = evaluateGate({ testCoverage: { untestedFiles: [], addedSourceLines: 12, diffCoverage: null } }, resolveGate({ minDiffCoverage: 80 }));
+            expect(gate.passed).toBe(false);
+            expect(check(gate, 'diff coverage')).toMatchObject({ status: 'fail', limit: 80, detail: 'no coverage report found' });
+        });
+
+        it('should skip the check when no source lines changed or nothing was analyzed', () => {
+            const gate = resolveGate({ minDiffCoverage: 80 });
+            const noSourceChanges = evaluateGate({ testCoverage: { untestedFiles: [], addedSourceLines: 0, diffCoverage: null } }, gate);
+            const noChanges = evaluateGate({ findings: [], testCoverage: null }, gate);
+
+            expect(noSourceChanges.passed).toBe(true);
+            expect(check(noSourceChanges, 'diff coverage')).toBeUndefined();
+            expect(noChanges.passed).toBe(true);
+            expect(check(noChanges, 'diff coverage')).toBeUndefined();
+        });
+
+        it('should reject thresholds outside 0-100', () => {
+            expect(() => resolveGate({ minDiffCoverage: 120 })).toThrow(/gate.minDiffCoverage/);
+            expect(() => resolveGate({ minDiffCoverage: '80' })).toThrow(/gate.minDiffCoverage/);
+        });
+    });
+
+    describe('test run', () => {
+        const run = (fields) => ({ testCoverage: { testRun: { runner: 'vitest', fileCount: 2, exitCode: 0, passed: true, timedOut: false, durationMs: 900, ...fields } } });
+
+        it('should fail when the affected tests fail and pass when they pass', () => {
+            const failed = evaluateGate(run({ exitCode: 1, passed: false }), resolveGate());
+            expect(failed.passed).toBe(false);
+            expect(check(failed, 'test run').detail).toBe('2 affected test file(s) failed (vitest exited with 1)');
+            expect(check(evaluateGate(run({}), resolveGate()), 'test run').status).toBe('pass');
+        });
+
+        it('should only add the row when tests were run', () => {
+            expect(check(evaluateGate({}, resolveGate()), 'test run')).toBeUndefined();
+        });
+    });
+
+    describe('failOnBreakingWithoutBump', () => {
+        const results = { breakingChanges: [{ severity: 'major' }, { severity: 'patch' }] };
+        const gate = resolveGate({ failOnBreakingWithoutBump: true });
+        const pkg = (fields) => ({ name: '@acme/core', apiChange: 'major', required: 'major', ...fields });
+
+        it('should fail without a version bump', () => {
+            const packages = [pkg({ from: '1.2.0', to: '1.2.0', bump: 'none', satisfied: false })];
+            const out = evaluateGate(results, gate, { packages });
+            expect(out.passed).toBe(false);
+            expect(check(out, 'major API changes').detail).toMatch(/@acme\/core needs a major version bump \(package.json is still 1.2.0\)/);
+        });
+
+        it('should fail when any package with a major change is not bumped enough', () => {
+            const packages = [
+                pkg({ name: '@acme/cli', from: '1.2.0', to: '2.0.0', bump: 'major', satisfied: true }),
+                pkg({ from: '1.2.0', to: '1.3.0', bump: 'minor', satisfied: false }),
+            ];
+            const out = evaluateGate(results, gate, { packages });
+            expect(out.passed).toBe(false);
+            expect(check(out, 'major API changes').detail).toMatch(/1.2.0 → 1.3.0 is only a minor bump/);
+        });
+
+        it('should pass when every package with a major change is bumped', () => {
+            const packages = [
+                pkg({ from: '1.2.0', to: '2.0.0', bump: 'major', satisfied: true }),
+                pkg({ name: '@acme/utils', required: 'minor', from: '0.4.1', to: '0.5.0', bump: 'minor', satisfied: true }),
+            ];
+            expect(evaluateGate(results, gate, { packages }).passed).toBe(true);
+        });
+
+        it('should fail when package versions are unknown', () => {
+            expect(evaluateGate(results, gate, { packages: null }).passed).toBe(false);
+        });
+
+        it('should pass when there are no major changes', () => {
+            expect(evaluateGate({ breakingChanges: [{ severity: 'minor' }] }, gate).passed).toBe(true);
+        });
+    });
+});